@@ -21,6 +21,8 @@ import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { X, UserPlus } from "lucide-react";
+import { CurrencySelect } from "@/components/currency-select";
+import { getCurrency } from "@/convex/lib/currency";
 import { Badge } from "@/components/ui/badge";
 import {
   Command,
@@ -45,6 +47,7 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
   const [selectedMembers, setSelectedMembers] = useState([]); //stores users added to the group.
   const [searchQuery, setSearchQuery] = useState("");   //stores the search input for adding members.
   const [commandOpen, setCommandOpen] = useState(false);    //controls the search popup.
+  const [currency, setCurrency] = useState(null);   //group's default currency (null → yours).
 
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);  //the logged-in user (always included in the group).
   const createGroup = useConvexMutation(api.contacts.createGroup);   //mutation to create a group in the backend.
@@ -88,6 +91,7 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
       const groupId = await createGroup.mutate({
         name: data.name,
         description: data.description,
+        currency: currency ?? getCurrency(currentUser),
         members: memberIds,
       });
 
@@ -95,6 +99,7 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
       toast.success("Group created successfully!");
       reset();
       setSelectedMembers([]);
+      setCurrency(null);
       onClose();
 
       // Redirect to the new group page
@@ -109,6 +114,7 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
   const handleClose = () => {
     reset();
     setSelectedMembers([]);
+    setCurrency(null);
     onClose();
   };
 
@@ -143,6 +149,15 @@ export function CreateGroupModal({ isOpen, onClose, onSuccess }) {
             />
           </div>
 
+          {/* Default currency for the group's expenses */}
+          <div className="space-y-2">
+            <Label>Currency</Label>
+            <CurrencySelect
+              value={currency ?? getCurrency(currentUser)}
+              onChange={setCurrency}
+            />
+          </div>
+
           {/* Remainig part */}
           <div className="space-y-2">
             <Label>Members</Label>
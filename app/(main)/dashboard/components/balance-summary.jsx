@@ -1,8 +1,9 @@
 import Link from "next/link";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { ArrowUpCircle, ArrowDownCircle } from "lucide-react";
+import { formatMoney } from "@/convex/lib/currency";
 
-export function BalanceSummary({ balances }) {
+export function BalanceSummary({ balances, currency }) {
   if (!balances) return null;
 
   const { oweDetails } = balances;
@@ -38,7 +39,7 @@ export function BalanceSummary({ balances }) {
                   <span className="text-sm">{item.name}</span>
                 </div>
                 <span className="font-medium text-green-600">
-                  ${item.amount.toFixed(2)}
+                  {formatMoney(item.amount, currency)}
                 </span>
               </Link>
             ))}
@@ -67,7 +68,7 @@ export function BalanceSummary({ balances }) {
                   <span className="text-sm">{item.name}</span>
                 </div>
                 <span className="font-medium text-red-600">
-                  ${item.amount.toFixed(2)}
+                  {formatMoney(item.amount, currency)}
                 </span>
               </Link>
             ))}
@@ -0,0 +1,96 @@
+"use client";
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Cell, Pie, PieChart, ResponsiveContainer, Tooltip } from "recharts";
+import { formatMoney } from "@/convex/lib/currency";
+import { getCategoryIcon } from "@/lib/expense-categories";
+
+// Slices after this many are added up as "Everything else"
+const MAX_SLICES = 6;
+
+export function CategoryBreakdown({ categorySpending, currency }) {
+  const categories = categorySpending ?? [];
+  const rest = categories.slice(MAX_SLICES);
+  const slices = rest.length
+    ? [
+        ...categories.slice(0, MAX_SLICES),
+        {
+          name: "Everything else",
+          color: "#94a3b8",
+          total: rest.reduce((sum, c) => sum + c.total, 0),
+        },
+      ]
+    : categories;
+  const total = slices.reduce((sum, c) => sum + c.total, 0);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Spending by Category</CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {slices.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-6">
+            No spending this year yet
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 items-center">
+            <div className="h-56">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie
+                    data={slices}
+                    dataKey="total"
+                    nameKey="name"
+                    innerRadius="55%"
+                    outerRadius="90%"
+                    paddingAngle={1}
+                  >
+                    {slices.map((slice) => (
+                      <Cell key={slice.name} fill={slice.color} />
+                    ))}
+                  </Pie>
+                  <Tooltip
+                    formatter={(value, name) => [
+                      formatMoney(value, currency),
+                      name,
+                    ]}
+                  />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+
+            <ul className="space-y-2">
+              {slices.map((slice) => {
+                const CategoryIcon = getCategoryIcon(slice);
+                return (
+                  <li
+                    key={slice.name}
+                    className="flex items-center gap-2 text-sm"
+                  >
+                    <CategoryIcon
+                      className="h-4 w-4"
+                      style={{ color: slice.color }}
+                    />
+                    <span className="flex-1">{slice.name}</span>
+                    <span className="text-muted-foreground">
+                      {Math.round((slice.total / total) * 100)}%
+                    </span>
+                    <span className="font-medium">
+                      {formatMoney(slice.total, currency)}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        <p className="text-xs text-muted-foreground text-center mt-2">
+          Your share of this year&apos;s expenses
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -10,8 +10,13 @@ import {
   Tooltip,
   ResponsiveContainer,
 } from "recharts";
+import {
+  formatMoney,
+  toMajorUnits,
+  toMinorUnits,
+} from "@/convex/lib/currency";
 
-export function ExpenseSummary({ monthlySpending, totalSpent }) {
+export function ExpenseSummary({ monthlySpending, totalSpent, currency }) {
   // Format monthly data for chart
   const monthNames = [
     "Jan",
@@ -33,7 +38,7 @@ export function ExpenseSummary({ monthlySpending, totalSpent }) {
       const date = new Date(item.month);
       return {
         name: monthNames[date.getMonth()],
-        amount: item.total,
+        amount: toMajorUnits(item.total, currency), // axis in whole units
       };
     }) || [];
 
@@ -52,13 +57,16 @@ export function ExpenseSummary({ monthlySpending, totalSpent }) {
           <div className="bg-muted rounded-lg p-4">
             <p className="text-sm text-muted-foreground">Total this month</p>
             <h3 className="text-2xl font-bold mt-1">
-              ${monthlySpending?.[currentMonth]?.total.toFixed(2) || "0.00"}
+              {formatMoney(
+                monthlySpending?.[currentMonth]?.total ?? 0,
+                currency
+              )}
             </h3>
           </div>
           <div className="bg-muted rounded-lg p-4">
             <p className="text-sm text-muted-foreground">Total this year</p>
             <h3 className="text-2xl font-bold mt-1">
-              ${totalSpent?.toFixed(2) || "0.00"}
+              {formatMoney(totalSpent ?? 0, currency)}
             </h3>
           </div>
         </div>
@@ -71,7 +79,10 @@ export function ExpenseSummary({ monthlySpending, totalSpent }) {
               <XAxis dataKey="name" />
               <YAxis />
               <Tooltip
-                formatter={(value) => [`$${value.toFixed(2)}`, "Amount"]}
+                formatter={(value) => [
+                  formatMoney(toMinorUnits(value, currency), currency),
+                  "Amount",
+                ]}
                 labelFormatter={() => "Spending"}
               />
               <Bar dataKey="amount" fill="#36d7b7" radius={[4, 4, 0, 0]} />
@@ -1,7 +1,8 @@
 import Link from "next/link";
 import { Users } from "lucide-react";
+import { formatMoney } from "@/convex/lib/currency";
 
-export function GroupList({ groups }) {
+export function GroupList({ groups, currency }) {
   if (!groups || groups.length === 0) {
     return (
       <div className="text-center py-6">
@@ -45,7 +46,8 @@ export function GroupList({ groups }) {
                   balance > 0 ? "text-green-600" : "text-red-600"
                 }`}
               >
-                {balance > 0 ? "+" : ""}${balance.toFixed(2)}
+                {balance > 0 ? "+" : ""}
+                {formatMoney(balance, currency)}
               </span>
             )}
           </Link>
@@ -0,0 +1,182 @@
+"use client";
+
+import { format } from "date-fns";
+import { Check, X } from "lucide-react";
+import { toast } from "sonner";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { formatMoney, getCurrency } from "@/convex/lib/currency";
+import { DEFAULT_AUTO_CONFIRM_DAYS } from "@/convex/lib/balances";
+
+const AUTO_CONFIRM_OPTIONS = [
+  { days: 1, label: "After 1 day" },
+  { days: 3, label: "After 3 days" },
+  { days: 7, label: "After 7 days" },
+  { days: 14, label: "After 14 days" },
+  { days: 30, label: "After 30 days" },
+  { days: 0, label: "Once I confirm" },
+];
+
+function PendingItem({ settlement, children }) {
+  return (
+    <div className="flex items-center justify-between gap-2 p-2">
+      <div className="flex items-center gap-2 min-w-0">
+        <Avatar className="h-8 w-8">
+          <AvatarImage src={settlement.counterpart.imageUrl} />
+          <AvatarFallback>
+            {settlement.counterpart.name.charAt(0)}
+          </AvatarFallback>
+        </Avatar>
+        <div className="min-w-0">
+          <p className="text-sm truncate">{children}</p>
+          <p className="text-xs text-muted-foreground truncate">
+            {format(new Date(settlement.date), "MMM d")}
+            {settlement.groupName && ` · ${settlement.groupName}`}
+            {settlement.autoConfirmAt &&
+              ` · counts from ${format(new Date(settlement.autoConfirmAt), "MMM d")}`}
+          </p>
+        </div>
+      </div>
+      <span className="text-sm font-medium whitespace-nowrap">
+        {formatMoney(settlement.amount, getCurrency(settlement))}
+      </span>
+    </div>
+  );
+}
+
+// Settlements waiting for confirmation: ones to confirm or reject (the
+// caller received the money), and the caller's own payments the other side
+// hasn't confirmed yet. Also where the auto-confirm window is set.
+export function PendingSettlements({ pending }) {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const confirmSettlement = useConvexMutation(
+    api.settlements.confirmSettlement
+  );
+  const rejectSettlement = useConvexMutation(api.settlements.rejectSettlement);
+  const updateAutoConfirm = useConvexMutation(
+    api.users.updateSettlementAutoConfirm
+  );
+
+  const handleConfirm = async (settlement) => {
+    try {
+      await confirmSettlement.mutate({ settlementId: settlement._id });
+      toast.success("Settlement confirmed");
+    } catch (error) {
+      toast.error("Failed to confirm settlement: " + error.message);
+    }
+  };
+
+  const handleReject = async (settlement) => {
+    try {
+      await rejectSettlement.mutate({ settlementId: settlement._id });
+      toast.success("Settlement rejected");
+    } catch (error) {
+      toast.error("Failed to reject settlement: " + error.message);
+    }
+  };
+
+  const handleAutoConfirmChange = async (value) => {
+    try {
+      await updateAutoConfirm.mutate({ days: Number(value) });
+    } catch (error) {
+      toast.error("Failed to update auto-confirm: " + error.message);
+    }
+  };
+
+  const toConfirm = pending?.toConfirm ?? [];
+  const awaiting = pending?.awaiting ?? [];
+
+  return (
+    <div className="space-y-4">
+      {!toConfirm.length && !awaiting.length && (
+        <p className="text-center text-sm text-muted-foreground py-2">
+          Nothing waiting for confirmation
+        </p>
+      )}
+
+      {toConfirm.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium mb-2">Did you get paid?</h3>
+          <div className="space-y-2">
+            {toConfirm.map((settlement) => (
+              <div key={settlement._id} className="rounded-md border">
+                <PendingItem settlement={settlement}>
+                  {settlement.counterpart.name} paid you
+                </PendingItem>
+                <div className="flex justify-end gap-2 px-2 pb-2">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={rejectSettlement.isLoading}
+                    onClick={() => handleReject(settlement)}
+                  >
+                    <X className="h-4 w-4 mr-1" />
+                    Reject
+                  </Button>
+                  <Button
+                    size="sm"
+                    disabled={confirmSettlement.isLoading}
+                    onClick={() => handleConfirm(settlement)}
+                  >
+                    <Check className="h-4 w-4 mr-1" />
+                    Confirm
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {awaiting.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium mb-2">
+            Waiting for the other side
+          </h3>
+          <div className="space-y-1">
+            {awaiting.map((settlement) => (
+              <PendingItem key={settlement._id} settlement={settlement}>
+                You paid {settlement.counterpart.name}
+              </PendingItem>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {currentUser && (
+        <div className="flex items-center justify-between gap-2 pt-2 border-t">
+          <span className="text-sm text-muted-foreground">
+            Count payments to you
+          </span>
+          <Select
+            value={String(
+              currentUser.settlementAutoConfirmDays ??
+                DEFAULT_AUTO_CONFIRM_DAYS
+            )}
+            onValueChange={handleAutoConfirmChange}
+          >
+            <SelectTrigger className="w-36 h-8">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {AUTO_CONFIRM_OPTIONS.map(({ days, label }) => (
+                <SelectItem key={days} value={String(days)}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 "use client";
 
 import { api } from "@/convex/_generated/api";
-import { useConvexQuery } from "@/hooks/use-convex-query";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { useCurrency } from "@/hooks/use-currency";
 import { BarLoader } from "react-spinners";
 import {
   Card,
@@ -11,11 +12,28 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
-import { PlusCircle, Users, CreditCard, ChevronRight } from "lucide-react";
+import { ExportMenu } from "@/components/export-menu";
+import { ExpenseTemplateChips } from "@/components/expense-template-chips";
+import { CategoryRulesDialog } from "@/components/category-rules";
+import {
+  PlusCircle,
+  Users,
+  CreditCard,
+  ChevronRight,
+  Coins,
+  Repeat,
+  Upload,
+} from "lucide-react";
 import Link from "next/link";
 import { ExpenseSummary } from "./components/expense-summary";
+import { CategoryBreakdown } from "./components/category-breakdown";
 import { BalanceSummary } from "./components/balance-summary";
 import { GroupList } from "./components/group-list";
+import { PendingSettlements } from "./components/pending-settlements";
+import { CurrencySelect } from "@/components/currency-select";
+import { MissingRatesNotice } from "@/components/missing-rates-notice";
+import { formatMoney } from "@/convex/lib/currency";
+import { toast } from "sonner";
 
 export default function Dashboard() {
   const { data: balances, isLoading: balancesLoading } = useConvexQuery(
@@ -33,11 +51,32 @@ export default function Dashboard() {
   const { data: monthlySpending, isLoading: monthlySpendingLoading } =
     useConvexQuery(api.dashboard.getMonthlySpending);
 
+  const { data: categorySpending, isLoading: categorySpendingLoading } =
+    useConvexQuery(api.dashboard.getCategorySpending);
+
+  // Settlements waiting for someone to confirm them
+  const { data: pendingSettlements } = useConvexQuery(
+    api.settlements.getPendingSettlements
+  );
+
+  // Every amount below is in the user's currency
+  const { currency, isAdmin } = useCurrency();
+  const updateCurrency = useConvexMutation(api.users.updateCurrency);
+
+  const handleCurrencyChange = async (value) => {
+    try {
+      await updateCurrency.mutate({ currency: value });
+    } catch (error) {
+      toast.error("Failed to update currency: " + error.message);
+    }
+  };
+
   const isLoading =
     balancesLoading ||
     groupsLoading ||
     totalSpentLoading ||
-    monthlySpendingLoading;
+    monthlySpendingLoading ||
+    categorySpendingLoading;
 
   return (
     <div className="container mx-auto py-6 space-y-6">
@@ -49,14 +88,48 @@ export default function Dashboard() {
         <>
           <div className="flex  justify-between flex-col sm:flex-row sm:items-center gap-4">
             <h1 className="text-5xl gradient-title">Dashboard</h1>
-            <Button asChild>
-              <Link href="/expenses/new">
-                <PlusCircle className="mr-2 h-4 w-4" />
-                Add expense
-              </Link>
-            </Button>
+            <div className="flex items-center gap-2">
+              <CurrencySelect
+                value={currency}
+                onChange={handleCurrencyChange}
+                className="w-28"
+              />
+              {isAdmin && (
+                <Button asChild variant="outline">
+                  <Link href="/exchange-rates">
+                    <Coins className="mr-2 h-4 w-4" />
+                    Exchange rates
+                  </Link>
+                </Button>
+              )}
+              <ExportMenu fileName="all-activity" />
+              <CategoryRulesDialog />
+              <Button asChild variant="outline">
+                <Link href="/expenses/import">
+                  <Upload className="mr-2 h-4 w-4" />
+                  Import
+                </Link>
+              </Button>
+              <Button asChild variant="outline">
+                <Link href="/expenses/recurring">
+                  <Repeat className="mr-2 h-4 w-4" />
+                  Recurring
+                </Link>
+              </Button>
+              <Button asChild>
+                <Link href="/expenses/new">
+                  <PlusCircle className="mr-2 h-4 w-4" />
+                  Add expense
+                </Link>
+              </Button>
+            </div>
           </div>
 
+          <MissingRatesNotice missingRates={balances?.missingRates} />
+
+          {/* One-click templates for expenses added again and again */}
+          <ExpenseTemplateChips />
+
           {/* Balance overview cards */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <Card>
@@ -70,14 +143,14 @@ export default function Dashboard() {
                 <div className="text-2xl font-bold">
                   {balances?.totalBalance > 0 ? (
                     <span className="text-green-600">
-                      +${balances?.totalBalance.toFixed(2)}
+                      +{formatMoney(balances?.totalBalance, currency)}
                     </span>
                   ) : balances?.totalBalance < 0 ? (
                     <span className="text-red-600">
-                      -${Math.abs(balances?.totalBalance).toFixed(2)}
+                      -{formatMoney(Math.abs(balances?.totalBalance), currency)}
                     </span>
                   ) : (
-                    <span>$0.00</span>
+                    <span>{formatMoney(0, currency)}</span>
                   )}
                 </div>
                 <p className="text-xs text-muted-foreground mt-1">
@@ -98,7 +171,7 @@ export default function Dashboard() {
               </CardHeader>
               <CardContent>
                 <div className="text-2xl font-bold text-green-600">
-                  ${balances?.youAreOwed.toFixed(2)}
+                  {formatMoney(balances?.youAreOwed ?? 0, currency)}
                 </div>
                 <p className="text-xs text-muted-foreground mt-1">
                   From {balances?.oweDetails?.youAreOwedBy?.length || 0} people
@@ -116,7 +189,7 @@ export default function Dashboard() {
                 {balances?.oweDetails?.youOwe?.length > 0 ? (
                   <>
                     <div className="text-2xl font-bold text-red-600">
-                      ${balances?.youOwe.toFixed(2)}
+                      {formatMoney(balances?.youOwe ?? 0, currency)}
                     </div>
                     <p className="text-xs text-muted-foreground mt-1">
                       To {balances?.oweDetails?.youOwe?.length || 0} people
@@ -124,7 +197,9 @@ export default function Dashboard() {
                   </>
                 ) : (
                   <>
-                    <div className="text-2xl font-bold">$0.00</div>
+                    <div className="text-2xl font-bold">
+                      {formatMoney(0, currency)}
+                    </div>
                     <p className="text-xs text-muted-foreground mt-1">
                       You don't owe anyone
                     </p>
@@ -142,11 +217,28 @@ export default function Dashboard() {
               <ExpenseSummary
                 monthlySpending={monthlySpending}
                 totalSpent={totalSpent}
+                currency={currency}
+              />
+
+              {/* Where the money went */}
+              <CategoryBreakdown
+                categorySpending={categorySpending}
+                currency={currency}
               />
             </div>
 
             {/* Right column */}
             <div className="space-y-6">
+              {/* Settlements to confirm */}
+              <Card>
+                <CardHeader className="pb-3">
+                  <CardTitle>Pending settlements</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <PendingSettlements pending={pendingSettlements} />
+                </CardContent>
+              </Card>
+
               {/* Balance details */}
               <Card>
                 <CardHeader className="pb-3">
@@ -161,7 +253,7 @@ export default function Dashboard() {
                   </div>
                 </CardHeader>
                 <CardContent>
-                  <BalanceSummary balances={balances} />
+                  <BalanceSummary balances={balances} currency={currency} />
                 </CardContent>
               </Card>
 
@@ -180,7 +272,7 @@ export default function Dashboard() {
                 </CardHeader>
 
                 <CardContent>
-                  <GroupList groups={groups} />
+                  <GroupList groups={groups} currency={currency} />
                 </CardContent>
                 
                 <CardFooter>
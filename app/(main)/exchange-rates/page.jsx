@@ -0,0 +1,148 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+import { Upload } from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { parseExchangeRatesCsv } from "@/convex/lib/currency";
+
+export default function ExchangeRatesPage() {
+  const [csv, setCsv] = useState("");
+
+  const { data, isLoading } = useConvexQuery(
+    api.exchangeRates.getExchangeRates
+  );
+  const importRates = useConvexMutation(
+    api.exchangeRates.importExchangeRates
+  );
+
+  const { rows, errors } = parseExchangeRatesCsv(csv);
+
+  // Read an uploaded .csv file into the textarea for review
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) setCsv(await file.text());
+    e.target.value = ""; // allow picking the same file again
+  };
+
+  const handleImport = async () => {
+    try {
+      const count = await importRates.mutate({ rates: rows });
+      toast.success(`Saved ${count} exchange rates`);
+      setCsv("");
+    } catch (error) {
+      toast.error("Failed to save exchange rates: " + error.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto py-6 max-w-3xl space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Exchange rates</h1>
+        <p className="text-muted-foreground mt-1">
+          Units of each currency per 1 {data?.base}. Balances are converted to
+          each person&apos;s currency with these rates.
+        </p>
+      </div>
+
+      {data?.isAdmin && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Upload rates</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="rates-csv">
+                CSV with <code>currency,rate</code> per line
+              </Label>
+              <Textarea
+                id="rates-csv"
+                rows={8}
+                placeholder={"currency,rate\nEUR,0.92\nINR,83.1"}
+                value={csv}
+                onChange={(e) => setCsv(e.target.value)}
+                className="font-mono text-sm"
+              />
+            </div>
+
+            {errors.length > 0 && (
+              <ul className="text-sm text-red-500 space-y-1">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex items-center justify-between gap-2">
+              <Button variant="outline" asChild>
+                <label className="cursor-pointer">
+                  <Upload className="mr-2 h-4 w-4" />
+                  Choose file
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    className="hidden"
+                    onChange={handleFile}
+                  />
+                </label>
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={
+                  !rows.length || errors.length > 0 || importRates.isLoading
+                }
+              >
+                {importRates.isLoading
+                  ? "Saving..."
+                  : `Save ${rows.length} rates`}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Current rates</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {!data?.rates.length ? (
+            <p className="text-center py-4 text-muted-foreground">
+              No exchange rates yet
+            </p>
+          ) : (
+            <div className="divide-y">
+              {data.rates.map((rate) => (
+                <div
+                  key={rate._id}
+                  className="flex items-center justify-between py-2 text-sm"
+                >
+                  <span className="font-medium">{rate.currency}</span>
+                  <span>{rate.rate}</span>
+                  <span className="text-muted-foreground">
+                    {format(new Date(rate.updatedAt), "MMM d, yyyy")}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+"use client";
+
+import { useParams, useRouter } from "next/navigation";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { ArrowLeft } from "lucide-react";
+import { ExpenseForm } from "../../new/components/expense-form";
+
+export default function EditExpensePage() {
+  const params = useParams();
+  const router = useRouter();
+
+  const { data, isLoading } = useConvexQuery(api.expenses.getExpense, {
+    expenseId: params.id,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  const isGroupExpense = Boolean(data?.group);
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6">
+      <Button
+        variant="outline"
+        size="sm"
+        className="mb-4"
+        onClick={() => router.back()}
+      >
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back
+      </Button>
+
+      <div className="mb-6">
+        <h1 className="text-5xl gradient-title">Edit expense</h1>
+        <p className="text-muted-foreground mt-1">
+          Fix the amount, split or details of an expense
+        </p>
+      </div>
+
+      <Card>
+        <CardContent>
+          <ExpenseForm
+            type={isGroupExpense ? "group" : "individual"}
+            expenseData={data}
+            onSuccess={(id) =>
+              router.push(isGroupExpense ? `/groups/${id}` : `/person/${id}`)
+            }
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
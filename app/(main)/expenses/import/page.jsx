@@ -0,0 +1,436 @@
+"use client";
+
+import { useCallback, useMemo, useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import { Upload } from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { GroupSelector } from "../new/components/group-selector";
+import {
+  IMPORT_FIELDS,
+  guessColumnMapping,
+  parseCsv,
+  readImportRows,
+} from "@/convex/lib/csv";
+import { formatMoney, getCurrency } from "@/convex/lib/currency";
+import { useCategories } from "@/hooks/use-categories";
+import { sha256 } from "@/lib/utils";
+
+// Rows sent per importExpenses call (the server takes at most 100)
+const BATCH_SIZE = 100;
+
+const FIELD_LABELS = {
+  date: "Date",
+  description: "Description",
+  category: "Category",
+  amount: "Amount",
+  currency: "Currency",
+  payer: "Paid by",
+};
+
+const chunk = (list, size) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) =>
+    list.slice(i * size, (i + 1) * size)
+  );
+
+export default function ImportExpensesPage() {
+  const router = useRouter();
+  const [headers, setHeaders] = useState(null);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [target, setTarget] = useState("group"); // "group" | "individual"
+  const [group, setGroup] = useState(null);
+  const [preview, setPreview] = useState(null); // { [line]: error | null }
+  const [progress, setProgress] = useState(null);
+
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const importExpenses = useConvexMutation(api.expenseImports.importExpenses);
+
+  const groupId = target === "group" ? group?.id : undefined;
+  const { getCategory } = useCategories();
+
+  // People columns without an email are matched to group members by name
+  const resolvedMapping = useMemo(() => {
+    if (!mapping) return null;
+    const members = target === "group" ? (group?.members ?? []) : [];
+    return {
+      ...mapping,
+      people: mapping.people.map((person) => ({
+        ...person,
+        email:
+          person.email ||
+          members
+            .find((m) => m.name.toLowerCase() === person.name.toLowerCase())
+            ?.email?.toLowerCase() ||
+          "",
+      })),
+    };
+  }, [mapping, target, group]);
+
+  const { rows, errors, skipped } = useMemo(() => {
+    if (!resolvedMapping) return { rows: [], errors: [], skipped: [] };
+    const result = readImportRows(
+      dataRows,
+      resolvedMapping,
+      getCurrency(target === "group" ? group : currentUser)
+    );
+    return {
+      ...result,
+      rows: result.rows.map((row) => ({
+        ...row,
+        // "foodDrink" / "Food & Drink" → the target's category, else "other"
+        category: getCategory(row.category, groupId).id,
+      })),
+    };
+  }, [
+    dataRows,
+    resolvedMapping,
+    target,
+    group,
+    groupId,
+    currentUser,
+    getCategory,
+  ]);
+
+  const validRows = preview ? rows.filter((row) => !preview[row.line]) : [];
+  const failedCount = preview ? rows.length - validRows.length : 0;
+
+  // GroupSelector calls this from an effect, so it must stay the same
+  // function between renders
+  const handleGroupChange = useCallback((selected) => {
+    setGroup(selected);
+    setPreview(null);
+  }, []);
+
+  // Any change to the input invalidates the preview
+  const updateMapping = (changes) => {
+    setMapping({ ...mapping, ...changes });
+    setPreview(null);
+  };
+
+  // Read an uploaded file and guess its columns
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    const [header, ...body] = parseCsv(await file.text());
+    if (!header) {
+      toast.error("That file is empty");
+      return;
+    }
+    setHeaders(header);
+    setDataRows(body);
+    setMapping(guessColumnMapping(header));
+    setPreview(null);
+  };
+
+  // Point a field at another column; every column that isn't a field is
+  // a person column (keeping the emails typed so far)
+  const handleFieldChange = (field, value) => {
+    const fields = { ...mapping.fields };
+    if (value === "none") delete fields[field];
+    else fields[field] = Number(value);
+
+    const used = new Set(Object.values(fields));
+    const people = headers
+      .map(
+        (name, column) =>
+          mapping.people.find((p) => p.column === column) ?? {
+            column,
+            name,
+            email: "",
+          }
+      )
+      .filter(({ column }) => !used.has(column));
+
+    updateMapping({ fields, people });
+  };
+
+  const handleEmailChange = (column, email) =>
+    updateMapping({
+      people: mapping.people.map((p) =>
+        p.column === column ? { ...p, email: email.trim().toLowerCase() } : p
+      ),
+    });
+
+  // Dry run: check every row on the server, nothing is written
+  const handlePreview = async () => {
+    try {
+      const result = {};
+      for (const batch of chunk(rows, BATCH_SIZE)) {
+        const checked = await importExpenses.mutate({
+          groupId,
+          rows: batch,
+          dryRun: true,
+        });
+        checked.forEach(({ line, error }) => (result[line] = error ?? null));
+      }
+      setPreview(result);
+    } catch (error) {
+      toast.error("Failed to check rows: " + error.message);
+    }
+  };
+
+  const handleImport = async () => {
+    let imported = 0;
+    try {
+      setProgress(0);
+      // Sent with every batch. The same file into the same group (or as
+      // the same user's 1‑to‑1 expenses) always gets the same id, so
+      // importing it again – after a failure, a reload, picking it anew –
+      // skips the rows that are already in.
+      const importId = await sha256(
+        JSON.stringify([groupId ?? currentUser._id, headers, dataRows])
+      );
+      for (const batch of chunk(validRows, BATCH_SIZE)) {
+        await importExpenses.mutate({
+          groupId,
+          rows: batch,
+          dryRun: false,
+          importId,
+        });
+        imported += batch.length;
+        setProgress(imported);
+      }
+      toast.success(`Imported ${imported} expenses`);
+      router.push(groupId ? `/groups/${groupId}` : "/dashboard");
+    } catch (error) {
+      toast.error(
+        "Failed to import expenses: " +
+          error.message +
+          (imported
+            ? ` – the first ${imported} were imported, import again to add the rest`
+            : "")
+      );
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="container max-w-4xl mx-auto py-6 space-y-6">
+      <div>
+        <h1 className="text-5xl gradient-title">Import expenses</h1>
+        <p className="text-muted-foreground mt-1">
+          From a spreadsheet (CSV) or a Splitwise export. Nothing is saved
+          until you&apos;ve checked the preview.
+        </p>
+      </div>
+
+      {/* 1. Where to and which file */}
+      <Card>
+        <CardHeader>
+          <CardTitle>File</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Tabs
+            value={target}
+            onValueChange={(value) => {
+              setTarget(value);
+              setPreview(null);
+            }}
+          >
+            <TabsList className="grid w-full grid-cols-2">
+              <TabsTrigger value="group">Into a group</TabsTrigger>
+              <TabsTrigger value="individual">1-to-1 expenses</TabsTrigger>
+            </TabsList>
+          </Tabs>
+          {target === "group" && (
+            <GroupSelector onChange={handleGroupChange} />
+          )}
+
+          <div className="flex items-center gap-3">
+            <Button variant="outline" asChild>
+              <label className="cursor-pointer">
+                <Upload className="mr-2 h-4 w-4" />
+                Choose CSV file
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  className="hidden"
+                  onChange={handleFile}
+                />
+              </label>
+            </Button>
+            {mapping && (
+              <span className="text-sm text-muted-foreground">
+                {dataRows.length} rows
+                {mapping.format === "splitwise" && " · Splitwise export"}
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Columns: Date, Description, Category, Amount, Currency, Paid by,
+            then one column per person with their share (headed by their
+            email). Splitwise exports can be used as they are.
+          </p>
+        </CardContent>
+      </Card>
+
+      {/* 2. Column mapping and people */}
+      {mapping && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Columns</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {IMPORT_FIELDS.map((field) => (
+                <div key={field} className="space-y-1">
+                  <Label>{FIELD_LABELS[field]}</Label>
+                  <Select
+                    value={String(mapping.fields[field] ?? "none")}
+                    onValueChange={(value) => handleFieldChange(field, value)}
+                  >
+                    <SelectTrigger className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Not in the file</SelectItem>
+                      {headers.map((header, column) => (
+                        <SelectItem key={column} value={String(column)}>
+                          {header || `Column ${column + 1}`}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-1">
+              <Label>Person columns hold</Label>
+              <Select
+                value={mapping.shareMode}
+                onValueChange={(shareMode) => updateMapping({ shareMode })}
+              >
+                <SelectTrigger className="w-full sm:w-80">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="share">Each person&apos;s share</SelectItem>
+                  <SelectItem value="net">
+                    Balances, paid minus share (Splitwise)
+                  </SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>People (matched to users by email)</Label>
+              {resolvedMapping.people.map((person) => (
+                <div key={person.column} className="flex items-center gap-3">
+                  <span className="w-40 truncate text-sm">{person.name}</span>
+                  <Input
+                    type="email"
+                    placeholder="Email of this person"
+                    value={person.email}
+                    onChange={(e) =>
+                      handleEmailChange(person.column, e.target.value)
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* 3. Dry run and import */}
+      {mapping && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Preview</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {errors.length > 0 && (
+              <ul className="text-sm text-red-500 space-y-1">
+                {errors.map((error) => (
+                  <li key={`${error.line}-${error.message}`}>
+                    Row {error.line}: {error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {skipped.length > 0 && (
+              <p className="text-sm text-muted-foreground">
+                Skipping {skipped.length} rows (payments and totals)
+              </p>
+            )}
+
+            {preview && (
+              <div className="divide-y max-h-[50vh] overflow-y-auto">
+                {rows.map((row) => (
+                  <div
+                    key={row.line}
+                    className="flex items-center justify-between gap-4 py-2 text-sm"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">
+                        {row.line}. {row.description}
+                      </p>
+                      <p className="text-muted-foreground">
+                        {format(new Date(row.date), "MMM d, yyyy")} · paid by{" "}
+                        {row.payerEmail}
+                      </p>
+                      {preview[row.line] && (
+                        <p className="text-red-500">{preview[row.line]}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0">
+                      <span>{formatMoney(row.amount, row.currency)}</span>
+                      {preview[row.line] ? (
+                        <Badge variant="destructive">Error</Badge>
+                      ) : (
+                        <Badge variant="outline">OK</Badge>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="flex items-center justify-end gap-2">
+              <Button
+                variant="outline"
+                onClick={handlePreview}
+                disabled={
+                  !rows.length ||
+                  (target === "group" && !group) ||
+                  importExpenses.isLoading
+                }
+              >
+                Check {rows.length} rows
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={!validRows.length || importExpenses.isLoading}
+              >
+                {progress !== null
+                  ? `Importing ${progress}/${validRows.length}...`
+                  : `Import ${validRows.length} expenses` +
+                    (failedCount ? ` (skip ${failedCount})` : "")}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
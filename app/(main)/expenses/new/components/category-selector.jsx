@@ -8,16 +8,25 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { getCategoryIcon } from "@/lib/expense-categories";
 
-export function CategorySelector({ categories, onChange }) {
-  const [selectedCategory, setSelectedCategory] = useState("");
+// `value`, when given, overrides the picked category (e.g. one chosen by a
+// category rule) until the user picks another
+export function CategorySelector({
+  categories,
+  onChange,
+  defaultValue = "",
+  value,
+}) {
+  const [selectedCategory, setSelectedCategory] = useState(defaultValue);
+  const shownCategory = value ?? selectedCategory;
 
   // Handle when a category is selected
   const handleCategoryChange = (categoryId) => {
     setSelectedCategory(categoryId);
 
     // Only call onChange if it exists and the value has changed
-    if (onChange && categoryId !== selectedCategory) {
+    if (onChange && categoryId !== shownCategory) {
       onChange(categoryId);
     }
   };
@@ -28,7 +37,7 @@ export function CategorySelector({ categories, onChange }) {
   }
 
   // Set default value if not already set
-  if (!selectedCategory && categories.length > 0) {
+  if (!shownCategory && categories.length > 0) {
     // Find a default category or use the first one
     const defaultCategory =
       categories.find((cat) => cat.isDefault) || categories[0];
@@ -43,18 +52,25 @@ export function CategorySelector({ categories, onChange }) {
   }
 
   return (
-    <Select value={selectedCategory} onValueChange={handleCategoryChange}>
+    <Select value={shownCategory} onValueChange={handleCategoryChange}>
       <SelectTrigger className="w-full">
         <SelectValue placeholder="Select a category" />
       </SelectTrigger>
       <SelectContent>
-        {categories.map((category) => (
-          <SelectItem key={category.id} value={category.id}>
-            <div className="flex items-center gap-2">
-              <span>{category.name}</span>
-            </div>
-          </SelectItem>
-        ))}
+        {categories.map((category) => {
+          const CategoryIcon = getCategoryIcon(category);
+          return (
+            <SelectItem key={category.id} value={category.id}>
+              <div className="flex items-center gap-2">
+                <CategoryIcon
+                  className="h-4 w-4"
+                  style={{ color: category.color }}
+                />
+                <span>{category.name}</span>
+              </div>
+            </SelectItem>
+          );
+        })}
       </SelectContent>
     </Select>
   );
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import * as z from "zod";
@@ -15,6 +15,31 @@ import { ParticipantSelector } from "./participant-selector";
 import { GroupSelector } from "./group-selector";
 import { CategorySelector } from "./category-selector";
 import { SplitSelector } from "./split-selector";
+import { PayerSelector } from "./payer-selector";
+import { ItemizedSplitSelector } from "./itemized-split-selector";
+import { RepeatSelector } from "./repeat-selector";
+import { SaveTemplateDialog } from "./save-template-dialog";
+import {
+  ExpenseSuggestions,
+  SPLIT_TYPE_LABELS,
+} from "./expense-suggestions";
+import {
+  computeItemizedSplits,
+  getSplitTypeError,
+  SPLIT_TYPES,
+} from "@/convex/lib/splits";
+import {
+  formatMoney,
+  getCurrency,
+  getMinorDigits,
+  toAmountInput,
+  toMinorUnits,
+} from "@/convex/lib/currency";
+import { getScheduleError } from "@/convex/lib/recurrence";
+import { OTHER_CATEGORY_ID } from "@/convex/lib/categories";
+import { findMatchingRule } from "@/convex/lib/categoryRules";
+import { suggest, toPredictor } from "@/convex/lib/suggestions";
+import { CurrencySelect } from "@/components/currency-select";
 import { Calendar } from "@/components/ui/calendar";
 import { format } from "date-fns";
 import {
@@ -23,8 +48,8 @@ import {
   PopoverTrigger,
 } from "@/components/ui/popover";
 import { cn } from "@/lib/utils";
-import { CalendarIcon } from "lucide-react";
-import { getAllCategories } from "@/lib/expense-categories";
+import { AlertTriangle, CalendarIcon } from "lucide-react";
+import { useCategories } from "@/hooks/use-categories";
 
 // Form schema validation
 const expenseSchema = z.object({
@@ -38,21 +63,83 @@ const expenseSchema = z.object({
   category: z.string().optional(),
   date: z.date(),
   paidByUserId: z.string().min(1, "Payer is required"),
-  splitType: z.enum(["equal", "percentage", "exact"]),
+  splitType: z.enum(SPLIT_TYPES),
   groupId: z.string().optional(),
 });
 
-export function ExpenseForm({ type = "individual", onSuccess }) {
-  const [participants, setParticipants] = useState([]);
-  const [selectedDate, setSelectedDate] = useState(new Date());
-  const [selectedGroup, setSelectedGroup] = useState(null);
+// `expenseData` is the result of api.expenses.getExpense; when it is passed
+// the form edits that expense instead of creating a new one. The result of
+// api.recurringExpenses.getRecurringExpense (with a `schedule`) edits that
+// recurring expense instead. A `template` (from
+// api.expenseTemplates.getExpenseTemplates) pre-fills a new expense; a
+// quick entry draft (lib/quick-entry) does too, and may also carry the
+// amount, currency and date.
+export function ExpenseForm({
+  type = "individual",
+  expenseData,
+  template,
+  onSuccess,
+}) {
+  const existing = expenseData?.expense;
+  const isEditing = Boolean(existing);
+  const isEditingRecurring = Boolean(expenseData?.schedule);
+  // What the fields start from: the expense being edited, else the template
+  const prefill = existing ?? template;
+
+  const [participants, setParticipants] = useState(
+    expenseData?.participants ?? template?.participants ?? []
+  );
+  const [selectedDate, setSelectedDate] = useState(
+    existing ? new Date(existing.date) : (template?.date ?? new Date())
+  );
+  // A template's group gets its details once GroupSelector has loaded it
+  const [selectedGroup, setSelectedGroup] = useState(
+    expenseData?.group ??
+      (template?.groupId
+        ? { id: template.groupId, name: template.groupName }
+        : null)
+  );
   const [splits, setSplits] = useState([]);
+  // Picked currency; null → the group's (1‑to‑1: yours)
+  const [pickedCurrency, setPickedCurrency] = useState(
+    existing ? getCurrency(existing) : (template?.currency ?? null)
+  );
+  // Receipt items for the "itemized" split type
+  const [receipt, setReceipt] = useState(existing?.receipt ?? null);
+  // Several people paying towards one bill
+  const [multiplePayers, setMultiplePayers] = useState(
+    Boolean(existing?.payers?.length)
+  );
+  // Schedule when the expense repeats, null when it's a one-off
+  const [repeat, setRepeat] = useState(expenseData?.schedule ?? null);
+  // Setup being saved as a template (the dialog is open while it's set)
+  const [templateFields, setTemplateFields] = useState(null);
+  const [payerAmounts, setPayerAmounts] = useState(() =>
+    Object.fromEntries(
+      (existing?.payers ?? []).map((p) => [
+        p.userId,
+        toAmountInput(p.amount, getCurrency(existing)),
+      ])
+    )
+  );
 
   // Mutations and queries
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
 
   const createExpense = useConvexMutation(api.expenses.createExpense);
-  const categories = getAllCategories();
+  const updateExpense = useConvexMutation(api.expenses.updateExpense);
+  const createRecurringExpense = useConvexMutation(
+    api.recurringExpenses.createRecurringExpense
+  );
+  const updateRecurringExpense = useConvexMutation(
+    api.recurringExpenses.updateRecurringExpense
+  );
+  const { categoriesFor, getCategory, isLoading: categoriesLoading } =
+    useCategories();
+
+  // Stored splits are only used to pre-fill the tab of the stored split type
+  const initialSplitsFor = (splitType) =>
+    prefill?.splitType === splitType ? prefill.splits : undefined;
 
   // Set up form with validation
   const {
@@ -64,21 +151,182 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
     formState: { errors, isSubmitting },
   } = useForm({
     resolver: zodResolver(expenseSchema),
-    defaultValues: {
-      description: "",
-      amount: "",
-      category: "",
-      date: new Date(),
-      paidByUserId: currentUser?._id || "",
-      splitType: "equal",
-      groupId: undefined,
-    },
+    defaultValues: existing
+      ? {
+          description: existing.description,
+          amount: toAmountInput(existing.amount, getCurrency(existing)),
+          category: existing.category,
+          date: new Date(existing.date),
+          paidByUserId: existing.paidByUserId,
+          splitType: existing.splitType,
+          groupId: existing.groupId,
+        }
+      : {
+          description: template?.description ?? "",
+          amount: template?.amount ? String(template.amount) : "",
+          category: template?.category ?? "",
+          date: template?.date ?? new Date(),
+          paidByUserId: template?.paidByUserId ?? (currentUser?._id || ""),
+          splitType: template?.splitType ?? "equal",
+          groupId: template?.groupId,
+        },
   });
 
+  const currency =
+    pickedCurrency ?? getCurrency(selectedGroup ?? currentUser);
+
   // Watch for changes
   const amountValue = watch("amount");
   const paidByUserId = watch("paidByUserId");
 
+  // The form works in minor units (cents) from here on
+  const amount = toMinorUnits(parseFloat(amountValue) || 0, currency);
+  const payers = participants
+    .map((p) => ({
+      userId: p.id,
+      amount: toMinorUnits(parseFloat(payerAmounts[p.id]) || 0, currency),
+    }))
+    .filter((p) => p.amount > 0);
+  // With several payers the main payer is whoever paid the most; splits
+  // give leftover cents to them first, so the selectors need to know
+  const mainPayerId =
+    multiplePayers && payers.length
+      ? payers.reduce((top, p) => (p.amount > top.amount ? p : top)).userId
+      : paidByUserId;
+
+  // Expenses already there that look like this one (new one-offs only)
+  const description = watch("description");
+  const selectedGroupId = type === "group" ? selectedGroup?.id : undefined;
+  const { data: similarExpenses } = useConvexQuery(
+    api.expenses.getSimilarExpenses,
+    !isEditing &&
+      !repeat &&
+      amount > 0 &&
+      description?.trim() &&
+      mainPayerId &&
+      participants.length > 1 &&
+      (type === "individual" || selectedGroupId)
+      ? {
+          groupId: selectedGroupId,
+          description,
+          amount,
+          currency,
+          date: selectedDate.getTime(),
+          paidByUserId: mainPayerId,
+          participantIds: participants.map((p) => p.id),
+        }
+      : "skip"
+  );
+
+  // Until a category is picked, category rules choose one from the
+  // description (createExpense applies the same rules)
+  const [categoryPicked, setCategoryPicked] = useState(
+    Boolean(prefill?.category)
+  );
+  const { data: categoryRules } = useConvexQuery(
+    api.categoryRules.getCategoryRules,
+    isEditing || categoryPicked ? "skip" : { groupId: selectedGroupId }
+  );
+  const matchedRule =
+    categoryRules &&
+    findMatchingRule(
+      [...categoryRules.groupRules, ...categoryRules.myRules],
+      description
+    );
+  const ruleCategoryId =
+    matchedRule && getCategory(matchedRule.categoryId, selectedGroupId).id;
+
+  // What this user usually picks for descriptions like this one, learned
+  // from their past expenses (new expenses only)
+  const currentSplitType = watch("splitType");
+  const [appliedCategoryId, setAppliedCategoryId] = useState(null);
+  const [appliedGroupId, setAppliedGroupId] = useState(null);
+  const { data: suggestionData } = useConvexQuery(
+    api.suggestions.getSuggestionModel,
+    isEditing ? "skip" : {}
+  );
+  const predictor = useMemo(
+    () => suggestionData && toPredictor(suggestionData.model),
+    [suggestionData]
+  );
+  const suggestions = predictor ? suggest(predictor, description) : {};
+  const suggestionItems = [];
+
+  if (suggestions.category && !categoryPicked && !matchedRule) {
+    const category = getCategory(suggestions.category.value, selectedGroupId);
+    suggestionItems.push({
+      field: "category",
+      value: category.id,
+      label: category.name,
+    });
+  }
+  if (
+    suggestions.groupId &&
+    type === "group" &&
+    suggestions.groupId.value !== selectedGroup?.id
+  ) {
+    const group = suggestionData.groups.find(
+      (g) => g.id === suggestions.groupId.value
+    );
+    if (group) {
+      suggestionItems.push({
+        field: "groupId",
+        value: group.id,
+        label: group.name,
+      });
+    }
+  }
+  if (suggestions.participants && type === "individual") {
+    const people = suggestions.participants.value
+      .split(",")
+      .map((id) => suggestionData.people.find((p) => p.id === id));
+    const others = participants.filter((p) => p.id !== currentUser?._id);
+    const isDifferent =
+      people.length !== others.length ||
+      people.some((person) => !others.some((p) => p.id === person?.id));
+    if (people.every(Boolean) && isDifferent) {
+      suggestionItems.push({
+        field: "participants",
+        value: people,
+        label: `With ${people.map((p) => p.name).join(", ")}`,
+      });
+    }
+  }
+  if (
+    suggestions.splitType &&
+    suggestions.splitType.value !== currentSplitType
+  ) {
+    suggestionItems.push({
+      field: "splitType",
+      value: suggestions.splitType.value,
+      label: SPLIT_TYPE_LABELS[suggestions.splitType.value],
+    });
+  }
+
+  const applySuggestions = (items) => {
+    for (const { field, value } of items) {
+      if (field === "category") {
+        setValue("category", value);
+        setAppliedCategoryId(value);
+        setCategoryPicked(true);
+      } else if (field === "groupId") {
+        setAppliedGroupId(value); // GroupSelector loads it (see its key)
+      } else if (field === "participants") {
+        setParticipants([
+          {
+            id: currentUser._id,
+            name: currentUser.name,
+            email: currentUser.email,
+            imageUrl: currentUser.imageUrl,
+          },
+          ...value,
+        ]);
+      } else if (field === "splitType") {
+        setValue("splitType", value);
+      }
+    }
+  };
+
   // When a user is added or removed, update the participant list
   useEffect(() => {
     if (participants.length === 0 && currentUser) {
@@ -94,49 +342,174 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
     }
   }, [currentUser, participants]);
 
+  // The current setup as a template: everything but amounts and dates
+  const openSaveTemplate = () => {
+    const splitType = watch("splitType");
+    const inputKey = ["percentage", "shares", "adjustment"].includes(splitType)
+      ? splitType
+      : null;
+
+    setTemplateFields({
+      description: watch("description").trim(),
+      category: ruleCategoryId || watch("category") || undefined,
+      groupId: type === "group" ? selectedGroup?.id : undefined,
+      participantIds: participants.map((p) => p.id),
+      paidByUserId: multiplePayers ? undefined : paidByUserId || undefined,
+      splitType,
+      splits: inputKey
+        ? splits.map((split) => ({
+            userId: split.userId,
+            [inputKey]: split[inputKey],
+          }))
+        : undefined,
+    });
+  };
+
   // Handle form submission
   const onSubmit = async (data) => {
     try {
-      const amount = parseFloat(data.amount);
+      // Work out who paid: one payer from the select, or several amounts
+      let paidBy;
+      if (multiplePayers) {
+        const totalPaid = payers.reduce((sum, p) => sum + p.amount, 0);
+        if (!payers.length || totalPaid !== amount) {
+          toast.error(
+            `Paid amounts don't add up to the total. Please adjust who paid what.`
+          );
+          return;
+        }
+        if (payers.length > 1) paidBy = payers;
+      }
+
+      // A split counts as paid when that person covered their own share
+      const coversOwnShare = (split) =>
+        paidBy
+          ? paidBy.some(
+              (p) => p.userId === split.userId && p.amount >= split.amount
+            )
+          : split.userId === mainPayerId;
+
+      // Itemized splits always come straight from the receipt
+      const isItemized = data.splitType === "itemized";
+      if (isItemized && !receipt?.items.length) {
+        toast.error("Add at least one receipt item.");
+        return;
+      }
+      const activeSplits = isItemized
+        ? computeItemizedSplits(receipt, mainPayerId)
+        : splits;
 
       // Prepare splits in the format expected by the API
-      const formattedSplits = splits.map((split) => ({
+      // (plus the input that belongs to the split type, so it can be
+      // checked on the server and restored when editing)
+      const formattedSplits = activeSplits.map((split) => ({
         userId: split.userId,
         amount: split.amount,
-        paid: split.userId === data.paidByUserId,
+        paid: coversOwnShare(split),
+        percentage:
+          data.splitType === "percentage" ? split.percentage : undefined,
+        shares: data.splitType === "shares" ? split.shares : undefined,
+        adjustment:
+          data.splitType === "adjustment" ? split.adjustment : undefined,
       }));
 
-      // Validate that splits add up to the total (with small tolerance)
+      // Validate that splits add up to the total, to the cent
       const totalSplitAmount = formattedSplits.reduce(
         (sum, split) => sum + split.amount,
         0
       );
-      const tolerance = 0.01;
 
-      if (Math.abs(totalSplitAmount - amount) > tolerance) {
+      if (totalSplitAmount !== amount) {
         toast.error(
           `Split amounts don't add up to the total. Please adjust your splits.`
         );
         return;
       }
 
+      const splitError = getSplitTypeError({
+        splitType: data.splitType,
+        amount,
+        splits: formattedSplits,
+        receipt: isItemized ? receipt : undefined,
+        paidByUserId: mainPayerId,
+      });
+      if (splitError) {
+        toast.error(splitError);
+        return;
+      }
+
       // For 1:1 expenses, set groupId to undefined instead of empty string
       const groupId = type === "individual" ? undefined : data.groupId;
 
-      // Create the expense
-      await createExpense.mutate({
+      const expenseFields = {
         description: data.description,
-        amount: amount,
-        category: data.category || "Other",
+        amount,
+        currency,
+        category: ruleCategoryId || data.category || OTHER_CATEGORY_ID,
         date: data.date.getTime(), // Convert to timestamp
-        paidByUserId: data.paidByUserId,
+        paidByUserId: mainPayerId,
+        payers: paidBy,
         splitType: data.splitType,
         splits: formattedSplits,
-        groupId,
-      });
+        receipt: isItemized ? receipt : undefined,
+      };
+
+      if (repeat) {
+        // The expense date is the first occurrence of the schedule
+        const { date, ...templateFields } = expenseFields;
+        const schedule = { ...repeat, startDate: date };
+        const scheduleError = getScheduleError(schedule);
+        if (scheduleError) {
+          toast.error(scheduleError);
+          return;
+        }
 
-      toast.success("Expense created successfully!");
-      reset(); // Reset form
+        if (isEditingRecurring) {
+          await updateRecurringExpense.mutate({
+            recurringExpenseId: existing._id,
+            ...templateFields,
+            ...schedule,
+          });
+          toast.success("Recurring expense updated successfully!");
+        } else {
+          await createRecurringExpense.mutate({
+            ...templateFields,
+            ...schedule,
+            groupId,
+          });
+          toast.success("Recurring expense created successfully!");
+          reset(); // Reset form
+        }
+      } else if (isEditing) {
+        // Group can't change while editing, so it isn't sent
+        await updateExpense.mutate({
+          expenseId: existing._id,
+          ...expenseFields,
+        });
+
+        toast.success("Expense updated successfully!");
+      } else {
+        // Warned about look-alikes below the form: check before adding
+        const allowDuplicate = Boolean(similarExpenses?.length);
+        if (
+          allowDuplicate &&
+          !window.confirm(
+            "This looks like an expense that's already there. Add it anyway?"
+          )
+        ) {
+          return;
+        }
+
+        // Create the expense
+        await createExpense.mutate({
+          ...expenseFields,
+          groupId,
+          allowDuplicate: allowDuplicate || undefined,
+        });
+
+        toast.success("Expense created successfully!");
+        reset(); // Reset form
+      }
 
       const otherParticipant = participants.find(
         (p) => p.id !== currentUser._id
@@ -145,7 +518,9 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
       if (onSuccess) onSuccess(type === "individual" ? otherUserId : groupId);
     } catch (error) {
-      toast.error("Failed to create expense: " + error.message);
+      toast.error(
+        `Failed to ${isEditing ? "update" : "create"} expense: ` + error.message
+      );
     }
   };
 
@@ -163,6 +538,10 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               placeholder="Lunch, movie tickets, etc."
               {...register("description")}
             />
+            <ExpenseSuggestions
+              items={suggestionItems}
+              onApply={applySuggestions}
+            />
             {errors.description && (
               <p className="text-sm text-red-500">
                 {errors.description.message}
@@ -172,14 +551,21 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
           <div className="space-y-2">
             <Label htmlFor="amount">Amount</Label>
-            <Input
-              id="amount"
-              placeholder="0.00"
-              type="number"
-              step="0.01"
-              min="0.01"
-              {...register("amount")}
-            />
+            <div className="flex gap-2">
+              <CurrencySelect
+                value={currency}
+                onChange={setPickedCurrency}
+                className="w-28"
+              />
+              <Input
+                id="amount"
+                placeholder="0.00"
+                type="number"
+                step={10 ** -getMinorDigits(currency)}
+                min={10 ** -getMinorDigits(currency)}
+                {...register("amount")}
+              />
+            </div>
             {errors.amount && (
               <p className="text-sm text-red-500">{errors.amount.message}</p>
             )}
@@ -191,18 +577,34 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
           <div className="space-y-2">
             <Label htmlFor="category">Category</Label>
 
-            <CategorySelector
-              categories={categories || []}
-              onChange={(categoryId) => {
-                if (categoryId) {
-                  setValue("category", categoryId);
+            {/* Waits for the group's categories, so custom ones resolve */}
+            {!categoriesLoading && (
+              <CategorySelector
+                categories={categoriesFor(selectedGroupId)}
+                defaultValue={
+                  prefill?.category
+                    ? getCategory(prefill.category, prefill.groupId).id
+                    : OTHER_CATEGORY_ID
                 }
-              }}
-            />
+                value={ruleCategoryId || appliedCategoryId || undefined}
+                onChange={(categoryId) => {
+                  if (categoryId) {
+                    setValue("category", categoryId);
+                    setAppliedCategoryId(null);
+                    setCategoryPicked(true);
+                  }
+                }}
+              />
+            )}
+            {matchedRule && (
+              <p className="text-xs text-muted-foreground">
+                Picked by the rule &quot;{matchedRule.pattern}&quot;
+              </p>
+            )}
           </div>
 
           <div className="space-y-2">
-            <Label>Date</Label>
+            <Label>{repeat ? "Starts on" : "Date"}</Label>
             <Popover>
               <PopoverTrigger asChild>
                 <Button
@@ -235,16 +637,46 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
           </div>
         </div>
 
+        {/* Repeat (not for editing a one-off expense) */}
+        {(!isEditing || isEditingRecurring) && (
+          <div className="space-y-2">
+            <Label>Repeat</Label>
+            <RepeatSelector
+              value={repeat}
+              onChange={setRepeat}
+              allowNone={!isEditingRecurring}
+            />
+          </div>
+        )}
+
+        {/* Group is fixed once the expense exists */}
+        {type === "group" && isEditing && (
+          <div className="space-y-2">
+            <Label>Group</Label>
+            <p className="text-sm">{selectedGroup?.name}</p>
+          </div>
+        )}
+
         {/* Group selector (for group expenses) */}
-        {type === "group" && (
+        {type === "group" && !isEditing && (
           <div className="space-y-2">
             <Label>Group</Label>
+            {/* Re-mounted to pick a suggested group */}
             <GroupSelector
+              key={appliedGroupId ?? "initial"}
+              initialGroupId={appliedGroupId ?? template?.groupId}
               onChange={(group) => {
+                // A template's group: fill in its details, but keep the
+                // template's participants
+                if (selectedGroup?.id === group.id && !selectedGroup.members) {
+                  setSelectedGroup(group);
+                  return;
+                }
                 // Only update if the group has changed to prevent loops
                 if (!selectedGroup || selectedGroup.id !== group.id) {
                   setSelectedGroup(group);
                   setValue("groupId", group.id);
+                  setPickedCurrency(null); // use the group's currency
 
                   // Update participants with the group members
                   if (group.members && Array.isArray(group.members)) {
@@ -280,19 +712,49 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
 
         {/* Paid by selector */}
         <div className="space-y-2">
-          <Label>Paid by</Label>
-          <select
-            className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
-            {...register("paidByUserId")}
-          >
-            <option value="">Select who paid</option>
-            {participants.map((participant) => (
-              <option key={participant.id} value={participant.id}>
-                {participant.id === currentUser._id ? "You" : participant.name}
-              </option>
-            ))}
-          </select>
-          {errors.paidByUserId && (
+          <div className="flex items-center justify-between">
+            <Label>Paid by</Label>
+            <Button
+              type="button"
+              variant="link"
+              size="sm"
+              className="h-auto p-0"
+              onClick={() => {
+                // The select is hidden in this mode, so keep it valid
+                if (!multiplePayers && !paidByUserId) {
+                  setValue("paidByUserId", currentUser._id);
+                }
+                setMultiplePayers(!multiplePayers);
+              }}
+            >
+              {multiplePayers ? "Single payer" : "Multiple payers"}
+            </Button>
+          </div>
+          {multiplePayers ? (
+            <PayerSelector
+              participants={participants}
+              amounts={payerAmounts}
+              onAmountsChange={setPayerAmounts}
+              total={amount}
+              currency={currency}
+              currentUserId={currentUser._id}
+            />
+          ) : (
+            <select
+              className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              {...register("paidByUserId")}
+            >
+              <option value="">Select who paid</option>
+              {participants.map((participant) => (
+                <option key={participant.id} value={participant.id}>
+                  {participant.id === currentUser._id
+                    ? "You"
+                    : participant.name}
+                </option>
+              ))}
+            </select>
+          )}
+          {!multiplePayers && errors.paidByUserId && (
             <p className="text-sm text-red-500">
               {errors.paidByUserId.message}
             </p>
@@ -303,13 +765,16 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
         <div className="space-y-2">
           <Label>Split type</Label>
           <Tabs
-            defaultValue="equal"
+            value={currentSplitType}
             onValueChange={(value) => setValue("splitType", value)}
           >
-            <TabsList className="grid w-full grid-cols-3">
+            <TabsList className="grid w-full h-auto grid-cols-3 md:grid-cols-6">
               <TabsTrigger value="equal">Equal</TabsTrigger>
               <TabsTrigger value="percentage">Percentage</TabsTrigger>
               <TabsTrigger value="exact">Exact Amounts</TabsTrigger>
+              <TabsTrigger value="shares">Shares</TabsTrigger>
+              <TabsTrigger value="adjustment">Adjustment</TabsTrigger>
+              <TabsTrigger value="itemized">Itemized</TabsTrigger>
             </TabsList>
 
             <TabsContent value="equal" className="pt-4">
@@ -318,10 +783,12 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               </p>
               <SplitSelector
                 type="equal"
-                amount={parseFloat(amountValue) || 0}
+                amount={amount}
+                currency={currency}
                 participants={participants}
-                paidByUserId={paidByUserId}
+                paidByUserId={mainPayerId}
                 onSplitsChange={setSplits} // Use setSplits directly
+                initialSplits={initialSplitsFor("equal")}
               />
             </TabsContent>
             <TabsContent value="percentage" className="pt-4">
@@ -330,10 +797,12 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               </p>
               <SplitSelector
                 type="percentage"
-                amount={parseFloat(amountValue) || 0}
+                amount={amount}
+                currency={currency}
                 participants={participants}
-                paidByUserId={paidByUserId}
+                paidByUserId={mainPayerId}
                 onSplitsChange={setSplits} // Use setSplits directly
+                initialSplits={initialSplitsFor("percentage")}
               />
             </TabsContent>
             <TabsContent value="exact" className="pt-4">
@@ -342,10 +811,59 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
               </p>
               <SplitSelector
                 type="exact"
-                amount={parseFloat(amountValue) || 0}
+                amount={amount}
+                currency={currency}
+                participants={participants}
+                paidByUserId={mainPayerId}
+                onSplitsChange={setSplits} // Use setSplits directly
+                initialSplits={initialSplitsFor("exact")}
+              />
+            </TabsContent>
+            <TabsContent value="shares" className="pt-4">
+              <p className="text-sm text-muted-foreground">
+                Split by shares, e.g. 2 shares for someone who stayed two
+                nights
+              </p>
+              <SplitSelector
+                type="shares"
+                amount={amount}
+                currency={currency}
+                participants={participants}
+                paidByUserId={mainPayerId}
+                onSplitsChange={setSplits} // Use setSplits directly
+                initialSplits={initialSplitsFor("shares")}
+              />
+            </TabsContent>
+            <TabsContent value="adjustment" className="pt-4">
+              <p className="text-sm text-muted-foreground">
+                Split equally, then add or take off a fixed amount per person
+              </p>
+              <SplitSelector
+                type="adjustment"
+                amount={amount}
+                currency={currency}
                 participants={participants}
-                paidByUserId={paidByUserId}
+                paidByUserId={mainPayerId}
                 onSplitsChange={setSplits} // Use setSplits directly
+                initialSplits={initialSplitsFor("adjustment")}
+              />
+            </TabsContent>
+            <TabsContent value="itemized" className="pt-4">
+              <p className="text-sm text-muted-foreground">
+                Enter receipt items; tax, tip and service charge are shared in
+                proportion to what each person had
+              </p>
+              <ItemizedSplitSelector
+                amount={amount}
+                currency={currency}
+                participants={participants}
+                currentUserId={currentUser._id}
+                paidByUserId={mainPayerId}
+                initialReceipt={existing?.receipt}
+                onReceiptChange={setReceipt}
+                onUseReceiptTotal={(total) =>
+                  setValue("amount", toAmountInput(total, currency))
+                }
               />
             </TabsContent>
             
@@ -353,14 +871,59 @@ export function ExpenseForm({ type = "individual", onSuccess }) {
         </div>
       </div>
 
-      <div className="flex justify-end">
+      {similarExpenses?.length > 0 && (
+        <div className="rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+          <p className="flex items-center gap-2 font-medium">
+            <AlertTriangle className="h-4 w-4" />
+            This might already be there
+          </p>
+          <ul className="mt-1 list-disc pl-6">
+            {similarExpenses.map((e) => (
+              <li key={e._id}>
+                {e.description} · {formatMoney(e.amount, e.currency)} ·{" "}
+                {format(new Date(e.date), "MMM d")}, added by{" "}
+                {e.createdByName ?? "someone"}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        {!isEditing && (
+          <Button
+            type="button"
+            variant="outline"
+            disabled={
+              participants.length <= 1 || (type === "group" && !selectedGroup)
+            }
+            onClick={openSaveTemplate}
+          >
+            Save as template
+          </Button>
+        )}
         <Button
           type="submit"
           disabled={isSubmitting || participants.length <= 1}
         >
-          {isSubmitting ? "Creating..." : "Create Expense"}
+          {isEditing
+            ? isSubmitting
+              ? "Saving..."
+              : "Save Changes"
+            : isSubmitting
+              ? "Creating..."
+              : repeat
+                ? "Create Recurring Expense"
+                : "Create Expense"}
         </Button>
       </div>
+
+      {templateFields && (
+        <SaveTemplateDialog
+          fields={templateFields}
+          onClose={() => setTemplateFields(null)}
+        />
+      )}
     </form>
   );
 }
\ No newline at end of file
@@ -0,0 +1,51 @@
+"use client";
+
+import { Sparkles } from "lucide-react";
+import { Button } from "@/components/ui/button";
+
+// How a suggested split type reads on its button
+export const SPLIT_TYPE_LABELS = {
+  equal: "Split equally",
+  percentage: "Split by percentage",
+  exact: "Exact amounts",
+  shares: "Split by shares",
+  adjustment: "Split with adjustments",
+  itemized: "Itemized",
+};
+
+// What this user usually picks for expenses described like this one
+// (lib/suggestions). `items` are [{ field, label }]; clicking one applies
+// it, "Use all" applies them all.
+export function ExpenseSuggestions({ items, onApply }) {
+  if (!items.length) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <Sparkles className="h-4 w-4 text-muted-foreground" />
+      <span className="text-muted-foreground">Usually:</span>
+      {items.map((item) => (
+        <Button
+          key={item.field}
+          type="button"
+          variant="outline"
+          size="sm"
+          className="h-7"
+          onClick={() => onApply([item])}
+        >
+          {item.label}
+        </Button>
+      ))}
+      {items.length > 1 && (
+        <Button
+          type="button"
+          variant="link"
+          size="sm"
+          className="h-7 px-1"
+          onClick={() => onApply(items)}
+        >
+          Use all
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+"use client";
+
+import { useState } from "react";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, Trash2 } from "lucide-react";
+import {
+  computeItemizedSplits,
+  getReceiptTotal,
+} from "@/convex/lib/splits";
+import {
+  formatMoney,
+  getMinorDigits,
+  toAmountInput,
+  toMinorUnits,
+} from "@/convex/lib/currency";
+
+const EXTRAS = [
+  { key: "tax", label: "Tax" },
+  { key: "tip", label: "Tip" },
+  { key: "serviceCharge", label: "Service charge" },
+];
+
+// Minor units the server expects, built from the string inputs
+const toReceipt = (items, extras, currency) => {
+  const toMinor = (value) => toMinorUnits(parseFloat(value) || 0, currency);
+  return {
+    items: items.map((item) => ({
+      name: item.name.trim() || "Item",
+      amount: toMinor(item.amount),
+      userIds: item.userIds,
+    })),
+    tax: toMinor(extras.tax),
+    tip: toMinor(extras.tip),
+    serviceCharge: toMinor(extras.serviceCharge),
+  };
+};
+
+// Receipt editor for the "itemized" split type.
+// Every change is reported to the parent as a receipt; the splits are
+// worked out from it with computeItemizedSplits.
+export function ItemizedSplitSelector({
+  amount,
+  currency,
+  participants,
+  currentUserId,
+  paidByUserId,
+  initialReceipt,
+  onReceiptChange,
+  onUseReceiptTotal,
+}) {
+  const [items, setItems] = useState(() =>
+    (initialReceipt?.items ?? []).map((item, idx) => ({
+      key: idx,
+      name: item.name,
+      amount: toAmountInput(item.amount, currency),
+      userIds: item.userIds,
+    }))
+  );
+  const [extras, setExtras] = useState(() =>
+    Object.fromEntries(
+      EXTRAS.map(({ key }) => [
+        key,
+        initialReceipt?.[key] ? toAmountInput(initialReceipt[key], currency) : "",
+      ])
+    )
+  );
+
+  const receipt = toReceipt(items, extras, currency);
+  const receiptTotal = getReceiptTotal(receipt);
+  const shares = computeItemizedSplits(receipt, paidByUserId);
+  const isTotalValid = receiptTotal === amount;
+
+  const update = (nextItems, nextExtras) => {
+    setItems(nextItems);
+    setExtras(nextExtras);
+    onReceiptChange(toReceipt(nextItems, nextExtras, currency));
+  };
+
+  const addItem = () =>
+    update(
+      [
+        ...items,
+        {
+          key: Date.now(),
+          name: "",
+          amount: "",
+          userIds: participants.map((p) => p.id), // everyone by default
+        },
+      ],
+      extras
+    );
+
+  const updateItem = (key, changes) =>
+    update(
+      items.map((item) => (item.key === key ? { ...item, ...changes } : item)),
+      extras
+    );
+
+  const toggleItemUser = (item, userId) =>
+    updateItem(item.key, {
+      userIds: item.userIds.includes(userId)
+        ? item.userIds.filter((id) => id !== userId)
+        : [...item.userIds, userId],
+    });
+
+  const nameOf = (participant) =>
+    participant.id === currentUserId ? "You" : participant.name;
+
+  return (
+    <div className="space-y-4 mt-4">
+      {/* Line items */}
+      {items.map((item) => (
+        <div key={item.key} className="border rounded-md p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="Item name"
+              value={item.name}
+              onChange={(e) => updateItem(item.key, { name: e.target.value })}
+              className="h-8 flex-1"
+            />
+            <span className="text-sm text-muted-foreground">{currency}</span>
+            <Input
+              type="number"
+              min="0"
+              step={10 ** -getMinorDigits(currency)}
+              placeholder="0.00"
+              value={item.amount}
+              onChange={(e) => updateItem(item.key, { amount: e.target.value })}
+              className="w-24 h-8"
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8 text-red-500"
+              onClick={() =>
+                update(
+                  items.filter((i) => i.key !== item.key),
+                  extras
+                )
+              }
+            >
+              <Trash2 className="h-4 w-4" />
+              <span className="sr-only">Remove item</span>
+            </Button>
+          </div>
+
+          {/* Who shares this item */}
+          <div className="flex flex-wrap gap-1">
+            {participants.map((participant) => (
+              <Badge
+                key={participant.id}
+                variant={
+                  item.userIds.includes(participant.id) ? "default" : "outline"
+                }
+                className="cursor-pointer"
+                onClick={() => toggleItemUser(item, participant.id)}
+              >
+                {nameOf(participant)}
+              </Badge>
+            ))}
+          </div>
+          {item.userIds.length === 0 && (
+            <p className="text-xs text-amber-600">
+              Pick at least one person for this item
+            </p>
+          )}
+        </div>
+      ))}
+
+      <Button type="button" variant="outline" size="sm" onClick={addItem}>
+        <Plus className="h-4 w-4 mr-1" />
+        Add item
+      </Button>
+
+      {/* Tax, tip and service charge */}
+      <div className="grid grid-cols-3 gap-2">
+        {EXTRAS.map(({ key, label }) => (
+          <div key={key} className="space-y-1">
+            <Label className="text-xs">{label}</Label>
+            <Input
+              type="number"
+              min="0"
+              step={10 ** -getMinorDigits(currency)}
+              placeholder="0.00"
+              value={extras[key]}
+              onChange={(e) =>
+                update(items, { ...extras, [key]: e.target.value })
+              }
+              className="h-8"
+            />
+          </div>
+        ))}
+      </div>
+
+      {/* Per-person shares */}
+      {shares.map((share) => {
+        const participant = participants.find((p) => p.id === share.userId);
+        return (
+          <div
+            key={share.userId}
+            className="flex items-center justify-between gap-4"
+          >
+            <div className="flex items-center gap-2">
+              <Avatar className="h-7 w-7">
+                <AvatarImage src={participant?.imageUrl} />
+                <AvatarFallback>
+                  {participant?.name?.charAt(0) || "?"}
+                </AvatarFallback>
+              </Avatar>
+              <span className="text-sm">
+                {participant ? nameOf(participant) : "Unknown"}
+              </span>
+            </div>
+            <span className="text-sm">
+              {formatMoney(share.amount, currency)}
+            </span>
+          </div>
+        );
+      })}
+
+      {/* Total row */}
+      <div className="flex justify-between border-t pt-3 mt-3">
+        <span className="font-medium">Receipt total</span>
+        <span
+          className={`font-medium ${!isTotalValid ? "text-amber-600" : ""}`}
+        >
+          {formatMoney(receiptTotal, currency)}
+        </span>
+      </div>
+
+      {!isTotalValid && receiptTotal > 0 && (
+        <div className="flex items-center justify-between text-sm text-amber-600">
+          <span>
+            The receipt ({formatMoney(receiptTotal, currency)}) should equal
+            the total amount ({formatMoney(amount, currency)}).
+          </span>
+          <Button
+            type="button"
+            variant="link"
+            size="sm"
+            onClick={() => onUseReceiptTotal(receiptTotal)}
+          >
+            Use receipt total
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
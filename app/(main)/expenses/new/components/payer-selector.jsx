@@ -0,0 +1,83 @@
+"use client";
+
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Input } from "@/components/ui/input";
+import {
+  formatMoney,
+  getMinorDigits,
+  toMinorUnits,
+} from "@/convex/lib/currency";
+
+// Lets several participants each enter how much they paid.
+// `amounts` is { [userId]: string } so the inputs stay editable;
+// `total` is in minor units (cents).
+export function PayerSelector({
+  participants,
+  amounts,
+  onAmountsChange,
+  total,
+  currency,
+  currentUserId,
+}) {
+  const totalPaid = participants.reduce(
+    (sum, p) => sum + toMinorUnits(parseFloat(amounts[p.id]) || 0, currency),
+    0
+  );
+  const isValid = totalPaid === total;
+
+  return (
+    <div className="space-y-3">
+      {participants.map((participant) => (
+        <div
+          key={participant.id}
+          className="flex items-center justify-between gap-4"
+        >
+          <div className="flex items-center gap-2 min-w-[120px]">
+            <Avatar className="h-7 w-7">
+              <AvatarImage src={participant.imageUrl} />
+              <AvatarFallback>
+                {participant.name?.charAt(0) || "?"}
+              </AvatarFallback>
+            </Avatar>
+            <span className="text-sm">
+              {participant.id === currentUserId ? "You" : participant.name}
+            </span>
+          </div>
+
+          <div className="flex gap-1 items-center">
+            <span className="text-sm text-muted-foreground">{currency}</span>
+            <Input
+              type="number"
+              min="0"
+              step={10 ** -getMinorDigits(currency)}
+              placeholder="0.00"
+              value={amounts[participant.id] ?? ""}
+              onChange={(e) =>
+                onAmountsChange({
+                  ...amounts,
+                  [participant.id]: e.target.value,
+                })
+              }
+              className="w-24 h-8"
+            />
+          </div>
+        </div>
+      ))}
+
+      {/* Total row */}
+      <div className="flex justify-between border-t pt-3">
+        <span className="font-medium">Total paid</span>
+        <span className={`font-medium ${!isValid ? "text-amber-600" : ""}`}>
+          {formatMoney(totalPaid, currency)}
+        </span>
+      </div>
+
+      {!isValid && (
+        <div className="text-sm text-amber-600">
+          The amounts paid ({formatMoney(totalPaid, currency)}) should equal
+          the total amount ({formatMoney(total, currency)}).
+        </div>
+      )}
+    </div>
+  );
+}
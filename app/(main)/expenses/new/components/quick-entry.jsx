@@ -0,0 +1,96 @@
+"use client";
+
+import { useState } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Wand2 } from "lucide-react";
+import { format } from "date-fns";
+import { parseQuickEntry } from "@/lib/quick-entry";
+
+const SPLIT_LABELS = {
+  equal: "Split equally",
+  percentage: "Split by percentage",
+  shares: "Split by shares",
+};
+
+// One-line entry ("Dinner 1800 paid by me split with Asha in Goa Trip")
+// that fills in the expense form below for a final check. Calls
+// onApply(draft) with the parsed draft.
+export function QuickEntry({ onApply }) {
+  const [text, setText] = useState("");
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: contacts } = useConvexQuery(
+    api.contacts.getQuickEntryContacts
+  );
+
+  const draft =
+    text.trim() && currentUser && contacts
+      ? parseQuickEntry(text, { ...contacts, currentUserId: currentUser._id })
+      : null;
+
+  const nameOf = (person) =>
+    person.id === currentUser?._id ? "You" : person.name;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (draft) onApply(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="flex gap-2">
+        <Input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Dinner 1800 paid by me split with Asha in Goa Trip"
+          aria-label="Quick entry"
+        />
+        <Button type="submit" disabled={!draft}>
+          <Wand2 className="mr-2 h-4 w-4" />
+          Fill in
+        </Button>
+      </div>
+
+      {draft && (
+        <div className="flex flex-wrap gap-2">
+          {draft.amount !== null && (
+            <Badge variant="secondary">
+              {draft.amount} {draft.currency ?? ""}
+            </Badge>
+          )}
+          {draft.groupName && (
+            <Badge variant="secondary">in {draft.groupName}</Badge>
+          )}
+          {draft.participants.length > 1 && (
+            <Badge variant="secondary">
+              With {draft.participants.map(nameOf).join(", ")}
+            </Badge>
+          )}
+          <Badge variant="secondary">
+            Paid by{" "}
+            {nameOf(
+              draft.participants.find((p) => p.id === draft.paidByUserId) ?? {}
+            )}
+          </Badge>
+          <Badge variant="secondary">
+            {SPLIT_LABELS[draft.splitType]}
+            {draft.splits &&
+              ` ${draft.splits.map((s) => s[draft.splitType]).join("/")}`}
+          </Badge>
+          {draft.date && (
+            <Badge variant="secondary">{format(draft.date, "PPP")}</Badge>
+          )}
+        </div>
+      )}
+
+      {draft?.warnings.map((warning) => (
+        <p key={warning} className="text-xs text-amber-600">
+          {warning}
+        </p>
+      ))}
+    </form>
+  );
+}
@@ -0,0 +1,104 @@
+"use client";
+
+import { format } from "date-fns";
+import { CalendarIcon, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { cn } from "@/lib/utils";
+
+// Schedule picker for recurring expenses.
+// `value` is { frequency, intervalDays, endDate } or null (doesn't repeat);
+// the start date is the expense date.
+export function RepeatSelector({ value, onChange, allowNone = true }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-2">
+      <select
+        className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+        value={value?.frequency ?? ""}
+        onChange={(e) =>
+          onChange(
+            e.target.value
+              ? {
+                  intervalDays: 14,
+                  ...value,
+                  frequency: e.target.value,
+                }
+              : null
+          )
+        }
+      >
+        {allowNone && <option value="">Doesn&apos;t repeat</option>}
+        <option value="weekly">Every week</option>
+        <option value="monthly">Every month</option>
+        <option value="custom">Every few days</option>
+      </select>
+
+      {value?.frequency === "custom" && (
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-muted-foreground">Every</span>
+          <Input
+            type="number"
+            min="1"
+            max="365"
+            step="1"
+            value={value.intervalDays ?? ""}
+            onChange={(e) =>
+              update({ intervalDays: parseInt(e.target.value) || undefined })
+            }
+            className="w-20"
+          />
+          <span className="text-sm text-muted-foreground">days</span>
+        </div>
+      )}
+
+      {value && (
+        <div className="flex items-center gap-1">
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button
+                type="button"
+                variant="outline"
+                className={cn(
+                  "justify-start text-left font-normal",
+                  !value.endDate && "text-muted-foreground"
+                )}
+              >
+                <CalendarIcon className="mr-2 h-4 w-4" />
+                {value.endDate
+                  ? `Until ${format(new Date(value.endDate), "PPP")}`
+                  : "No end date"}
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-auto p-0">
+              <Calendar
+                mode="single"
+                selected={value.endDate ? new Date(value.endDate) : undefined}
+                onSelect={(date) => update({ endDate: date?.getTime() })}
+                initialFocus
+              />
+            </PopoverContent>
+          </Popover>
+          {value.endDate && (
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => update({ endDate: undefined })}
+            >
+              <X className="h-4 w-4" />
+              <span className="sr-only">Clear end date</span>
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+"use client";
+
+import { useState } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { toast } from "sonner";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+
+// Names the expense form's current setup (`fields`, in the shape of
+// api.expenseTemplates.createExpenseTemplate minus the name) and saves it
+// as a template. Amounts and dates are never part of a template.
+export function SaveTemplateDialog({ fields, onClose }) {
+  const [name, setName] = useState(fields?.description ?? "");
+  const createTemplate = useConvexMutation(
+    api.expenseTemplates.createExpenseTemplate
+  );
+
+  const handleSave = async () => {
+    try {
+      await createTemplate.mutate({ ...fields, name });
+      toast.success("Template saved");
+      onClose();
+    } catch (error) {
+      toast.error("Failed to save template: " + error.message);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(fields)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Save as template</DialogTitle>
+          <DialogDescription>
+            Keeps the description, category, people and split so you can add
+            this expense again in one click.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label htmlFor="template-name">Name</Label>
+          <Input
+            id="template-name"
+            placeholder="e.g. Weekly groceries"
+            value={name}
+            maxLength={40}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={!name.trim() || createTemplate.isLoading}
+          >
+            {createTemplate.isLoading ? "Saving..." : "Save template"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
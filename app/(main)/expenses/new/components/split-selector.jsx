@@ -5,13 +5,36 @@ import { useUser } from "@clerk/nextjs";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Input } from "@/components/ui/input";
 import { Slider } from "@/components/ui/slider";
+import {
+  computeAdjustmentSplits,
+  computeEqualSplits,
+  computePercentageSplits,
+  computeSharesSplits,
+} from "@/convex/lib/splits";
+import {
+  formatMoney,
+  getMinorDigits,
+  toAmountInput,
+  toMajorUnits,
+  toMinorUnits,
+} from "@/convex/lib/currency";
 
+// Keep each split's percentage in step with its amount
+const withPercentages = (splits, amount) =>
+  splits.map((split) => ({
+    ...split,
+    percentage: amount > 0 ? (split.amount / amount) * 100 : 0,
+  }));
+
+// `amount` and every split amount are in minor units (cents)
 export function SplitSelector({
   type,
   amount,
+  currency,
   participants,
   paidByUserId,
   onSplitsChange,
+  initialSplits,
 }) {
   const { user } = useUser();
   const [splits, setSplits] = useState([]);
@@ -26,42 +49,116 @@ export function SplitSelector({
 
     let newSplits = [];
 
-    if (type === "equal") {
-      // Equal splits
-      const shareAmount = amount / participants.length;
-      newSplits = participants.map((participant) => ({
-        userId: participant.id,
-        name: participant.name,
-        email: participant.email,
-        imageUrl: participant.imageUrl,
-        amount: shareAmount,
-        percentage: 100 / participants.length,
-        paid: participant.id === paidByUserId,
-      }));
+    if (type === "equal" || type === "exact") {
+      // Equal splits (exact amounts start out equal too); leftover cents
+      // go to the payer first
+      newSplits = withPercentages(
+        computeEqualSplits(
+          amount,
+          participants.map((participant) => ({
+            userId: participant.id,
+            name: participant.name,
+            email: participant.email,
+            imageUrl: participant.imageUrl,
+            paid: participant.id === paidByUserId,
+          })),
+          paidByUserId
+        ),
+        amount
+      );
     } else if (type === "percentage") {
       // Initialize percentage splits evenly
       const evenPercentage = 100 / participants.length;
-      newSplits = participants.map((participant) => ({
-        userId: participant.id,
-        name: participant.name,
-        email: participant.email,
-        imageUrl: participant.imageUrl,
-        amount: (amount * evenPercentage) / 100,
-        percentage: evenPercentage,
-        paid: participant.id === paidByUserId,
-      }));
-    } else if (type === "exact") {
-      // Initialize exact splits evenly
-      const evenAmount = amount / participants.length;
-      newSplits = participants.map((participant) => ({
-        userId: participant.id,
-        name: participant.name,
-        email: participant.email,
-        imageUrl: participant.imageUrl,
-        amount: evenAmount,
-        percentage: (evenAmount / amount) * 100,
-        paid: participant.id === paidByUserId,
-      }));
+      newSplits = computePercentageSplits(
+        amount,
+        participants.map((participant) => ({
+          userId: participant.id,
+          name: participant.name,
+          email: participant.email,
+          imageUrl: participant.imageUrl,
+          percentage: evenPercentage,
+          paid: participant.id === paidByUserId,
+        })),
+        paidByUserId
+      );
+    } else if (type === "shares") {
+      // One share each to start with
+      newSplits = withPercentages(
+        computeSharesSplits(
+          amount,
+          participants.map((participant) => ({
+            userId: participant.id,
+            name: participant.name,
+            email: participant.email,
+            imageUrl: participant.imageUrl,
+            shares: 1,
+            paid: participant.id === paidByUserId,
+          })),
+          paidByUserId
+        ),
+        amount
+      );
+    } else if (type === "adjustment") {
+      // Equal split with no adjustments to start with
+      newSplits = withPercentages(
+        computeAdjustmentSplits(
+          amount,
+          participants.map((participant) => ({
+            userId: participant.id,
+            name: participant.name,
+            email: participant.email,
+            imageUrl: participant.imageUrl,
+            adjustment: 0,
+            paid: participant.id === paidByUserId,
+          })),
+          paidByUserId
+        ),
+        amount
+      );
+    }
+
+    // Percentages, shares and adjustments are stored per split, so they can
+    // be restored even when the amount has changed since (or comes from a
+    // template without one)
+    const compute = {
+      percentage: computePercentageSplits,
+      shares: computeSharesSplits,
+      adjustment: computeAdjustmentSplits,
+    }[type];
+    if (initialSplits?.length && compute) {
+      const restored = compute(
+        amount,
+        newSplits.map((split) => {
+          const stored = initialSplits.find((s) => s.userId === split.userId);
+          return stored?.[type] !== undefined
+            ? { ...split, [type]: stored[type] }
+            : split;
+        }),
+        paidByUserId
+      );
+      // Percentage splits keep the percentages they were given
+      newSplits =
+        type === "percentage" ? restored : withPercentages(restored, amount);
+    }
+
+    // When editing, start from the stored splits as long as they still
+    // cover the current amount (otherwise fall back to the defaults above)
+    else if (initialSplits?.length) {
+      const initialTotal = initialSplits.reduce(
+        (sum, split) => sum + split.amount,
+        0
+      );
+      if (initialTotal === amount) {
+        newSplits = newSplits.map((split) => {
+          const stored = initialSplits.find((s) => s.userId === split.userId);
+          const storedAmount = stored ? stored.amount : 0;
+          return {
+            ...split,
+            amount: storedAmount,
+            percentage: stored?.percentage ?? (storedAmount / amount) * 100,
+          };
+        });
+      }
     }
 
     setSplits(newSplits);
@@ -83,7 +180,21 @@ export function SplitSelector({
     if (onSplitsChange) {
       onSplitsChange(newSplits);
     }
-  }, [type, amount, participants, paidByUserId, onSplitsChange]);
+  }, [type, amount, participants, paidByUserId, onSplitsChange, initialSplits]);
+
+  // Store edited splits, recalculate totals and notify the parent
+  const applySplits = (updatedSplits) => {
+    setSplits(updatedSplits);
+
+    setTotalAmount(updatedSplits.reduce((sum, split) => sum + split.amount, 0));
+    setTotalPercentage(
+      updatedSplits.reduce((sum, split) => sum + split.percentage, 0)
+    );
+
+    if (onSplitsChange) {
+      onSplitsChange(updatedSplits);
+    }
+  };
 
   // Update the percentage splits - no automatic adjustment of other values
   const updatePercentageSplit = (userId, newPercentage) => {
@@ -93,36 +204,24 @@ export function SplitSelector({
         return {
           ...split,
           percentage: newPercentage,
-          amount: (amount * newPercentage) / 100,
+          amount: Math.round((amount * newPercentage) / 100),
         };
       }
       return split;
     });
 
-    setSplits(updatedSplits);
-
-    // Recalculate totals
-    const newTotalAmount = updatedSplits.reduce(
-      (sum, split) => sum + split.amount,
-      0
-    );
-    const newTotalPercentage = updatedSplits.reduce(
-      (sum, split) => sum + split.percentage,
-      0
+    // Once the percentages reach 100%, hand out the rounding cents exactly
+    const total = updatedSplits.reduce((sum, s) => sum + s.percentage, 0);
+    applySplits(
+      Math.abs(total - 100) < 0.01
+        ? computePercentageSplits(amount, updatedSplits, paidByUserId)
+        : updatedSplits
     );
-
-    setTotalAmount(newTotalAmount);
-    setTotalPercentage(newTotalPercentage);
-
-    // Notify parent about the split changes
-    if (onSplitsChange) {
-      onSplitsChange(updatedSplits);
-    }
   };
 
   // Update the exact amount splits - no automatic adjustment of other values
   const updateExactSplit = (userId, newAmount) => {
-    const parsedAmount = parseFloat(newAmount) || 0;
+    const parsedAmount = toMinorUnits(parseFloat(newAmount) || 0, currency);
 
     // Update just this user's amount and recalculate percentage
     const updatedSplits = splits.map((split) => {
@@ -136,30 +235,43 @@ export function SplitSelector({
       return split;
     });
 
-    setSplits(updatedSplits);
+    applySplits(updatedSplits);
+  };
 
-    // Recalculate totals
-    const newTotalAmount = updatedSplits.reduce(
-      (sum, split) => sum + split.amount,
-      0
+  // Update one person's shares - everyone's amount follows
+  const updateSharesSplit = (userId, newShares) => {
+    const updatedSplits = computeSharesSplits(
+      amount,
+      splits.map((split) =>
+        split.userId === userId
+          ? { ...split, shares: Math.max(0, parseFloat(newShares) || 0) }
+          : split
+      ),
+      paidByUserId
     );
-    const newTotalPercentage = updatedSplits.reduce(
-      (sum, split) => sum + split.percentage,
-      0
-    );
-
-    setTotalAmount(newTotalAmount);
-    setTotalPercentage(newTotalPercentage);
+    applySplits(withPercentages(updatedSplits, amount));
+  };
 
-    // Notify parent about the split changes
-    if (onSplitsChange) {
-      onSplitsChange(updatedSplits);
-    }
+  // Update one person's adjustment - the rest is split equally again
+  const updateAdjustmentSplit = (userId, newAdjustment) => {
+    const updatedSplits = computeAdjustmentSplits(
+      amount,
+      splits.map((split) =>
+        split.userId === userId
+          ? {
+              ...split,
+              adjustment: toMinorUnits(parseFloat(newAdjustment) || 0, currency),
+            }
+          : split
+      ),
+      paidByUserId
+    );
+    applySplits(withPercentages(updatedSplits, amount));
   };
 
   // Check if totals are valid
   const isPercentageValid = Math.abs(totalPercentage - 100) < 0.01;
-  const isAmountValid = Math.abs(totalAmount - amount) < 0.01;
+  const isAmountValid = totalAmount === amount;
 
   return (
     <div className="space-y-4 mt-4">
@@ -180,7 +292,8 @@ export function SplitSelector({
 
           {type === "equal" && (
             <div className="text-right text-sm">
-              ${split.amount.toFixed(2)} ({split.percentage.toFixed(1)}%)
+              {formatMoney(split.amount, currency)} (
+              {split.percentage.toFixed(1)}%)
             </div>
           )}
 
@@ -211,7 +324,9 @@ export function SplitSelector({
                   className="w-16 h-8"
                 />
                 <span className="text-sm text-muted-foreground">%</span>
-                <span className="text-sm ml-1">${split.amount.toFixed(2)}</span>
+                <span className="text-sm ml-1">
+                  {formatMoney(split.amount, currency)}
+                </span>
               </div>
             </div>
           )}
@@ -220,13 +335,15 @@ export function SplitSelector({
             <div className="flex items-center gap-2 flex-1">
               <div className="flex-1"></div>
               <div className="flex gap-1 items-center">
-                <span className="text-sm text-muted-foreground">$</span>
+                <span className="text-sm text-muted-foreground">
+                  {currency}
+                </span>
                 <Input
                   type="number"
                   min="0"
-                  max={amount * 2} // Allow values even higher than total for flexibility
-                  step="0.01"
-                  value={split.amount.toFixed(2)}
+                  max={toMajorUnits(amount * 2, currency)} // Allow values even higher than total for flexibility
+                  step={10 ** -getMinorDigits(currency)}
+                  value={toAmountInput(split.amount, currency)}
                   onChange={(e) =>
                     updateExactSplit(split.userId, e.target.value)
                   }
@@ -238,6 +355,49 @@ export function SplitSelector({
               </div>
             </div>
           )}
+
+          {type === "shares" && (
+            <div className="flex items-center gap-2 flex-1 justify-end">
+              <Input
+                type="number"
+                min="0"
+                step="1"
+                value={split.shares}
+                onChange={(e) =>
+                  updateSharesSplit(split.userId, e.target.value)
+                }
+                className="w-16 h-8"
+              />
+              <span className="text-sm text-muted-foreground">
+                {split.shares === 1 ? "share" : "shares"}
+              </span>
+              <span className="text-sm ml-1 min-w-[70px] text-right">
+                {formatMoney(split.amount, currency)}
+              </span>
+            </div>
+          )}
+
+          {type === "adjustment" && (
+            <div className="flex items-center gap-2 flex-1 justify-end">
+              <span className="text-sm text-muted-foreground">
+                +/- {currency}
+              </span>
+              <Input
+                type="number"
+                step={10 ** -getMinorDigits(currency)}
+                value={toMajorUnits(split.adjustment, currency)}
+                onChange={(e) =>
+                  updateAdjustmentSplit(split.userId, e.target.value)
+                }
+                className="w-24 h-8"
+              />
+              <span
+                className={`text-sm ml-1 min-w-[70px] text-right ${split.amount < 0 ? "text-amber-600" : ""}`}
+              >
+                {formatMoney(split.amount, currency)}
+              </span>
+            </div>
+          )}
         </div>
       ))}
 
@@ -248,9 +408,9 @@ export function SplitSelector({
           <span
             className={`font-medium ${!isAmountValid ? "text-amber-600" : ""}`}
           >
-            ${totalAmount.toFixed(2)}
+            {formatMoney(totalAmount, currency)}
           </span>
-          {type !== "equal" && (
+          {(type === "percentage" || type === "exact") && (
             <span
               className={`text-sm ml-2 ${!isPercentageValid ? "text-amber-600" : ""}`}
             >
@@ -267,10 +427,22 @@ export function SplitSelector({
         </div>
       )}
 
+      {type === "shares" && totalAmount === 0 && (
+        <div className="text-sm text-amber-600 mt-2">
+          At least one person needs a share.
+        </div>
+      )}
+
+      {type === "adjustment" && splits.some((split) => split.amount < 0) && (
+        <div className="text-sm text-amber-600 mt-2">
+          The adjustments are larger than the total amount.
+        </div>
+      )}
+
       {type === "exact" && !isAmountValid && (
         <div className="text-sm text-amber-600 mt-2">
-          The sum of all splits (${totalAmount.toFixed(2)}) should equal the
-          total amount (${amount.toFixed(2)}).
+          The sum of all splits ({formatMoney(totalAmount, currency)}) should
+          equal the total amount ({formatMoney(amount, currency)}).
         </div>
       )}
     </div>
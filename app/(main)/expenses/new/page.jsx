@@ -1,12 +1,32 @@
 "use client";
 
-import { useRouter } from "next/navigation";
+import { useState } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
 import { ExpenseForm } from "./components/expense-form";
+import { QuickEntry } from "./components/quick-entry";
+import { ExpenseTemplateChips } from "@/components/expense-template-chips";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Card, CardContent } from "@/components/ui/card";
 
 export default function NewExpensePage() {
   const router = useRouter();
+  const searchParams = useSearchParams();
+
+  // ?template=<id> pre-fills the form from one of the user's templates
+  const templateId = searchParams.get("template");
+  const { data: templateData, isLoading: templatesLoading } = useConvexQuery(
+    api.expenseTemplates.getExpenseTemplates
+  );
+  // A quick entry draft takes over from the template
+  const [draft, setDraft] = useState(null);
+  const template =
+    draft ?? templateData?.templates.find((t) => t._id === templateId);
+  const templateType = template?.groupId ? "group" : "individual";
+  // Every applied draft re-mounts the forms, even with the same text
+  const [draftCount, setDraftCount] = useState(0);
 
   return (
     <div className="container max-w-3xl mx-auto py-6">
@@ -17,28 +37,49 @@ export default function NewExpensePage() {
         </p>
       </div>
 
+      <div className="mb-4 space-y-4">
+        <QuickEntry
+          onApply={(next) => {
+            setDraft(next);
+            setDraftCount((count) => count + 1);
+          }}
+        />
+        <ExpenseTemplateChips activeTemplateId={templateId} />
+      </div>
+
       <Card>
         <CardContent>
-          <Tabs className="pb-3" defaultValue="individual">
-            <TabsList className="grid w-full grid-cols-2">
-              <TabsTrigger value="individual">Individual Expense</TabsTrigger>
-              <TabsTrigger value="group">Group Expense</TabsTrigger>
-            </TabsList>
-            <TabsContent value="individual" className="mt-0">
-              <ExpenseForm
-                type="individual"
-                onSuccess={(id) => router.push(`/person/${id}`)}
-              />
-            </TabsContent>
-            <TabsContent value="group" className="mt-0">
-              <ExpenseForm
-                type="group"
-                onSuccess={(id) => router.push(`/groups/${id}`)}
-              />
-            </TabsContent>
-          </Tabs>
+          {templateId && templatesLoading ? (
+            <BarLoader width={"100%"} color="#36d7b7" />
+          ) : (
+            // Re-mount the forms when another template or draft is picked
+            <Tabs
+              key={draft ? `draft-${draftCount}` : (template?._id ?? "blank")}
+              className="pb-3"
+              defaultValue={templateType}
+            >
+              <TabsList className="grid w-full grid-cols-2">
+                <TabsTrigger value="individual">Individual Expense</TabsTrigger>
+                <TabsTrigger value="group">Group Expense</TabsTrigger>
+              </TabsList>
+              <TabsContent value="individual" className="mt-0">
+                <ExpenseForm
+                  type="individual"
+                  template={templateType === "individual" ? template : undefined}
+                  onSuccess={(id) => router.push(`/person/${id}`)}
+                />
+              </TabsContent>
+              <TabsContent value="group" className="mt-0">
+                <ExpenseForm
+                  type="group"
+                  template={templateType === "group" ? template : undefined}
+                  onSuccess={(id) => router.push(`/groups/${id}`)}
+                />
+              </TabsContent>
+            </Tabs>
+          )}
         </CardContent>
       </Card>
     </div>
   );
-}
\ No newline at end of file
+}
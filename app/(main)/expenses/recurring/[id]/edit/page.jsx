@@ -0,0 +1,61 @@
+"use client";
+
+import { useParams, useRouter } from "next/navigation";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { ArrowLeft } from "lucide-react";
+import { ExpenseForm } from "../../../new/components/expense-form";
+
+export default function EditRecurringExpensePage() {
+  const params = useParams();
+  const router = useRouter();
+
+  const { data, isLoading } = useConvexQuery(
+    api.recurringExpenses.getRecurringExpense,
+    { recurringExpenseId: params.id }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6">
+      <Button
+        variant="outline"
+        size="sm"
+        className="mb-4"
+        onClick={() => router.back()}
+      >
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back
+      </Button>
+
+      <div className="mb-6">
+        <h1 className="text-5xl gradient-title">Edit recurring expense</h1>
+        <p className="text-muted-foreground mt-1">
+          Changes apply to the next occurrences, not to expenses already added
+        </p>
+      </div>
+
+      <Card>
+        <CardContent>
+          {data && (
+            <ExpenseForm
+              type={data.group ? "group" : "individual"}
+              expenseData={data}
+              onSuccess={() => router.push("/expenses/recurring")}
+            />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,224 @@
+"use client";
+
+import Link from "next/link";
+import { format } from "date-fns";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+import {
+  Pause,
+  Pencil,
+  Play,
+  PlusCircle,
+  SkipForward,
+  Trash2,
+} from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { formatMoney } from "@/convex/lib/currency";
+import { describeSchedule } from "@/convex/lib/recurrence";
+import { getCategoryIcon } from "@/lib/expense-categories";
+import { useCategories } from "@/hooks/use-categories";
+
+export default function RecurringExpensesPage() {
+  const { data: recurringExpenses, isLoading } = useConvexQuery(
+    api.recurringExpenses.getRecurringExpenses
+  );
+  const { getCategory } = useCategories();
+
+  const setPaused = useConvexMutation(
+    api.recurringExpenses.setRecurringExpensePaused
+  );
+  const skipOccurrence = useConvexMutation(
+    api.recurringExpenses.skipRecurringOccurrence
+  );
+  const deleteRecurring = useConvexMutation(
+    api.recurringExpenses.deleteRecurringExpense
+  );
+
+  const handleTogglePaused = async (recurring) => {
+    try {
+      await setPaused.mutate({
+        recurringExpenseId: recurring._id,
+        paused: !recurring.paused,
+      });
+      toast.success(recurring.paused ? "Resumed" : "Paused");
+    } catch (error) {
+      toast.error("Failed to update recurring expense: " + error.message);
+    }
+  };
+
+  const handleSkip = async (recurring) => {
+    try {
+      await skipOccurrence.mutate({ recurringExpenseId: recurring._id });
+      toast.success(
+        `Skipped ${format(new Date(recurring.nextDate), "MMM d, yyyy")}`
+      );
+    } catch (error) {
+      toast.error("Failed to skip occurrence: " + error.message);
+    }
+  };
+
+  const handleDelete = async (recurring) => {
+    const confirmed = window.confirm(
+      "Stop this recurring expense? Expenses it already created are kept."
+    );
+    if (!confirmed) return;
+
+    try {
+      await deleteRecurring.mutate({ recurringExpenseId: recurring._id });
+      toast.success("Recurring expense deleted");
+    } catch (error) {
+      toast.error("Failed to delete recurring expense: " + error.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container max-w-3xl mx-auto py-6 space-y-6">
+      <div className="flex justify-between flex-col sm:flex-row sm:items-center gap-4">
+        <div>
+          <h1 className="text-5xl gradient-title">Recurring expenses</h1>
+          <p className="text-muted-foreground mt-1">
+            Rent, subscriptions and other bills that are added for you
+          </p>
+        </div>
+        <Button asChild>
+          <Link href="/expenses/new">
+            <PlusCircle className="mr-2 h-4 w-4" />
+            Add expense
+          </Link>
+        </Button>
+      </div>
+
+      {!recurringExpenses?.length ? (
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground">
+            No recurring expenses yet. Pick a schedule under
+            &quot;Repeat&quot; when adding an expense.
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {recurringExpenses.map((recurring) => {
+            const category = getCategory(
+              recurring.category,
+              recurring.groupId
+            );
+            const CategoryIcon = getCategoryIcon(category);
+            const isFinished = recurring.nextDate === undefined;
+
+            return (
+              <Card key={recurring._id}>
+                <CardContent className="py-4 space-y-2">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="flex items-center gap-3">
+                      <div
+                        className="p-2 rounded-full"
+                        style={{ backgroundColor: `${category.color}1a` }}
+                      >
+                        <CategoryIcon
+                          className="h-5 w-5"
+                          style={{ color: category.color }}
+                        />
+                      </div>
+                      <div>
+                        <h3 className="font-medium">
+                          {recurring.description}
+                        </h3>
+                        <div className="text-sm text-muted-foreground">
+                          {describeSchedule(recurring)}
+                          {recurring.endDate &&
+                            ` until ${format(new Date(recurring.endDate), "MMM d, yyyy")}`}
+                          {" • "}
+                          {recurring.groupName ?? "1-to-1"}
+                          {" • "}
+                          {recurring.paidByName} pays
+                        </div>
+                      </div>
+                    </div>
+
+                    <div className="text-right">
+                      <div className="font-medium">
+                        {formatMoney(recurring.amount, recurring.currency)}
+                      </div>
+                      {isFinished ? (
+                        <Badge variant="outline">Finished</Badge>
+                      ) : recurring.paused ? (
+                        <Badge variant="secondary">Paused</Badge>
+                      ) : (
+                        <div className="text-sm text-muted-foreground">
+                          Next{" "}
+                          {format(new Date(recurring.nextDate), "MMM d, yyyy")}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+
+                  {recurring.lastError && (
+                    <p className="text-sm text-red-500">
+                      Couldn&apos;t add the last one: {recurring.lastError}
+                    </p>
+                  )}
+
+                  <div className="flex flex-wrap justify-end gap-1">
+                    {!isFinished && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleTogglePaused(recurring)}
+                      >
+                        {recurring.paused ? (
+                          <Play className="h-4 w-4 mr-1" />
+                        ) : (
+                          <Pause className="h-4 w-4 mr-1" />
+                        )}
+                        {recurring.paused ? "Resume" : "Pause"}
+                      </Button>
+                    )}
+                    {!isFinished && !recurring.paused && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleSkip(recurring)}
+                      >
+                        <SkipForward className="h-4 w-4 mr-1" />
+                        Skip next
+                      </Button>
+                    )}
+                    <Button variant="ghost" size="sm" asChild>
+                      <Link href={`/expenses/recurring/${recurring._id}/edit`}>
+                        <Pencil className="h-4 w-4 mr-1" />
+                        Edit
+                      </Link>
+                    </Button>
+                    {recurring.canDelete && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-red-500 hover:text-red-700 hover:bg-red-100"
+                        onClick={() => handleDelete(recurring)}
+                      >
+                        <Trash2 className="h-4 w-4 mr-1" />
+                        Delete
+                      </Button>
+                    )}
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,26 +3,73 @@
 import { useState } from "react";
 import { useParams, useRouter } from "next/navigation";
 import Link from "next/link";
+import { usePaginatedQuery } from "convex/react";
 import { api } from "@/convex/_generated/api";
-import { useConvexQuery } from "@/hooks/use-convex-query";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
 import { BarLoader } from "react-spinners";
 import { Button } from "@/components/ui/button";
+import { ExportMenu } from "@/components/export-menu";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { PlusCircle, ArrowLeftRight, ArrowLeft, Users } from "lucide-react";
+import {
+  PlusCircle,
+  ArrowLeftRight,
+  ArrowLeft,
+  Repeat,
+  Users,
+} from "lucide-react";
 import { ExpenseList } from "@/components/expense-list";
 import { SettlementList } from "@/components/settlement-list";
 import { GroupBalances } from "@/components/group-balances";
 import { GroupMembers } from "@/components/group-members";
+import { DeletedExpenseList } from "@/components/expense-history";
+import { PossibleDuplicates } from "@/components/possible-duplicates";
+import { CategoryManager } from "@/components/category-manager";
+import { CategoryRulesDialog } from "@/components/category-rules";
+import { PAGE_SIZE } from "@/components/load-more";
+import {
+  EMPTY_FILTERS,
+  ExpenseFilterBar,
+  getSearchArgs,
+} from "@/components/expense-filters";
+import { CurrencySelect } from "@/components/currency-select";
+import { toast } from "sonner";
 
 export default function GroupExpensesPage() {
   const params = useParams();
   const router = useRouter();
   const [activeTab, setActiveTab] = useState("expenses");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
 
   const { data, isLoading } = useConvexQuery(api.groups.getGroupExpenses, {
     groupId: params.id,
   });
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const updateGroupCurrency = useConvexMutation(
+    api.groups.updateGroupCurrency
+  );
+  const updateSimplifyDebts = useConvexMutation(
+    api.groups.updateGroupSimplifyDebts
+  );
+
+  // History is paginated separately from the balances above
+  const expenseFeed = usePaginatedQuery(
+    api.expenses.getExpensesPage,
+    { groupId: params.id },
+    { initialNumItems: PAGE_SIZE }
+  );
+  const settlementFeed = usePaginatedQuery(
+    api.settlements.getSettlementsPage,
+    { groupId: params.id },
+    { initialNumItems: PAGE_SIZE }
+  );
+
+  // Search results replace the list while any filter is set
+  const searchArgs = getSearchArgs(filters);
+  const { data: searchResults } = useConvexQuery(
+    api.expenses.searchExpenses,
+    searchArgs ? { groupId: params.id, ...searchArgs } : "skip"
+  );
 
   if (isLoading) {
     return (
@@ -34,10 +81,29 @@ export default function GroupExpensesPage() {
 
   const group = data?.group;
   const members = data?.members || [];
-  const expenses = data?.expenses || [];
-  const settlements = data?.settlements || [];
   const balances = data?.balances || [];
   const userLookupMap = data?.userLookupMap || {};
+  const isGroupAdmin = members.some(
+    (m) => m.id === currentUser?._id && m.role === "admin"
+  );
+
+  // Default currency for new expenses in this group
+  const handleCurrencyChange = async (currency) => {
+    try {
+      await updateGroupCurrency.mutate({ groupId: params.id, currency });
+      toast.success(`Group currency set to ${currency}`);
+    } catch (error) {
+      toast.error("Failed to update currency: " + error.message);
+    }
+  };
+
+  const handleSimplifyDebtsChange = async (simplifyDebts) => {
+    try {
+      await updateSimplifyDebts.mutate({ groupId: params.id, simplifyDebts });
+    } catch (error) {
+      toast.error("Failed to update debt simplification: " + error.message);
+    }
+  };
 
   return (
     <div className="container mx-auto py-6 max-w-4xl">
@@ -60,13 +126,31 @@ export default function GroupExpensesPage() {
             <div>
               <h1 className="text-4xl gradient-title">{group?.name}</h1>
               <p className="text-muted-foreground">{group?.description}</p>
-              <p className="text-sm text-muted-foreground mt-1">
-                {members.length} members
-              </p>
+              <div className="flex items-center gap-2 text-sm text-muted-foreground mt-1">
+                <span>{members.length} members ·</span>
+                {isGroupAdmin ? (
+                  <CurrencySelect
+                    value={group?.currency}
+                    onChange={handleCurrencyChange}
+                    className="h-7 w-auto"
+                  />
+                ) : (
+                  <span>{group?.currency}</span>
+                )}
+              </div>
             </div>
           </div>
 
           <div className="flex gap-2">
+            <ExportMenu groupId={params.id} fileName={group?.name} />
+            <CategoryManager groupId={params.id} />
+            <CategoryRulesDialog groupId={params.id} />
+            <Button asChild variant="outline">
+              <Link href="/expenses/recurring">
+                <Repeat className="mr-2 h-4 w-4" />
+                Recurring
+              </Link>
+            </Button>
             <Button asChild variant="outline">
               <Link href={`/settlements/group/${params.id}`}>
                 <ArrowLeftRight className="mr-2 h-4 w-4" />
@@ -87,11 +171,33 @@ export default function GroupExpensesPage() {
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
         <div className="lg:col-span-2">
           <Card>
-            <CardHeader className="pb-2">
+            <CardHeader className="pb-2 flex flex-row items-center justify-between">
               <CardTitle className="text-xl">Group Balances</CardTitle>
+              <label
+                className="flex items-center gap-2 text-sm text-muted-foreground"
+                title={
+                  isGroupAdmin
+                    ? "Show the fewest payments that settle everyone"
+                    : "Only group admins can change this"
+                }
+              >
+                <input
+                  type="checkbox"
+                  checked={Boolean(group?.simplifyDebts)}
+                  disabled={!isGroupAdmin || updateSimplifyDebts.isLoading}
+                  onChange={(e) => handleSimplifyDebtsChange(e.target.checked)}
+                />
+                Simplify debts
+              </label>
             </CardHeader>
             <CardContent>
-              <GroupBalances balances={balances} />
+              <GroupBalances
+                groupId={params.id}
+                balances={balances}
+                currency={data?.currency}
+                missingRates={data?.missingRates}
+                simplifyDebts={group?.simplifyDebts}
+              />
             </CardContent>
           </Card>
         </div>
@@ -117,25 +223,58 @@ export default function GroupExpensesPage() {
       >
         <TabsList className="grid w-full grid-cols-2">
           <TabsTrigger value="expenses">
-            Expenses ({expenses.length})
+            Expenses ({data?.expenseCount ?? 0})
           </TabsTrigger>
           <TabsTrigger value="settlements">
-            Settlements ({settlements.length})
+            Settlements ({data?.settlementCount ?? 0})
           </TabsTrigger>
         </TabsList>
 
         <TabsContent value="expenses" className="space-y-4">
-          <ExpenseList
-            expenses={expenses}
-            showOtherPerson={true}
-            isGroupExpense={true}
-            userLookupMap={userLookupMap}
+          <ExpenseFilterBar
+            value={filters}
+            onChange={setFilters}
+            people={members}
+            groupId={params.id}
           />
+          {!searchArgs ? (
+            <>
+              <PossibleDuplicates groupId={params.id} />
+              <ExpenseList
+                expenses={expenseFeed.results}
+                status={expenseFeed.status}
+                loadMore={expenseFeed.loadMore}
+                showOtherPerson={true}
+                isGroupExpense={true}
+                userLookupMap={userLookupMap}
+              />
+              <DeletedExpenseList groupId={params.id} />
+            </>
+          ) : !searchResults ? (
+            <BarLoader width={"100%"} color="#36d7b7" />
+          ) : (
+            <>
+              <p className="text-sm text-muted-foreground">
+                {searchResults.total} matching{" "}
+                {searchResults.total === 1 ? "expense" : "expenses"}
+                {searchResults.total > searchResults.expenses.length &&
+                  ` (showing the newest ${searchResults.expenses.length})`}
+              </p>
+              <ExpenseList
+                expenses={searchResults.expenses}
+                showOtherPerson={true}
+                isGroupExpense={true}
+                userLookupMap={userLookupMap}
+              />
+            </>
+          )}
         </TabsContent>
 
         <TabsContent value="settlements" className="space-y-4">
           <SettlementList
-            settlements={settlements}
+            settlements={settlementFeed.results}
+            status={settlementFeed.status}
+            loadMore={settlementFeed.loadMore}
             isGroupSettlement={true}
             userLookupMap={userLookupMap}
           />
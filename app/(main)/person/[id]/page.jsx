@@ -3,26 +3,58 @@
 import { useState } from "react";
 import { useParams, useRouter } from "next/navigation";
 import Link from "next/link";
+import { usePaginatedQuery } from "convex/react";
 import { api } from "@/convex/_generated/api";
 import { useConvexQuery } from "@/hooks/use-convex-query";
 import { BarLoader } from "react-spinners";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Button } from "@/components/ui/button";
+import { ExportMenu } from "@/components/export-menu";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { PlusCircle, ArrowLeftRight, ArrowLeft } from "lucide-react";
 import { ExpenseList } from "@/components/expense-list";
 import { SettlementList } from "@/components/settlement-list";
+import { DeletedExpenseList } from "@/components/expense-history";
+import { PAGE_SIZE } from "@/components/load-more";
+import {
+  EMPTY_FILTERS,
+  ExpenseFilterBar,
+  getSearchArgs,
+} from "@/components/expense-filters";
+import { MissingRatesNotice } from "@/components/missing-rates-notice";
+import { formatMoney } from "@/convex/lib/currency";
 
 export default function PersonExpensesPage() {
   const params = useParams();
   const router = useRouter();
   const [activeTab, setActiveTab] = useState("expenses");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
 
   const { data, isLoading } = useConvexQuery(
     api.expenses.getExpensesBetweenUsers,
     { userId: params.id }
   );
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+
+  // History is paginated separately from the balances above
+  const expenseFeed = usePaginatedQuery(
+    api.expenses.getExpensesPage,
+    { userId: params.id },
+    { initialNumItems: PAGE_SIZE }
+  );
+  const settlementFeed = usePaginatedQuery(
+    api.settlements.getSettlementsPage,
+    { userId: params.id },
+    { initialNumItems: PAGE_SIZE }
+  );
+
+  // Search results replace the list while any filter is set
+  const searchArgs = getSearchArgs(filters);
+  const { data: searchResults } = useConvexQuery(
+    api.expenses.searchExpenses,
+    searchArgs ? { userId: params.id, ...searchArgs } : "skip"
+  );
 
   if (isLoading) {
     return (
@@ -33,8 +65,6 @@ export default function PersonExpensesPage() {
   }
 
   const otherUser = data?.otherUser;
-  const expenses = data?.expenses || [];
-  const settlements = data?.settlements || [];
   const balance = data?.balance || 0;
 
   return (
@@ -66,6 +96,7 @@ export default function PersonExpensesPage() {
           </div>
 
           <div className="flex gap-2">
+            <ExportMenu userId={params.id} fileName={otherUser?.name} />
             <Button asChild variant="outline">
               <Link href={`/settlements/user/${params.id}`}>
                 <ArrowLeftRight className="mr-2 h-4 w-4" />
@@ -107,9 +138,12 @@ export default function PersonExpensesPage() {
             <div
               className={`text-2xl font-bold ${balance > 0 ? "text-green-600" : balance < 0 ? "text-red-600" : ""}`}
             >
-              ${Math.abs(balance).toFixed(2)}
+              {formatMoney(Math.abs(balance), data?.currency)}
             </div>
           </div>
+          <div className="mt-3">
+            <MissingRatesNotice missingRates={data?.missingRates} />
+          </div>
         </CardContent>
 
       </Card>
@@ -123,25 +157,60 @@ export default function PersonExpensesPage() {
       >
         <TabsList className="grid w-full grid-cols-2">
           <TabsTrigger value="expenses">
-            Expenses ({expenses.length})
+            Expenses ({data?.expenseCount ?? 0})
           </TabsTrigger>
           <TabsTrigger value="settlements">
-            Settlements ({settlements.length})
+            Settlements ({data?.settlementCount ?? 0})
           </TabsTrigger>
         </TabsList>
 
         <TabsContent value="expenses" className="space-y-4">
-          <ExpenseList
-            expenses={expenses}
-            showOtherPerson={false}
-            otherPersonId={params.id}
-            userLookupMap={{ [otherUser.id]: otherUser }}
+          <ExpenseFilterBar
+            value={filters}
+            onChange={setFilters}
+            people={[
+              ...(currentUser ? [{ id: currentUser._id, name: "You" }] : []),
+              otherUser,
+            ]}
+            showParticipant={false}
           />
+          {!searchArgs ? (
+            <>
+              <ExpenseList
+                expenses={expenseFeed.results}
+                status={expenseFeed.status}
+                loadMore={expenseFeed.loadMore}
+                showOtherPerson={false}
+                otherPersonId={params.id}
+                userLookupMap={{ [otherUser.id]: otherUser }}
+              />
+              <DeletedExpenseList userId={params.id} />
+            </>
+          ) : !searchResults ? (
+            <BarLoader width={"100%"} color="#36d7b7" />
+          ) : (
+            <>
+              <p className="text-sm text-muted-foreground">
+                {searchResults.total} matching{" "}
+                {searchResults.total === 1 ? "expense" : "expenses"}
+                {searchResults.total > searchResults.expenses.length &&
+                  ` (showing the newest ${searchResults.expenses.length})`}
+              </p>
+              <ExpenseList
+                expenses={searchResults.expenses}
+                showOtherPerson={false}
+                otherPersonId={params.id}
+                userLookupMap={{ [otherUser.id]: otherUser }}
+              />
+            </>
+          )}
         </TabsContent>
 
         <TabsContent value="settlements" className="space-y-4">
           <SettlementList
-            settlements={settlements}
+            settlements={settlementFeed.results}
+            status={settlementFeed.status}
+            loadMore={settlementFeed.loadMore}
             userLookupMap={{ [otherUser.id]: otherUser }}
           />
         </TabsContent>
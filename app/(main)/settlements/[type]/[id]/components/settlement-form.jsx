@@ -13,6 +13,12 @@ import { Textarea } from "@/components/ui/textarea";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { toast } from "sonner";
+import { CurrencySelect } from "@/components/currency-select";
+import {
+  formatMoney,
+  getMinorDigits,
+  toMinorUnits,
+} from "@/convex/lib/currency";
 
 // Form schema validation
 const settlementSchema = z.object({
@@ -30,6 +36,10 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
   const createSettlement = useConvexMutation(api.settlements.createSettlement);
 
+  // Balances come in the viewer's currency; the payment itself may differ
+  const balanceCurrency = entityData.currency;
+  const [currency, setCurrency] = useState(balanceCurrency);
+
   // Set up form with validation
   const {
     register,
@@ -48,9 +58,17 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
   // Get selected payment direction
   const paymentType = watch("paymentType");
 
+  // A payment you made only counts once the receiver confirms it
+  const announceRecorded = (paidByUserId) =>
+    toast.success(
+      paidByUserId === currentUser._id
+        ? "Settlement recorded – it counts once they confirm it"
+        : "Settlement recorded successfully!"
+    );
+
   // Single user settlement
   const handleUserSettlement = async (data) => {
-    const amount = parseFloat(data.amount);
+    const amount = toMinorUnits(parseFloat(data.amount), currency);
 
     try {
       // Determine payer and receiver based on the selected payment type
@@ -66,13 +84,14 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
 
       await createSettlement.mutate({
         amount,
+        currency,
         note: data.note,
         paidByUserId,
         receivedByUserId,
         // No groupId for user settlements
       });
 
-      toast.success("Settlement recorded successfully!");
+      announceRecorded(paidByUserId);
       if (onSuccess) onSuccess();
     } catch (error) {
       toast.error("Failed to record settlement: " + error.message);
@@ -86,7 +105,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
       return;
     }
 
-    const amount = parseFloat(data.amount);
+    const amount = toMinorUnits(parseFloat(data.amount), currency);
 
     try {
       // Get the selected user from the group balances
@@ -108,13 +127,14 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
 
       await createSettlement.mutate({
         amount,
+        currency,
         note: data.note,
         paidByUserId,
         receivedByUserId,
         groupId: entityData.group.id,
       });
 
-      toast.success("Settlement recorded successfully!");
+      announceRecorded(paidByUserId);
       if (onSuccess) onSuccess();
     } catch (error) {
       toast.error("Failed to record settlement: " + error.message);
@@ -153,7 +173,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                 <span className="font-medium">{otherUser.name}</span> owes you
               </p>
               <span className="text-xl font-bold text-green-600">
-                ${netBalance.toFixed(2)}
+                {formatMoney(netBalance, balanceCurrency)}
               </span>
             </div>
           ) : (
@@ -162,7 +182,7 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                 You owe <span className="font-medium">{otherUser.name}</span>
               </p>
               <span className="text-xl font-bold text-red-600">
-                ${Math.abs(netBalance).toFixed(2)}
+                {formatMoney(Math.abs(netBalance), balanceCurrency)}
               </span>
             </div>
           )}
@@ -215,15 +235,18 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
         {/* Amount */}
         <div className="space-y-2">
           <Label htmlFor="amount">Amount</Label>
-          <div className="relative">
-            <span className="absolute left-3 top-2.5">$</span>
+          <div className="flex gap-2">
+            <CurrencySelect
+              value={currency}
+              onChange={setCurrency}
+              className="w-28"
+            />
             <Input
               id="amount"
               placeholder="0.00"
               type="number"
-              step="0.01"
-              min="0.01"
-              className="pl-7"
+              step={10 ** -getMinorDigits(currency)}
+              min={10 ** -getMinorDigits(currency)}
               {...register("amount")}
             />
           </div>
@@ -292,9 +315,9 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
                       }`}
                     >
                       {isOwing
-                        ? `They owe you $${Math.abs(member.netBalance).toFixed(2)}`
+                        ? `They owe you ${formatMoney(Math.abs(member.netBalance), balanceCurrency)}`
                         : isOwed
-                          ? `You owe $${Math.abs(member.netBalance).toFixed(2)}`
+                          ? `You owe ${formatMoney(Math.abs(member.netBalance), balanceCurrency)}`
                           : "Settled up"}
                     </div>
                   </div>
@@ -384,15 +407,18 @@ export default function SettlementForm({ entityType, entityData, onSuccess }) {
             {/* Amount */}
             <div className="space-y-2">
               <Label htmlFor="amount">Amount</Label>
-              <div className="relative">
-                <span className="absolute left-3 top-2.5">$</span>
+              <div className="flex gap-2">
+                <CurrencySelect
+                  value={currency}
+                  onChange={setCurrency}
+                  className="w-28"
+                />
                 <Input
                   id="amount"
                   placeholder="0.00"
                   type="number"
-                  step="0.01"
-                  min="0.01"
-                  className="pl-7"
+                  step={10 ** -getMinorDigits(currency)}
+                  min={10 ** -getMinorDigits(currency)}
                   {...register("amount")}
                 />
               </div>
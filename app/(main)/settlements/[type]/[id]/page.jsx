@@ -1,5 +1,6 @@
 "use client";
 
+import Link from "next/link";
 import { useParams, useRouter } from "next/navigation";
 import { api } from "@/convex/_generated/api";
 import { useConvexQuery } from "@/hooks/use-convex-query";
@@ -7,8 +8,9 @@ import { BarLoader } from "react-spinners";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
-import { ArrowLeft, Users } from "lucide-react";
+import { ArrowLeft, ListChecks, Users } from "lucide-react";
 import SettlementForm from "./components/settlement-form";
+import { MissingRatesNotice } from "@/components/missing-rates-notice";
 
 export default function SettlementPage() {
   const params = useParams();
@@ -60,6 +62,14 @@ export default function SettlementPage() {
             ? `Settling up with ${data?.counterpart?.name}`
             : `Settling up in ${data?.group?.name}`}
         </p>
+        {type === "group" && (
+          <Button asChild variant="outline" size="sm" className="mt-3">
+            <Link href={`/settlements/group/${id}/settle-all`}>
+              <ListChecks className="h-4 w-4 mr-2" />
+              Settle everyone at once
+            </Link>
+          </Button>
+        )}
       </div>
 
       <Card>
@@ -82,7 +92,8 @@ export default function SettlementPage() {
             </CardTitle>
           </div>
         </CardHeader>
-        <CardContent>
+        <CardContent className="space-y-4">
+          <MissingRatesNotice missingRates={data?.missingRates} />
           <SettlementForm
             entityType={type}
             entityData={data}
@@ -0,0 +1,321 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useParams, useRouter } from "next/navigation";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { ArrowLeft, ArrowRight, CheckCircle2 } from "lucide-react";
+import { MissingRatesNotice } from "@/components/missing-rates-notice";
+import { formatMoney } from "@/convex/lib/currency";
+
+const transferKey = ({ from, to }) => `${from}-${to}`;
+
+// Every member's net balance – all zero once the group is settled
+function MemberBalances({ members, currency }) {
+  return (
+    <div className="space-y-3">
+      {members.map((member) => (
+        <div key={member.id} className="flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Avatar className="h-8 w-8">
+              <AvatarImage src={member.imageUrl} />
+              <AvatarFallback>{member.name?.charAt(0) ?? "?"}</AvatarFallback>
+            </Avatar>
+            <span className="text-sm">{member.name}</span>
+          </div>
+          <span
+            className={`font-medium ${
+              member.balance > 0
+                ? "text-green-600"
+                : member.balance < 0
+                  ? "text-red-600"
+                  : "text-muted-foreground"
+            }`}
+          >
+            {member.balance < 0 ? "-" : ""}
+            {formatMoney(Math.abs(member.balance), currency)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function SettleAllPage() {
+  const { type, id } = useParams();
+  const router = useRouter();
+
+  const { data, isLoading } = useConvexQuery(
+    api.settlements.getGroupSettleUp,
+    type === "group" ? { groupId: id } : "skip"
+  );
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const settleAll = useConvexMutation(api.settlements.settleAllInGroup);
+
+  // Payments their payers confirmed (by transferKey), and once recorded,
+  // the batch shown on the summary
+  const [paid, setPaid] = useState(new Set());
+  const [note, setNote] = useState("");
+  const [recorded, setRecorded] = useState(null);
+
+  if (type !== "group") {
+    return (
+      <div className="container mx-auto py-12 text-center text-muted-foreground">
+        Settling everything at once is only available for groups
+      </div>
+    );
+  }
+
+  if (isLoading || !data || !currentUser) {
+    return (
+      <div className="container mx-auto py-12">
+        <BarLoader width={"100%"} color="#36d7b7" />
+      </div>
+    );
+  }
+
+  const memberMap = Object.fromEntries(data.members.map((m) => [m.id, m]));
+  const nameOf = (userId) =>
+    userId === currentUser._id ? "You" : (memberMap[userId]?.name ?? "Unknown");
+
+  const togglePaid = (transfer) => {
+    const next = new Set(paid);
+    const key = transferKey(transfer);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setPaid(next);
+  };
+
+  // Payments already recorded wait for their receiver (isPending); the
+  // rest can be recorded by whoever paid or received them
+  const isMine = (t) => t.from === currentUser._id || t.to === currentUser._id;
+  const open = data.transfers.filter((t) => !t.isPending && isMine(t));
+  const waiting = data.transfers.filter((t) => t.isPending).length;
+  const confirmed = open.filter((t) => paid.has(transferKey(t)));
+
+  const handleRecord = async () => {
+    try {
+      await settleAll.mutate({
+        groupId: id,
+        transfers: confirmed.map(({ from, to, amount }) => ({
+          from,
+          to,
+          amount,
+        })),
+        note: note.trim() || undefined,
+      });
+      setRecorded(confirmed);
+      setPaid(new Set());
+      toast.success(
+        `Recorded ${confirmed.length} settlement${confirmed.length === 1 ? "" : "s"}`
+      );
+    } catch (error) {
+      toast.error("Failed to record settlements: " + error.message);
+    }
+  };
+
+  return (
+    <div className="container mx-auto py-6 max-w-lg">
+      <Button
+        variant="outline"
+        size="sm"
+        className="mb-4"
+        onClick={() => router.back()}
+      >
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back
+      </Button>
+
+      <div className="mb-6">
+        <h1 className="text-5xl gradient-title">Settle all</h1>
+        <p className="text-muted-foreground mt-1">
+          Closing out {data.group.name}
+        </p>
+      </div>
+
+      {recorded ? (
+        /* ───── summary of the batch just recorded ───── */
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <CheckCircle2 className="h-5 w-5 text-green-600" />
+              {data.transfers.length === 0
+                ? "Everyone is settled up"
+                : "Settlements recorded"}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {waiting > 0 && (
+              <p className="text-sm text-amber-600">
+                {waiting} payment{waiting === 1 ? " is" : "s are"} waiting for
+                whoever received the money to confirm – balances reach zero
+                once they do.
+              </p>
+            )}
+
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium">Recorded</h3>
+              {recorded.map((transfer) => (
+                <div
+                  key={transferKey(transfer)}
+                  className="flex items-center justify-between text-sm"
+                >
+                  <div className="flex items-center gap-2">
+                    <span>{nameOf(transfer.from)}</span>
+                    <ArrowRight className="h-3.5 w-3.5 text-muted-foreground" />
+                    <span>{nameOf(transfer.to)}</span>
+                  </div>
+                  <span className="font-medium">
+                    {formatMoney(transfer.amount, data.currency)}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="text-sm font-medium">Group balances now</h3>
+              <MemberBalances members={data.members} currency={data.currency} />
+            </div>
+
+            <div className="flex gap-2">
+              {open.length > 0 && (
+                <Button
+                  variant="outline"
+                  className="flex-1"
+                  onClick={() => setRecorded(null)}
+                >
+                  {open.length} payment{open.length === 1 ? "" : "s"} still
+                  open
+                </Button>
+              )}
+              <Button asChild className="flex-1">
+                <Link href={`/groups/${id}`}>Back to group</Link>
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        /* ───── the payments to confirm ───── */
+        <Card>
+          <CardHeader>
+            <CardTitle>Payments that settle the group</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <MissingRatesNotice missingRates={data.missingRates} />
+
+            {data.transfers.length === 0 ? (
+              <div className="space-y-4">
+                <p className="text-center text-muted-foreground">
+                  Everyone is settled up
+                </p>
+                <MemberBalances
+                  members={data.members}
+                  currency={data.currency}
+                />
+              </div>
+            ) : (
+              <>
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label>Tick your payments once they have been made</Label>
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="h-auto p-0"
+                      disabled={!open.length}
+                      onClick={() =>
+                        setPaid(
+                          confirmed.length === open.length
+                            ? new Set()
+                            : new Set(open.map(transferKey))
+                        )
+                      }
+                    >
+                      {open.length && confirmed.length === open.length
+                        ? "Clear all"
+                        : "All paid"}
+                    </Button>
+                  </div>
+                  {data.transfers.map((transfer) => (
+                    <label
+                      key={transferKey(transfer)}
+                      className={`flex items-center gap-3 border rounded-md p-3 cursor-pointer transition-colors ${
+                        paid.has(transferKey(transfer))
+                          ? "border-primary bg-primary/5"
+                          : "hover:bg-muted/50"
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={
+                          transfer.isPending || paid.has(transferKey(transfer))
+                        }
+                        disabled={transfer.isPending || !isMine(transfer)}
+                        onChange={() => togglePaid(transfer)}
+                      />
+                      <div className="flex flex-1 items-center gap-2 text-sm">
+                        <span className="font-medium">
+                          {nameOf(transfer.from)}
+                        </span>
+                        <ArrowRight className="h-3.5 w-3.5 text-muted-foreground" />
+                        <span className="font-medium">
+                          {nameOf(transfer.to)}
+                        </span>
+                      </div>
+                      {transfer.isPending ? (
+                        <span className="text-xs text-amber-600">
+                          Awaiting confirmation
+                        </span>
+                      ) : (
+                        !isMine(transfer) && (
+                          <span className="text-xs text-muted-foreground">
+                            For them to record
+                          </span>
+                        )
+                      )}
+                      <span className="font-medium">
+                        {formatMoney(transfer.amount, data.currency)}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="note">Note (optional)</Label>
+                  <Textarea
+                    id="note"
+                    placeholder="End of trip settle-up"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                  />
+                </div>
+
+                <Button
+                  className="w-full"
+                  disabled={
+                    !confirmed.length ||
+                    data.missingRates.length > 0 ||
+                    settleAll.isLoading
+                  }
+                  onClick={handleRecord}
+                >
+                  {settleAll.isLoading
+                    ? "Recording..."
+                    : `Record ${confirmed.length} payment${confirmed.length === 1 ? "" : "s"}`}
+                </Button>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
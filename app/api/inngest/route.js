@@ -1,6 +1,8 @@
 import { serve } from "inngest/next";
 import { inngest } from "@/lib/inngest/client";
 import { paymentReminders } from "@/lib/inngest/payment-reminders";
+import { recurringExpenses } from "@/lib/inngest/recurring-expenses";
+import { settlementConfirmations } from "@/lib/inngest/settlement-confirmations";
 import { spendingInsights } from "@/lib/inngest/spending-insights";
 
 // Create an API that serves zero functions
@@ -9,6 +11,8 @@ export const { GET, POST, PUT } = serve({
   functions: [
     /* your functions will be passed here later! */
     paymentReminders,
+    recurringExpenses,
+    settlementConfirmations,
     spendingInsights,
   ],
 });
\ No newline at end of file
@@ -0,0 +1,190 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import Image from "next/image";
+import { useAuth } from "@clerk/nextjs";
+import { toast } from "sonner";
+import { FileText, Paperclip, X } from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { Button } from "@/components/ui/button";
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // same limit as the server
+
+// Files are served by an HTTP action (convex/http.js), on the deployment's
+// .site domain rather than .cloud
+const ATTACHMENTS_URL =
+  process.env.NEXT_PUBLIC_CONVEX_URL?.replace(/\.cloud$/, ".site") +
+  "/attachments";
+
+// The file of an attachment as a local object URL, or null while loading.
+// It's fetched with the user's Convex token because the server checks
+// access to the expense / settlement on every request.
+function useAttachmentUrl(attachmentId) {
+  const { getToken } = useAuth();
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const token = await getToken({ template: "convex" });
+        const response = await fetch(`${ATTACHMENTS_URL}?id=${attachmentId}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (!response.ok) return;
+        const blob = await response.blob();
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      } catch {
+        // keep the placeholder
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachmentId, getToken]);
+
+  return url;
+}
+
+// One thumbnail, opening the file in a new tab
+function AttachmentLink({ attachment }) {
+  const url = useAttachmentUrl(attachment._id);
+  const isImage = attachment.contentType.startsWith("image/");
+
+  return (
+    <a
+      href={url ?? undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={attachment.fileName}
+      className="block h-12 w-12 overflow-hidden rounded-md border bg-muted"
+    >
+      {isImage && url ? (
+        <Image
+          src={url}
+          alt={attachment.fileName}
+          width={48}
+          height={48}
+          unoptimized
+          className="h-12 w-12 object-cover"
+        />
+      ) : (
+        <div className="flex h-full w-full items-center justify-center">
+          {!isImage && <FileText className="h-5 w-5 text-muted-foreground" />}
+        </div>
+      )}
+    </a>
+  );
+}
+
+// Thumbnails of the receipts / proofs on one expense or settlement, plus a
+// button to attach another one. `attachments` comes from
+// api.attachments.getAttachmentsFor, keyed by the item id.
+export function Attachments({
+  expenseId,
+  settlementId,
+  attachments = [],
+  currentUserId,
+}) {
+  const inputRef = useRef(null);
+
+  const generateUploadUrl = useConvexMutation(
+    api.attachments.generateUploadUrl
+  );
+  const addAttachment = useConvexMutation(api.attachments.addAttachment);
+  const deleteAttachment = useConvexMutation(api.attachments.deleteAttachment);
+
+  const isUploading = generateUploadUrl.isLoading || addAttachment.isLoading;
+
+  // Steps: 1. get an upload URL  2. POST the file to it  3. link the
+  // returned storage id to the expense / settlement
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    if (!file.type.startsWith("image/") && file.type !== "application/pdf") {
+      toast.error("Only images and PDFs can be attached");
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error("Attachments can be at most 10 MB");
+      return;
+    }
+
+    try {
+      const uploadUrl = await generateUploadUrl.mutate();
+      const response = await fetch(uploadUrl, {
+        method: "POST",
+        headers: { "Content-Type": file.type },
+        body: file,
+      });
+      if (!response.ok) throw new Error("Upload failed");
+      const { storageId } = await response.json();
+
+      await addAttachment.mutate({
+        expenseId,
+        settlementId,
+        storageId,
+        fileName: file.name,
+      });
+      toast.success("File attached");
+    } catch (error) {
+      toast.error("Failed to attach file: " + error.message);
+    }
+  };
+
+  const handleRemove = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.fileName}?`)) return;
+    try {
+      await deleteAttachment.mutate({ attachmentId: attachment._id });
+    } catch (error) {
+      toast.error("Failed to remove attachment: " + error.message);
+    }
+  };
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2">
+      {attachments.map((attachment) => (
+        <div key={attachment._id} className="relative">
+          <AttachmentLink attachment={attachment} />
+          {attachment.uploadedBy === currentUserId && (
+            <button
+              type="button"
+              onClick={() => handleRemove(attachment)}
+              className="absolute -right-1 -top-1 rounded-full bg-background border p-0.5 text-muted-foreground hover:text-red-500"
+            >
+              <X className="h-3 w-3" />
+              <span className="sr-only">Remove attachment</span>
+            </button>
+          )}
+        </div>
+      ))}
+
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-7 px-2 text-muted-foreground"
+        disabled={isUploading}
+        onClick={() => inputRef.current?.click()}
+      >
+        <Paperclip className="h-4 w-4 mr-1" />
+        {isUploading ? "Uploading..." : "Attach"}
+      </Button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*,application/pdf"
+        className="hidden"
+        onChange={handleFile}
+      />
+    </div>
+  );
+}
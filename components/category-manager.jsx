@@ -0,0 +1,335 @@
+"use client";
+
+import { useState } from "react";
+import { Eye, EyeOff, GitMerge, Pencil, Plus, Tags } from "lucide-react";
+import { toast } from "sonner";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation } from "@/hooks/use-convex-query";
+import { useCategories } from "@/hooks/use-categories";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  CATEGORY_COLORS,
+  CATEGORY_ICON_NAMES,
+  OTHER_CATEGORY_ID,
+} from "@/convex/lib/categories";
+import { CATEGORY_ICONS, getCategoryIcon } from "@/lib/expense-categories";
+import { cn } from "@/lib/utils";
+
+// Name, color and icon of a new or existing category
+function CategoryEditor({ category, onSave, onCancel, isSaving }) {
+  const [name, setName] = useState(category?.name ?? "");
+  const [color, setColor] = useState(category?.color ?? CATEGORY_COLORS[0]);
+  const [icon, setIcon] = useState(category?.icon ?? CATEGORY_ICON_NAMES[0]);
+
+  return (
+    <div className="rounded-md border p-3 space-y-3">
+      <div className="space-y-1">
+        <Label htmlFor="category-name">Name</Label>
+        <Input
+          id="category-name"
+          placeholder="e.g. Pets"
+          value={name}
+          maxLength={30}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+
+      <div className="space-y-1">
+        <Label>Color</Label>
+        <div className="flex flex-wrap gap-2">
+          {CATEGORY_COLORS.map((swatch) => (
+            <button
+              key={swatch}
+              type="button"
+              className={cn(
+                "h-6 w-6 rounded-full border-2",
+                swatch === color ? "border-foreground" : "border-transparent"
+              )}
+              style={{ backgroundColor: swatch }}
+              onClick={() => setColor(swatch)}
+            >
+              <span className="sr-only">{swatch}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <Label>Icon</Label>
+        <div className="grid grid-cols-8 gap-1">
+          {CATEGORY_ICON_NAMES.map((iconName) => {
+            const Icon = CATEGORY_ICONS[iconName];
+            return (
+              <button
+                key={iconName}
+                type="button"
+                title={iconName}
+                className={cn(
+                  "flex items-center justify-center rounded-md p-1.5 hover:bg-muted",
+                  iconName === icon && "bg-muted ring-1 ring-foreground"
+                )}
+                onClick={() => setIcon(iconName)}
+              >
+                <Icon className="h-4 w-4" style={{ color }} />
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button size="sm" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          size="sm"
+          disabled={!name.trim() || isSaving}
+          onClick={() => onSave({ name, color, icon })}
+        >
+          {isSaving ? "Saving..." : "Save"}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Picks the category to merge `category` into
+function MergePicker({ category, categories, onMerge, onCancel, isMerging }) {
+  const [intoId, setIntoId] = useState("");
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select value={intoId} onValueChange={setIntoId}>
+        <SelectTrigger className="h-8 flex-1">
+          <SelectValue placeholder={`Merge ${category.name} into…`} />
+        </SelectTrigger>
+        <SelectContent>
+          {categories
+            .filter((c) => c.id !== category.id)
+            .map((c) => (
+              <SelectItem key={c.id} value={c.id}>
+                {c.name}
+              </SelectItem>
+            ))}
+        </SelectContent>
+      </Select>
+      <Button
+        size="sm"
+        disabled={!intoId || isMerging}
+        onClick={() => onMerge(category, intoId)}
+      >
+        Merge
+      </Button>
+      <Button size="sm" variant="ghost" onClick={onCancel}>
+        Cancel
+      </Button>
+    </div>
+  );
+}
+
+// "Categories" button of a group page: add, rename, recolor, hide and
+// merge the group's categories
+export function CategoryManager({ groupId }) {
+  const { allCategoriesFor } = useCategories();
+  // Category id being edited, "new" while adding one, or null
+  const [editingId, setEditingId] = useState(null);
+  const [mergingId, setMergingId] = useState(null);
+
+  const saveCategory = useConvexMutation(api.categories.saveCategory);
+  const setCategoryHidden = useConvexMutation(
+    api.categories.setCategoryHidden
+  );
+  const mergeCategories = useConvexMutation(api.categories.mergeCategories);
+
+  // Merged categories are gone as far as people are concerned
+  const categories = allCategoriesFor(groupId).filter((c) => !c.mergedInto);
+  const visible = categories.filter((c) => !c.hidden);
+
+  const handleSave = async (fields) => {
+    try {
+      await saveCategory.mutate({
+        groupId,
+        categoryId: editingId === "new" ? undefined : editingId,
+        ...fields,
+      });
+      toast.success(editingId === "new" ? "Category added" : "Category saved");
+      setEditingId(null);
+    } catch (error) {
+      toast.error("Failed to save category: " + error.message);
+    }
+  };
+
+  const handleToggleHidden = async (category) => {
+    try {
+      await setCategoryHidden.mutate({
+        groupId,
+        categoryId: category.id,
+        hidden: !category.hidden,
+      });
+    } catch (error) {
+      toast.error("Failed to update category: " + error.message);
+    }
+  };
+
+  const handleMerge = async (category, intoId) => {
+    const into = categories.find((c) => c.id === intoId);
+    const confirmed = window.confirm(
+      `Move every "${category.name}" expense to "${into.name}"? This can't be undone.`
+    );
+    if (!confirmed) return;
+
+    try {
+      const { moved } = await mergeCategories.mutate({
+        groupId,
+        fromId: category.id,
+        intoId,
+      });
+      toast.success(
+        `Merged – ${moved} expense${moved === 1 ? "" : "s"} moved`
+      );
+      setMergingId(null);
+    } catch (error) {
+      toast.error("Failed to merge categories: " + error.message);
+    }
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Tags className="mr-2 h-4 w-4" />
+          Categories
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Categories</DialogTitle>
+          <DialogDescription>
+            Changes apply to everyone in this group. Hidden categories stay on
+            the expenses that use them.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+          {editingId === "new" ? (
+            <CategoryEditor
+              onSave={handleSave}
+              onCancel={() => setEditingId(null)}
+              isSaving={saveCategory.isLoading}
+            />
+          ) : (
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-full"
+              onClick={() => setEditingId("new")}
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              Add category
+            </Button>
+          )}
+
+          {categories.map((category) => {
+            if (editingId === category.id) {
+              return (
+                <CategoryEditor
+                  key={category.id}
+                  category={category}
+                  onSave={handleSave}
+                  onCancel={() => setEditingId(null)}
+                  isSaving={saveCategory.isLoading}
+                />
+              );
+            }
+
+            const CategoryIcon = getCategoryIcon(category);
+            const isOther = category.id === OTHER_CATEGORY_ID;
+
+            return (
+              <div key={category.id} className="rounded-md border p-2 space-y-2">
+                <div className="flex items-center gap-2">
+                  <CategoryIcon
+                    className="h-4 w-4"
+                    style={{ color: category.color }}
+                  />
+                  <span
+                    className={cn(
+                      "flex-1 text-sm",
+                      category.hidden && "text-muted-foreground"
+                    )}
+                  >
+                    {category.name}
+                  </span>
+                  {category.hidden && <Badge variant="outline">Hidden</Badge>}
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    onClick={() => setEditingId(category.id)}
+                  >
+                    <Pencil className="h-3.5 w-3.5" />
+                    <span className="sr-only">Edit</span>
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    disabled={isOther || setCategoryHidden.isLoading}
+                    onClick={() => handleToggleHidden(category)}
+                  >
+                    {category.hidden ? (
+                      <Eye className="h-3.5 w-3.5" />
+                    ) : (
+                      <EyeOff className="h-3.5 w-3.5" />
+                    )}
+                    <span className="sr-only">
+                      {category.hidden ? "Show" : "Hide"}
+                    </span>
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    disabled={isOther}
+                    onClick={() => setMergingId(category.id)}
+                  >
+                    <GitMerge className="h-3.5 w-3.5" />
+                    <span className="sr-only">Merge</span>
+                  </Button>
+                </div>
+
+                {mergingId === category.id && (
+                  <MergePicker
+                    category={category}
+                    categories={visible}
+                    onMerge={handleMerge}
+                    onCancel={() => setMergingId(null)}
+                    isMerging={mergeCategories.isLoading}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
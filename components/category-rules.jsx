@@ -0,0 +1,212 @@
+"use client";
+
+import { useState } from "react";
+import { RefreshCw, Trash2, Wand2 } from "lucide-react";
+import { toast } from "sonner";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { useCategories } from "@/hooks/use-categories";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { getRulePatternError } from "@/convex/lib/categoryRules";
+import { getCategoryIcon } from "@/lib/expense-categories";
+
+// Rules of one scope (the group's, or the viewer's own) and a form to add
+// one. Only mounted while the dialog is open.
+function RuleList({ groupId }) {
+  const { data } = useConvexQuery(api.categoryRules.getCategoryRules, {
+    groupId,
+  });
+  const { categoriesFor, getCategory } = useCategories();
+  const createRule = useConvexMutation(api.categoryRules.createCategoryRule);
+  const deleteRule = useConvexMutation(api.categoryRules.deleteCategoryRule);
+  const startBackfill = useConvexMutation(
+    api.categoryRules.startCategoryBackfill
+  );
+
+  const [pattern, setPattern] = useState("");
+  const [isRegex, setIsRegex] = useState(false);
+  const [categoryId, setCategoryId] = useState("");
+
+  const rules = (groupId ? data?.groupRules : data?.myRules) ?? [];
+  const patternError = pattern.trim()
+    ? getRulePatternError(pattern, isRegex)
+    : null;
+
+  const handleAdd = async () => {
+    try {
+      await createRule.mutate({ groupId, pattern, isRegex, categoryId });
+      setPattern("");
+      toast.success("Rule added");
+    } catch (error) {
+      toast.error("Failed to add rule: " + error.message);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await deleteRule.mutate({ ruleId: rule._id });
+    } catch (error) {
+      toast.error("Failed to remove rule: " + error.message);
+    }
+  };
+
+  const handleBackfill = async () => {
+    try {
+      await startBackfill.mutate({ groupId });
+      toast.success(
+        "Re-categorizing past expenses – changes show up in a moment"
+      );
+    } catch (error) {
+      toast.error("Failed to start re-categorizing: " + error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex gap-2">
+          <Input
+            placeholder={isRegex ? "e.g. ^(uber|ola)\\b" : "e.g. swiggy|zomato"}
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+          />
+          <Select value={categoryId} onValueChange={setCategoryId}>
+            <SelectTrigger className="w-44">
+              <SelectValue placeholder="Category" />
+            </SelectTrigger>
+            <SelectContent>
+              {categoriesFor(groupId).map((category) => (
+                <SelectItem key={category.id} value={category.id}>
+                  {category.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={isRegex}
+              onChange={(e) => setIsRegex(e.target.checked)}
+            />
+            Regular expression
+          </label>
+          <Button
+            size="sm"
+            disabled={
+              !pattern.trim() ||
+              !categoryId ||
+              Boolean(patternError) ||
+              createRule.isLoading
+            }
+            onClick={handleAdd}
+          >
+            Add rule
+          </Button>
+        </div>
+        {patternError && <p className="text-sm text-red-500">{patternError}</p>}
+        <p className="text-xs text-muted-foreground">
+          Keywords match whole words, any of them (separate with | or ,).
+          Matching is case-insensitive.
+        </p>
+      </div>
+
+      {rules.length === 0 ? (
+        <p className="text-sm text-muted-foreground text-center py-2">
+          No rules yet
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-[40vh] overflow-y-auto">
+          {rules.map((rule) => {
+            const category = getCategory(rule.categoryId, groupId);
+            const CategoryIcon = getCategoryIcon(category);
+            return (
+              <li
+                key={rule._id}
+                className="flex items-center gap-2 rounded-md border p-2 text-sm"
+              >
+                <code className="flex-1 truncate">{rule.pattern}</code>
+                {rule.isRegex && <Badge variant="outline">regex</Badge>}
+                <span className="flex items-center gap-1">
+                  <CategoryIcon
+                    className="h-4 w-4"
+                    style={{ color: category.color }}
+                  />
+                  {category.name}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 text-red-500"
+                  disabled={deleteRule.isLoading}
+                  onClick={() => handleDelete(rule)}
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                  <span className="sr-only">Remove rule</span>
+                </Button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <Button
+        variant="outline"
+        className="w-full"
+        disabled={!rules.length || startBackfill.isLoading}
+        onClick={handleBackfill}
+      >
+        <RefreshCw className="mr-2 h-4 w-4" />
+        Apply to past &quot;Other&quot; expenses
+      </Button>
+    </div>
+  );
+}
+
+// "Rules" button: the group's category rules (groupId given) or the
+// viewer's own, which apply to every expense they add
+export function CategoryRulesDialog({ groupId }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Wand2 className="mr-2 h-4 w-4" />
+          Rules
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>
+            {groupId ? "Group category rules" : "My category rules"}
+          </DialogTitle>
+          <DialogDescription>
+            {groupId
+              ? "New expenses in this group without a category get one when their description matches a rule."
+              : "Expenses you add without a category get one when their description matches a rule. Group rules come first."}
+          </DialogDescription>
+        </DialogHeader>
+        {open && <RuleList groupId={groupId} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,133 @@
+"use client";
+
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { BarLoader } from "react-spinners";
+import { toast } from "sonner";
+import { MessageSquare, Send, Trash2 } from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+
+// The comments themselves; only mounted while the thread is open, so
+// closed threads don't keep a live query each
+function CommentList({ expenseId, settlementId }) {
+  const [body, setBody] = useState("");
+
+  const { data: comments, isLoading } = useConvexQuery(
+    api.comments.getComments,
+    { expenseId, settlementId }
+  );
+  const addComment = useConvexMutation(api.comments.addComment);
+  const deleteComment = useConvexMutation(api.comments.deleteComment);
+
+  const handleSend = async () => {
+    if (!body.trim()) return;
+    try {
+      await addComment.mutate({ expenseId, settlementId, body });
+      setBody("");
+    } catch (error) {
+      toast.error("Failed to add comment: " + error.message);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      await deleteComment.mutate({ commentId });
+    } catch (error) {
+      toast.error("Failed to delete comment: " + error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3 pt-3">
+      {isLoading ? (
+        <BarLoader width={"100%"} color="#36d7b7" />
+      ) : !comments?.length ? (
+        <p className="text-sm text-muted-foreground">
+          No comments yet. Start the conversation here instead of in a chat
+          app.
+        </p>
+      ) : (
+        comments.map((comment) => (
+          <div key={comment._id} className="flex items-start gap-2">
+            <Avatar className="h-6 w-6">
+              <AvatarImage src={comment.author.imageUrl} />
+              <AvatarFallback>{comment.author.name.charAt(0)}</AvatarFallback>
+            </Avatar>
+            <div className="flex-1 min-w-0">
+              <div className="text-xs text-muted-foreground">
+                <span className="font-medium text-foreground">
+                  {comment.isOwn ? "You" : comment.author.name}
+                </span>{" "}
+                {formatDistanceToNow(new Date(comment.createdAt), {
+                  addSuffix: true,
+                })}
+              </div>
+              <p className="text-sm whitespace-pre-wrap break-words">
+                {comment.body}
+              </p>
+            </div>
+            {comment.isOwn && (
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-6 w-6 text-muted-foreground hover:text-red-500"
+                onClick={() => handleDelete(comment._id)}
+              >
+                <Trash2 className="h-3 w-3" />
+                <span className="sr-only">Delete comment</span>
+              </Button>
+            )}
+          </div>
+        ))
+      )}
+
+      <div className="flex items-end gap-2">
+        <Textarea
+          rows={2}
+          placeholder="Write a comment..."
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          onKeyDown={(e) => {
+            // Ctrl/Cmd + Enter sends, Enter alone adds a line
+            if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) handleSend();
+          }}
+          className="text-sm"
+        />
+        <Button
+          size="icon"
+          onClick={handleSend}
+          disabled={!body.trim() || addComment.isLoading}
+        >
+          <Send className="h-4 w-4" />
+          <span className="sr-only">Send comment</span>
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Expandable comment thread for one expense or one settlement
+export function CommentThread({ expenseId, settlementId }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="mt-3 border-t pt-2">
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-7 px-2 text-muted-foreground"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        <MessageSquare className="h-4 w-4 mr-1" />
+        {isOpen ? "Hide comments" : "Comments"}
+      </Button>
+      {isOpen && (
+        <CommentList expenseId={expenseId} settlementId={settlementId} />
+      )}
+    </div>
+  );
+}
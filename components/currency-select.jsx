@@ -0,0 +1,34 @@
+"use client";
+
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CURRENCIES } from "@/convex/lib/currency";
+
+// Controlled currency picker (value is an ISO code like "EUR")
+export function CurrencySelect({ value, onChange, className = "w-full" }) {
+  // Keep unknown codes (e.g. from an imported rate) selectable
+  const options = CURRENCIES.some((c) => c.code === value)
+    ? CURRENCIES
+    : [...CURRENCIES, { code: value, name: value }];
+
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className={className}>
+        <SelectValue placeholder="Currency" />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map((currency) => (
+          <SelectItem key={currency.code} value={currency.code}>
+            <span className="font-medium">{currency.code}</span>
+            <span className="text-muted-foreground">{currency.name}</span>
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
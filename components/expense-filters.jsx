@@ -0,0 +1,205 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { CalendarIcon, Search, SlidersHorizontal, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useCategories } from "@/hooks/use-categories";
+import { cn } from "@/lib/utils";
+
+export const EMPTY_FILTERS = {
+  text: "",
+  category: "all",
+  payerId: "all",
+  participantId: "all",
+  dateRange: undefined, // { from, to } Dates from the calendar
+  minAmount: "",
+  maxAmount: "",
+};
+
+// Filter state → args for api.expenses.searchExpenses, or null while
+// nothing is filtered (then the page shows its normal list)
+export function getSearchArgs(filters) {
+  const args = {};
+  if (filters.text.trim()) args.text = filters.text.trim();
+  if (filters.category !== "all") args.category = filters.category;
+  if (filters.payerId !== "all") args.payerId = filters.payerId;
+  if (filters.participantId !== "all") {
+    args.participantId = filters.participantId;
+  }
+  if (filters.dateRange?.from) {
+    args.dateFrom = new Date(filters.dateRange.from).setHours(0, 0, 0, 0);
+    args.dateTo = new Date(
+      filters.dateRange.to ?? filters.dateRange.from
+    ).setHours(23, 59, 59, 999);
+  }
+  if (filters.minAmount !== "") args.minAmount = Number(filters.minAmount);
+  if (filters.maxAmount !== "") args.maxAmount = Number(filters.maxAmount);
+
+  return Object.keys(args).length ? args : null;
+}
+
+// Select with an "any" option for one of the people filters
+function PersonSelect({ value, onChange, people, placeholder }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-full">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value="all">{placeholder}</SelectItem>
+        {people.map((person) => (
+          <SelectItem key={person.id} value={person.id}>
+            {person.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Search box plus a collapsible row of filters. `people` ({ id, name })
+// feed the payer and participant pickers; the participant one is only
+// shown when `showParticipant` (in 1‑to‑1 lists both people are in
+// every expense).
+export function ExpenseFilterBar({
+  value,
+  onChange,
+  people = [],
+  groupId, // whose categories to offer (none: the defaults)
+  showParticipant = true,
+}) {
+  const [showFilters, setShowFilters] = useState(false);
+  const { categoriesFor } = useCategories();
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const hasFilters = getSearchArgs(value) !== null;
+  const { dateRange } = value;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search expenses..."
+            value={value.text}
+            onChange={(e) => update({ text: e.target.value })}
+            className="pl-9"
+          />
+        </div>
+        <Button
+          variant={showFilters ? "secondary" : "outline"}
+          onClick={() => setShowFilters(!showFilters)}
+        >
+          <SlidersHorizontal className="h-4 w-4 mr-1" />
+          Filters
+        </Button>
+        {hasFilters && (
+          <Button variant="ghost" onClick={() => onChange(EMPTY_FILTERS)}>
+            <X className="h-4 w-4 mr-1" />
+            Clear
+          </Button>
+        )}
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+          <Select
+            value={value.category}
+            onValueChange={(category) => update({ category })}
+          >
+            <SelectTrigger className="w-full">
+              <SelectValue placeholder="Any category" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">Any category</SelectItem>
+              {categoriesFor(groupId).map((category) => (
+                <SelectItem key={category.id} value={category.id}>
+                  {category.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <PersonSelect
+            value={value.payerId}
+            onChange={(payerId) => update({ payerId })}
+            people={people}
+            placeholder="Paid by anyone"
+          />
+
+          {showParticipant && (
+            <PersonSelect
+              value={value.participantId}
+              onChange={(participantId) => update({ participantId })}
+              people={people}
+              placeholder="Anyone involved"
+            />
+          )}
+
+          <Popover>
+            <PopoverTrigger asChild>
+              <Button
+                variant="outline"
+                className={cn(
+                  "justify-start text-left font-normal",
+                  !dateRange?.from && "text-muted-foreground"
+                )}
+              >
+                <CalendarIcon className="mr-2 h-4 w-4" />
+                {dateRange?.from
+                  ? dateRange.to
+                    ? `${format(dateRange.from, "MMM d, yyyy")} – ${format(dateRange.to, "MMM d, yyyy")}`
+                    : format(dateRange.from, "MMM d, yyyy")
+                  : "Any date"}
+              </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-auto p-0">
+              <Calendar
+                mode="range"
+                selected={dateRange}
+                onSelect={(range) => update({ dateRange: range })}
+                initialFocus
+              />
+            </PopoverContent>
+          </Popover>
+
+          <div className="flex items-center gap-2">
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Min amount"
+              value={value.minAmount}
+              onChange={(e) => update({ minAmount: e.target.value })}
+            />
+            <span className="text-muted-foreground">–</span>
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Max amount"
+              value={value.maxAmount}
+              onChange={(e) => update({ maxAmount: e.target.value })}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
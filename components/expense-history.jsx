@@ -0,0 +1,293 @@
+"use client";
+
+import { useState } from "react";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { api } from "@/convex/_generated/api";
+import { format, formatDistanceToNow } from "date-fns";
+import { toast } from "sonner";
+import { BarLoader } from "react-spinners";
+import { Card, CardContent } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { useCategories } from "@/hooks/use-categories";
+import { History, RotateCcw, Trash2 } from "lucide-react";
+import { getPayers } from "@/convex/lib/balances";
+import { formatMoney, getCurrency } from "@/convex/lib/currency";
+
+const ACTION_LABELS = {
+  create: "created",
+  update: "edited",
+  delete: "deleted",
+  restore: "restored",
+  payment: "recorded a payment on",
+  merge: "merged a duplicate into",
+};
+
+// Amount in the snapshot's own currency
+const money = (snapshot, amount) => formatMoney(amount, getCurrency(snapshot));
+
+// Short "Name: $12.00, Name: $8.00" line for a snapshot's splits
+const describeSplits = (snapshot, nameOf) =>
+  snapshot.splits
+    .map((s) => `${nameOf(s.userId)}: ${money(snapshot, s.amount)}`)
+    .join(", ");
+
+// "Asha: $5.00, Rohit: paid" for the splits paid back (in part) so far
+const describePaidBack = (snapshot, nameOf) =>
+  snapshot.splits
+    .filter((s) => s.paidAmount)
+    .map(
+      (s) =>
+        `${nameOf(s.userId)}: ${s.paid ? "paid" : money(snapshot, s.paidAmount)}`
+    )
+    .join(", ") || "nothing";
+
+// "You: $30.00, Asha: $20.00" when several people paid, else just the name
+const describePayers = (snapshot, nameOf) => {
+  const payers = getPayers(snapshot);
+  if (payers.length === 1) return nameOf(payers[0].userId);
+  return payers
+    .map((p) => `${nameOf(p.userId)}: ${money(snapshot, p.amount)}`)
+    .join(", ");
+};
+
+// List of { label, from, to } for the fields that differ between snapshots
+const diffSnapshots = (before, after, nameOf, categoryNameOf) => {
+  const fields = [
+    ["Description", (s) => s.description],
+    ["Amount", (s) => money(s, s.amount)],
+    ["Date", (s) => format(new Date(s.date), "MMM d, yyyy")],
+    ["Category", (s) => categoryNameOf(s.category)],
+    ["Paid by", (s) => describePayers(s, nameOf)],
+    ["Split type", (s) => s.splitType],
+    ["Splits", (s) => describeSplits(s, nameOf)],
+    ["Paid back", (s) => describePaidBack(s, nameOf)],
+  ];
+
+  return fields
+    .map(([label, read]) => ({ label, from: read(before), to: read(after) }))
+    .filter(({ from, to }) => from !== to);
+};
+
+// One history row: who did what, and what the expense looked like
+function HistoryEntry({ entry, nameOf }) {
+  const snapshot = entry.after ?? entry.before;
+  const { getCategory } = useCategories();
+  const categoryNameOf = (id) => getCategory(id, entry.groupId).name;
+
+  return (
+    <div className="border rounded-md p-3 space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span>
+          <span className="font-medium">{nameOf(entry.actorId)}</span>{" "}
+          {ACTION_LABELS[entry.action] ?? entry.action} this expense
+        </span>
+        <span className="text-muted-foreground">
+          {format(new Date(entry.timestamp), "MMM d, yyyy h:mm a")}
+        </span>
+      </div>
+
+      {entry.action === "merge" && entry.before && (
+        <div className="text-sm text-muted-foreground">
+          Merged in:{" "}
+          <span className="line-through">
+            {entry.before.description} ·{" "}
+            {money(entry.before, entry.before.amount)}
+          </span>
+        </div>
+      )}
+
+      {entry.action === "update" || entry.action === "payment" ? (
+        <ul className="text-sm space-y-1">
+          {diffSnapshots(
+            entry.before,
+            entry.after,
+            nameOf,
+            categoryNameOf
+          ).map((change) => (
+            <li key={change.label}>
+              <span className="text-muted-foreground">{change.label}: </span>
+              <span className="line-through text-red-600">{change.from}</span>{" "}
+              → <span className="text-green-600">{change.to}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-sm text-muted-foreground">
+          {snapshot.description} · {money(snapshot, snapshot.amount)} · paid
+          by{" "}
+          {describePayers(snapshot, nameOf)}
+          <div>{describeSplits(snapshot, nameOf)}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HistoryTimeline({ expenseId }) {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data, isLoading } = useConvexQuery(api.history.getExpenseHistory, {
+    expenseId,
+  });
+
+  if (isLoading) return <BarLoader width={"100%"} color="#36d7b7" />;
+
+  const entries = data?.entries ?? [];
+  const nameOf = (userId) =>
+    userId === currentUser?._id ? "You" : data?.userNames[userId] || "Unknown";
+
+  if (!entries.length) {
+    return (
+      <p className="text-sm text-muted-foreground text-center py-4">
+        No history recorded for this expense
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3 max-h-[60vh] overflow-y-auto">
+      {entries.map((entry) => (
+        <HistoryEntry key={entry._id} entry={entry} nameOf={nameOf} />
+      ))}
+    </div>
+  );
+}
+
+// Icon button that opens the change log of one expense
+export function ExpenseHistoryDialog({ expenseId }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-8 w-8 rounded-full text-muted-foreground hover:text-foreground"
+        >
+          <History className="h-4 w-4" />
+          <span className="sr-only">Expense history</span>
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>History</DialogTitle>
+        </DialogHeader>
+        {/* Only subscribe while the dialog is open */}
+        {open && <HistoryTimeline expenseId={expenseId} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+// One expense in the trash, with a restore button for the people allowed to
+function TrashedExpense({ expense, nameOf }) {
+  const restoreExpense = useConvexMutation(api.expenses.restoreExpense);
+
+  const handleRestore = async () => {
+    try {
+      await restoreExpense.mutate({ expenseId: expense._id });
+      toast.success("Expense restored");
+    } catch (error) {
+      toast.error("Failed to restore expense: " + error.message);
+    }
+  };
+
+  return (
+    <Card className="bg-muted/30">
+      <CardContent className="py-3 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Trash2 className="h-4 w-4 text-muted-foreground" />
+          <div>
+            <p className="text-sm font-medium">{expense.description}</p>
+            <p className="text-xs text-muted-foreground">
+              Deleted by {nameOf(expense.deletedBy)} · removed for good{" "}
+              {formatDistanceToNow(new Date(expense.purgeAt), {
+                addSuffix: true,
+              })}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Badge variant="outline">{money(expense, expense.amount)}</Badge>
+          <ExpenseHistoryDialog expenseId={expense._id} />
+          {expense.canRestore && (
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={restoreExpense.isLoading}
+              onClick={handleRestore}
+            >
+              <RotateCcw className="h-4 w-4 mr-1" />
+              Restore
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Trash and purged expenses of a group (groupId) or between you and
+// someone (userId)
+export function DeletedExpenseList({ groupId, userId }) {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: trash } = useConvexQuery(
+    api.expenses.getTrashedExpenses,
+    groupId ? { groupId } : { userId }
+  );
+  const { data } = useConvexQuery(
+    api.history.getDeletedExpenses,
+    groupId ? { groupId } : { userId }
+  );
+
+  const entries = data?.entries ?? [];
+  const trashed = trash?.expenses ?? [];
+  if (!entries.length && !trashed.length) return null;
+
+  const userNames = { ...data?.userNames, ...trash?.userNames };
+  const nameOf = (id) =>
+    id === currentUser?._id ? "You" : userNames[id] || "Unknown";
+
+  return (
+    <div className="space-y-2">
+      <h3 className="text-sm font-medium text-muted-foreground">
+        Deleted expenses
+      </h3>
+      {trashed.map((expense) => (
+        <TrashedExpense key={expense._id} expense={expense} nameOf={nameOf} />
+      ))}
+      {entries.map((entry) => (
+        <Card key={entry._id} className="bg-muted/30">
+          <CardContent className="py-3 flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <Trash2 className="h-4 w-4 text-muted-foreground" />
+              <div>
+                <p className="text-sm font-medium line-through">
+                  {entry.before.description}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  Deleted by {nameOf(entry.actorId)} on{" "}
+                  {format(new Date(entry.timestamp), "MMM d, yyyy")}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <Badge variant="outline">
+                {money(entry.before, entry.before.amount)}
+              </Badge>
+              <ExpenseHistoryDialog expenseId={entry.expenseId} />
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
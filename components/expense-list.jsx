@@ -1,16 +1,218 @@
 "use client";
 
+import { useState } from "react";
 import { useConvexQuery, useConvexMutation } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
 import { format } from "date-fns";
+import { BarLoader } from "react-spinners";
 import { Card, CardContent } from "@/components/ui/card";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Badge } from "@/components/ui/badge";
-import { getCategoryById } from "@/lib/expense-categories";
 import { getCategoryIcon } from "@/lib/expense-categories";
-import { Trash2 } from "lucide-react";
+import {
+  Check,
+  ChevronDown,
+  ChevronUp,
+  Pencil,
+  Trash2,
+  Wand2,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
 import { toast } from "sonner";
+import Link from "next/link";
+import { ExpenseHistoryDialog } from "@/components/expense-history";
+import { CommentThread } from "@/components/comment-thread";
+import { Attachments } from "@/components/attachments";
+import { LoadMore } from "@/components/load-more";
+import { getAmountOwed, getPayers, isPayer } from "@/convex/lib/balances";
+import {
+  formatMoney,
+  getCurrency,
+  getMinorDigits,
+  toAmountInput,
+  toMinorUnits,
+} from "@/convex/lib/currency";
+import { useCurrency } from "@/hooks/use-currency";
+import { useCategories } from "@/hooks/use-categories";
+import { OTHER_CATEGORY_ID } from "@/convex/lib/categories";
+import { toKeywordPattern } from "@/convex/lib/categoryRules";
+
+// Collapsible list of the receipt items of an itemized expense
+function ReceiptItems({ receipt, currency, nameOf }) {
+  const [open, setOpen] = useState(false);
+
+  const extras = [
+    ["Tax", receipt.tax],
+    ["Tip", receipt.tip],
+    ["Service charge", receipt.serviceCharge],
+  ].filter(([, value]) => value > 0);
+
+  return (
+    <div className="mt-2 text-sm">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="flex items-center gap-1 text-muted-foreground hover:text-foreground"
+      >
+        {open ? (
+          <ChevronUp className="h-3 w-3" />
+        ) : (
+          <ChevronDown className="h-3 w-3" />
+        )}
+        {receipt.items.length} receipt items
+      </button>
+
+      {open && (
+        <ul className="mt-2 space-y-1 border-l pl-3">
+          {receipt.items.map((item, idx) => (
+            <li key={idx} className="flex justify-between gap-4">
+              <span>
+                {item.name}
+                <span className="text-muted-foreground">
+                  {" "}
+                  · {item.userIds.map(nameOf).join(", ")}
+                </span>
+              </span>
+              <span>{formatMoney(item.amount, currency)}</span>
+            </li>
+          ))}
+          {extras.map(([label, value]) => (
+            <li
+              key={label}
+              className="flex justify-between gap-4 text-muted-foreground"
+            >
+              <span>{label}</span>
+              <span>{formatMoney(value, currency)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// One person's split with how much of it they've paid back. Someone who
+// paid the expense can click it to record a full or partial payment.
+function SplitBadge({ expense, split, splitUser, label, canRecord }) {
+  const currency = getCurrency(expense);
+  const owed = getAmountOwed(expense, split.userId);
+  const paidBack = split.paid ? owed : (split.paidAmount ?? 0);
+
+  const [open, setOpen] = useState(false);
+  const [input, setInput] = useState("");
+  const setSplitPayment = useConvexMutation(api.expenses.setSplitPayment);
+
+  const save = async (paidAmount) => {
+    try {
+      await setSplitPayment.mutate({
+        expenseId: expense._id,
+        userId: split.userId,
+        paidAmount,
+      });
+      toast.success(
+        paidAmount === owed ? "Marked as paid" : "Payment recorded"
+      );
+      setOpen(false);
+    } catch (error) {
+      toast.error("Failed to record payment: " + error.message);
+    }
+  };
+
+  const badge = (
+    <Badge
+      variant={split.paid ? "outline" : "secondary"}
+      className="flex items-center gap-1"
+    >
+      <Avatar className="h-4 w-4">
+        <AvatarImage src={splitUser.imageUrl} />
+        <AvatarFallback>{splitUser.name?.charAt(0) || "?"}</AvatarFallback>
+      </Avatar>
+      <span>
+        {label}: {formatMoney(split.amount, currency)}
+      </span>
+      {/* Only for people who owe something on this expense */}
+      {owed > 0 && split.paid && (
+        <span className="flex items-center text-green-600">
+          <Check className="h-3 w-3" />
+          paid
+        </span>
+      )}
+      {owed > 0 && !split.paid && paidBack > 0 && (
+        <span className="text-amber-600">
+          {formatMoney(paidBack, currency)} of {formatMoney(owed, currency)}{" "}
+          paid
+        </span>
+      )}
+    </Badge>
+  );
+
+  if (!canRecord || owed === 0) return badge;
+
+  return (
+    <Popover
+      open={open}
+      onOpenChange={(next) => {
+        setOpen(next);
+        if (next) setInput(paidBack ? toAmountInput(paidBack, currency) : "");
+      }}
+    >
+      <PopoverTrigger asChild>
+        <button type="button" title="Record a payment">
+          {badge}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-64 space-y-3">
+        <p className="text-sm">
+          {label === "You" ? "How much have you" : `How much has ${label}`}{" "}
+          paid back of {formatMoney(owed, currency)}?
+        </p>
+        <Input
+          type="number"
+          step={10 ** -getMinorDigits(currency)}
+          min={0}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="0.00"
+        />
+        <div className="flex flex-wrap justify-end gap-2">
+          {paidBack > 0 && (
+            <Button
+              size="sm"
+              variant="ghost"
+              disabled={setSplitPayment.isLoading}
+              onClick={() => save(0)}
+            >
+              Clear
+            </Button>
+          )}
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={setSplitPayment.isLoading}
+            onClick={() =>
+              save(toMinorUnits(parseFloat(input) || 0, currency))
+            }
+          >
+            Save
+          </Button>
+          <Button
+            size="sm"
+            disabled={setSplitPayment.isLoading}
+            onClick={() => save(owed)}
+          >
+            Paid in full
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
 
 export function ExpenseList({
   expenses,
@@ -18,11 +220,27 @@ export function ExpenseList({
   isGroupExpense = false,
   otherPersonId = null,
   userLookupMap = {},
+  status, // from usePaginatedQuery, when the list is paginated
+  loadMore,
 }) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
   const deleteExpense = useConvexMutation(api.expenses.deleteExpense);
+  const createCategoryRule = useConvexMutation(
+    api.categoryRules.createCategoryRule
+  );
+  const { currency: viewerCurrency, convert } = useCurrency();
+  const { getCategory } = useCategories();
+  const { data: attachmentsById } = useConvexQuery(
+    api.attachments.getAttachmentsFor,
+    { expenseIds: (expenses ?? []).map((e) => e._id) }
+  );
+
+  if (status === "LoadingFirstPage") {
+    return <BarLoader width={"100%"} color="#36d7b7" />;
+  }
 
-  if (!expenses || !expenses.length) {
+  // An empty page can still be followed by more (see LoadMore)
+  if (!expenses?.length && (!status || status === "Exhausted")) {
     return (
       <Card>
         <CardContent className="py-8 text-center text-muted-foreground">
@@ -46,12 +264,12 @@ export function ExpenseList({
     };
   };
 
-  // Check if the user can delete an expense (creator or payer)
-  const canDeleteExpense = (expense) => {
+  // Check if the user can edit or delete an expense (creator or payer)
+  const canModifyExpense = (expense) => {
     if (!currentUser) return false;
     return (
       expense.createdBy === currentUser._id ||
-      expense.paidByUserId === currentUser._id
+      isPayer(expense, currentUser._id)
     );
   };
 
@@ -59,27 +277,51 @@ export function ExpenseList({
   const handleDeleteExpense = async (expense) => {
     // Use basic JavaScript confirm
     const confirmed = window.confirm(
-      "Are you sure you want to delete this expense? This action cannot be undone."
+      "Move this expense to the trash? You can restore it for 30 days."
     );
 
     if (!confirmed) return;
 
     try {
       await deleteExpense.mutate({ expenseId: expense._id });
-      toast.success("Expense deleted successfully");
+      toast.success("Expense moved to the trash");
     } catch (error) {
       toast.error("Failed to delete expense: " + error.message);
     }
   };
 
+  // "Always categorize like this": a keyword rule for this description –
+  // the group's rule for group expenses, the viewer's own otherwise
+  const handleAlwaysCategorize = async (expense, category) => {
+    try {
+      await createCategoryRule.mutate({
+        groupId: expense.groupId,
+        pattern: toKeywordPattern(expense.description),
+        isRegex: false,
+        categoryId: category.id,
+      });
+      toast.success(
+        `"${expense.description}" will go to ${category.name} from now on`
+      );
+    } catch (error) {
+      toast.error("Failed to save rule: " + error.message);
+    }
+  };
+
   return (
     <div className="flex flex-col gap-4">
       {expenses.map((expense) => {
-        const payer = getUserDetails(expense.paidByUserId, expense);
-        const isCurrentUserPayer = expense.paidByUserId === currentUser?._id;
-        const category = getCategoryById(expense.category);
-        const CategoryIcon = getCategoryIcon(category.id);
-        const showDeleteOption = canDeleteExpense(expense);
+        // "You", "Asha" or "You & Asha" when several people paid
+        const payerLabel = getPayers(expense)
+          .map((p) =>
+            p.userId === currentUser?._id ? "You" : getUserDetails(p.userId).name
+          )
+          .join(" & ");
+        const isCurrentUserPayer = isPayer(expense, currentUser?._id);
+        const category = getCategory(expense.category, expense.groupId);
+        const CategoryIcon = getCategoryIcon(category);
+        const showModifyOptions = canModifyExpense(expense);
+        const currency = getCurrency(expense);
 
         return (
           <Card
@@ -90,8 +332,15 @@ export function ExpenseList({
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   {/* Category icon */}
-                  <div className="bg-primary/10 p-2 rounded-full">
-                    <CategoryIcon className="h-5 w-5 text-primary" />
+                  <div
+                    className="p-2 rounded-full"
+                    style={{ backgroundColor: `${category.color}1a` }}
+                    title={category.name}
+                  >
+                    <CategoryIcon
+                      className="h-5 w-5"
+                      style={{ color: category.color }}
+                    />
                   </div>
 
                   <div>
@@ -103,9 +352,7 @@ export function ExpenseList({
                       {showOtherPerson && (
                         <>
                           <span>•</span>
-                          <span>
-                            {isCurrentUserPayer ? "You" : payer.name} paid
-                          </span>
+                          <span>{payerLabel} paid</span>
                         </>
                       )}
                     </div>
@@ -115,26 +362,69 @@ export function ExpenseList({
                 <div className="flex items-center gap-2">
                   <div className="text-right">
                     <div className="font-medium">
-                      ${expense.amount.toFixed(2)}
+                      {formatMoney(expense.amount, currency)}
                     </div>
+                    {/* Original amount above, viewer's currency below */}
+                    {currency !== viewerCurrency &&
+                      convert.canConvert(currency) && (
+                        <div className="text-xs text-muted-foreground">
+                          ≈{" "}
+                          {formatMoney(
+                            convert(expense.amount, currency),
+                            viewerCurrency
+                          )}
+                        </div>
+                      )}
                     {isGroupExpense ? (
                       <Badge variant="outline" className="mt-1">
                         Group expense
                       </Badge>
                     ) : (
                       <div className="text-sm text-muted-foreground">
-                        {isCurrentUserPayer ? (
-                          <span className="text-green-600">You paid</span>
-                        ) : (
-                          <span className="text-red-600">
-                            {payer.name} paid
-                          </span>
-                        )}
+                        <span
+                          className={
+                            isCurrentUserPayer
+                              ? "text-green-600"
+                              : "text-red-600"
+                          }
+                        >
+                          {payerLabel} paid
+                        </span>
                       </div>
                     )}
                   </div>
 
-                  {showDeleteOption && (
+                  {category.id !== OTHER_CATEGORY_ID && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 rounded-full text-muted-foreground hover:text-foreground"
+                      title={`Always put "${expense.description}" in ${category.name}`}
+                      disabled={createCategoryRule.isLoading}
+                      onClick={() => handleAlwaysCategorize(expense, category)}
+                    >
+                      <Wand2 className="h-4 w-4" />
+                      <span className="sr-only">Always categorize like this</span>
+                    </Button>
+                  )}
+
+                  <ExpenseHistoryDialog expenseId={expense._id} />
+
+                  {showModifyOptions && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      className="h-8 w-8 rounded-full text-muted-foreground hover:text-foreground"
+                      asChild
+                    >
+                      <Link href={`/expenses/${expense._id}/edit`}>
+                        <Pencil className="h-4 w-4" />
+                        <span className="sr-only">Edit expense</span>
+                      </Link>
+                    </Button>
+                  )}
+
+                  {showModifyOptions && (
                     <Button
                       variant="ghost"
                       size="icon"
@@ -163,30 +453,43 @@ export function ExpenseList({
                     if (!shouldShow) return null;
 
                     return (
-                      <Badge
+                      <SplitBadge
                         key={idx}
-                        variant={split.paid ? "outline" : "secondary"}
-                        className="flex items-center gap-1"
-                      >
-                        <Avatar className="h-4 w-4">
-                          <AvatarImage src={splitUser.imageUrl} />
-                          <AvatarFallback>
-                            {splitUser.name?.charAt(0) || "?"}
-                          </AvatarFallback>
-                        </Avatar>
-                        <span>
-                          {isCurrentUser ? "You" : splitUser.name}: $
-                          {split.amount.toFixed(2)}
-                        </span>
-                      </Badge>
+                        expense={expense}
+                        split={split}
+                        splitUser={splitUser}
+                        label={isCurrentUser ? "You" : splitUser.name}
+                        canRecord={isCurrentUserPayer}
+                      />
                     );
                   })}
                 </div>
               </div>
+
+              {expense.receipt && (
+                <ReceiptItems
+                  receipt={expense.receipt}
+                  currency={currency}
+                  nameOf={(userId) =>
+                    userId === currentUser?._id
+                      ? "You"
+                      : getUserDetails(userId).name
+                  }
+                />
+              )}
+
+              <Attachments
+                expenseId={expense._id}
+                attachments={attachmentsById?.[expense._id]}
+                currentUserId={currentUser?._id}
+              />
+
+              <CommentThread expenseId={expense._id} />
             </CardContent>
           </Card>
         );
       })}
+      {status && <LoadMore status={status} loadMore={loadMore} />}
     </div>
   );
 }
@@ -0,0 +1,128 @@
+"use client";
+
+import Link from "next/link";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Badge } from "@/components/ui/badge";
+import { Sparkles, X, Zap } from "lucide-react";
+import { toast } from "sonner";
+
+// One-click "quick add" chips for the user's expense templates, each
+// opening /expenses/new pre-filled. Frequent expenses without a template
+// are offered as suggestions that can be saved with one click.
+// Renders nothing while there's nothing to show.
+export function ExpenseTemplateChips({ activeTemplateId }) {
+  const { data } = useConvexQuery(api.expenseTemplates.getExpenseTemplates);
+  const createTemplate = useConvexMutation(
+    api.expenseTemplates.createExpenseTemplate
+  );
+  const deleteTemplate = useConvexMutation(
+    api.expenseTemplates.deleteExpenseTemplate
+  );
+
+  if (!data?.templates.length && !data?.suggestions.length) return null;
+
+  const handleSaveSuggestion = async (suggestion) => {
+    try {
+      await createTemplate.mutate({
+        name: suggestion.name,
+        description: suggestion.description,
+        category: suggestion.category,
+        groupId: suggestion.groupId,
+        participantIds: suggestion.participantIds,
+        paidByUserId: suggestion.paidByUserId,
+        splitType: suggestion.splitType,
+        splits: suggestion.splits,
+      });
+      toast.success(`Saved "${suggestion.name}" as a template`);
+    } catch (error) {
+      toast.error("Failed to save template: " + error.message);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template?`)) return;
+    try {
+      await deleteTemplate.mutate({ templateId: template._id });
+      toast.success("Template deleted");
+    } catch (error) {
+      toast.error("Failed to delete template: " + error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {data.templates.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-muted-foreground flex items-center gap-1">
+            <Zap className="h-4 w-4" />
+            Quick add
+          </span>
+          {data.templates.map((template) => (
+            <Badge
+              key={template._id}
+              variant={
+                template._id === activeTemplateId ? "default" : "secondary"
+              }
+              className="px-3 py-1"
+            >
+              <Link
+                href={`/expenses/new?template=${template._id}`}
+                title={
+                  template.groupName
+                    ? `${template.description} · ${template.groupName}`
+                    : template.description
+                }
+              >
+                {template.name}
+              </Link>
+              <button
+                type="button"
+                onClick={() => handleDelete(template)}
+                className="ml-2 opacity-60 hover:opacity-100"
+                aria-label={`Delete the ${template.name} template`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+
+      {data.suggestions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-muted-foreground flex items-center gap-1">
+            <Sparkles className="h-4 w-4" />
+            Suggested
+          </span>
+          {data.suggestions.map((suggestion) => (
+            <Badge
+              key={`${suggestion.description}-${suggestion.groupId ?? ""}`}
+              variant="outline"
+              className="px-3 py-1"
+            >
+              <span>
+                {suggestion.name}
+                {suggestion.groupName && (
+                  <span className="text-muted-foreground">
+                    {" "}
+                    · {suggestion.groupName}
+                  </span>
+                )}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleSaveSuggestion(suggestion)}
+                disabled={createTemplate.isLoading}
+                className="ml-2 text-primary hover:underline"
+                title={`You've added this ${suggestion.count} times lately`}
+              >
+                Save
+              </button>
+            </Badge>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { BarLoader } from "react-spinners";
+import { Download, FileJson, FileSpreadsheet, FileText } from "lucide-react";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { Button } from "@/components/ui/button";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { toCsv } from "@/convex/lib/csv";
+import { toXlsx } from "@/lib/xlsx";
+
+// Columns of every export, in order
+const COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "type", label: "Type" },
+  { key: "description", label: "Description" },
+  { key: "category", label: "Category" },
+  { key: "group", label: "Group" },
+  { key: "paidBy", label: "Paid by" },
+  { key: "total", label: "Total" },
+  { key: "currency", label: "Currency" },
+  { key: "person", label: "Person" },
+  { key: "share", label: "Share" },
+  { key: "balance", label: "Running balance" },
+  { key: "balanceCurrency", label: "Balance currency" },
+];
+
+// Hand a Blob to the browser as a download
+function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// The format buttons; only mounted while the menu is open, so the export
+// query doesn't run for every visit of the page
+function ExportOptions({ groupId, userId, fileName }) {
+  const { data, isLoading } = useConvexQuery(
+    api.ledgerExports.getExportRows,
+    groupId ? { groupId } : userId ? { userId } : {}
+  );
+
+  if (isLoading) return <BarLoader width={"100%"} color="#36d7b7" />;
+
+  // Readable dates for people, not timestamps
+  const rows = data.rows.map((row) => ({
+    ...row,
+    date: format(new Date(row.date), "yyyy-MM-dd"),
+  }));
+  const baseName = `${fileName}-${format(new Date(), "yyyy-MM-dd")}`;
+
+  const formats = [
+    {
+      label: "CSV",
+      icon: FileText,
+      save: () =>
+        download(
+          new Blob([toCsv(COLUMNS, rows)], { type: "text/csv" }),
+          `${baseName}.csv`
+        ),
+    },
+    {
+      label: "Excel (XLSX)",
+      icon: FileSpreadsheet,
+      save: () => download(toXlsx(COLUMNS, rows, fileName), `${baseName}.xlsx`),
+    },
+    {
+      label: "JSON",
+      icon: FileJson,
+      save: () =>
+        download(
+          new Blob([JSON.stringify(rows, null, 2)], {
+            type: "application/json",
+          }),
+          `${baseName}.json`
+        ),
+    },
+  ];
+
+  return (
+    <div className="space-y-1">
+      <p className="text-xs text-muted-foreground px-2 pb-1">
+        {data.rows.length} rows · one per split, with running balances in{" "}
+        {data.currency}
+      </p>
+      {formats.map(({ label, icon: Icon, save }) => (
+        <Button
+          key={label}
+          variant="ghost"
+          className="w-full justify-start"
+          disabled={!rows.length}
+          onClick={save}
+        >
+          <Icon className="mr-2 h-4 w-4" />
+          {label}
+        </Button>
+      ))}
+    </div>
+  );
+}
+
+// "Export" button for a group (groupId), a 1‑to‑1 history (userId) or,
+// with neither, all of the current user's activity. The files are built
+// in the browser.
+export function ExportMenu({ groupId, userId, fileName = "splitgenie" }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline">
+          <Download className="mr-2 h-4 w-4" />
+          Export
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-64 p-2" align="end">
+        {open && (
+          <ExportOptions
+            groupId={groupId}
+            userId={userId}
+            fileName={fileName}
+          />
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -3,7 +3,9 @@
 import { useConvexQuery } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
-import { ArrowUpCircle, ArrowDownCircle } from "lucide-react";
+import { ArrowUpCircle, ArrowDownCircle, ArrowRight } from "lucide-react";
+import { formatMoney } from "@/convex/lib/currency";
+import { MissingRatesNotice } from "@/components/missing-rates-notice";
 
 /**
  * Expected `balances` shape (one object per member):
@@ -15,9 +17,24 @@ import { ArrowUpCircle, ArrowDownCircle } from "lucide-react";
  *   owes:   { to: string;   amount: number }[];  // this member → others
  *   owedBy: { from: string; amount: number }[];  // others → this member
  * }
+ * All amounts are in `currency` (the viewer's); currencies without an
+ * exchange rate are listed in `missingRates`.
+ *
+ * With `simplifyDebts` on, owes/owedBy already hold the simplified
+ * payments, and every suggested payment in the group is listed below.
  */
-export function GroupBalances({ balances }) {
+export function GroupBalances({
+  groupId,
+  balances,
+  currency,
+  missingRates,
+  simplifyDebts,
+}) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: simplified } = useConvexQuery(
+    api.groups.getSimplifiedDebts,
+    simplifyDebts && groupId ? { groupId } : "skip"
+  );
 
   /* ───── guards ────────────────────────────────────────────────────────── */
   if (!balances?.length || !currentUser) {
@@ -39,6 +56,8 @@ export function GroupBalances({ balances }) {
   }
 
   const userMap = Object.fromEntries(balances.map((b) => [b.id, b]));
+  const nameOf = (id) =>
+    id === currentUser._id ? "You" : (userMap[id]?.name ?? "Unknown");
 
   // Who owes me?
   const owedByMembers = me.owedBy
@@ -58,6 +77,8 @@ export function GroupBalances({ balances }) {
   /* ───── UI ────────────────────────────────────────────────────────────── */
   return (
     <div className="space-y-4">
+      <MissingRatesNotice missingRates={missingRates} />
+
       {/* Current user's total balance */}
       <div className="text-center pb-4 border-b">
         <p className="text-sm text-muted-foreground mb-1">Your balance</p>
@@ -71,10 +92,10 @@ export function GroupBalances({ balances }) {
           }`}
         >
           {me.totalBalance > 0
-            ? `+$${me.totalBalance.toFixed(2)}`
+            ? `+${formatMoney(me.totalBalance, currency)}`
             : me.totalBalance < 0
-              ? `-$${Math.abs(me.totalBalance).toFixed(2)}`
-              : "$0.00"}
+              ? `-${formatMoney(Math.abs(me.totalBalance), currency)}`
+              : formatMoney(0, currency)}
         </p>
         <p className="text-sm text-muted-foreground mt-1">
           {me.totalBalance > 0
@@ -114,7 +135,7 @@ export function GroupBalances({ balances }) {
                       <span className="text-sm">{member.name}</span>
                     </div>
                     <span className="font-medium text-green-600">
-                      ${member.amount.toFixed(2)}
+                      {formatMoney(member.amount, currency)}
                     </span>
                   </div>
                 ))}
@@ -145,7 +166,7 @@ export function GroupBalances({ balances }) {
                       <span className="text-sm">{member.name}</span>
                     </div>
                     <span className="font-medium text-red-600">
-                      ${member.amount.toFixed(2)}
+                      {formatMoney(member.amount, currency)}
                     </span>
                   </div>
                 ))}
@@ -154,6 +175,30 @@ export function GroupBalances({ balances }) {
           )}
         </div>
       )}
+
+      {/* Every payment that settles the group (simplify debts) */}
+      {simplifyDebts && simplified?.transfers.length > 0 && (
+        <div className="pt-4 border-t">
+          <h3 className="text-sm font-medium mb-3">Suggested payments</h3>
+          <div className="space-y-2">
+            {simplified.transfers.map(({ from, to, amount }) => (
+              <div
+                key={`${from}-${to}`}
+                className="flex items-center justify-between text-sm"
+              >
+                <div className="flex items-center gap-2">
+                  <span>{nameOf(from)}</span>
+                  <ArrowRight className="h-3.5 w-3.5 text-muted-foreground" />
+                  <span>{nameOf(to)}</span>
+                </div>
+                <span className="font-medium">
+                  {formatMoney(amount, simplified.currency)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }  
\ No newline at end of file
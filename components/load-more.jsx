@@ -0,0 +1,32 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { BarLoader } from "react-spinners";
+
+// Items per request of the paginated expense / settlement feeds
+export const PAGE_SIZE = 20;
+
+// Put at the end of a list fed by usePaginatedQuery: loads the next page
+// as soon as it scrolls into view. Also keeps loading while it stays in
+// view, so a page that came back short still fills the screen.
+export function LoadMore({ status, loadMore, pageSize = PAGE_SIZE }) {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (status !== "CanLoadMore" || !ref.current) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore(pageSize);
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [status, loadMore, pageSize]);
+
+  if (status === "Exhausted") return null;
+
+  return (
+    <div ref={ref} className="py-2">
+      {status !== "CanLoadMore" && <BarLoader width={"100%"} color="#36d7b7" />}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import { AlertTriangle } from "lucide-react";
+
+// Shown when a balance query left out amounts it couldn't convert
+export function MissingRatesNotice({ missingRates }) {
+  if (!missingRates?.length) return null;
+
+  return (
+    <div className="flex items-start gap-2 rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-700">
+      <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+      <span>
+        No exchange rate for {missingRates.join(", ")} yet, so those amounts
+        are left out of the balances. Ask an admin to add the rate.
+      </span>
+    </div>
+  );
+}
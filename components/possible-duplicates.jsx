@@ -0,0 +1,125 @@
+"use client";
+
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Copy } from "lucide-react";
+import { toast } from "sonner";
+import { formatMoney, getCurrency } from "@/convex/lib/currency";
+
+// One side of a pair, with the button that keeps it (and merges the
+// other one into it)
+function DuplicateSide({ expense, other, nameOf, onKeep, disabled }) {
+  return (
+    <div className="flex-1 rounded-md border p-3 space-y-1 text-sm">
+      <p className="font-medium">{expense.description}</p>
+      <p className="text-muted-foreground">
+        {formatMoney(expense.amount, getCurrency(expense))} ·{" "}
+        {format(new Date(expense.date), "MMM d, yyyy")}
+      </p>
+      <p className="text-muted-foreground">
+        Added by {nameOf(expense.createdBy)}
+      </p>
+      <Button
+        size="sm"
+        variant="outline"
+        className="mt-2"
+        disabled={disabled || !other.canRemove}
+        title={
+          other.canRemove
+            ? undefined
+            : "Only whoever added or paid the other one can remove it"
+        }
+        onClick={() => onKeep(expense, other)}
+      >
+        Keep this one
+      </Button>
+    </div>
+  );
+}
+
+// "Possible duplicates" review for a group: pairs of expenses that look
+// like the same bill, to merge or mark as different.
+// Renders nothing when there are none.
+export function PossibleDuplicates({ groupId }) {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data } = useConvexQuery(api.expenses.getPossibleDuplicates, {
+    groupId,
+  });
+  const mergeExpenses = useConvexMutation(api.expenses.mergeDuplicateExpenses);
+  const dismissDuplicate = useConvexMutation(api.expenses.dismissDuplicate);
+
+  if (!data?.pairs.length) return null;
+
+  const nameOf = (id) =>
+    id === currentUser?._id ? "You" : data.userNames[id] || "Unknown";
+  const isBusy = mergeExpenses.isLoading || dismissDuplicate.isLoading;
+
+  const handleKeep = async (keep, duplicate) => {
+    try {
+      await mergeExpenses.mutate({
+        keepId: keep._id,
+        duplicateId: duplicate._id,
+      });
+      toast.success("Merged – the other expense is in the trash");
+    } catch (error) {
+      toast.error("Failed to merge expenses: " + error.message);
+    }
+  };
+
+  const handleDismiss = async ([a, b]) => {
+    try {
+      await dismissDuplicate.mutate({
+        expenseId: a._id,
+        otherExpenseId: b._id,
+      });
+    } catch (error) {
+      toast.error("Failed to dismiss: " + error.message);
+    }
+  };
+
+  return (
+    <Card className="border-amber-300">
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base flex items-center gap-2">
+          <Copy className="h-4 w-4 text-amber-600" />
+          Possible duplicates ({data.pairs.length})
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {data.pairs.map(([a, b]) => (
+          <div key={`${a._id}-${b._id}`} className="space-y-2">
+            <div className="flex flex-col sm:flex-row gap-2">
+              <DuplicateSide
+                expense={a}
+                other={b}
+                nameOf={nameOf}
+                onKeep={handleKeep}
+                disabled={isBusy}
+              />
+              <DuplicateSide
+                expense={b}
+                other={a}
+                nameOf={nameOf}
+                onKeep={handleKeep}
+                disabled={isBusy}
+              />
+            </div>
+            <div className="flex justify-end">
+              <Button
+                size="sm"
+                variant="ghost"
+                disabled={isBusy}
+                onClick={() => handleDismiss([a, b])}
+              >
+                Not a duplicate
+              </Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,23 +1,63 @@
 "use client";
 
 import { useState } from "react";
-import { useConvexQuery } from "@/hooks/use-convex-query";
+import { useConvexMutation, useConvexQuery } from "@/hooks/use-convex-query";
 import { api } from "@/convex/_generated/api";
 import { format } from "date-fns";
+import { BarLoader } from "react-spinners";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
-import { ArrowLeftRight } from "lucide-react";
+import { ArrowLeftRight, Check, X } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
 import Link from "next/link";
+import { formatMoney, getCurrency } from "@/convex/lib/currency";
+import { CommentThread } from "@/components/comment-thread";
+import { Attachments } from "@/components/attachments";
+import { LoadMore } from "@/components/load-more";
 
 export function SettlementList({
   settlements,
   isGroupSettlement = false,
   userLookupMap,
+  status, // from usePaginatedQuery, when the list is paginated
+  loadMore,
 }) {
   const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: attachmentsById } = useConvexQuery(
+    api.attachments.getAttachmentsFor,
+    { settlementIds: (settlements ?? []).map((s) => s._id) }
+  );
+  const confirmSettlement = useConvexMutation(
+    api.settlements.confirmSettlement
+  );
+  const rejectSettlement = useConvexMutation(api.settlements.rejectSettlement);
   console.log("settlements", settlements);
 
-  if (!settlements || !settlements.length) {
+  const handleConfirm = async (settlement) => {
+    try {
+      await confirmSettlement.mutate({ settlementId: settlement._id });
+      toast.success("Settlement confirmed");
+    } catch (error) {
+      toast.error("Failed to confirm settlement: " + error.message);
+    }
+  };
+
+  const handleReject = async (settlement) => {
+    try {
+      await rejectSettlement.mutate({ settlementId: settlement._id });
+      toast.success("Settlement rejected");
+    } catch (error) {
+      toast.error("Failed to reject settlement: " + error.message);
+    }
+  };
+
+  if (status === "LoadingFirstPage") {
+    return <BarLoader width={"100%"} color="#36d7b7" />;
+  }
+
+  // An empty page can still be followed by more (see LoadMore)
+  if (!settlements?.length && (!status || status === "Exhausted")) {
     return (
       <Card>
         <CardContent className="py-8 text-center text-muted-foreground">
@@ -86,9 +126,17 @@ export function SettlementList({
 
                 <div className="text-right">
                   <div className="font-medium">
-                    ${settlement.amount.toFixed(2)}
+                    {formatMoney(settlement.amount, getCurrency(settlement))}
                   </div>
-                  {isGroupSettlement ? (
+                  {settlement.status === "pending" ? (
+                    <Badge variant="outline" className="mt-1 text-amber-600">
+                      Awaiting confirmation
+                    </Badge>
+                  ) : settlement.status === "rejected" ? (
+                    <Badge variant="outline" className="mt-1 text-red-600">
+                      Rejected
+                    </Badge>
+                  ) : isGroupSettlement ? (
                     <Badge variant="outline" className="mt-1">
                       Group settlement
                     </Badge>
@@ -105,10 +153,42 @@ export function SettlementList({
                   )}
                 </div>
               </div>
+
+              {/* Only the receiver can say the money arrived */}
+              {settlement.status === "pending" && isCurrentUserReceiver && (
+                <div className="flex justify-end gap-2 mt-3">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={rejectSettlement.isLoading}
+                    onClick={() => handleReject(settlement)}
+                  >
+                    <X className="h-4 w-4 mr-1" />
+                    Reject
+                  </Button>
+                  <Button
+                    size="sm"
+                    disabled={confirmSettlement.isLoading}
+                    onClick={() => handleConfirm(settlement)}
+                  >
+                    <Check className="h-4 w-4 mr-1" />
+                    Confirm
+                  </Button>
+                </div>
+              )}
+
+              <Attachments
+                settlementId={settlement._id}
+                attachments={attachmentsById?.[settlement._id]}
+                currentUserId={currentUser?._id}
+              />
+
+              <CommentThread settlementId={settlement._id} />
             </CardContent>
           </Card>
         );
       })}
+      {status && <LoadMore status={status} loadMore={loadMore} />}
     </div>
   );
 }
\ No newline at end of file
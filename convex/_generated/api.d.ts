@@ -8,14 +8,38 @@
  * @module
  */
 
+import type * as attachments from "../attachments.js";
+import type * as categories from "../categories.js";
+import type * as categoryRules from "../categoryRules.js";
+import type * as comments from "../comments.js";
 import type * as contacts from "../contacts.js";
 import type * as dashboard from "../dashboard.js";
 import type * as email from "../email.js";
+import type * as exchangeRates from "../exchangeRates.js";
+import type * as expenseImports from "../expenseImports.js";
+import type * as expensePairs from "../expensePairs.js";
+import type * as expenseTemplates from "../expenseTemplates.js";
 import type * as expenses from "../expenses.js";
 import type * as groups from "../groups.js";
+import type * as history from "../history.js";
+import type * as http from "../http.js";
 import type * as inngest from "../inngest.js";
+import type * as ledgerExports from "../ledgerExports.js";
+import type * as lib_balances from "../lib/balances.js";
+import type * as lib_categories from "../lib/categories.js";
+import type * as lib_categoryRules from "../lib/categoryRules.js";
+import type * as lib_csv from "../lib/csv.js";
+import type * as lib_currency from "../lib/currency.js";
+import type * as lib_duplicates from "../lib/duplicates.js";
+import type * as lib_recurrence from "../lib/recurrence.js";
+import type * as lib_simplify from "../lib/simplify.js";
+import type * as lib_splits from "../lib/splits.js";
+import type * as lib_suggestions from "../lib/suggestions.js";
+import type * as migrations from "../migrations.js";
+import type * as recurringExpenses from "../recurringExpenses.js";
 import type * as seed from "../seed.js";
 import type * as settlements from "../settlements.js";
+import type * as suggestions from "../suggestions.js";
 import type * as users from "../users.js";
 
 import type {
@@ -33,14 +57,38 @@ import type {
  * ```
  */
 declare const fullApi: ApiFromModules<{
+  attachments: typeof attachments;
+  categories: typeof categories;
+  categoryRules: typeof categoryRules;
+  comments: typeof comments;
   contacts: typeof contacts;
   dashboard: typeof dashboard;
   email: typeof email;
+  exchangeRates: typeof exchangeRates;
+  expenseImports: typeof expenseImports;
+  expensePairs: typeof expensePairs;
+  expenseTemplates: typeof expenseTemplates;
   expenses: typeof expenses;
   groups: typeof groups;
+  history: typeof history;
+  http: typeof http;
   inngest: typeof inngest;
+  ledgerExports: typeof ledgerExports;
+  "lib/balances": typeof lib_balances;
+  "lib/categories": typeof lib_categories;
+  "lib/categoryRules": typeof lib_categoryRules;
+  "lib/csv": typeof lib_csv;
+  "lib/currency": typeof lib_currency;
+  "lib/duplicates": typeof lib_duplicates;
+  "lib/recurrence": typeof lib_recurrence;
+  "lib/simplify": typeof lib_simplify;
+  "lib/splits": typeof lib_splits;
+  "lib/suggestions": typeof lib_suggestions;
+  migrations: typeof migrations;
+  recurringExpenses: typeof recurringExpenses;
   seed: typeof seed;
   settlements: typeof settlements;
+  suggestions: typeof suggestions;
   users: typeof users;
 }>;
 declare const fullApiWithMounts: typeof fullApi;
@@ -0,0 +1,180 @@
+import { internalQuery, mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { canAccessItem, getAccessibleItem } from "./comments";
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Receipt photos and PDFs only
+const isAllowedType = (contentType) =>
+  /^image\//.test(contentType ?? "") || contentType === "application/pdf";
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+const attachmentsOf = (ctx, { expenseId, settlementId }) =>
+  expenseId
+    ? ctx.db
+        .query("attachments")
+        .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+        .collect()
+    : ctx.db
+        .query("attachments")
+        .withIndex("by_settlement", (q) => q.eq("settlementId", settlementId))
+        .collect();
+
+// What the client gets to see of an attachment. There's no storage URL:
+// those work for anyone who has them, so the file itself is only served
+// by GET /attachments (see http.js), which checks access every time.
+const toClient = (attachment) => ({
+  _id: attachment._id,
+  fileName: attachment.fileName,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  uploadedBy: attachment.uploadedBy,
+});
+
+// Remove the files of an expense or settlement that is being deleted
+export async function deleteAttachments(ctx, item) {
+  for (const attachment of await attachmentsOf(ctx, item)) {
+    await ctx.storage.delete(attachment.storageId);
+    await ctx.db.delete(attachment._id);
+  }
+}
+
+/* ============================================================================
+ *  UPLOAD: generateUploadUrl → POST the file → addAttachment
+ * -------------------------------------------------------------------------- */
+
+export const generateUploadUrl = mutation({
+  args: {},
+  handler: async (ctx) => {
+    await ctx.runQuery(internal.users.getCurrentUser);
+    return await ctx.storage.generateUploadUrl();
+  },
+});
+
+// Link an uploaded file to an expense or settlement. Files that aren't an
+// image or PDF, or are too big, are removed from storage again.
+export const addAttachment = mutation({
+  args: {
+    expenseId: v.optional(v.id("expenses")),
+    settlementId: v.optional(v.id("settlements")),
+    storageId: v.id("_storage"),
+    fileName: v.string(),
+  },
+  handler: async (ctx, { storageId, fileName, ...item }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    await getAccessibleItem(ctx, user._id, item);
+
+    const file = await ctx.db.system.get(storageId);
+    if (!file) {
+      throw new Error("Uploaded file not found");
+    }
+    if (!isAllowedType(file.contentType) || file.size > MAX_FILE_SIZE) {
+      await ctx.storage.delete(storageId);
+      throw new Error("Attachments must be images or PDFs up to 10 MB");
+    }
+
+    return await ctx.db.insert("attachments", {
+      ...item,
+      storageId,
+      fileName: fileName.trim() || "Attachment",
+      contentType: file.contentType,
+      size: file.size,
+      uploadedBy: user._id,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// The uploader, or whoever created the expense / settlement, can remove it
+export const deleteAttachment = mutation({
+  args: { attachmentId: v.id("attachments") },
+  handler: async (ctx, { attachmentId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const attachment = await ctx.db.get(attachmentId);
+    if (!attachment) {
+      throw new Error("Attachment not found");
+    }
+    const item = await ctx.db.get(
+      attachment.expenseId ?? attachment.settlementId
+    );
+    if (attachment.uploadedBy !== user._id && item?.createdBy !== user._id) {
+      throw new Error("You don't have permission to remove this attachment");
+    }
+
+    await ctx.storage.delete(attachment.storageId);
+    await ctx.db.delete(attachmentId);
+    return { success: true };
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getAttachmentsFor
+ *  Attachments of a whole list of expenses and settlements in one go,
+ *  as { [itemId]: [attachment] }. Items the user can't see are left out.
+ * -------------------------------------------------------------------------- */
+
+export const getAttachmentsFor = query({
+  args: {
+    expenseIds: v.optional(v.array(v.id("expenses"))),
+    settlementIds: v.optional(v.array(v.id("settlements"))),
+  },
+  handler: async (ctx, { expenseIds = [], settlementIds = [] }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const items = [
+      ...expenseIds.map((id) => ({ id, key: { expenseId: id } })),
+      ...settlementIds.map((id) => ({ id, key: { settlementId: id } })),
+    ];
+
+    const result = {};
+    for (const { id, key } of items) {
+      const item = await ctx.db.get(id);
+      if (!item) continue;
+      if (!(await canAccessItem(ctx, user._id, item, !key.expenseId))) {
+        continue;
+      }
+
+      const attachments = await attachmentsOf(ctx, key);
+      if (attachments.length) {
+        result[id] = attachments.map(toClient);
+      }
+    }
+    return result;
+  },
+});
+
+/* ============================================================================
+ *  INTERNAL QUERY: getAttachmentFile
+ *  For GET /attachments: the stored file of an attachment, if the caller
+ *  can still see its expense or settlement – else null.
+ * -------------------------------------------------------------------------- */
+
+export const getAttachmentFile = internalQuery({
+  args: { attachmentId: v.string() },
+  handler: async (ctx, { attachmentId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const id = ctx.db.normalizeId("attachments", attachmentId);
+    const attachment = id && (await ctx.db.get(id));
+    if (!attachment) return null;
+
+    const isSettlement = !attachment.expenseId;
+    const item = await ctx.db.get(
+      attachment.expenseId ?? attachment.settlementId
+    );
+    if (!item || !(await canAccessItem(ctx, user._id, item, isSettlement))) {
+      return null;
+    }
+
+    return {
+      storageId: attachment.storageId,
+      contentType: attachment.contentType,
+      fileName: attachment.fileName,
+    };
+  },
+});
@@ -0,0 +1,253 @@
+import { internalMutation, mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import {
+  applyGroupCategories,
+  CATEGORY_ICON_NAMES,
+  DEFAULT_CATEGORIES,
+  getVisibleCategories,
+  OTHER_CATEGORY_ID,
+  resolveCategory,
+  toCategory,
+} from "./lib/categories";
+
+const MAX_NAME_LENGTH = 30;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+// The seeded default categories, or the built-in list until seedCategories
+// has run
+async function getDefaultCategories(ctx) {
+  const rows = await ctx.db
+    .query("categories")
+    .withIndex("by_group", (q) => q.eq("groupId", undefined))
+    .collect();
+  return rows.length ? rows.map(toCategory) : DEFAULT_CATEGORIES;
+}
+
+// Category lists for some groups → { defaults, groups: { [groupId]: [...] } }
+// (hidden and merged categories included, so old expenses still resolve)
+export async function loadCategories(ctx, groupIds) {
+  const defaults = await getDefaultCategories(ctx);
+  const groups = {};
+  for (const groupId of new Set(groupIds)) {
+    const rows = await ctx.db
+      .query("categories")
+      .withIndex("by_group", (q) => q.eq("groupId", groupId))
+      .collect();
+    groups[groupId] = applyGroupCategories(defaults, rows);
+  }
+  return { defaults, groups };
+}
+
+// Category of an expense (or anything with groupId + category), from the
+// lists of loadCategories
+export const categoryOf = (lists, doc) =>
+  resolveCategory(
+    (doc.groupId && lists.groups[doc.groupId]) || lists.defaults,
+    doc.category
+  );
+
+// The group's categories, as long as the caller is a member
+async function getGroupCategories(ctx, groupId) {
+  const user = await ctx.runQuery(internal.users.getCurrentUser);
+  const group = await ctx.db.get(groupId);
+  if (!group) throw new Error("Group not found");
+  if (!group.members.some((m) => m.userId === user._id)) {
+    throw new Error("You are not a member of this group");
+  }
+
+  const { groups } = await loadCategories(ctx, [groupId]);
+  return groups[groupId];
+}
+
+// A category of the group that can still be changed (not merged away)
+function findCategory(categories, categoryId) {
+  const category = categories.find((c) => c.id === categoryId);
+  if (!category || category.mergedInto) {
+    throw new Error("Category not found");
+  }
+  return category;
+}
+
+// Save the group's version of `category` with `changes` applied
+async function saveGroupCategory(ctx, groupId, category, changes) {
+  const row = await ctx.db
+    .query("categories")
+    .withIndex("by_group_and_key", (q) =>
+      q.eq("groupId", groupId).eq("key", category.id)
+    )
+    .unique();
+
+  if (row) {
+    await ctx.db.patch(row._id, changes);
+  } else {
+    await ctx.db.insert("categories", {
+      groupId,
+      key: category.id,
+      name: category.name,
+      icon: category.icon,
+      color: category.color,
+      ...changes,
+    });
+  }
+}
+
+/* ============================================================================
+ *  QUERY: getCategories
+ *  Categories of every group the caller is in, plus the defaults (used for
+ *  1‑to‑1 expenses): { defaults: [...], groups: { [groupId]: [...] } }
+ * -------------------------------------------------------------------------- */
+
+export const getCategories = query({
+  args: {},
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const groupIds = (await ctx.db.query("groups").collect())
+      .filter((g) => g.members.some((m) => m.userId === user._id))
+      .map((g) => g._id);
+
+    return await loadCategories(ctx, groupIds);
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: managing a group's categories (any member)
+ * -------------------------------------------------------------------------- */
+
+// Add a category (no categoryId) or rename / recolor / re-icon one
+export const saveCategory = mutation({
+  args: {
+    groupId: v.id("groups"),
+    categoryId: v.optional(v.string()),
+    name: v.string(),
+    icon: v.string(), // lucide icon name, one of CATEGORY_ICON_NAMES
+    color: v.string(), // hex
+  },
+  handler: async (ctx, { groupId, categoryId, ...args }) => {
+    const categories = await getGroupCategories(ctx, groupId);
+
+    const name = args.name.trim();
+    if (!name) throw new Error("Give the category a name");
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(
+        `Category names can be at most ${MAX_NAME_LENGTH} characters`
+      );
+    }
+    if (!CATEGORY_ICON_NAMES.includes(args.icon)) {
+      throw new Error("Pick one of the listed icons");
+    }
+    if (!COLOR_PATTERN.test(args.color)) {
+      throw new Error("Colors must look like #f97316");
+    }
+
+    const taken = getVisibleCategories(categories).some(
+      (c) => c.id !== categoryId && c.name.toLowerCase() === name.toLowerCase()
+    );
+    if (taken) throw new Error(`There is already a "${name}" category`);
+
+    const fields = { name, icon: args.icon, color: args.color };
+
+    if (categoryId) {
+      const category = findCategory(categories, categoryId);
+      await saveGroupCategory(ctx, groupId, category, fields);
+      return categoryId;
+    }
+
+    // Keys only need to be unique within the group
+    const key = `custom-${Date.now().toString(36)}`;
+    await ctx.db.insert("categories", { groupId, key, ...fields });
+    return key;
+  },
+});
+
+// Hide a category from the pickers (its expenses keep it), or show it again
+export const setCategoryHidden = mutation({
+  args: {
+    groupId: v.id("groups"),
+    categoryId: v.string(),
+    hidden: v.boolean(),
+  },
+  handler: async (ctx, { groupId, categoryId, hidden }) => {
+    const categories = await getGroupCategories(ctx, groupId);
+    const category = findCategory(categories, categoryId);
+    if (category.id === OTHER_CATEGORY_ID) {
+      throw new Error(`"${category.name}" can't be hidden`);
+    }
+
+    await saveGroupCategory(ctx, groupId, category, {
+      hidden: hidden || undefined,
+    });
+    return { success: true };
+  },
+});
+
+// Merge one category into another: the group's expenses and recurring
+// expenses move over, and the merged one resolves to the other from now
+// on (for anything that still stores it, e.g. templates).
+export const mergeCategories = mutation({
+  args: {
+    groupId: v.id("groups"),
+    fromId: v.string(),
+    intoId: v.string(),
+  },
+  handler: async (ctx, { groupId, fromId, intoId }) => {
+    const categories = await getGroupCategories(ctx, groupId);
+    const from = findCategory(categories, fromId);
+    const into = findCategory(categories, intoId);
+    if (from.id === into.id) {
+      throw new Error("Pick two different categories");
+    }
+    if (from.id === OTHER_CATEGORY_ID) {
+      throw new Error(`"${from.name}" can't be merged away`);
+    }
+
+    // Moved before the merge, while old values still resolve to `from`
+    let moved = 0;
+    for (const table of ["expenses", "recurringExpenses"]) {
+      const docs = await ctx.db
+        .query(table)
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect();
+      for (const doc of docs) {
+        if (resolveCategory(categories, doc.category).id !== from.id) continue;
+        await ctx.db.patch(doc._id, { category: into.id });
+        moved += 1;
+      }
+    }
+
+    await saveGroupCategory(ctx, groupId, from, {
+      hidden: true,
+      mergedInto: into.id,
+    });
+
+    return { moved };
+  },
+});
+
+/* ============================================================================
+ *  MIGRATION: seedCategories
+ *  Copies DEFAULT_CATEGORIES into the categories table. Run once:
+ *      npx convex run categories:seedCategories
+ *  Does nothing when the defaults are already there.
+ * -------------------------------------------------------------------------- */
+
+export const seedCategories = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const existing = await ctx.db
+      .query("categories")
+      .withIndex("by_group", (q) => q.eq("groupId", undefined))
+      .first();
+    if (existing) return { seeded: 0 };
+
+    for (const { id, name, icon, color } of DEFAULT_CATEGORIES) {
+      await ctx.db.insert("categories", { key: id, name, icon, color });
+    }
+    return { seeded: DEFAULT_CATEGORIES.length };
+  },
+});
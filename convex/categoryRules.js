@@ -0,0 +1,249 @@
+import { internalMutation, mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { recordExpenseHistory } from "./history";
+import { categoryOf, loadCategories } from "./categories";
+import { isInvolved } from "./lib/balances";
+import { OTHER_CATEGORY_ID, resolveCategory } from "./lib/categories";
+import { findMatchingRule, getRulePatternError } from "./lib/categoryRules";
+
+const BACKFILL_BATCH_SIZE = 100;
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+const newestFirst = (rules) => rules.sort((a, b) => b.createdAt - a.createdAt);
+
+// Rules for an expense in `groupId` (none: 1‑to‑1) added by `userId`, most
+// important first: the group's rules, then the person's own. Newer rules
+// win within each.
+export async function loadRules(ctx, userId, groupId) {
+  const groupRules = groupId
+    ? await ctx.db
+        .query("categoryRules")
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect()
+    : [];
+  const userRules = await ctx.db
+    .query("categoryRules")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .collect();
+
+  return [...newestFirst(groupRules), ...newestFirst(userRules)];
+}
+
+// The category rules give an expense with `description`, or undefined
+export async function getRuleCategory(ctx, { userId, groupId, description }) {
+  const rule = findMatchingRule(
+    await loadRules(ctx, userId, groupId),
+    description
+  );
+  return rule?.categoryId;
+}
+
+// Caller must be in the group to see or change its rules
+async function checkGroupMember(ctx, user, groupId) {
+  const group = await ctx.db.get(groupId);
+  if (!group) throw new Error("Group not found");
+  if (!group.members.some((m) => m.userId === user._id)) {
+    throw new Error("You are not a member of this group");
+  }
+}
+
+/* ============================================================================
+ *  QUERY: getCategoryRules
+ *  The group's rules (when groupId is given) and the caller's own:
+ *  { groupRules, myRules }, newest first. The expense form runs the two
+ *  (group first) through findMatchingRule to preview the category.
+ * -------------------------------------------------------------------------- */
+
+export const getCategoryRules = query({
+  args: { groupId: v.optional(v.id("groups")) },
+  handler: async (ctx, { groupId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    let groupRules = [];
+    if (groupId) {
+      await checkGroupMember(ctx, user, groupId);
+      groupRules = await ctx.db
+        .query("categoryRules")
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect();
+    }
+    const myRules = await ctx.db
+      .query("categoryRules")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .collect();
+
+    return {
+      groupRules: newestFirst(groupRules),
+      myRules: newestFirst(myRules),
+    };
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: adding and removing rules
+ * -------------------------------------------------------------------------- */
+
+// Add a rule for the group (groupId given, any member) or just for the
+// caller. Saving a pattern the scope already has moves it to the new
+// category instead.
+export const createCategoryRule = mutation({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    pattern: v.string(),
+    isRegex: v.boolean(),
+    categoryId: v.string(),
+  },
+  handler: async (ctx, { groupId, isRegex, categoryId, ...args }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    if (groupId) await checkGroupMember(ctx, user, groupId);
+
+    const pattern = args.pattern.trim();
+    const patternError = getRulePatternError(pattern, isRegex);
+    if (patternError) throw new Error(patternError);
+
+    const lists = await loadCategories(ctx, groupId ? [groupId] : []);
+    const category = (groupId ? lists.groups[groupId] : lists.defaults).find(
+      (c) => c.id === categoryId
+    );
+    if (!category || category.hidden || category.mergedInto) {
+      throw new Error("Category not found");
+    }
+
+    const existing = (
+      await ctx.db
+        .query("categoryRules")
+        .withIndex(groupId ? "by_group" : "by_user", (q) =>
+          groupId ? q.eq("groupId", groupId) : q.eq("userId", user._id)
+        )
+        .collect()
+    ).find(
+      (rule) =>
+        rule.isRegex === isRegex &&
+        rule.pattern.toLowerCase() === pattern.toLowerCase()
+    );
+    if (existing) {
+      await ctx.db.patch(existing._id, { categoryId, createdAt: Date.now() });
+      return existing._id;
+    }
+
+    return await ctx.db.insert("categoryRules", {
+      groupId,
+      userId: groupId ? undefined : user._id,
+      pattern,
+      isRegex,
+      categoryId,
+      createdBy: user._id,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// Group rules can be removed by any member, personal ones by their owner
+export const deleteCategoryRule = mutation({
+  args: { ruleId: v.id("categoryRules") },
+  handler: async (ctx, { ruleId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const rule = await ctx.db.get(ruleId);
+    if (!rule) throw new Error("Rule not found");
+    if (rule.groupId) {
+      await checkGroupMember(ctx, user, rule.groupId);
+    } else if (rule.userId !== user._id) {
+      throw new Error("You can only remove your own rules");
+    }
+
+    await ctx.db.delete(ruleId);
+    return { success: true };
+  },
+});
+
+/* ============================================================================
+ *  JOB: re-categorize past "Other" expenses with the current rules
+ *  startCategoryBackfill kicks it off for a group (groupId) or the caller's
+ *  1‑to‑1 expenses; backfillCategories then works through them in batches,
+ *  each expense getting its group's rules and its creator's own.
+ *  Changes show up in the expense history as edits by whoever started it.
+ * -------------------------------------------------------------------------- */
+
+export const startCategoryBackfill = mutation({
+  args: { groupId: v.optional(v.id("groups")) },
+  handler: async (ctx, { groupId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    if (groupId) await checkGroupMember(ctx, user, groupId);
+
+    await ctx.scheduler.runAfter(
+      0,
+      internal.categoryRules.backfillCategories,
+      { actorId: user._id, groupId, cursor: null }
+    );
+    return { success: true };
+  },
+});
+
+export const backfillCategories = internalMutation({
+  args: {
+    actorId: v.id("users"),
+    groupId: v.optional(v.id("groups")),
+    cursor: v.union(v.string(), v.null()),
+  },
+  handler: async (ctx, { actorId, groupId, cursor }) => {
+    const { page, isDone, continueCursor } = await ctx.db
+      .query("expenses")
+      .withIndex("by_group", (q) => q.eq("groupId", groupId))
+      .paginate({ cursor, numItems: BACKFILL_BATCH_SIZE });
+
+    const lists = await loadCategories(ctx, groupId ? [groupId] : []);
+    const rulesByCreator = new Map();
+    let changed = 0;
+
+    for (const expense of page) {
+      if (expense.deletedAt) continue; // in the trash
+      if (!groupId && !isInvolved(expense, actorId)) continue;
+      if (categoryOf(lists, expense).id !== OTHER_CATEGORY_ID) continue;
+
+      if (!rulesByCreator.has(expense.createdBy)) {
+        rulesByCreator.set(
+          expense.createdBy,
+          await loadRules(ctx, expense.createdBy, groupId)
+        );
+      }
+      const rule = findMatchingRule(
+        rulesByCreator.get(expense.createdBy),
+        expense.description
+      );
+      if (!rule) continue;
+
+      // The rule's category as the group sees it now (it may be merged)
+      const category = resolveCategory(
+        groupId ? lists.groups[groupId] : lists.defaults,
+        rule.categoryId
+      );
+      if (category.id === OTHER_CATEGORY_ID) continue;
+
+      await ctx.db.patch(expense._id, { category: category.id });
+      await recordExpenseHistory(ctx, {
+        expenseId: expense._id,
+        action: "update",
+        actorId,
+        groupId,
+        before: expense,
+        after: await ctx.db.get(expense._id),
+      });
+      changed += 1;
+    }
+
+    if (!isDone) {
+      await ctx.scheduler.runAfter(
+        0,
+        internal.categoryRules.backfillCategories,
+        { actorId, groupId, cursor: continueCursor }
+      );
+    }
+
+    return { changed, done: isDone };
+  },
+});
@@ -0,0 +1,148 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { isInvolved } from "./lib/balances";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// A thread belongs to exactly one expense or one settlement
+const threadArgs = {
+  expenseId: v.optional(v.id("expenses")),
+  settlementId: v.optional(v.id("settlements")),
+};
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+// Whether `userId` may see an expense or settlement (and what's attached
+// to it). Group items → group members; 1‑to‑1 items → the people in them.
+export async function canAccessItem(ctx, userId, item, isSettlement) {
+  if (item.groupId) {
+    const group = await ctx.db.get(item.groupId);
+    return Boolean(group?.members.some((m) => m.userId === userId));
+  }
+  return isSettlement
+    ? item.paidByUserId === userId || item.receivedByUserId === userId
+    : isInvolved(item, userId);
+}
+
+// The expense or settlement of { expenseId } / { settlementId } (exactly
+// one of them), as long as `userId` may see it – otherwise throw
+export async function getAccessibleItem(ctx, userId, { expenseId, settlementId }) {
+  if (Boolean(expenseId) === Boolean(settlementId)) {
+    throw new Error("Pick either an expense or a settlement");
+  }
+
+  const item = await ctx.db.get(expenseId ?? settlementId);
+  if (!item) {
+    throw new Error(expenseId ? "Expense not found" : "Settlement not found");
+  }
+  if (!(await canAccessItem(ctx, userId, item, Boolean(settlementId)))) {
+    throw new Error(
+      item.groupId
+        ? "You are not a member of this group"
+        : `You don't have access to this ${expenseId ? "expense" : "settlement"}`
+    );
+  }
+  return item;
+}
+
+const threadQuery = (ctx, { expenseId, settlementId }) =>
+  expenseId
+    ? ctx.db
+        .query("comments")
+        .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+    : ctx.db
+        .query("comments")
+        .withIndex("by_settlement", (q) => q.eq("settlementId", settlementId));
+
+// Remove the thread of an expense or settlement that is being deleted
+export async function deleteComments(ctx, thread) {
+  const comments = await threadQuery(ctx, thread).collect();
+  for (const comment of comments) {
+    await ctx.db.delete(comment._id);
+  }
+}
+
+/* ============================================================================
+ *  QUERY: getComments
+ *  The thread of one expense or settlement, oldest first
+ * -------------------------------------------------------------------------- */
+
+export const getComments = query({
+  args: threadArgs,
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    await getAccessibleItem(ctx, user._id, args);
+
+    const comments = await threadQuery(ctx, args).collect();
+
+    // Author details, loaded once per person
+    const authorIds = [...new Set(comments.map((c) => c.authorId))];
+    const authors = await Promise.all(authorIds.map((id) => ctx.db.get(id)));
+    const authorMap = Object.fromEntries(
+      authors.filter(Boolean).map((u) => [u._id, u])
+    );
+
+    return comments
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((comment) => ({
+        ...comment,
+        author: {
+          id: comment.authorId,
+          name: authorMap[comment.authorId]?.name ?? "Former user",
+          imageUrl: authorMap[comment.authorId]?.imageUrl,
+        },
+        isOwn: comment.authorId === user._id,
+      }));
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: addComment / deleteComment
+ * -------------------------------------------------------------------------- */
+
+export const addComment = mutation({
+  args: { ...threadArgs, body: v.string() },
+  handler: async (ctx, { body, ...thread }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    await getAccessibleItem(ctx, user._id, thread);
+
+    const text = body.trim();
+    if (!text) {
+      throw new Error("Comment can't be empty");
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+      throw new Error(
+        `Comments can be at most ${MAX_COMMENT_LENGTH} characters`
+      );
+    }
+
+    return await ctx.db.insert("comments", {
+      ...thread,
+      authorId: user._id,
+      body: text,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+// Only the author can delete a comment
+export const deleteComment = mutation({
+  args: { commentId: v.id("comments") },
+  handler: async (ctx, { commentId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const comment = await ctx.db.get(commentId);
+    if (!comment) {
+      throw new Error("Comment not found");
+    }
+    if (comment.authorId !== user._id) {
+      throw new Error("You can only delete your own comments");
+    }
+
+    await ctx.db.delete(commentId);
+    return { success: true };
+  },
+});
@@ -1,6 +1,8 @@
 import { query, mutation } from "./_generated/server";
 import { v } from "convex/values";
-import { internal } from "./_generated/api";
+import { api, internal } from "./_generated/api";
+import { getPayers, isInvolved } from "./lib/balances";
+import { getCurrency, isCurrencyCode } from "./lib/currency";
 
 /* ===================== GET ALL CONTACTS (1–1 + GROUPS) ===================== */
 // Purpose: To fetch all the people and groups that the current user interacts with.
@@ -24,18 +26,19 @@ export const getAllContacts = query({
       .withIndex("by_user_and_group", (q) =>
         q.eq("paidByUserId", currentUser._id).eq("groupId", undefined)
       )
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
       .collect();
 
-    /* --- PERSONAL EXPENSES WHERE SOMEONE ELSE PAID, but YOU are in splits --- */
+    /* --- PERSONAL EXPENSES WHERE SOMEONE ELSE IS THE MAIN PAYER, but YOU are involved --- */
     const expensesNotPaidByYou = (
       await ctx.db
         .query("expenses")
         .withIndex("by_group", (q) => q.eq("groupId", undefined)) // only 1‑to‑1
+        .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
         .collect()
     ).filter(
       (e) =>
-        e.paidByUserId !== currentUser._id &&
-        e.splits.some((s) => s.userId === currentUser._id)
+        e.paidByUserId !== currentUser._id && isInvolved(e, currentUser._id)
     );
 
     const personalExpenses = [...expensesYouPaid, ...expensesNotPaidByYou];
@@ -43,8 +46,9 @@ export const getAllContacts = query({
     /* --- Collect all unique user IDs from these expenses (contacts) --- */
     const contactIds = new Set();
     personalExpenses.forEach((exp) => {
-      if (exp.paidByUserId !== currentUser._id)
-        contactIds.add(exp.paidByUserId);
+      getPayers(exp).forEach((p) => {
+        if (p.userId !== currentUser._id) contactIds.add(p.userId);
+      });
 
       exp.splits.forEach((s) => {
         if (s.userId !== currentUser._id) contactIds.add(s.userId);
@@ -86,6 +90,64 @@ export const getAllContacts = query({
   },
 });
 
+/* ===================== QUICK ENTRY DIRECTORY ===================== */
+// Purpose: Everyone a quick entry ("dinner 1800 split with Asha in Goa
+// Trip") can name: your 1‑to‑1 contacts, the members of your groups and you.
+// Steps:
+  // 1. Reuse getAllContacts for 1‑to‑1 contacts and your groups.
+  // 2. Add the members of those groups (and yourself).
+  // 3. Fetch user info for everyone new.
+// Returns: { people: [{ id, name, email, imageUrl }],
+//            groups: [{ id, name, currency, memberIds }] }
+export const getQuickEntryContacts = query({
+  handler: async (ctx) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+    const { users, groups } = await ctx.runQuery(api.contacts.getAllContacts);
+
+    const groupDocs = (
+      await Promise.all(groups.map((g) => ctx.db.get(g.id)))
+    ).filter(Boolean);
+
+    /* --- Members of your groups that aren't 1‑to‑1 contacts yet --- */
+    const known = new Set(users.map((u) => u.id));
+    const memberIds = new Set([currentUser._id]);
+    groupDocs.forEach((g) =>
+      g.members.forEach((m) => {
+        if (!known.has(m.userId)) memberIds.add(m.userId);
+      })
+    );
+
+    const members = await Promise.all(
+      [...memberIds].map((id) => ctx.db.get(id))
+    );
+
+    const people = [
+      ...users.map(({ id, name, email, imageUrl }) => ({
+        id,
+        name,
+        email,
+        imageUrl,
+      })),
+      ...members.filter(Boolean).map((u) => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        imageUrl: u.imageUrl,
+      })),
+    ];
+
+    return {
+      people,
+      groups: groupDocs.map((g) => ({
+        id: g._id,
+        name: g.name,
+        currency: getCurrency(g),
+        memberIds: g.members.map((m) => m.userId),
+      })),
+    };
+  },
+});
+
 
 /* ============================ CREATE GROUP ============================ */
 // Purpose: make a new group for splitting expenses
@@ -102,6 +164,7 @@ export const createGroup = mutation({
   args: {
     name: v.string(),
     description: v.optional(v.string()),
+    currency: v.optional(v.string()), // defaults to the creator's currency
     members: v.array(v.id("users")),
   },
   handler: async (ctx, args) => {
@@ -109,6 +172,8 @@ export const createGroup = mutation({
     const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
 
     if (!args.name.trim()) throw new Error("Group name cannot be empty");
+    if (args.currency && !isCurrencyCode(args.currency))
+      throw new Error("Invalid currency");
 
     // Add current user (creator) to member list
     const uniqueMembers = new Set(args.members);
@@ -124,6 +189,7 @@ export const createGroup = mutation({
     return await ctx.db.insert("groups", {
       name: args.name.trim(),
       description: args.description?.trim() ?? "",
+      currency: args.currency ?? getCurrency(currentUser),
       createdBy: currentUser._id,
       members: [...uniqueMembers].map((id) => ({
         userId: id,
@@ -1,5 +1,13 @@
 import { query } from "./_generated/server";
 import { internal } from "./_generated/api";
+import {
+  getExpenseDebts,
+  isInvolved,
+  isSettlementConfirmed,
+} from "./lib/balances";
+import { getCurrency } from "./lib/currency";
+import { getConverter } from "./exchangeRates";
+import { categoryOf, loadCategories } from "./categories";
 
 // Get user balances
 // Purpose: Calculate how much the current user owes and is owed for 1‑to‑1 expenses (non-group).
@@ -17,14 +25,16 @@ import { internal } from "./_generated/api";
 // 1. Fetch current user using getCurrentUser.
 // 2. Collect all 1‑to‑1 expenses where the user is involved (payer or splitter).
 // 3. Initialize youOwe, youAreOwed, and a balanceByUser map
-// 4. Loop over each expense:
-    // If user is payer → tally how much others owe them.
-    // If user is splitter → tally how much user owes.
+// 4. Loop over each expense's debts (an expense can have several payers),
+//    converted to the user's currency:
+    // Debt owed to the user → tally how much others owe them.
+    // Debt owed by the user → tally how much user owes.
 // 5. Apply settlements (subtract amounts already paid/settled).
 // 6. Build two lists for UI:
     // youOweList → who the user owes.
     // youAreOwedByList → who owes the user.
-// 7. Return youOwe, youAreOwed, totalBalance, and detailed lists.
+// 7. Return youOwe, youAreOwed, totalBalance, and detailed lists (+ the
+//    currency they're in and any currencies without an exchange rate).
 export const getUserBalances = query({
   handler: async (ctx) => {
     // this fetches the logged-in user’s ID.
@@ -35,31 +45,30 @@ export const getUserBalances = query({
     const expenses = (await ctx.db.query("expenses").collect()).filter(
       (e) =>
         !e.groupId && // 1‑to‑1 only
-        (e.paidByUserId === user._id ||
-          e.splits.some((s) => s.userId === user._id))
+        !e.deletedAt && // not in the trash
+        isInvolved(e, user._id)
     );
 
+    const currency = getCurrency(user);
+    const convert = await getConverter(ctx, currency);
+
     let youOwe = 0; // money user ko dena
     let youAreOwed = 0; // money others user se lena
     const balanceByUser = {}; // track per-person balances
 
     for (const e of expenses) {
-      const isPayer = e.paidByUserId === user._id;
-      const mySplit = e.splits.find((s) => s.userId === user._id);
-
-      // You paid for someone
-      if (isPayer) {
-        for (const s of e.splits) {
-          if (s.userId === user._id || s.paid) continue;
-          youAreOwed += s.amount;
-          (balanceByUser[s.userId] ??= { owed: 0, owing: 0 }).owed += s.amount;
+      for (const debt of getExpenseDebts(e)) {
+        const amount = convert(debt.amount, getCurrency(e));
+        // You paid for someone
+        if (debt.to === user._id) {
+          youAreOwed += amount;
+          (balanceByUser[debt.from] ??= { owed: 0, owing: 0 }).owed += amount;
+        }
+        // User didn’t pay → dene hai kisiko
+        else if (debt.from === user._id) {
+          youOwe += amount;
+          (balanceByUser[debt.to] ??= { owed: 0, owing: 0 }).owing += amount;
         }
-      }
-      // User didn’t pay → dene hai kisiko
-      else if (mySplit && !mySplit.paid) {
-        youOwe += mySplit.amount;
-        (balanceByUser[e.paidByUserId] ??= { owed: 0, owing: 0 }).owing +=
-          mySplit.amount;
       }
     }
 
@@ -67,19 +76,21 @@ export const getUserBalances = query({
     const settlements = (await ctx.db.query("settlements").collect()).filter(
       (s) =>
         !s.groupId &&
-        (s.paidByUserId === user._id || s.receivedByUserId === user._id)
+        (s.paidByUserId === user._id || s.receivedByUserId === user._id) &&
+        isSettlementConfirmed(s)
     );
     // If user already paid someone → subtract from youOwe.
     // If someone already paid user → subtract from youAreOwed.
     for (const s of settlements) {
+      const amount = convert(s.amount, getCurrency(s));
       if (s.paidByUserId === user._id) {
-        youOwe -= s.amount;
+        youOwe -= amount;
         (balanceByUser[s.receivedByUserId] ??= { owed: 0, owing: 0 }).owing -=
-          s.amount;
+          amount;
       } else {
-        youAreOwed -= s.amount;
+        youAreOwed -= amount;
         (balanceByUser[s.paidByUserId] ??= { owed: 0, owing: 0 }).owed -=
-          s.amount;
+          amount;
       }
     }
 
@@ -107,6 +118,8 @@ export const getUserBalances = query({
       youAreOwed,     // total money you are owed
       totalBalance: youAreOwed - youOwe,
       oweDetails: { youOwe: youOweList, youAreOwedBy: youAreOwedByList },
+      currency,       // currency of all the amounts above
+      missingRates: [...convert.missing], // left out: no exchange rate
     };
   },
 });
@@ -134,16 +147,16 @@ export const getTotalSpent = query({
     const expenses = await ctx.db
       .query("expenses")
       .withIndex("by_date", (q) => q.gte("date", startOfYear))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
       .collect();
 
     // Only keep expenses where the user paid or is part of a split.
-    const userExpenses = expenses.filter(
-      (expense) =>
-        expense.paidByUserId === user._id ||
-        expense.splits.some((split) => split.userId === user._id)
-    ); 
+    const userExpenses = expenses.filter((expense) =>
+      isInvolved(expense, user._id)
+    );
 
-    // Calculate total spent (personal share only)
+    // Calculate total spent (personal share only, in the user's currency)
+    const convert = await getConverter(ctx, getCurrency(user));
     let totalSpent = 0;
     // Loop through each expense.
     // Find user’s share (userSplit.amount) and add it to totalSpent.
@@ -152,7 +165,7 @@ export const getTotalSpent = query({
         (split) => split.userId === user._id
       );
       if (userSplit) {
-        totalSpent += userSplit.amount;
+        totalSpent += convert(userSplit.amount, getCurrency(expense));
       }
     });
 
@@ -190,13 +203,12 @@ export const getMonthlySpending = query({
     const allExpenses = await ctx.db
       .query("expenses")
       .withIndex("by_date", (q) => q.gte("date", startOfYear))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
       .collect();
 
     // Filter for expenses where user is involved
-    const userExpenses = allExpenses.filter(
-      (expense) =>
-        expense.paidByUserId === user._id ||
-        expense.splits.some((split) => split.userId === user._id)
+    const userExpenses = allExpenses.filter((expense) =>
+      isInvolved(expense, user._id)
     );
 
     // Group expenses by month
@@ -207,7 +219,9 @@ export const getMonthlySpending = query({
       monthlyTotals[monthDate.getTime()] = 0;
     }
 
-    // For each expense, calculate which month it belongs to, and add only the user’s share.
+    // For each expense, calculate which month it belongs to, and add only the user’s share
+    // (converted to the user's currency).
+    const convert = await getConverter(ctx, getCurrency(user));
     userExpenses.forEach((expense) => {
       const date = new Date(expense.date);
       const monthStart = new Date(
@@ -222,7 +236,8 @@ export const getMonthlySpending = query({
       );
       if (userSplit) {
         monthlyTotals[monthStart] =
-          (monthlyTotals[monthStart] || 0) + userSplit.amount;
+          (monthlyTotals[monthStart] || 0) +
+          convert(userSplit.amount, getCurrency(expense));
       }
     });
 
@@ -241,6 +256,51 @@ export const getMonthlySpending = query({
 });
 
 
+// Get spending per category
+// Purpose: The current user's share of this year's expenses per category, for the dashboard chart.
+// Step:
+// 1. Get the current user and this year's expenses they're involved in
+// 2. Resolve each expense's category the way its group sees it (custom names, merges)
+// 3. Add the user's share (in their currency) to that category's total
+//    Categories are tallied by name, so "Food & Drink" from two groups is one slice.
+// 4. Return [{ name, icon, color, total }], biggest first
+export const getCategorySpending = query({
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const startOfYear = new Date(new Date().getFullYear(), 0, 1).getTime();
+    const expenses = (
+      await ctx.db
+        .query("expenses")
+        .withIndex("by_date", (q) => q.gte("date", startOfYear))
+        .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+        .collect()
+    ).filter((expense) => isInvolved(expense, user._id));
+
+    const categoryLists = await loadCategories(
+      ctx,
+      expenses.map((e) => e.groupId).filter(Boolean)
+    );
+    const convert = await getConverter(ctx, getCurrency(user));
+
+    const totals = new Map();
+    for (const expense of expenses) {
+      const userSplit = expense.splits.find((s) => s.userId === user._id);
+      if (!userSplit) continue;
+
+      const { name, icon, color } = categoryOf(categoryLists, expense);
+      const key = name.toLowerCase();
+      if (!totals.has(key)) totals.set(key, { name, icon, color, total: 0 });
+      totals.get(key).total += convert(userSplit.amount, getCurrency(expense));
+    }
+
+    return [...totals.values()]
+      .filter((c) => c.total > 0)
+      .sort((a, b) => b.total - a.total);
+  },
+});
+
+
 // Get groups for the current user
 // Purpose: Fetch all groups that the current user is part of and calculate the net balance (how much the user owes or is owed) for each group.
 // step:
@@ -265,6 +325,9 @@ export const getUserGroups = query({
       group.members.some((member) => member.userId === user._id)
     );
 
+    // Balances are converted to the user's currency
+    const convert = await getConverter(ctx, getCurrency(user));
+
     // We iterate each group and calculate money balance for user.
     const enhancedGroups = await Promise.all(
       groups.map(async (group) => {
@@ -273,31 +336,26 @@ export const getUserGroups = query({
         const expenses = await ctx.db
           .query("expenses")
           .withIndex("by_group", (q) => q.eq("groupId", group._id))
+          .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
           .collect();
 
         let balance = 0;
 
-        // Case 1: User paid that bill
-        //     → Others owe them → add to balance
-        // Case 2: Someone else paid
-        //     → User owes them → subtract from balance
+        // Case 1: Someone owes the user for that bill
+        //     → add to balance
+        // Case 2: User owes someone who paid
+        //     → subtract from balance
         expenses.forEach((expense) => {
-          if (expense.paidByUserId === user._id) {
-            // User paid for others
-            expense.splits.forEach((split) => {
-              if (split.userId !== user._id && !split.paid) {
-                balance += split.amount;
-              }
-            });
-          } else {
-            // User owes someone else
-            const userSplit = expense.splits.find(
-              (split) => split.userId === user._id
-            );
-            if (userSplit && !userSplit.paid) {
-              balance -= userSplit.amount;
+          getExpenseDebts(expense).forEach((debt) => {
+            const amount = convert(debt.amount, getCurrency(expense));
+            if (debt.to === user._id) {
+              // User paid for others
+              balance += amount;
+            } else if (debt.from === user._id) {
+              // User owes someone else
+              balance -= amount;
             }
-          }
+          });
         });
 
         // Apply settlements
@@ -314,13 +372,14 @@ export const getUserGroups = query({
           )
           .collect();
 
-        settlements.forEach((settlement) => {
+        settlements.filter(isSettlementConfirmed).forEach((settlement) => {
+          const amount = convert(settlement.amount, getCurrency(settlement));
           if (settlement.paidByUserId === user._id) {
             // User paid someone
-            balance += settlement.amount;
+            balance += amount;
           } else {
             // Someone paid the user
-            balance -= settlement.amount;
+            balance -= amount;
           }
         });
 
@@ -0,0 +1,108 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import {
+  createConverter,
+  DEFAULT_CURRENCY,
+  isCurrencyCode,
+} from "./lib/currency";
+
+/* ============================================================================
+ *  HELPERS (used by the balance queries)
+ * -------------------------------------------------------------------------- */
+
+// Admins are listed in the ADMIN_EMAILS env var (comma separated), e.g.
+//   npx convex env set ADMIN_EMAILS "you@example.com"
+export const isAdmin = (user) =>
+  (process.env.ADMIN_EMAILS ?? "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(user.email?.toLowerCase());
+
+// { code: units per DEFAULT_CURRENCY } for every stored rate
+export async function getRates(ctx) {
+  const rows = await ctx.db.query("exchangeRates").collect();
+  return Object.fromEntries(rows.map((row) => [row.currency, row.rate]));
+}
+
+// Converter into `currency` – see createConverter in lib/currency
+export async function getConverter(ctx, currency) {
+  return createConverter(await getRates(ctx), currency);
+}
+
+/* ============================================================================
+ *  QUERY: getExchangeRates
+ *  Stored rates (per 1 DEFAULT_CURRENCY) and whether the caller may edit them.
+ * -------------------------------------------------------------------------- */
+
+export const getExchangeRates = query({
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const rates = await ctx.db.query("exchangeRates").collect();
+    rates.sort((a, b) => a.currency.localeCompare(b.currency));
+
+    return {
+      base: DEFAULT_CURRENCY,
+      rates,
+      isAdmin: isAdmin(user),
+    };
+  },
+});
+
+/* ============================================================================
+ *  MUTATION: importExchangeRates
+ *  Admin only. Inserts or replaces one rate per currency (e.g. from a CSV).
+ * -------------------------------------------------------------------------- */
+
+export const importExchangeRates = mutation({
+  args: {
+    rates: v.array(
+      v.object({
+        currency: v.string(), // ISO 4217 code, e.g. "EUR"
+        rate: v.number(), // units of `currency` per 1 DEFAULT_CURRENCY
+      })
+    ),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    if (!isAdmin(user)) {
+      throw new Error("Only admins can change exchange rates");
+    }
+
+    for (const { currency, rate } of args.rates) {
+      if (!isCurrencyCode(currency) || currency === DEFAULT_CURRENCY) {
+        throw new Error(`Invalid currency "${currency}"`);
+      }
+      if (!(rate > 0)) {
+        throw new Error(`Rate for ${currency} must be positive`);
+      }
+    }
+
+    const now = Date.now();
+    for (const { currency, rate } of args.rates) {
+      const existing = await ctx.db
+        .query("exchangeRates")
+        .withIndex("by_currency", (q) => q.eq("currency", currency))
+        .unique();
+
+      if (existing) {
+        await ctx.db.patch(existing._id, {
+          rate,
+          updatedAt: now,
+          updatedBy: user._id,
+        });
+      } else {
+        await ctx.db.insert("exchangeRates", {
+          currency,
+          rate,
+          updatedAt: now,
+          updatedBy: user._id,
+        });
+      }
+    }
+
+    return args.rates.length;
+  },
+});
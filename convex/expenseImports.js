@@ -0,0 +1,151 @@
+import { mutation } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { insertExpense, validateExpense } from "./expenses";
+
+// Rows per call – the import page sends bigger files in batches
+const MAX_ROWS_PER_BATCH = 100;
+
+// One row as read by lib/csv (readImportRows), amounts in minor units
+const importRowValidator = v.object({
+  line: v.number(),
+  description: v.string(),
+  date: v.number(),
+  amount: v.number(),
+  currency: v.string(),
+  category: v.optional(v.string()),
+  payerEmail: v.string(),
+  shares: v.array(v.object({ email: v.string(), amount: v.number() })),
+});
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+// Emails → users, looked up once per email
+function createUserLookup(ctx) {
+  const cache = new Map();
+  return async (email) => {
+    const key = email.trim().toLowerCase();
+    if (!cache.has(key)) {
+      cache.set(
+        key,
+        await ctx.db
+          .query("users")
+          .withIndex("by_email", (q) => q.eq("email", key))
+          .first()
+      );
+    }
+    const user = cache.get(key);
+    if (!user) throw new Error(`No user with email ${email}`);
+    return user;
+  };
+}
+
+// createExpense args for one row: an "exact" split of the listed shares
+async function toExpenseArgs(row, groupId, findUser) {
+  const payer = await findUser(row.payerEmail);
+  const sharers = await Promise.all(row.shares.map((s) => findUser(s.email)));
+
+  const userIds = sharers.map((u) => u._id);
+  if (new Set(userIds).size !== userIds.length) {
+    throw new Error("Each person can only have one share");
+  }
+
+  return {
+    description: row.description,
+    amount: row.amount,
+    currency: row.currency,
+    category: row.category,
+    date: row.date,
+    paidByUserId: payer._id,
+    splitType: "exact",
+    splits: row.shares.map((share, i) => ({
+      userId: sharers[i]._id,
+      amount: share.amount,
+      paid: sharers[i]._id === payer._id,
+    })),
+    groupId,
+  };
+}
+
+// The expense an earlier run of this import created for `line`, if any
+const findImported = (ctx, { user, groupId, importId, line }) =>
+  ctx.db
+    .query("expenses")
+    .withIndex("by_import", (q) =>
+      q.eq("importId", importId).eq("importLine", line)
+    )
+    .filter((q) =>
+      q.and(
+        q.eq(q.field("createdBy"), user._id),
+        q.eq(q.field("groupId"), groupId)
+      )
+    )
+    .first();
+
+/* ============================================================================
+ *  MUTATION: importExpenses
+ *  Checks a batch of rows with the same rules as createExpense. With
+ *  dryRun nothing is written and every row comes back with its error (if
+ *  any) – that's the preview. Without it, every row of the batch is
+ *  created, or none when one of them fails.
+ *
+ *  Big files take several calls, so an import can stop halfway. The page
+ *  sends an importId derived from the file and where it goes, the same for
+ *  every batch and every attempt; rows an earlier call already created
+ *  are skipped (alreadyImported), so importing again picks up where it
+ *  stopped instead of adding them twice.
+ * -------------------------------------------------------------------------- */
+
+export const importExpenses = mutation({
+  args: {
+    groupId: v.optional(v.id("groups")), // unset: 1‑to‑1 expenses
+    rows: v.array(importRowValidator),
+    dryRun: v.boolean(),
+    importId: v.optional(v.string()), // required unless dryRun
+  },
+  handler: async (ctx, { groupId, rows, dryRun, importId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (rows.length > MAX_ROWS_PER_BATCH) {
+      throw new Error(`Import at most ${MAX_ROWS_PER_BATCH} rows at a time`);
+    }
+
+    const findUser = createUserLookup(ctx);
+    const results = [];
+    for (const row of rows) {
+      try {
+        const args = await toExpenseArgs(row, groupId, findUser);
+        await validateExpense(ctx, user, args);
+        results.push({ line: row.line, args });
+      } catch (error) {
+        results.push({ line: row.line, error: error.message });
+      }
+    }
+
+    if (dryRun) {
+      return results.map(({ line, error }) => ({ line, error }));
+    }
+    if (!importId) throw new Error("Missing import id");
+
+    const pending = [];
+    for (const result of results) {
+      const { line } = result;
+      if (await findImported(ctx, { user, groupId, importId, line })) {
+        result.alreadyImported = true;
+      } else if (result.error) {
+        throw new Error(`Row ${line}: ${result.error}`);
+      } else {
+        pending.push(result);
+      }
+    }
+    for (const { line, args } of pending) {
+      await insertExpense(ctx, user, { ...args, importId, importLine: line });
+    }
+    return results.map(({ line, alreadyImported }) => ({
+      line,
+      alreadyImported,
+    }));
+  },
+});
@@ -0,0 +1,67 @@
+import { getPayers } from "./lib/balances";
+
+/* ============================================================================
+ *  HELPERS (used by the expense mutations and queries)
+ *  1‑to‑1 expenses by pair of people: a row for every two people in a live
+ *  1‑to‑1 expense, so "the expenses between A and B" is an index range –
+ *  whoever of them paid, co-paid or is in the split.
+ * -------------------------------------------------------------------------- */
+
+// Two users in the order the pair rows keep them: smaller id first
+const toPair = (userId, otherUserId) =>
+  userId < otherUserId ? [userId, otherUserId] : [otherUserId, userId];
+
+// Everyone in the expense (payers and splits), once, smaller ids first
+const peopleIn = (expense) =>
+  [
+    ...new Set([
+      ...getPayers(expense).map((p) => p.userId),
+      ...expense.splits.map((s) => s.userId),
+    ]),
+  ].sort();
+
+// Bring the pair rows of `expenseId` in line with the expense: one per two
+// people while it's a live 1‑to‑1 expense, none once it's in the trash or
+// gone. Call after every change to an expense's people, date or trash state.
+export async function syncExpensePairs(ctx, expenseId) {
+  const rows = await ctx.db
+    .query("expensePairs")
+    .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+    .collect();
+  for (const row of rows) {
+    await ctx.db.delete(row._id);
+  }
+
+  const expense = await ctx.db.get(expenseId);
+  if (!expense || expense.groupId || expense.deletedAt) return;
+
+  const people = peopleIn(expense);
+  for (let i = 0; i < people.length; i++) {
+    for (let j = i + 1; j < people.length; j++) {
+      await ctx.db.insert("expensePairs", {
+        expenseId,
+        userId: people[i],
+        otherUserId: people[j],
+        date: expense.date,
+      });
+    }
+  }
+}
+
+// Pair rows of the 1‑to‑1 expenses between two users, newest first – ready
+// for .collect() or .paginate()
+export function queryExpensePairs(ctx, userId, otherUserId) {
+  const [first, second] = toPair(userId, otherUserId);
+  return ctx.db
+    .query("expensePairs")
+    .withIndex("by_pair_and_date", (q) =>
+      q.eq("userId", first).eq("otherUserId", second)
+    )
+    .order("desc");
+}
+
+// The expenses behind a list of pair rows
+export const getPairExpenses = async (ctx, rows) =>
+  (await Promise.all(rows.map((row) => ctx.db.get(row.expenseId)))).filter(
+    Boolean
+  );
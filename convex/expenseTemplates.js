@@ -0,0 +1,219 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { splitTypeValidator, templateSplitValidator } from "./schema";
+import { getPayers, isInvolved } from "./lib/balances";
+
+const MAX_TEMPLATES = 20;
+const MAX_NAME_LENGTH = 40;
+
+// Suggestions look at this much history, and need this many repeats
+const SUGGESTION_WINDOW = 180 * 24 * 60 * 60 * 1000;
+const SUGGESTION_MIN_COUNT = 3;
+const MAX_SUGGESTIONS = 3;
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+// Everyone who paid or has a split, sorted so equal sets compare equal
+const participantIdsOf = (expense) =>
+  [
+    ...new Set([
+      ...getPayers(expense).map((p) => p.userId),
+      ...expense.splits.map((s) => s.userId),
+    ]),
+  ].sort();
+
+// Template (or suggestion) as the form needs it: participant details and
+// the group name. People who have left the group are dropped.
+async function hydrate(ctx, template) {
+  const group = template.groupId ? await ctx.db.get(template.groupId) : null;
+  const users = await Promise.all(
+    template.participantIds.map((id) => ctx.db.get(id))
+  );
+
+  const participants = users
+    .filter(Boolean)
+    .filter((u) => !group || group.members.some((m) => m.userId === u._id))
+    .map((u) => ({
+      id: u._id,
+      name: u.name,
+      email: u.email,
+      imageUrl: u.imageUrl,
+    }));
+
+  return { ...template, groupName: group?.name, participants };
+}
+
+// Templates from the caller's frequent expenses: same description, group,
+// people and split type at least SUGGESTION_MIN_COUNT times lately.
+// Setups that already have a template are left out.
+async function getSuggestions(ctx, user, templates) {
+  const expenses = (
+    await ctx.db
+      .query("expenses")
+      .withIndex("by_date", (q) =>
+        q.gte("date", Date.now() - SUGGESTION_WINDOW)
+      )
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+      .collect()
+  ).filter((e) => isInvolved(e, user._id));
+
+  const hasTemplate = (description, groupId) =>
+    templates.some(
+      (t) =>
+        t.description.toLowerCase() === description && t.groupId === groupId
+    );
+
+  // key → matching expenses
+  const buckets = new Map();
+  for (const expense of expenses) {
+    const description = expense.description.trim().toLowerCase();
+    if (hasTemplate(description, expense.groupId)) continue;
+
+    const key = [
+      description,
+      expense.groupId ?? "",
+      participantIdsOf(expense).join(","),
+      expense.splitType,
+    ].join("|");
+    buckets.set(key, [...(buckets.get(key) ?? []), expense]);
+  }
+
+  return [...buckets.values()]
+    .filter((bucket) => bucket.length >= SUGGESTION_MIN_COUNT)
+    .sort((a, b) => b.length - a.length)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((bucket) => {
+      const latest = bucket.reduce((a, b) => (b.date > a.date ? b : a));
+      // Only remember the payer when it's always the same person
+      const payerIds = new Set(bucket.map((e) => e.paidByUserId));
+      return {
+        name: latest.description,
+        description: latest.description,
+        category: latest.category,
+        groupId: latest.groupId,
+        participantIds: participantIdsOf(latest),
+        paidByUserId: payerIds.size === 1 ? latest.paidByUserId : undefined,
+        splitType: latest.splitType,
+        splits: latest.splits.map(
+          ({ userId, percentage, shares, adjustment }) => ({
+            userId,
+            percentage,
+            shares,
+            adjustment,
+          })
+        ),
+        count: bucket.length,
+      };
+    });
+}
+
+/* ============================================================================
+ *  QUERY: getExpenseTemplates
+ *  The caller's templates (by name) plus suggested ones from their history
+ * -------------------------------------------------------------------------- */
+
+export const getExpenseTemplates = query({
+  args: {},
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const templates = await ctx.db
+      .query("expenseTemplates")
+      .withIndex("by_created_by", (q) => q.eq("createdBy", user._id))
+      .collect();
+    templates.sort((a, b) => a.name.localeCompare(b.name));
+
+    const suggestions = await getSuggestions(ctx, user, templates);
+
+    return {
+      templates: await Promise.all(templates.map((t) => hydrate(ctx, t))),
+      suggestions: await Promise.all(suggestions.map((s) => hydrate(ctx, s))),
+    };
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: createExpenseTemplate / deleteExpenseTemplate
+ * -------------------------------------------------------------------------- */
+
+export const createExpenseTemplate = mutation({
+  args: {
+    name: v.string(),
+    description: v.string(),
+    category: v.optional(v.string()),
+    groupId: v.optional(v.id("groups")),
+    participantIds: v.array(v.id("users")),
+    paidByUserId: v.optional(v.id("users")),
+    splitType: splitTypeValidator,
+    splits: v.optional(v.array(templateSplitValidator)),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const name = args.name.trim();
+    if (!name) {
+      throw new Error("Give the template a name");
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(
+        `Template names can be at most ${MAX_NAME_LENGTH} characters`
+      );
+    }
+
+    const existing = await ctx.db
+      .query("expenseTemplates")
+      .withIndex("by_created_by", (q) => q.eq("createdBy", user._id))
+      .collect();
+    if (existing.length >= MAX_TEMPLATES) {
+      throw new Error(`You can have at most ${MAX_TEMPLATES} templates`);
+    }
+
+    // Same rules as for the expense itself: you're in it, and in a group
+    // everyone is a member
+    const participantIds = [...new Set(args.participantIds)];
+    if (!participantIds.includes(user._id)) {
+      throw new Error("You must be one of the participants");
+    }
+    if (args.paidByUserId && !participantIds.includes(args.paidByUserId)) {
+      throw new Error("The payer must be one of the participants");
+    }
+    if (args.groupId) {
+      const group = await ctx.db.get(args.groupId);
+      if (!group) throw new Error("Group not found");
+      if (
+        !participantIds.every((id) =>
+          group.members.some((m) => m.userId === id)
+        )
+      ) {
+        throw new Error("Everyone in the template must be in the group");
+      }
+    }
+
+    return await ctx.db.insert("expenseTemplates", {
+      ...args,
+      name,
+      description: args.description.trim(),
+      participantIds,
+      createdBy: user._id,
+      createdAt: Date.now(),
+    });
+  },
+});
+
+export const deleteExpenseTemplate = mutation({
+  args: { templateId: v.id("expenseTemplates") },
+  handler: async (ctx, { templateId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const template = await ctx.db.get(templateId);
+    if (!template || template.createdBy !== user._id) {
+      throw new Error("Template not found");
+    }
+
+    await ctx.db.delete(templateId);
+    return { success: true };
+  },
+});
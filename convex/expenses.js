@@ -1,73 +1,460 @@
-import { mutation, query } from "./_generated/server";
+import { internalMutation, mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
+import {
+  payersValidator,
+  receiptValidator,
+  splitTypeValidator,
+  splitValidator,
+} from "./schema";
 import { internal } from "./_generated/api";
+import { recordExpenseHistory } from "./history";
+import { canAccessItem, deleteComments } from "./comments";
+import { deleteAttachments } from "./attachments";
+import {
+  getPairExpenses,
+  queryExpensePairs,
+  syncExpensePairs,
+} from "./expensePairs";
+import {
+  getAmountOwed,
+  getExpenseDebts,
+  getPayers,
+  isInvolved,
+  isPayer,
+  isSettlementConfirmed,
+} from "./lib/balances";
+import { getSplitTypeError } from "./lib/splits";
+import {
+  DUPLICATE_DATE_WINDOW,
+  isPossibleDuplicate,
+  peopleKey,
+} from "./lib/duplicates";
+import {
+  formatMoney,
+  getCurrency,
+  isCurrencyCode,
+  toMajorUnits,
+} from "./lib/currency";
+import { getConverter } from "./exchangeRates";
+import { categoryOf, loadCategories } from "./categories";
+import { OTHER_CATEGORY_ID } from "./lib/categories";
+import { getRuleCategory } from "./categoryRules";
 
-// Create a new expense
+// Fields the client sends when creating or editing an expense
+export const expenseArgs = {
+  description: v.string(),
+  amount: v.number(),
+  currency: v.optional(v.string()), // ISO code of every amount below
+  category: v.optional(v.string()),
+  date: v.number(), // timestamp
+  paidByUserId: v.id("users"), // main payer (the one who paid the most)
+  // When several people paid: who paid what (must add up to amount)
+  payers: v.optional(payersValidator),
+  splitType: splitTypeValidator,
+  splits: v.array(splitValidator),
+  // Line items of the receipt, only for "itemized" splits
+  receipt: v.optional(receiptValidator),
+};
+
+// Shared checks for creating and editing an expense
+// 0. Every amount is a whole number of minor units (cents, paise, …).
+// 1. Payers (if several) must be unique, positive, include the main payer and
+//    add up to the total amount.
+// 2. If there's a group → caller, payers and every split user must be members;
+//    outside a group the caller must be a payer or in the split.
+// 3. Each person is in the splits once, and they add up to exactly the
+//    total amount.
+// 4. Splits must match their split type (percentages, shares, adjustments
+//    or receipt items) – see getSplitTypeError.
+export async function validateExpense(ctx, user, args) {
+  const amounts = [
+    args.amount,
+    ...args.splits.map((s) => s.amount),
+    ...(args.payers ?? []).map((p) => p.amount),
+  ];
+  if (!amounts.every(Number.isInteger)) {
+    throw new Error("Amounts must be whole minor units (e.g. cents)");
+  }
+
+  if (args.amount <= 0) {
+    throw new Error("Amount must be positive");
+  }
+  if (args.splits.length === 0) {
+    throw new Error("An expense needs at least one split");
+  }
+  if (args.currency && !isCurrencyCode(args.currency)) {
+    throw new Error("Invalid currency");
+  }
+
+  if (args.payers) {
+    const payerIds = args.payers.map((p) => p.userId);
+    if (new Set(payerIds).size !== payerIds.length) {
+      throw new Error("Each payer can only be listed once");
+    }
+    if (args.payers.some((p) => p.amount <= 0)) {
+      throw new Error("Every payer must have paid a positive amount");
+    }
+    if (!payerIds.includes(args.paidByUserId)) {
+      throw new Error("The main payer must be one of the payers");
+    }
+
+    const totalPaid = args.payers.reduce((sum, p) => sum + p.amount, 0);
+    if (totalPaid !== args.amount) {
+      throw new Error("Paid amounts must add up to the total expense amount");
+    }
+  }
+
+  // If there's a group, verify everyone involved is a member
+  if (args.groupId) {
+    const group = await ctx.db.get(args.groupId);
+    if (!group) {
+      throw new Error("Group not found");
+    }
+
+    const isMember = (uid) => group.members.some((m) => m.userId === uid);
+    if (!isMember(user._id)) {
+      throw new Error("You are not a member of this group");
+    }
+    if (!getPayers(args).every((payer) => isMember(payer.userId))) {
+      throw new Error("Every payer must be a member of this group");
+    }
+    if (!args.splits.every((split) => isMember(split.userId))) {
+      throw new Error("Everyone in the split must be a member of this group");
+    }
+  } else if (!isInvolved(args, user._id)) {
+    throw new Error("You must be the payer or have a share");
+  }
+
+  // Verify that each person has one split and they add up to the total
+  const splitIds = args.splits.map((s) => s.userId);
+  if (new Set(splitIds).size !== splitIds.length) {
+    throw new Error("Each person can only be in the split once");
+  }
+  const totalSplitAmount = args.splits.reduce(
+    (sum, split) => sum + split.amount,
+    0
+  );
+  if (totalSplitAmount !== args.amount) {
+    throw new Error("Split amounts must add up to the total expense amount");
+  }
+
+  const splitError = getSplitTypeError(args);
+  if (splitError) {
+    throw new Error(splitError);
+  }
+}
+
+// Splits as stored. Who has paid is never up to the client: people whose
+// payment covers their own share are paid, everyone else starts unpaid and
+// keeps what they'd paid back in `before` (the expense being edited), up to
+// what they now owe – only setSplitPayment changes that.
+function toStoredSplits(args, before) {
+  return args.splits.map(({ userId, amount, percentage, shares, adjustment }) => {
+    const split = { userId, amount, percentage, shares, adjustment };
+    const owed = getAmountOwed(args, userId);
+    if (owed === 0) return { ...split, paid: true };
+
+    const previous = before?.splits.find((s) => s.userId === userId);
+    const paidBack = previous?.paid
+      ? getAmountOwed(before, userId)
+      : (previous?.paidAmount ?? 0);
+    const paidAmount = Math.min(paidBack, owed);
+    return {
+      ...split,
+      paid: paidAmount >= owed,
+      paidAmount: paidAmount || undefined,
+    };
+  });
+}
+
+// Expense doc fields from validated args (`before`: the expense they edit)
+export const toExpenseFields = (args, before) => ({
+  description: args.description,
+  amount: args.amount,
+  currency: args.currency,
+  category: args.category || OTHER_CATEGORY_ID,
+  date: args.date,
+  paidByUserId: args.paidByUserId,
+  payers: args.payers,
+  splitType: args.splitType,
+  splits: toStoredSplits(args, before),
+  receipt: args.receipt,
+  minorUnits: true,
+});
+
+// Create a new expense. Refused when it looks like one that's already
+// there (see lib/duplicates), unless `allowDuplicate` says the user has
+// seen the warning and wants it anyway.
 export const createExpense = mutation({
   args: {
-    description: v.string(),
-    amount: v.number(),
-    category: v.optional(v.string()),
-    date: v.number(), // timestamp
-    paidByUserId: v.id("users"),
-    splitType: v.string(), // "equal", "percentage", "exact"
-    splits: v.array(
-      v.object({
-        userId: v.id("users"),
-        amount: v.number(),
-        paid: v.boolean(),
-      })
-    ),
+    ...expenseArgs,
     groupId: v.optional(v.id("groups")),
+    allowDuplicate: v.optional(v.boolean()),
   },
-  handler: async (ctx, args) => {
+  handler: async (ctx, { allowDuplicate, ...args }) => {
     // Use centralized getCurrentUser function
     const user = await ctx.runQuery(internal.users.getCurrentUser);
 
-    // If there's a group, verify the user is a member
-    if (args.groupId) {
-      const group = await ctx.db.get(args.groupId);
-      if (!group) {
-        throw new Error("Group not found");
+    // Only look for duplicates among expenses the caller may see
+    await validateExpense(ctx, user, args);
+
+    if (!allowDuplicate) {
+      const group = args.groupId ? await ctx.db.get(args.groupId) : null;
+      const [duplicate] = await findDuplicates(ctx, {
+        ...args,
+        currency: args.currency ?? getCurrency(group ?? user),
+      });
+      if (duplicate) {
+        const amount = formatMoney(duplicate.amount, getCurrency(duplicate));
+        throw new Error(
+          `This looks like "${duplicate.description}" (${amount}), which is already there`
+        );
       }
+    }
 
-      const isMember = group.members.some(
-        (member) => member.userId === user._id
-      );
-      if (!isMember) {
+    return await insertExpense(ctx, user, args);
+  },
+});
+
+// Validate, insert and record a new expense created by `user`.
+// Shared by createExpense, imports and recurring expenses.
+// Expenses without a category (or "Other") get one from the category rules
+// when the description matches one (see categoryRules).
+export async function insertExpense(ctx, user, args) {
+  await validateExpense(ctx, user, args);
+
+  // Without a currency, use the group's (1‑to‑1: the creator's)
+  const group = args.groupId ? await ctx.db.get(args.groupId) : null;
+
+  const isUncategorized =
+    (args.category || OTHER_CATEGORY_ID).toLowerCase() === OTHER_CATEGORY_ID;
+  const ruleCategory =
+    isUncategorized &&
+    (await getRuleCategory(ctx, {
+      userId: user._id,
+      groupId: args.groupId,
+      description: args.description,
+    }));
+
+  // Create the expense
+  const expenseId = await ctx.db.insert("expenses", {
+    ...toExpenseFields(args),
+    ...(ruleCategory && { category: ruleCategory }),
+    currency: args.currency ?? getCurrency(group ?? user),
+    groupId: args.groupId,
+    createdBy: user._id,
+    importId: args.importId, // only set by expenseImports
+    importLine: args.importLine,
+  });
+  await syncExpensePairs(ctx, expenseId);
+
+  await recordExpenseHistory(ctx, {
+    expenseId,
+    action: "create",
+    actorId: user._id,
+    groupId: args.groupId,
+    after: await ctx.db.get(expenseId),
+  });
+
+  return expenseId;
+}
+
+// Get a single expense with its participants (used by the edit page)
+export const getExpense = query({
+  args: { expenseId: v.id("expenses") },
+  handler: async (ctx, { expenseId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(expenseId);
+    if (!expense) throw new Error("Expense not found");
+    if (expense.deletedAt) throw new Error("This expense is in the trash");
+
+    // Group expenses are visible to members, 1‑to‑1 expenses to the people in them
+    let group = null;
+    if (expense.groupId) {
+      group = await ctx.db.get(expense.groupId);
+      if (!group?.members.some((m) => m.userId === user._id)) {
         throw new Error("You are not a member of this group");
       }
+    } else if (!isInvolved(expense, user._id)) {
+      throw new Error("You don't have access to this expense");
     }
 
-    // Verify that splits add up to the total amount (with small tolerance for floating point issues)
-    const totalSplitAmount = args.splits.reduce(
-      (sum, split) => sum + split.amount,
-      0
-    );
-    const tolerance = 0.01; // Allow for small rounding errors
-    if (Math.abs(totalSplitAmount - args.amount) > tolerance) {
-      throw new Error("Split amounts must add up to the total expense amount");
+    const participantIds = [
+      ...new Set([
+        ...getPayers(expense).map((p) => p.userId),
+        ...expense.splits.map((s) => s.userId),
+      ]),
+    ];
+    const participants = (
+      await Promise.all(participantIds.map((id) => ctx.db.get(id)))
+    )
+      .filter(Boolean)
+      .map((u) => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        imageUrl: u.imageUrl,
+      }));
+
+    return {
+      expense,
+      participants,
+      group: group ? { id: group._id, name: group.name } : null,
+    };
+  },
+});
+
+// Update an existing expense
+// Steps:
+// 1. Only the creator or the payer can edit (same rule as delete).
+// 2. Re-run the same validation as createExpense (group is kept as is).
+// 3. Patch the expense.
+// 4. Settlements linked to this expense stay linked only while both of their
+//    parties are still part of it; otherwise the link is dropped. The
+//    settlement itself is kept, because that money really changed hands.
+export const updateExpense = mutation({
+  args: {
+    expenseId: v.id("expenses"),
+    ...expenseArgs,
+  },
+  handler: async (ctx, { expenseId, ...args }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(expenseId);
+    if (!expense) {
+      throw new Error("Expense not found");
+    }
+    if (expense.deletedAt) {
+      throw new Error("Restore this expense from the trash to edit it");
     }
 
-    // Create the expense
-    const expenseId = await ctx.db.insert("expenses", {
-      description: args.description,
-      amount: args.amount,
-      category: args.category || "Other",
-      date: args.date,
-      paidByUserId: args.paidByUserId,
-      splitType: args.splitType,
-      splits: args.splits,
-      groupId: args.groupId,
-      createdBy: user._id,
+    if (expense.createdBy !== user._id && !isPayer(expense, user._id)) {
+      throw new Error("You don't have permission to edit this expense");
+    }
+
+    await validateExpense(ctx, user, { ...args, groupId: expense.groupId });
+
+    // Keeps what people have paid back so far (see toStoredSplits)
+    const fields = toExpenseFields(args, expense);
+
+    await ctx.db.patch(expenseId, {
+      ...fields,
+      currency: args.currency ?? getCurrency(expense),
     });
+    await syncExpensePairs(ctx, expenseId);
+
+    await recordExpenseHistory(ctx, {
+      expenseId,
+      action: "update",
+      actorId: user._id,
+      groupId: expense.groupId,
+      before: expense,
+      after: await ctx.db.get(expenseId),
+    });
+
+    // Re-check settlements that point at this expense
+    const involved = new Set([
+      ...getPayers(args).map((p) => p.userId),
+      ...args.splits.map((s) => s.userId),
+    ]);
+    const settlements = await ctx.db
+      .query("settlements")
+      .withIndex("by_group", (q) => q.eq("groupId", expense.groupId))
+      .collect();
+
+    for (const settlement of settlements) {
+      if (!settlement.relatedExpenseIds?.includes(expenseId)) continue;
+      if (
+        involved.has(settlement.paidByUserId) &&
+        involved.has(settlement.receivedByUserId)
+      ) {
+        continue;
+      }
+
+      const updatedRelatedExpenseIds = settlement.relatedExpenseIds.filter(
+        (id) => id !== expenseId
+      );
+      await ctx.db.patch(settlement._id, {
+        relatedExpenseIds: updatedRelatedExpenseIds.length
+          ? updatedRelatedExpenseIds
+          : undefined,
+      });
+    }
 
     return expenseId;
   },
 });
 
+// Record that someone paid back (part of) their split outside of a
+// settlement. `paidAmount` is the total paid back so far, in minor units:
+// 0 clears it, what they owe marks the split paid.
+export const setSplitPayment = mutation({
+  args: {
+    expenseId: v.id("expenses"),
+    userId: v.id("users"),
+    paidAmount: v.number(),
+  },
+  handler: async (ctx, { expenseId, userId, paidAmount }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(expenseId);
+    if (!expense || expense.deletedAt) {
+      throw new Error("Expense not found");
+    }
+    if (!isPayer(expense, user._id)) {
+      throw new Error("Only someone who paid can mark splits as paid");
+    }
+
+    const split = expense.splits.find((s) => s.userId === userId);
+    if (!split) {
+      throw new Error("This person isn't part of the expense");
+    }
+
+    const owed = getAmountOwed(expense, userId);
+    if (owed === 0) {
+      throw new Error("They don't owe anything on this expense");
+    }
+    if (!Number.isInteger(paidAmount) || paidAmount < 0 || paidAmount > owed) {
+      const max = formatMoney(owed, getCurrency(expense));
+      throw new Error(`Paid amount must be between 0 and ${max}`);
+    }
+
+    await ctx.db.patch(expenseId, {
+      splits: expense.splits.map((s) =>
+        s.userId === userId
+          ? {
+              ...s,
+              paid: paidAmount === owed,
+              paidAmount: paidAmount || undefined,
+            }
+          : s
+      ),
+    });
+
+    await recordExpenseHistory(ctx, {
+      expenseId,
+      action: "payment",
+      actorId: user._id,
+      groupId: expense.groupId,
+      before: expense,
+      after: await ctx.db.get(expenseId),
+    });
+
+    return { success: true };
+  },
+});
+
 // ----------- Expenses Page -----------
 
+// Live 1‑to‑1 expenses both users are in – as a payer (main or co-payer)
+// or in the split – newest first (see expensePairs)
+export async function getExpensesBetween(ctx, userId, otherUserId) {
+  const rows = await queryExpensePairs(ctx, userId, otherUserId).collect();
+  return await getPairExpenses(ctx, rows);
+}
+
 // Get expenses between current user and a specific person
 export const getExpensesBetweenUsers = query({
   args: { userId: v.id("users") },
@@ -75,36 +462,8 @@ export const getExpensesBetweenUsers = query({
     const me = await ctx.runQuery(internal.users.getCurrentUser);
     if (me._id === userId) throw new Error("Cannot query yourself");
 
-    /* ───── 1. One-on-one expenses where either user is the payer ───── */
-    // Use the compound index (`paidByUserId`,`groupId`) with groupId = undefined
-    const myPaid = await ctx.db
-      .query("expenses")
-      .withIndex("by_user_and_group", (q) =>
-        q.eq("paidByUserId", me._id).eq("groupId", undefined)
-      )
-      .collect();
-
-    const theirPaid = await ctx.db
-      .query("expenses")
-      .withIndex("by_user_and_group", (q) =>
-        q.eq("paidByUserId", userId).eq("groupId", undefined)
-      )
-      .collect();
-
-    // Merge → candidate set is now just the rows either of us paid for
-    const candidateExpenses = [...myPaid, ...theirPaid];
-
-    /* ───── 2. Keep only rows where BOTH are involved (payer or split) ─ */
-    const expenses = candidateExpenses.filter((e) => {
-      // me is always involved (I’m the payer OR in splits – verified below)
-      const meInSplits = e.splits.some((s) => s.userId === me._id);
-      const themInSplits = e.splits.some((s) => s.userId === userId);
-
-      const meInvolved = e.paidByUserId === me._id || meInSplits;
-      const themInvolved = e.paidByUserId === userId || themInSplits;
-
-      return meInvolved && themInvolved;
-    });
+    /* ───── 1–2. One-on-one expenses we're BOTH in (payer or split) ─── */
+    const expenses = await getExpensesBetween(ctx, me._id, userId);
 
     expenses.sort((a, b) => b.date - a.date);
 
@@ -130,23 +489,26 @@ export const getExpensesBetweenUsers = query({
 
     settlements.sort((a, b) => b.date - a.date);
 
-    /* ───── 4. Compute running balance ──────────────────────────────── */
+    /* ───── 4. Compute running balance (in my currency) ─────────────── */
+    const currency = getCurrency(me);
+    const convert = await getConverter(ctx, currency);
     let balance = 0;
 
     for (const e of expenses) {
-      if (e.paidByUserId === me._id) {
-        const split = e.splits.find((s) => s.userId === userId && !s.paid);
-        if (split) balance += split.amount; // they owe me
-      } else {
-        const split = e.splits.find((s) => s.userId === me._id && !s.paid);
-        if (split) balance -= split.amount; // I owe them
+      for (const debt of getExpenseDebts(e)) {
+        const amount = convert(debt.amount, getCurrency(e));
+        if (debt.from === userId && debt.to === me._id)
+          balance += amount; // they owe me
+        else if (debt.from === me._id && debt.to === userId)
+          balance -= amount; // I owe them
       }
     }
 
-    for (const s of settlements) {
+    for (const s of settlements.filter(isSettlementConfirmed)) {
+      const amount = convert(s.amount, getCurrency(s));
       if (s.paidByUserId === me._id)
-        balance += s.amount; // I paid them back
-      else balance -= s.amount; // they paid me back
+        balance += amount; // I paid them back
+      else balance -= amount; // they paid me back
     }
 
     /* ───── 5. Return payload ───────────────────────────────────────── */
@@ -154,8 +516,10 @@ export const getExpensesBetweenUsers = query({
     if (!other) throw new Error("User not found");
 
     return {
-      expenses,
-      settlements,
+      // The lists themselves are paginated – see getExpensesPage and
+      // settlements.getSettlementsPage
+      expenseCount: expenses.length,
+      settlementCount: settlements.length,
       otherUser: {
         id: other._id,
         name: other.name,
@@ -163,11 +527,108 @@ export const getExpensesBetweenUsers = query({
         imageUrl: other.imageUrl,
       },
       balance,
+      currency,
+      missingRates: [...convert.missing],
     };
   },
 });
 
-// Delete an expense
+// One page of a group's expenses, or of the 1‑to‑1 expenses between the
+// caller and userId – newest first, for usePaginatedQuery
+export const getExpensesPage = query({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")), // other person for 1‑to‑1 expenses
+    paginationOpts: paginationOptsValidator,
+  },
+  handler: async (ctx, { groupId, userId, paginationOpts }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (groupId) {
+      const group = await ctx.db.get(groupId);
+      if (!group) throw new Error("Group not found");
+      if (!group.members.some((m) => m.userId === me._id)) {
+        throw new Error("You are not a member of this group");
+      }
+
+      return await ctx.db
+        .query("expenses")
+        .withIndex("by_group_and_date", (q) => q.eq("groupId", groupId))
+        .order("desc")
+        .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+        .paginate(paginationOpts);
+    }
+
+    if (!userId) throw new Error("Either groupId or userId is required");
+
+    // 1‑to‑1 expenses we're both in, a page of pair rows at a time
+    const result = await queryExpensePairs(ctx, me._id, userId).paginate(
+      paginationOpts
+    );
+    return { ...result, page: await getPairExpenses(ctx, result.page) };
+  },
+});
+
+// Days a deleted expense stays in the trash before it's purged for good
+const TRASH_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Move `expense` to the trash on behalf of `user` (steps 2–3 below)
+async function moveToTrash(ctx, user, expense) {
+  // Unlink settlements that reference this expense
+  // Since we can't use array.includes directly in the filter, we'll
+  // fetch all settlements and then filter in memory
+  const allSettlements = await ctx.db.query("settlements").collect();
+
+  const relatedSettlements = allSettlements.filter(
+    (settlement) =>
+      settlement.relatedExpenseIds !== undefined &&
+      settlement.relatedExpenseIds.includes(expense._id)
+  );
+
+  for (const settlement of relatedSettlements) {
+    const updatedRelatedExpenseIds = settlement.relatedExpenseIds.filter(
+      (id) => id !== expense._id
+    );
+    await ctx.db.patch(settlement._id, {
+      relatedExpenseIds: updatedRelatedExpenseIds.length
+        ? updatedRelatedExpenseIds
+        : undefined,
+    });
+  }
+
+  const deletedAt = Date.now();
+  await ctx.db.patch(expense._id, {
+    deletedAt,
+    deletedBy: user._id,
+    unlinkedSettlementIds: relatedSettlements.length
+      ? relatedSettlements.map((s) => s._id)
+      : undefined,
+  });
+  await syncExpensePairs(ctx, expense._id);
+
+  await recordExpenseHistory(ctx, {
+    expenseId: expense._id,
+    action: "delete",
+    actorId: user._id,
+    groupId: expense.groupId,
+    before: expense,
+  });
+
+  await ctx.scheduler.runAt(
+    deletedAt + TRASH_DAYS * DAY,
+    internal.expenses.purgeExpense,
+    { expenseId: expense._id, deletedAt }
+  );
+}
+
+// Delete an expense – it moves to the trash of its group (1‑to‑1: of the
+// people in it) and stops counting towards balances right away.
+// Steps:
+// 1. Only the creator or a payer can delete (same rule as edit).
+// 2. Settlements that point at the expense lose the link, but are kept:
+//    that money really changed hands. The ids are remembered for restore.
+// 3. Mark the expense as deleted and schedule the purge.
 export const deleteExpense = mutation({
   args: {
     expenseId: v.id("expenses"),
@@ -178,47 +639,490 @@ export const deleteExpense = mutation({
 
     // Get the expense
     const expense = await ctx.db.get(args.expenseId);
-    if (!expense) {
+    if (!expense || expense.deletedAt) {
       throw new Error("Expense not found");
     }
 
     // Check if user is authorized to delete this expense
-    // Only the creator of the expense or the payer can delete it
-    if (expense.createdBy !== user._id && expense.paidByUserId !== user._id) {
+    // Only the creator of the expense or a payer can delete it
+    if (expense.createdBy !== user._id && !isPayer(expense, user._id)) {
       throw new Error("You don't have permission to delete this expense");
     }
 
-    // Delete any settlements that specifically reference this expense
-    // Since we can't use array.includes directly in the filter, we'll
-    // fetch all settlements and then filter in memory
-    const allSettlements = await ctx.db.query("settlements").collect();
+    await moveToTrash(ctx, user, expense);
 
-    const relatedSettlements = allSettlements.filter(
-      (settlement) =>
-        settlement.relatedExpenseIds !== undefined &&
-        settlement.relatedExpenseIds.includes(args.expenseId)
+    return { success: true };
+  },
+});
+
+// Bring an expense back from the trash, with its settlement links
+export const restoreExpense = mutation({
+  args: {
+    expenseId: v.id("expenses"),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expense = await ctx.db.get(args.expenseId);
+    if (!expense?.deletedAt) {
+      throw new Error("Expense is not in the trash");
+    }
+
+    // Same people who could delete it, plus whoever did
+    if (
+      expense.createdBy !== user._id &&
+      expense.deletedBy !== user._id &&
+      !isPayer(expense, user._id)
+    ) {
+      throw new Error("You don't have permission to restore this expense");
+    }
+
+    // Re-link the settlements that still exist
+    for (const settlementId of expense.unlinkedSettlementIds ?? []) {
+      const settlement = await ctx.db.get(settlementId);
+      if (!settlement) continue;
+      const relatedExpenseIds = settlement.relatedExpenseIds ?? [];
+      if (relatedExpenseIds.includes(args.expenseId)) continue;
+      await ctx.db.patch(settlementId, {
+        relatedExpenseIds: [...relatedExpenseIds, args.expenseId],
+      });
+    }
+
+    await ctx.db.patch(args.expenseId, {
+      deletedAt: undefined,
+      deletedBy: undefined,
+      unlinkedSettlementIds: undefined,
+    });
+    await syncExpensePairs(ctx, args.expenseId);
+
+    await recordExpenseHistory(ctx, {
+      expenseId: args.expenseId,
+      action: "restore",
+      actorId: user._id,
+      groupId: expense.groupId,
+      after: await ctx.db.get(args.expenseId),
+    });
+
+    return { success: true };
+  },
+});
+
+// Scheduled by deleteExpense: remove the expense for good, with its
+// comment thread and stored files. Skipped when the expense was restored
+// (or restored and deleted again, which schedules its own purge).
+export const purgeExpense = internalMutation({
+  args: {
+    expenseId: v.id("expenses"),
+    deletedAt: v.number(),
+  },
+  handler: async (ctx, { expenseId, deletedAt }) => {
+    const expense = await ctx.db.get(expenseId);
+    if (!expense || expense.deletedAt !== deletedAt) return;
+
+    await deleteComments(ctx, { expenseId });
+    await deleteAttachments(ctx, { expenseId });
+    await ctx.db.delete(expenseId);
+  },
+});
+
+// Trashed expenses of a group, or between the caller and one other user,
+// most recently deleted first
+export const getTrashedExpenses = query({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")), // other person for 1‑to‑1 trash
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (args.groupId) {
+      const group = await ctx.db.get(args.groupId);
+      if (!group) throw new Error("Group not found");
+      if (!group.members.some((m) => m.userId === me._id)) {
+        throw new Error("You are not a member of this group");
+      }
+    } else if (!args.userId) {
+      throw new Error("Either groupId or userId is required");
+    }
+
+    const trashed = (
+      await ctx.db
+        .query("expenses")
+        .withIndex("by_deleted_at", (q) => q.gt("deletedAt", 0))
+        .order("desc")
+        .collect()
+    ).filter((e) =>
+      args.groupId
+        ? e.groupId === args.groupId
+        : !e.groupId && isInvolved(e, me._id) && isInvolved(e, args.userId)
     );
 
-    for (const settlement of relatedSettlements) {
-      // Remove this expense ID from the relatedExpenseIds array
-      const updatedRelatedExpenseIds = settlement.relatedExpenseIds.filter(
-        (id) => id !== args.expenseId
+    // Names of whoever deleted them
+    const deleterIds = [...new Set(trashed.map((e) => e.deletedBy))];
+    const deleters = await Promise.all(deleterIds.map((id) => ctx.db.get(id)));
+    const userNames = Object.fromEntries(
+      deleters.filter(Boolean).map((u) => [u._id, u.name])
+    );
+
+    return {
+      expenses: trashed.map((e) => ({
+        ...e,
+        purgeAt: e.deletedAt + TRASH_DAYS * DAY,
+        canRestore:
+          e.createdBy === me._id ||
+          e.deletedBy === me._id ||
+          isPayer(e, me._id),
+      })),
+      userNames,
+    };
+  },
+});
+
+// ----------- Search -----------
+
+// Most results searchExpenses returns (newest first)
+const MAX_SEARCH_RESULTS = 100;
+
+// Search the caller's expenses. Everything is optional:
+// - text: words in the description (full-text, prefix match on the last one)
+// - groupId / userId: only that group, or only 1‑to‑1 expenses with userId
+// - category, payerId, participantId
+// - dateFrom / dateTo: timestamps, inclusive
+// - minAmount / maxAmount: in major units of each expense's own currency
+// Only the caller's groups and 1‑to‑1 expenses are searched, so nothing
+// they can't see is read; trashed ones never are.
+export const searchExpenses = query({
+  args: {
+    text: v.optional(v.string()),
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")),
+    category: v.optional(v.string()),
+    payerId: v.optional(v.id("users")),
+    participantId: v.optional(v.id("users")),
+    dateFrom: v.optional(v.number()),
+    dateTo: v.optional(v.number()),
+    minAmount: v.optional(v.number()),
+    maxAmount: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    /* ───── 1. Scopes: the group, else the caller's groups and 1‑to‑1 ── */
+    // A scope is a groupId; undefined stands for the 1‑to‑1 expenses
+    let scopes;
+    if (args.groupId) {
+      const group = await ctx.db.get(args.groupId);
+      if (!group) throw new Error("Group not found");
+      if (!group.members.some((m) => m.userId === me._id)) {
+        throw new Error("You are not a member of this group");
+      }
+      scopes = [args.groupId];
+    } else if (args.userId) {
+      scopes = [undefined];
+    } else {
+      const myGroups = (await ctx.db.query("groups").collect()).filter((g) =>
+        g.members.some((m) => m.userId === me._id)
       );
+      scopes = [undefined, ...myGroups.map((g) => g._id)];
+    }
+
+    /* ───── 2. Candidates per scope: search index for text, else the
+     *          group/date index ─────────────────────────────────────── */
+    const text = args.text?.trim();
+    const candidates = [];
+    for (const groupId of scopes) {
+      const found = text
+        ? await ctx.db
+            .query("expenses")
+            .withSearchIndex("search_description", (q) =>
+              q
+                .search("description", text)
+                .eq("deletedAt", undefined)
+                .eq("groupId", groupId)
+            )
+            .collect()
+        : await ctx.db
+            .query("expenses")
+            .withIndex("by_group_and_date", (q) => {
+              let range = q.eq("groupId", groupId);
+              if (args.dateFrom !== undefined) {
+                range = range.gte("date", args.dateFrom);
+              }
+              if (args.dateTo !== undefined) {
+                range = range.lte("date", args.dateTo);
+              }
+              return range;
+            })
+            .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+            .collect();
+      // Other people's 1‑to‑1 expenses share the scope – keep the caller's
+      candidates.push(
+        ...(groupId ? found : found.filter((e) => isInvolved(e, me._id)))
+      );
+    }
+
+    /* ───── 3. Filters that the indexes can't do ───────────────────── */
+    // Categories are compared resolved (merged ones, older stored values)
+    const categoryLists =
+      args.category &&
+      (await loadCategories(
+        ctx,
+        candidates.map((e) => e.groupId).filter(Boolean)
+      ));
+    const visible = candidates.filter((e) => {
+      const major = toMajorUnits(e.amount, getCurrency(e));
+      return (
+        (!args.userId || (!e.groupId && isInvolved(e, args.userId))) &&
+        (!args.category ||
+          categoryOf(categoryLists, e).id === args.category) &&
+        (!args.payerId || isPayer(e, args.payerId)) &&
+        (!args.participantId || isInvolved(e, args.participantId)) &&
+        (args.dateFrom === undefined || e.date >= args.dateFrom) &&
+        (args.dateTo === undefined || e.date <= args.dateTo) &&
+        (args.minAmount === undefined || major >= args.minAmount) &&
+        (args.maxAmount === undefined || major <= args.maxAmount)
+      );
+    });
+
+    visible.sort((a, b) => b.date - a.date);
+
+    return {
+      expenses: visible.slice(0, MAX_SEARCH_RESULTS),
+      total: visible.length,
+    };
+  },
+});
+
+// ----------- Duplicates -----------
+
+// Live expenses that look like the same bill as `expense`, which doesn't
+// have to be saved yet (see lib/duplicates for what counts as similar)
+async function findDuplicates(ctx, expense) {
+  const from = expense.date - DUPLICATE_DATE_WINDOW;
+  const to = expense.date + DUPLICATE_DATE_WINDOW;
+
+  const candidates = expense.groupId
+    ? await ctx.db
+        .query("expenses")
+        .withIndex("by_group_and_date", (q) =>
+          q.eq("groupId", expense.groupId).gte("date", from).lte("date", to)
+        )
+        .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+        .collect()
+    : // 1‑to‑1: a duplicate has the same payer
+      await ctx.db
+        .query("expenses")
+        .withIndex("by_user_and_group", (q) =>
+          q.eq("paidByUserId", expense.paidByUserId).eq("groupId", undefined)
+        )
+        .filter((q) =>
+          q.and(
+            q.eq(q.field("deletedAt"), undefined), // not in the trash
+            q.gte(q.field("date"), from),
+            q.lte(q.field("date"), to)
+          )
+        )
+        .collect();
+
+  return candidates.filter((c) => isPossibleDuplicate(expense, c));
+}
+
+// Names of the people who added `expenses`, by id
+async function creatorNames(ctx, expenses) {
+  const ids = [...new Set(expenses.map((e) => e.createdBy))];
+  const users = await Promise.all(ids.map((id) => ctx.db.get(id)));
+  return Object.fromEntries(users.filter(Boolean).map((u) => [u._id, u.name]));
+}
+
+// Expenses like the one being entered in the expense form, so it can warn
+// before saving. `participantIds` are everyone in the split.
+export const getSimilarExpenses = query({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    description: v.string(),
+    amount: v.number(),
+    currency: v.string(),
+    date: v.number(),
+    paidByUserId: v.id("users"),
+    participantIds: v.array(v.id("users")),
+  },
+  handler: async (ctx, { participantIds, ...args }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const draft = {
+      ...args,
+      splits: participantIds.map((userId) => ({ userId })),
+    };
+    if (!(await canAccessItem(ctx, user._id, draft))) return [];
+
+    const duplicates = await findDuplicates(ctx, draft);
+    const names = await creatorNames(ctx, duplicates);
+
+    return duplicates.map((e) => ({
+      _id: e._id,
+      description: e.description,
+      amount: e.amount,
+      currency: getCurrency(e),
+      date: e.date,
+      createdByName: e.createdBy === user._id ? "You" : names[e.createdBy],
+    }));
+  },
+});
+
+// Pairs of a group's expenses that look like the same bill, newest first,
+// for the "possible duplicates" review on the group page.
+// Returns { pairs: [[older, newer]], userNames }; each expense says whether
+// the caller may remove it (creator or payer, as for deleting).
+export const getPossibleDuplicates = query({
+  args: { groupId: v.id("groups") },
+  handler: async (ctx, { groupId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+    if (!group.members.some((m) => m.userId === user._id)) {
+      throw new Error("You are not a member of this group");
+    }
+
+    const expenses = await ctx.db
+      .query("expenses")
+      .withIndex("by_group_and_date", (q) => q.eq("groupId", groupId))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+      .collect();
+
+    // Sorted by date, so only the next few can be close enough
+    const pairs = [];
+    expenses.forEach((a, i) => {
+      for (let j = i + 1; j < expenses.length; j++) {
+        const b = expenses[j];
+        if (b.date - a.date > DUPLICATE_DATE_WINDOW) break;
+        if (isPossibleDuplicate(a, b)) pairs.push([a, b]);
+      }
+    });
+    pairs.reverse();
+
+    const withPermission = (e) => ({
+      ...e,
+      canRemove: e.createdBy === user._id || isPayer(e, user._id),
+    });
+
+    return {
+      pairs: pairs.map((pair) => pair.map(withPermission)),
+      userNames: await creatorNames(ctx, pairs.flat()),
+    };
+  },
+});
+
+// Merge a duplicate into the expense that's kept: its comments, files and
+// settlement links move over, then it goes to the trash (restorable like
+// any deleted expense). Needs the same rights as deleting the duplicate.
+export const mergeDuplicateExpenses = mutation({
+  args: {
+    keepId: v.id("expenses"),
+    duplicateId: v.id("expenses"),
+  },
+  handler: async (ctx, { keepId, duplicateId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
 
-      if (updatedRelatedExpenseIds.length === 0) {
-        // If this was the only related expense, delete the settlement
-        await ctx.db.delete(settlement._id);
-      } else {
-        // Otherwise update the settlement to remove this expense ID
-        await ctx.db.patch(settlement._id, {
-          relatedExpenseIds: updatedRelatedExpenseIds,
-        });
+    const keep = await ctx.db.get(keepId);
+    const duplicate = await ctx.db.get(duplicateId);
+    if (!keep || keep.deletedAt || !duplicate || duplicate.deletedAt) {
+      throw new Error("Expense not found");
+    }
+    if (!(await canAccessItem(ctx, user._id, keep))) {
+      throw new Error("Expense not found");
+    }
+    if (keepId === duplicateId || keep.groupId !== duplicate.groupId) {
+      throw new Error("Only two expenses of the same group can be merged");
+    }
+    if (!keep.groupId && peopleKey(keep) !== peopleKey(duplicate)) {
+      throw new Error("Only expenses between the same people can be merged");
+    }
+    if (duplicate.createdBy !== user._id && !isPayer(duplicate, user._id)) {
+      throw new Error("You don't have permission to remove this expense");
+    }
+
+    /* ───── 1. Comments and files move to the kept expense ───── */
+    for (const table of ["comments", "attachments"]) {
+      const rows = await ctx.db
+        .query(table)
+        .withIndex("by_expense", (q) => q.eq("expenseId", duplicateId))
+        .collect();
+      for (const row of rows) {
+        await ctx.db.patch(row._id, { expenseId: keepId });
       }
     }
 
-    // Delete the expense
-    await ctx.db.delete(args.expenseId);
+    /* ───── 2. So do settlement links ───── */
+    const settlements = await ctx.db
+      .query("settlements")
+      .withIndex("by_group", (q) => q.eq("groupId", duplicate.groupId))
+      .collect();
+    for (const settlement of settlements) {
+      if (!settlement.relatedExpenseIds?.includes(duplicateId)) continue;
+      await ctx.db.patch(settlement._id, {
+        relatedExpenseIds: [
+          ...new Set(
+            settlement.relatedExpenseIds.map((id) =>
+              id === duplicateId ? keepId : id
+            )
+          ),
+        ],
+      });
+    }
+
+    /* ───── 3. The duplicate goes to the trash ───── */
+    // The history row keeps what was merged in (before) and what it was
+    // merged into (after)
+    await moveToTrash(ctx, user, duplicate);
+    await recordExpenseHistory(ctx, {
+      expenseId: keepId,
+      action: "merge",
+      actorId: user._id,
+      groupId: keep.groupId,
+      before: duplicate,
+      after: keep,
+    });
 
     return { success: true };
   },
-});
\ No newline at end of file
+});
+
+// "These aren't the same bill": the pair stops showing up as duplicates
+export const dismissDuplicate = mutation({
+  args: {
+    expenseId: v.id("expenses"),
+    otherExpenseId: v.id("expenses"),
+  },
+  handler: async (ctx, { expenseId, otherExpenseId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const pair = [
+      await ctx.db.get(expenseId),
+      await ctx.db.get(otherExpenseId),
+    ];
+    for (const expense of pair) {
+      if (!expense || !(await canAccessItem(ctx, user._id, expense))) {
+        throw new Error("Expense not found");
+      }
+    }
+
+    // Only a pair that could have been a duplicate (same checks as merging)
+    const [a, b] = pair;
+    if (a._id === b._id || a.groupId !== b.groupId) {
+      throw new Error("Only two expenses of the same group can be compared");
+    }
+    if (!a.groupId && peopleKey(a) !== peopleKey(b)) {
+      throw new Error("Only expenses between the same people can be compared");
+    }
+
+    await ctx.db.patch(a._id, {
+      notDuplicateOf: [...new Set([...(a.notDuplicateOf ?? []), b._id])],
+    });
+    await ctx.db.patch(b._id, {
+      notDuplicateOf: [...new Set([...(b.notDuplicateOf ?? []), a._id])],
+    });
+
+    return { success: true };
+  },
+});
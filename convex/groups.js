@@ -1,6 +1,106 @@
-import { query } from "./_generated/server";
+import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
 import { internal } from "./_generated/api";
+import { getExpenseDebts, isSettlementConfirmed } from "./lib/balances";
+import { getCurrency, isCurrencyCode } from "./lib/currency";
+import { getConverter } from "./exchangeRates";
+import { compareTransfers, simplifyDebts } from "./lib/simplify";
+
+// Everything that counts towards a group's balances, in `convert`'s
+// currency: { expenses, settlements, totals, ledger }
+//   totals: memberId → net balance (+ is owed)
+//   ledger: debtor → creditor → amount, netted per pair – or, with the
+//           group's "simplify debts" setting, the fewest payments that
+//           settle everyone (lib/simplify)
+export async function getGroupLedger(ctx, group, convert) {
+  const expenses = await ctx.db
+    .query("expenses")
+    .withIndex("by_group", (q) => q.eq("groupId", group._id))
+    .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+    .collect();
+
+  const settlements = (
+    await ctx.db
+      .query("settlements")
+      .filter((q) => q.eq(q.field("groupId"), group._id))
+      .collect()
+  ).filter(isSettlementConfirmed);
+
+  const ids = group.members.map((m) => m.userId);
+
+  /* ----------  ledgers ---------- */
+  // total net balance (old behaviour)
+  const totals = Object.fromEntries(ids.map((id) => [id, 0]));
+  // pair‑wise ledger  debtor -> creditor -> amount
+  const ledger = {};
+  ids.forEach((a) => {
+    ledger[a] = {};
+    ids.forEach((b) => {
+      if (a !== b) ledger[a][b] = 0;
+    });
+  });
+
+  /* ----------  apply expenses ---------- */
+  for (const exp of expenses) {
+    // payers & settled splits never show up as debts
+    for (const debt of getExpenseDebts(exp)) {
+      const { from: debtor, to: payer } = debt;
+      const amt = convert(debt.amount, getCurrency(exp));
+      totals[payer] += amt;
+      totals[debtor] -= amt;
+
+      ledger[debtor][payer] += amt; // debtor owes payer
+    }
+  }
+
+  /* ----------  apply settlements ---------- */
+  for (const s of settlements) {
+    const amt = convert(s.amount, getCurrency(s));
+    totals[s.paidByUserId] += amt;
+    totals[s.receivedByUserId] -= amt;
+
+    ledger[s.paidByUserId][s.receivedByUserId] -= amt; // they paid back
+  }
+
+  /* ----------  simplified: only the fewest payments remain ---------- */
+  if (group.simplifyDebts) {
+    ids.forEach((a) => ids.forEach((b) => a !== b && (ledger[a][b] = 0)));
+    for (const { from, to, amount } of simplifyDebts(totals)) {
+      ledger[from][to] = amount;
+    }
+    return { expenses, settlements, totals, ledger };
+  }
+
+  /* ----------  net the pair‑wise ledger ---------- */
+  ids.forEach((a) => {
+    ids.forEach((b) => {
+      if (a >= b) return; // visit each unordered pair once
+      const diff = ledger[a][b] - ledger[b][a];
+      if (diff > 0) {
+        ledger[a][b] = diff;
+        ledger[b][a] = 0;
+      } else if (diff < 0) {
+        ledger[b][a] = -diff;
+        ledger[a][b] = 0;
+      } else {
+        ledger[a][b] = ledger[b][a] = 0;
+      }
+    });
+  });
+
+  return { expenses, settlements, totals, ledger };
+}
+
+// The payments that clear a ledger from getGroupLedger:
+// [{ from, to, amount }], biggest first
+export const getLedgerTransfers = (ledger) =>
+  Object.entries(ledger)
+    .flatMap(([from, creditors]) =>
+      Object.entries(creditors)
+        .filter(([, amount]) => amount > 0)
+        .map(([to, amount]) => ({ from, to, amount }))
+    )
+    .sort(compareTransfers);
 
 export const getGroupOrMembers = query({
   args: {
@@ -51,6 +151,7 @@ export const getGroupOrMembers = query({
           id: selectedGroup._id,
           name: selectedGroup.name,
           description: selectedGroup.description,
+          currency: getCurrency(selectedGroup),
           createdBy: selectedGroup.createdBy,
           members: validMembers,
         },
@@ -89,16 +190,6 @@ export const getGroupExpenses = query({ // Get expenses for a specific group
     if (!group.members.some((m) => m.userId === currentUser._id))
       throw new Error("You are not a member of this group");
 
-    const expenses = await ctx.db
-      .query("expenses")
-      .withIndex("by_group", (q) => q.eq("groupId", groupId))
-      .collect();
-
-    const settlements = await ctx.db
-      .query("settlements")
-      .filter((q) => q.eq(q.field("groupId"), groupId))
-      .collect();
-
     /* ----------  member map ---------- */
     const memberDetails = await Promise.all(
       group.members.map(async (m) => {
@@ -108,59 +199,15 @@ export const getGroupExpenses = query({ // Get expenses for a specific group
     );
     const ids = memberDetails.map((m) => m.id);
 
-
-    
-    /* ----------  ledgers ---------- */
-    // total net balance (old behaviour)
-    const totals = Object.fromEntries(ids.map((id) => [id, 0]));
-    // pair‑wise ledger  debtor -> creditor -> amount
-    const ledger = {};
-    ids.forEach((a) => {
-      ledger[a] = {};
-      ids.forEach((b) => {
-        if (a !== b) ledger[a][b] = 0;
-      });
-    });
-
-    /* ----------  apply expenses ---------- */
-    for (const exp of expenses) {
-      const payer = exp.paidByUserId;
-      for (const split of exp.splits) {
-        if (split.userId === payer || split.paid) continue; // skip payer & settled
-        const debtor = split.userId;
-        const amt = split.amount;
-
-        totals[payer] += amt;
-        totals[debtor] -= amt;
-
-        ledger[debtor][payer] += amt; // debtor owes payer
-      }
-    }
-
-    /* ----------  apply settlements ---------- */
-    for (const s of settlements) {
-      totals[s.paidByUserId] += s.amount;
-      totals[s.receivedByUserId] -= s.amount;
-
-      ledger[s.paidByUserId][s.receivedByUserId] -= s.amount; // they paid back
-    }
-
-    /* ----------  net the pair‑wise ledger ---------- */
-    ids.forEach((a) => {
-      ids.forEach((b) => {
-        if (a >= b) return; // visit each unordered pair once
-        const diff = ledger[a][b] - ledger[b][a];
-        if (diff > 0) {
-          ledger[a][b] = diff;
-          ledger[b][a] = 0;
-        } else if (diff < 0) {
-          ledger[b][a] = -diff;
-          ledger[a][b] = 0;
-        } else {
-          ledger[a][b] = ledger[b][a] = 0;
-        }
-      });
-    });
+    // Balances are shown in the viewer's currency; each expense and
+    // settlement keeps its own amount + currency for the lists
+    const currency = getCurrency(currentUser);
+    const convert = await getConverter(ctx, currency);
+    const { expenses, settlements, totals, ledger } = await getGroupLedger(
+      ctx,
+      group,
+      convert
+    );
 
     /* ----------  shape the response ---------- */
     const balances = memberDetails.map((m) => ({
@@ -184,12 +231,93 @@ export const getGroupExpenses = query({ // Get expenses for a specific group
         id: group._id,
         name: group.name,
         description: group.description,
+        currency: getCurrency(group),
+        simplifyDebts: Boolean(group.simplifyDebts),
       },
       members: memberDetails,
-      expenses,
-      settlements,
+      // The lists themselves are paginated – see expenses.getExpensesPage
+      // and settlements.getSettlementsPage
+      expenseCount: expenses.length,
+      settlementCount: settlements.length,
       balances,
+      currency, // of the balances
+      missingRates: [...convert.missing], // currencies left out of balances
       userLookupMap,
     };
   },
-});
\ No newline at end of file
+});
+
+// Change the default currency of a group (admins only)
+export const updateGroupCurrency = mutation({
+  args: {
+    groupId: v.id("groups"),
+    currency: v.string(), // ISO code, e.g. "EUR"
+  },
+  handler: async (ctx, { groupId, currency }) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+
+    const member = group.members.find((m) => m.userId === currentUser._id);
+    if (member?.role !== "admin")
+      throw new Error("Only group admins can change the currency");
+
+    if (!isCurrencyCode(currency)) throw new Error("Invalid currency");
+
+    await ctx.db.patch(groupId, { currency });
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getSimplifiedDebts
+ *  The fewest payments that settle everyone in the group, from each
+ *  member's net balance (lib/simplify), whether or not the group uses the
+ *  "simplify debts" setting: { transfers: [{ from, to, amount }],
+ *  currency, missingRates }. Amounts are in the viewer's currency.
+ * -------------------------------------------------------------------------- */
+
+export const getSimplifiedDebts = query({
+  args: { groupId: v.id("groups") },
+  handler: async (ctx, { groupId }) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+    if (!group.members.some((m) => m.userId === currentUser._id)) {
+      throw new Error("You are not a member of this group");
+    }
+
+    const currency = getCurrency(currentUser);
+    const convert = await getConverter(ctx, currency);
+    const { totals } = await getGroupLedger(ctx, group, convert);
+
+    return {
+      transfers: simplifyDebts(totals),
+      currency,
+      missingRates: [...convert.missing],
+    };
+  },
+});
+
+// Turn "simplify debts" on or off for a group (admins only). When on,
+// balances show the fewest payments that settle everyone instead of what
+// each pair owes each other.
+export const updateGroupSimplifyDebts = mutation({
+  args: {
+    groupId: v.id("groups"),
+    simplifyDebts: v.boolean(),
+  },
+  handler: async (ctx, { groupId, simplifyDebts }) => {
+    const currentUser = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+
+    const member = group.members.find((m) => m.userId === currentUser._id);
+    if (member?.role !== "admin")
+      throw new Error("Only group admins can change how debts are shown");
+
+    await ctx.db.patch(groupId, { simplifyDebts });
+  },
+});
@@ -0,0 +1,158 @@
+import { query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { getPayers } from "./lib/balances";
+
+/* ============================================================================
+ *  HELPERS (used by the expense mutations)
+ * -------------------------------------------------------------------------- */
+
+// Keep only the fields we show in the history panel
+const toSnapshot = (expense) => ({
+  description: expense.description,
+  amount: expense.amount,
+  currency: expense.currency,
+  category: expense.category,
+  date: expense.date,
+  paidByUserId: expense.paidByUserId,
+  payers: expense.payers,
+  splitType: expense.splitType,
+  splits: expense.splits,
+  minorUnits: expense.minorUnits,
+});
+
+const involvedUserIds = (expense) =>
+  expense
+    ? [
+        ...getPayers(expense).map((p) => p.userId),
+        ...expense.splits.map((s) => s.userId),
+      ]
+    : [];
+
+// Write one history row. `before` / `after` are expense docs (or undefined).
+export async function recordExpenseHistory(
+  ctx,
+  { expenseId, action, actorId, groupId, before, after }
+) {
+  await ctx.db.insert("expenseHistory", {
+    expenseId,
+    action,
+    actorId,
+    timestamp: Date.now(),
+    groupId,
+    participantIds: [
+      ...new Set([...involvedUserIds(before), ...involvedUserIds(after)]),
+    ],
+    before: before ? toSnapshot(before) : undefined,
+    after: after ? toSnapshot(after) : undefined,
+  });
+}
+
+// Group rows → group members; 1‑to‑1 rows → the people in the expense
+async function canReadHistory(ctx, userId, row) {
+  if (row.groupId) {
+    const group = await ctx.db.get(row.groupId);
+    return Boolean(group?.members.some((m) => m.userId === userId));
+  }
+  return row.participantIds.includes(userId);
+}
+
+// id → name for everyone mentioned in a list of history rows
+async function buildUserNames(ctx, rows) {
+  const ids = new Set();
+  rows.forEach((row) => {
+    ids.add(row.actorId);
+    row.participantIds.forEach((id) => ids.add(id));
+  });
+
+  const users = await Promise.all([...ids].map((id) => ctx.db.get(id)));
+  return Object.fromEntries(
+    users.filter(Boolean).map((u) => [u._id, u.name])
+  );
+}
+
+/* ============================================================================
+ *  QUERY: getExpenseHistory
+ *  Every change made to one expense, oldest first. Works for deleted
+ *  expenses too, because access is checked against the history rows.
+ * -------------------------------------------------------------------------- */
+
+export const getExpenseHistory = query({
+  args: { expenseId: v.id("expenses") },
+  handler: async (ctx, { expenseId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const rows = await ctx.db
+      .query("expenseHistory")
+      .withIndex("by_expense", (q) => q.eq("expenseId", expenseId))
+      .collect();
+
+    if (rows.length === 0) return { entries: [], userNames: {} };
+
+    // Anyone involved at any point may read the whole trail
+    const allowed = await Promise.all(
+      rows.map((row) => canReadHistory(ctx, user._id, row))
+    );
+    if (!allowed.some(Boolean)) {
+      throw new Error("You don't have access to this expense's history");
+    }
+
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+
+    return { entries: rows, userNames: await buildUserNames(ctx, rows) };
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getDeletedExpenses
+ *  Purged expenses of a group, or between the caller and one other user,
+ *  newest first – so the trail of a removed expense stays reachable.
+ *  Expenses still in the trash come from expenses.getTrashedExpenses.
+ * -------------------------------------------------------------------------- */
+
+export const getDeletedExpenses = query({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")), // other person for 1‑to‑1 history
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (args.groupId) {
+      const group = await ctx.db.get(args.groupId);
+      if (!group) throw new Error("Group not found");
+      if (!group.members.some((m) => m.userId === me._id)) {
+        throw new Error("You are not a member of this group");
+      }
+    } else if (!args.userId) {
+      throw new Error("Either groupId or userId is required");
+    }
+
+    const rows = (
+      await ctx.db
+        .query("expenseHistory")
+        .withIndex("by_group_and_action", (q) =>
+          q.eq("groupId", args.groupId).eq("action", "delete")
+        )
+        .collect()
+    ).filter(
+      (row) =>
+        args.groupId ||
+        (row.participantIds.includes(me._id) &&
+          row.participantIds.includes(args.userId))
+    );
+
+    rows.sort((a, b) => b.timestamp - a.timestamp);
+
+    // Latest delete per expense, and only once it's gone for good
+    const seen = new Set();
+    const purged = [];
+    for (const row of rows) {
+      if (seen.has(row.expenseId)) continue;
+      seen.add(row.expenseId);
+      if (!(await ctx.db.get(row.expenseId))) purged.push(row);
+    }
+
+    return { entries: purged, userNames: await buildUserNames(ctx, purged) };
+  },
+});
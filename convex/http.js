@@ -0,0 +1,67 @@
+import { httpRouter } from "convex/server";
+import { httpAction } from "./_generated/server";
+import { internal } from "./_generated/api";
+
+const http = httpRouter();
+
+// The app fetches from another origin, sending its Convex token in the
+// Authorization header (no cookies), so any origin may ask
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization",
+};
+
+/* ============================================================================
+ *  GET /attachments?id=<attachmentId>
+ *  The file of an attachment, for a signed-in user who can still see its
+ *  expense or settlement. Nothing is cached, so losing access to the group
+ *  (or the expense) means losing access to the file. See
+ *  components/attachments.jsx for the client side.
+ * -------------------------------------------------------------------------- */
+
+http.route({
+  path: "/attachments",
+  method: "GET",
+  handler: httpAction(async (ctx, request) => {
+    const notFound = () =>
+      new Response("Attachment not found", {
+        status: 404,
+        headers: CORS_HEADERS,
+      });
+
+    if (!(await ctx.auth.getUserIdentity())) {
+      return new Response("Not authenticated", {
+        status: 401,
+        headers: CORS_HEADERS,
+      });
+    }
+
+    const attachmentId = new URL(request.url).searchParams.get("id");
+    if (!attachmentId) return notFound();
+
+    const file = await ctx.runQuery(internal.attachments.getAttachmentFile, {
+      attachmentId,
+    });
+    const blob = file && (await ctx.storage.get(file.storageId));
+    if (!blob) return notFound();
+
+    return new Response(blob, {
+      headers: {
+        ...CORS_HEADERS,
+        "Content-Type": file.contentType,
+        "Cache-Control": "private, no-store",
+      },
+    });
+  }),
+});
+
+http.route({
+  path: "/attachments",
+  method: "OPTIONS",
+  handler: httpAction(
+    async () => new Response(null, { status: 204, headers: CORS_HEADERS })
+  ),
+});
+
+export default http;
@@ -1,8 +1,29 @@
-import { query } from "./_generated/server";
+import { mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import {
+  getExpenseDebts,
+  isInvolved,
+  isPayer,
+  isSettlementConfirmed,
+} from "./lib/balances";
+import { createConverter, getCurrency, toMajorUnits } from "./lib/currency";
+import { getRates } from "./exchangeRates";
+import { createDueOccurrences } from "./recurringExpenses";
+import { categoryOf, loadCategories } from "./categories";
+
+// The Inngest jobs call the functions below through the public API, so
+// the ones that change data or expose other people's details also take
+// `secret`: INNGEST_CONVEX_SECRET, set both in Convex and next to the jobs
+function checkServerSecret(secret) {
+  const expected = process.env.INNGEST_CONVEX_SECRET;
+  if (!expected || secret !== expected) {
+    throw new Error("Not allowed");
+  }
+}
 
 // 1‑to‑1 debts netted against cases where the user
 // was the payer and against settlements already made.
+// Amounts are in each user's own currency.
 export const getUsersWithOutstandingDebts = query({
   handler: async (ctx) => {
     const users = await ctx.db.query("users").collect();
@@ -12,13 +33,18 @@ export const getUsersWithOutstandingDebts = query({
     const expenses = await ctx.db
       .query("expenses")
       .filter((q) => q.eq(q.field("groupId"), undefined))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
       .collect();
 
-    // Load every 1‑to‑1 settlement once (groupId === undefined)
-    const settlements = await ctx.db
-      .query("settlements")
-      .filter((q) => q.eq(q.field("groupId"), undefined))
-      .collect();
+    // Load every confirmed 1‑to‑1 settlement once (groupId === undefined)
+    const settlements = (
+      await ctx.db
+        .query("settlements")
+        .filter((q) => q.eq(q.field("groupId"), undefined))
+        .collect()
+    ).filter(isSettlementConfirmed);
+
+    const rates = await getRates(ctx);
 
     /* small cache so we don’t hit the DB for every name */
     const userCache = new Map();
@@ -28,6 +54,9 @@ export const getUsersWithOutstandingDebts = query({
     };
 
     for (const user of users) {
+      const currency = getCurrency(user);
+      const convert = createConverter(rates, currency);
+
       // Map<counterpartyId, { amount: number, since: number }>
       // +amount => user owes counterparty
       // -amount => counterparty owes user
@@ -35,33 +64,28 @@ export const getUsersWithOutstandingDebts = query({
 
       /* ── 1) process every 1‑to‑1 expense ─────────────────────────────── */
       for (const exp of expenses) {
-        // Case A: somebody else paid, and user appears in splits
-        if (exp.paidByUserId !== user._id) {
-          const split = exp.splits.find(
-            (s) => s.userId === user._id && !s.paid
-          );
-          if (!split) continue;
-
-          const entry = ledger.get(exp.paidByUserId) ?? {
-            amount: 0,
-            since: exp.date,
-          };
-          entry.amount += split.amount; // user owes
-          entry.since = Math.min(entry.since, exp.date);
-          ledger.set(exp.paidByUserId, entry);
-        }
+        for (const debt of getExpenseDebts(exp)) {
+          const amount = convert(debt.amount, getCurrency(exp));
 
-        // Case B: user paid, others appear in splits
-        else {
-          for (const s of exp.splits) {
-            if (s.userId === user._id || s.paid) continue;
+          // Case A: somebody else paid, and user owes them
+          if (debt.from === user._id) {
+            const entry = ledger.get(debt.to) ?? {
+              amount: 0,
+              since: exp.date,
+            };
+            entry.amount += amount; // user owes
+            entry.since = Math.min(entry.since, exp.date);
+            ledger.set(debt.to, entry);
+          }
 
-            const entry = ledger.get(s.userId) ?? {
+          // Case B: user paid, others owe user
+          else if (debt.to === user._id) {
+            const entry = ledger.get(debt.from) ?? {
               amount: 0,
               since: exp.date, // will be ignored while amount ≤ 0
             };
-            entry.amount -= s.amount; // others owe user
-            ledger.set(s.userId, entry);
+            entry.amount -= amount; // others owe user
+            ledger.set(debt.from, entry);
           }
         }
       }
@@ -72,7 +96,7 @@ export const getUsersWithOutstandingDebts = query({
         if (st.paidByUserId === user._id) {
           const entry = ledger.get(st.receivedByUserId);
           if (entry) {
-            entry.amount -= st.amount;
+            entry.amount -= convert(st.amount, getCurrency(st));
             if (entry.amount === 0) ledger.delete(st.receivedByUserId);
             else ledger.set(st.receivedByUserId, entry);
           }
@@ -81,7 +105,7 @@ export const getUsersWithOutstandingDebts = query({
         else if (st.receivedByUserId === user._id) {
           const entry = ledger.get(st.paidByUserId);
           if (entry) {
-            entry.amount += st.amount; // entry.amount is negative
+            entry.amount += convert(st.amount, getCurrency(st)); // entry.amount is negative
             if (entry.amount === 0) ledger.delete(st.paidByUserId);
             else ledger.set(st.paidByUserId, entry);
           }
@@ -109,6 +133,7 @@ export const getUsersWithOutstandingDebts = query({
           _id: user._id,
           name: user.name,
           email: user.email,
+          currency,
           debts,
         });
       }
@@ -130,28 +155,19 @@ export const getUsersWithExpenses = query({
     oneMonthAgo.setMonth(now.getMonth() - 1);
     const monthStart = oneMonthAgo.getTime();
 
+    // Load the recent expenses once; payers and splits are arrays, so
+    // involvement is checked in memory
+    const allRecentExpenses = await ctx.db
+      .query("expenses")
+      .withIndex("by_date", (q) => q.gte("date", monthStart))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+      .collect();
+
     for (const user of users) {
-      // First, check expenses where this user is the payer
-      const paidExpenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_date", (q) => q.gte("date", monthStart))
-        .filter((q) => q.eq(q.field("paidByUserId"), user._id))
-        .collect();
-
-      // Then, check all expenses to find ones where user is in splits
-      // We need to do this separately because we can't filter directly on array contents
-      const allRecentExpenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_date", (q) => q.gte("date", monthStart))
-        .collect();
-
-      const splitExpenses = allRecentExpenses.filter((expense) =>
-        expense.splits.some((split) => split.userId === user._id)
+      const userExpenses = allRecentExpenses.filter((expense) =>
+        isInvolved(expense, user._id)
       );
 
-      // Combine both sets of expenses
-      const userExpenses = [...new Set([...paidExpenses, ...splitExpenses])];
-
       if (userExpenses.length > 0) {
         result.push({
           _id: user._id,
@@ -179,15 +195,19 @@ export const getUserMonthlyExpenses = query({
     const allExpenses = await ctx.db
       .query("expenses")
       .withIndex("by_date", (q) => q.gte("date", monthStart))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
       .collect();
 
     // Filter for expenses where this user is involved
-    const userExpenses = allExpenses.filter((expense) => {
-      const isInvolved =
-        expense.paidByUserId === args.userId ||
-        expense.splits.some((split) => split.userId === args.userId);
-      return isInvolved;
-    });
+    const userExpenses = allExpenses.filter((expense) =>
+      isInvolved(expense, args.userId)
+    );
+
+    // Category names as each group calls them
+    const categoryLists = await loadCategories(
+      ctx,
+      userExpenses.map((e) => e.groupId).filter(Boolean)
+    );
 
     // Format expenses for AI analysis
     return userExpenses.map((expense) => {
@@ -198,12 +218,110 @@ export const getUserMonthlyExpenses = query({
 
       return {
         description: expense.description,
-        category: expense.category,
+        category: categoryOf(categoryLists, expense).name,
         date: expense.date,
-        amount: userSplit ? userSplit.amount : 0,
-        isPayer: expense.paidByUserId === args.userId,
+        // Major units (12.5), easier for the AI to read than cents
+        amount: userSplit ? toMajorUnits(userSplit.amount, getCurrency(expense)) : 0,
+        currency: getCurrency(expense),
+        isPayer: isPayer(expense, args.userId),
         isGroup: expense.groupId !== undefined,
       };
     });
   },
-});
\ No newline at end of file
+});
+
+// Recurring expenses with an occurrence due by `now` (not paused)
+export const getDueRecurringExpenses = query({
+  args: { secret: v.string(), now: v.number() },
+  handler: async (ctx, { secret, now }) => {
+    checkServerSecret(secret);
+
+    const due = await ctx.db
+      .query("recurringExpenses")
+      .withIndex("by_next_date", (q) => q.gte("nextDate", 0).lte("nextDate", now))
+      .collect();
+
+    return due.filter((r) => !r.paused).map((r) => r._id);
+  },
+});
+
+// Create the due occurrences of one recurring expense.
+// Safe to retry: only occurrences that are still due are created.
+export const createRecurringOccurrences = mutation({
+  args: {
+    secret: v.string(),
+    recurringExpenseId: v.id("recurringExpenses"),
+  },
+  handler: async (ctx, { secret, recurringExpenseId }) => {
+    checkServerSecret(secret);
+
+    const recurring = await ctx.db.get(recurringExpenseId);
+    if (!recurring || recurring.paused) return { created: 0, error: null };
+
+    const { created, error } = await createDueOccurrences(ctx, recurring);
+    return { created: created.length, error };
+  },
+});
+
+// Pending settlements whose receiver hasn't been e-mailed about them yet,
+// one entry per receiver:
+// [{ _id, name, email, settlements: [{ _id, amount, currency, note,
+//    payerName, groupName, autoConfirmAt }] }]
+export const getUnnotifiedPendingSettlements = query({
+  args: { secret: v.string() },
+  handler: async (ctx, { secret }) => {
+    checkServerSecret(secret);
+
+    const pending = await ctx.db
+      .query("settlements")
+      .withIndex("by_status", (q) => q.eq("status", "pending"))
+      .filter((q) => q.eq(q.field("notifiedAt"), undefined))
+      .collect();
+
+    const docs = new Map();
+    const getDoc = async (id) => {
+      if (!docs.has(id)) docs.set(id, await ctx.db.get(id));
+      return docs.get(id);
+    };
+
+    const byReceiver = new Map();
+    for (const s of pending) {
+      const receiver = await getDoc(s.receivedByUserId);
+      if (!receiver) continue;
+      if (!byReceiver.has(receiver._id)) {
+        byReceiver.set(receiver._id, {
+          _id: receiver._id,
+          name: receiver.name,
+          email: receiver.email,
+          settlements: [],
+        });
+      }
+      byReceiver.get(receiver._id).settlements.push({
+        _id: s._id,
+        amount: s.amount,
+        currency: getCurrency(s),
+        note: s.note,
+        payerName: (await getDoc(s.paidByUserId))?.name ?? "Someone",
+        groupName: s.groupId ? (await getDoc(s.groupId))?.name : undefined,
+        autoConfirmAt: s.autoConfirmAt,
+      });
+    }
+    return [...byReceiver.values()];
+  },
+});
+
+// Remember that the receivers of these settlements were e-mailed
+export const markSettlementsNotified = mutation({
+  args: {
+    secret: v.string(),
+    settlementIds: v.array(v.id("settlements")),
+  },
+  handler: async (ctx, { secret, settlementIds }) => {
+    checkServerSecret(secret);
+
+    const notifiedAt = Date.now();
+    for (const settlementId of settlementIds) {
+      await ctx.db.patch(settlementId, { notifiedAt });
+    }
+  },
+});
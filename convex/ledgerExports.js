@@ -0,0 +1,162 @@
+import { query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import {
+  getExpenseDebts,
+  getPayers,
+  isInvolved,
+  isSettlementConfirmed,
+} from "./lib/balances";
+import { getCurrency, toMajorUnits } from "./lib/currency";
+import { getConverter } from "./exchangeRates";
+import { categoryOf, loadCategories } from "./categories";
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+// Expenses and settlements of one export scope, trash and unconfirmed
+// settlements left out:
+//   { groupId } → the group (caller must be a member)
+//   { userId }  → 1‑to‑1 items between the caller and userId
+//   {}          → everything the caller is part of
+async function getLedger(ctx, me, { groupId, userId }) {
+  if (groupId) {
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+    if (!group.members.some((m) => m.userId === me._id)) {
+      throw new Error("You are not a member of this group");
+    }
+
+    const expenses = await ctx.db
+      .query("expenses")
+      .withIndex("by_group", (q) => q.eq("groupId", groupId))
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+      .collect();
+    const settlements = (
+      await ctx.db
+        .query("settlements")
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect()
+    ).filter(isSettlementConfirmed);
+    return { expenses, settlements };
+  }
+
+  const expenses = (await ctx.db.query("expenses").collect()).filter(
+    (e) =>
+      !e.deletedAt && // not in the trash
+      isInvolved(e, me._id) &&
+      (!userId || (!e.groupId && isInvolved(e, userId)))
+  );
+  const settlements = (await ctx.db.query("settlements").collect()).filter(
+    (s) => {
+      const people = [s.paidByUserId, s.receivedByUserId];
+      return (
+        people.includes(me._id) &&
+        (!userId || (!s.groupId && people.includes(userId))) &&
+        isSettlementConfirmed(s)
+      );
+    }
+  );
+  return { expenses, settlements };
+}
+
+/* ============================================================================
+ *  QUERY: getExportRows
+ *  A group, a person‑to‑person history or all of the caller's activity as
+ *  flat rows, oldest first: one row per expense split and one per
+ *  settlement. "balance" is that person's running balance within the
+ *  export (positive = they are owed), in the caller's currency.
+ *  Amounts are in major units, ready for a spreadsheet.
+ * -------------------------------------------------------------------------- */
+
+export const getExportRows = query({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")), // other person for 1‑to‑1 history
+  },
+  handler: async (ctx, args) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+    const { expenses, settlements } = await getLedger(ctx, me, args);
+
+    const currency = getCurrency(me);
+    const convert = await getConverter(ctx, currency);
+
+    // Names of people and groups, loaded once each
+    const docs = new Map();
+    const nameOf = async (id) => {
+      if (!docs.has(id)) docs.set(id, await ctx.db.get(id));
+      return docs.get(id)?.name ?? "Unknown";
+    };
+
+    const categoryLists = await loadCategories(
+      ctx,
+      expenses.map((e) => e.groupId).filter(Boolean)
+    );
+
+    const items = [
+      ...expenses.map((e) => ({ type: "expense", doc: e })),
+      ...settlements.map((s) => ({ type: "settlement", doc: s })),
+    ].sort((a, b) => a.doc.date - b.doc.date);
+
+    const balances = {};
+    const addToBalance = (userId, amount) =>
+      (balances[userId] = (balances[userId] ?? 0) + amount);
+    const balanceOf = (userId) =>
+      toMajorUnits(balances[userId] ?? 0, currency);
+
+    const rows = [];
+    for (const { type, doc } of items) {
+      const docCurrency = getCurrency(doc);
+      const common = {
+        date: doc.date,
+        type,
+        group: doc.groupId ? await nameOf(doc.groupId) : "",
+        currency: docCurrency,
+        total: toMajorUnits(doc.amount, docCurrency),
+      };
+
+      if (type === "settlement") {
+        const amount = convert(doc.amount, docCurrency);
+        addToBalance(doc.paidByUserId, amount);
+        addToBalance(doc.receivedByUserId, -amount);
+
+        rows.push({
+          ...common,
+          description: doc.note || "Settlement",
+          category: "",
+          paidBy: await nameOf(doc.paidByUserId),
+          person: await nameOf(doc.receivedByUserId), // received the money
+          share: toMajorUnits(doc.amount, docCurrency),
+          balance: balanceOf(doc.receivedByUserId),
+          balanceCurrency: currency,
+        });
+        continue;
+      }
+
+      for (const debt of getExpenseDebts(doc)) {
+        const amount = convert(debt.amount, docCurrency);
+        addToBalance(debt.to, amount);
+        addToBalance(debt.from, -amount);
+      }
+
+      const payerNames = await Promise.all(
+        getPayers(doc).map((p) => nameOf(p.userId))
+      );
+      for (const split of doc.splits) {
+        rows.push({
+          ...common,
+          description: doc.description,
+          category: categoryOf(categoryLists, doc).name,
+          paidBy: payerNames.join(" & "),
+          person: await nameOf(split.userId),
+          share: toMajorUnits(split.amount, docCurrency),
+          balance: balanceOf(split.userId),
+          balanceCurrency: currency,
+        });
+      }
+    }
+
+    return { rows, currency, missingRates: [...convert.missing] };
+  },
+});
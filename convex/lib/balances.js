@@ -0,0 +1,104 @@
+// Balance helpers shared by every query that works out who owes whom.
+// Plain functions (no Convex queries/mutations), so the client can import
+// them too. Amounts are whole minor units.
+
+import { allocate } from "./splits";
+
+// Everyone who paid towards an expense, with how much they put in.
+// Older expenses only have `paidByUserId`, meaning that user paid it all.
+export const getPayers = (expense) =>
+  expense.payers?.length
+    ? expense.payers
+    : [{ userId: expense.paidByUserId, amount: expense.amount }];
+
+export const isPayer = (expense, userId) =>
+  getPayers(expense).some((p) => p.userId === userId);
+
+// Payer or part of the split
+export const isInvolved = (expense, userId) =>
+  isPayer(expense, userId) || expense.splits.some((s) => s.userId === userId);
+
+// What a person owes on an expense before any paying back: their share
+// minus what they paid towards the bill (0 for whoever is owed money)
+export function getAmountOwed(expense, userId) {
+  const paid = getPayers(expense)
+    .filter((p) => p.userId === userId)
+    .reduce((sum, p) => sum + p.amount, 0);
+  const share = expense.splits
+    .filter((s) => s.userId === userId)
+    .reduce((sum, s) => sum + s.amount, 0);
+  return Math.max(share - paid, 0);
+}
+
+// What's left of that after paying back outside of settlements: nothing
+// once the split is marked paid, else minus its `paidAmount`
+export const getOutstandingAmount = (expense, split) =>
+  split.paid
+    ? 0
+    : Math.max(
+        getAmountOwed(expense, split.userId) - (split.paidAmount ?? 0),
+        0
+      );
+
+// Who owes whom for a single expense → [{ from, to, amount }]
+// Steps:
+// 1. net = what each person paid − what their share is.
+// 2. Debtors are people with a negative net, owing that minus whatever
+//    their split says they've paid back (all of it when marked paid).
+// 3. Each debtor's amount is spread over the creditors (positive net) in
+//    proportion to how much each creditor is owed (largest remainder, so the
+//    parts stay whole and add up; the main payer gets leftovers first).
+// With a single payer this is simply "every unpaid split owes the payer".
+export function getExpenseDebts(expense) {
+  const net = {};
+  for (const p of getPayers(expense)) {
+    net[p.userId] = (net[p.userId] ?? 0) + p.amount;
+  }
+  for (const s of expense.splits) {
+    net[s.userId] = (net[s.userId] ?? 0) - s.amount;
+  }
+
+  const creditors = Object.entries(net).filter(([, n]) => n > 0);
+  if (creditors.length === 0) return [];
+  const mainPayerIndex = creditors.findIndex(
+    ([userId]) => userId === expense.paidByUserId
+  );
+
+  // One entry per person, in split order – older expenses may list someone
+  // in several splits, and their net above already covers all of them
+  const paidBack = {};
+  for (const s of expense.splits) {
+    const entry = (paidBack[s.userId] ??= { paid: true, paidAmount: 0 });
+    entry.paid &&= Boolean(s.paid);
+    entry.paidAmount += s.paidAmount ?? 0;
+  }
+
+  const debts = [];
+  for (const [userId, split] of Object.entries(paidBack)) {
+    const outstanding = split.paid ? 0 : -net[userId] - split.paidAmount;
+    if (!(outstanding > 0)) continue;
+    const parts = allocate(
+      outstanding,
+      creditors.map(([, credit]) => credit),
+      mainPayerIndex
+    );
+
+    creditors.forEach(([creditorId], idx) => {
+      if (parts[idx] > 0) {
+        debts.push({ from: userId, to: creditorId, amount: parts[idx] });
+      }
+    });
+  }
+
+  return debts;
+}
+
+// Whether a settlement counts towards balances: pending ones wait for the
+// receiver to confirm them, rejected ones never count. Older settlements
+// have no status and always count.
+export const isSettlementConfirmed = (settlement) =>
+  (settlement.status ?? "confirmed") === "confirmed";
+
+// Days a pending settlement waits for its receiver before counting anyway,
+// unless they chose otherwise (users.settlementAutoConfirmDays, 0 = never)
+export const DEFAULT_AUTO_CONFIRM_DAYS = 7;
@@ -0,0 +1,108 @@
+// Expense categories, shared by the Convex functions and the UI.
+// Every group starts from the default categories and can rename, recolor,
+// hide, merge or add its own; the categories table holds the seeded
+// defaults plus each group's changes (see convex/categories.js).
+// Expenses store a category id; resolveCategory turns it back into a
+// category.
+
+// What a category can look like: lucide icon names (the UI maps them to
+// components in lib/expense-categories.js) and colors
+export const CATEGORY_ICON_NAMES = [
+  "Utensils", "Coffee", "ShoppingCart", "ShoppingBag", "Plane", "Car",
+  "Home", "Film", "Ticket", "Wifi", "Droplets", "GraduationCap", "Heart",
+  "Stethoscope", "Gift", "Smartphone", "CreditCard", "Baby", "Music",
+  "Book", "MoreHorizontal", "DollarSign", "Beer", "Bus", "Train", "Fuel",
+  "Hotel", "Tent", "Dumbbell", "PawPrint", "Shirt", "Wrench", "Zap",
+  "Pizza", "Briefcase", "Gamepad2", "Camera", "Palmtree",
+];
+
+export const CATEGORY_COLORS = [
+  "#ef4444", "#f97316", "#eab308", "#22c55e", "#14b8a6",
+  "#3b82f6", "#6366f1", "#a855f7", "#ec4899", "#64748b",
+];
+
+// Where uncategorised and unknown expenses end up; can't be hidden or merged
+export const OTHER_CATEGORY_ID = "other";
+
+// The starting set, seeded into the categories table (seedCategories)
+export const DEFAULT_CATEGORIES = [
+  { id: "foodDrink", name: "Food & Drink", icon: "Utensils", color: "#f97316" },
+  { id: "coffee", name: "Coffee", icon: "Coffee", color: "#a16207" },
+  { id: "groceries", name: "Groceries", icon: "ShoppingCart", color: "#22c55e" },
+  { id: "shopping", name: "Shopping", icon: "ShoppingBag", color: "#ec4899" },
+  { id: "travel", name: "Travel", icon: "Plane", color: "#3b82f6" },
+  { id: "transportation", name: "Transportation", icon: "Car", color: "#6366f1" },
+  { id: "housing", name: "Housing", icon: "Home", color: "#14b8a6" },
+  { id: "entertainment", name: "Entertainment", icon: "Film", color: "#a855f7" },
+  { id: "tickets", name: "Tickets", icon: "Ticket", color: "#d946ef" },
+  { id: "utilities", name: "Utilities", icon: "Wifi", color: "#0ea5e9" },
+  { id: "water", name: "Water", icon: "Droplets", color: "#06b6d4" },
+  { id: "education", name: "Education", icon: "GraduationCap", color: "#8b5cf6" },
+  { id: "health", name: "Health", icon: "Stethoscope", color: "#ef4444" },
+  { id: "personal", name: "Personal", icon: "Heart", color: "#f43f5e" },
+  { id: "gifts", name: "Gifts", icon: "Gift", color: "#e11d48" },
+  { id: "technology", name: "Technology", icon: "Smartphone", color: "#475569" },
+  { id: "bills", name: "Bills & Fees", icon: "CreditCard", color: "#eab308" },
+  { id: "baby", name: "Baby & Kids", icon: "Baby", color: "#fb7185" },
+  { id: "music", name: "Music", icon: "Music", color: "#7c3aed" },
+  { id: "books", name: "Books", icon: "Book", color: "#92400e" },
+  { id: "other", name: "Other", icon: "MoreHorizontal", color: "#64748b" },
+  { id: "general", name: "General Expense", icon: "DollarSign", color: "#10b981" },
+];
+
+// categories table row → category ({ id, name, icon, color, hidden,
+// mergedInto, isCustom })
+export const toCategory = (row) => ({
+  id: row.key,
+  name: row.name,
+  icon: row.icon,
+  color: row.color,
+  hidden: Boolean(row.hidden),
+  mergedInto: row.mergedInto,
+  isCustom: !DEFAULT_CATEGORIES.some((c) => c.id === row.key),
+});
+
+// A group's categories: the defaults with the group's changes applied,
+// followed by the group's own ones
+export function applyGroupCategories(defaults, rows) {
+  const changes = new Map(rows.map((row) => [row.key, row]));
+  return [
+    ...defaults.map((category) =>
+      changes.has(category.id) ? toCategory(changes.get(category.id)) : category
+    ),
+    ...rows
+      .filter((row) => !defaults.some((c) => c.id === row.key))
+      .map(toCategory),
+  ];
+}
+
+// The category of `id` within `categories` (one group's list, hidden ones
+// included). Merged categories resolve to the one they were merged into;
+// values older expenses stored ("Other", a category name) are matched by
+// name; anything else is "Other".
+export function resolveCategory(categories, id) {
+  const text = String(id ?? "").trim().toLowerCase();
+  const byId = (key) => categories.find((c) => c.id === key);
+
+  let category =
+    byId(id) ??
+    categories.find(
+      (c) => c.id.toLowerCase() === text || c.name.toLowerCase() === text
+    );
+  // Follow merges (a merge target can itself be merged later)
+  const seen = new Set();
+  while (category?.mergedInto && !seen.has(category.id)) {
+    seen.add(category.id);
+    category = byId(category.mergedInto);
+  }
+
+  return (
+    category ??
+    byId(OTHER_CATEGORY_ID) ??
+    DEFAULT_CATEGORIES.find((c) => c.id === OTHER_CATEGORY_ID)
+  );
+}
+
+// Categories that can be picked for new expenses
+export const getVisibleCategories = (categories) =>
+  categories.filter((c) => !c.hidden && !c.mergedInto);
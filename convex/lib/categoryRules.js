@@ -0,0 +1,157 @@
+// Category rules: "descriptions matching X go to category Y". Plain
+// functions, so the expense form can preview what createExpense will pick.
+//
+// A rule's pattern is either keywords ("swiggy|zomato", "uber, ola" –
+// any of them, as whole words) or, with isRegex, a regular expression.
+// Both ignore case.
+//
+// Regular expressions run whenever an expense is added, so only a safe
+// subset is allowed: no backreferences, no repeated group that itself
+// repeats or has alternatives ("(a+)+", "(a|aa)*"), and quantifiers that
+// together can't match in too many ways ("a*a*b", ".*.*z", "a?a?a?…") –
+// the shapes that can backtrack for ages. Descriptions are matched up to
+// MAX_MATCH_LENGTH characters.
+
+export const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_LENGTH = 500;
+// Ways a safe pattern may match at one position: one unbounded
+// quantifier, with a little room for ? {m,n} and | next to it
+const MAX_MATCH_WAYS = MAX_MATCH_LENGTH * 16;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "swiggy|zomato" / "uber, ola" → ["swiggy", "zomato"] / ["uber", "ola"]
+export const getKeywords = (pattern) =>
+  pattern
+    .split(/[|,]/)
+    .map((keyword) => keyword.trim().toLowerCase())
+    .filter(Boolean);
+
+// The quantifier at pattern[i], if any: how many characters it takes up
+// and how many ways it can match – for * + {n,} as many as there are
+// characters to match
+function readQuantifier(pattern, i) {
+  let length = 1;
+  let ways;
+  if (pattern[i] === "*" || pattern[i] === "+") {
+    ways = MAX_MATCH_LENGTH;
+  } else if (pattern[i] === "?") {
+    ways = 2;
+  } else {
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!braces) return null; // a literal "{"
+    const [text, min, comma, max] = braces;
+    length = text.length;
+    if (!comma) ways = 1;
+    else if (!max) ways = MAX_MATCH_LENGTH;
+    else ways = Math.max(1, Number(max) - Number(min) + 1);
+  }
+  if (pattern[i + length] === "?") length += 1; // lazy
+  return { length, ways };
+}
+
+// Why a regular expression is outside the safe subset, or null
+function getUnsafeRegexError(pattern) {
+  if (/\\([1-9]|k<)/.test(pattern)) {
+    return "Backreferences aren't supported";
+  }
+
+  // Walk the pattern multiplying the ways every quantifier and every
+  // alternation can match – roughly how often the matcher may backtrack
+  // at each position. Per open group, keep whether its contents repeat or
+  // have alternatives; a group like that can't be repeated itself.
+  let ways = 1;
+  const groups = [{ risky: false, alternatives: 1 }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+    const quantifier = readQuantifier(pattern, i);
+    if (quantifier) {
+      ways *= quantifier.ways;
+      group.risky = true;
+      i += quantifier.length - 1;
+    } else if (char === "\\") {
+      i += 1; // escaped character
+    } else if (char === "[") {
+      // character class: skip to its closing bracket
+      for (i += 1; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i += 1;
+      }
+    } else if (char === "(") {
+      groups.push({ risky: false, alternatives: 1 });
+      if (pattern[i + 1] === "?") i += 1; // (?:…), lookarounds, named groups
+    } else if (char === ")" && groups.length > 1) {
+      groups.pop();
+      ways *= group.alternatives;
+      // "(a+)?" is fine, "(a+)*" isn't
+      const repeated = pattern[i + 1] !== "?" && readQuantifier(pattern, i + 1);
+      if (repeated && group.risky) {
+        return "Repeated groups can't repeat or have alternatives inside";
+      }
+      if (group.risky) groups[groups.length - 1].risky = true;
+    } else if (char === "|") {
+      group.alternatives += 1;
+      group.risky = true;
+    }
+  }
+  ways *= groups[0].alternatives;
+
+  if (ways > MAX_MATCH_WAYS) {
+    return "That pattern is too open-ended – use at most one *, + or {n,}";
+  }
+  return null;
+}
+
+// The RegExp a rule tests descriptions with
+function toRegExp({ pattern, isRegex }) {
+  if (isRegex) return new RegExp(pattern, "i");
+  const alternatives = getKeywords(pattern).map(escapeRegex).join("|");
+  // Whole words: not preceded or followed by another letter or digit
+  const edge = "[^\\p{L}\\p{N}]";
+  return new RegExp(`(^|${edge})(${alternatives})($|${edge})`, "iu");
+}
+
+// Why a pattern can't be saved, or null when it's fine
+export function getRulePatternError(pattern, isRegex) {
+  const trimmed = pattern.trim();
+  if (!trimmed) return "Enter a keyword or pattern";
+  if (trimmed.length > MAX_PATTERN_LENGTH) {
+    return `Patterns can be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (!isRegex && !getKeywords(trimmed).length) {
+    return "Enter at least one keyword";
+  }
+  if (isRegex) {
+    let regex;
+    try {
+      regex = new RegExp(trimmed, "i");
+    } catch {
+      return "That isn't a valid regular expression";
+    }
+    const unsafe = getUnsafeRegexError(trimmed);
+    if (unsafe) return unsafe;
+    if (regex.test("")) return "That pattern would match every expense";
+  }
+  return null;
+}
+
+export function ruleMatches(rule, description) {
+  if (!description?.trim()) return false;
+  // Rules saved before the safe subset existed are skipped
+  if (rule.isRegex && getUnsafeRegexError(rule.pattern)) return false;
+  try {
+    return toRegExp(rule).test(description.slice(0, MAX_MATCH_LENGTH));
+  } catch {
+    return false; // a pattern saved before it became invalid
+  }
+}
+
+// The first rule matching `description`, or null. Callers pass rules most
+// important first (see categoryRules.loadRules).
+export const findMatchingRule = (rules, description) =>
+  rules.find((rule) => ruleMatches(rule, description)) ?? null;
+
+// Keywords pattern matching exactly this description ("Swiggy order" →
+// "swiggy order") – what "always categorize like this" saves
+export const toKeywordPattern = (description) =>
+  description.trim().toLowerCase().replace(/[|,]/g, " ").replace(/\s+/g, " ");
@@ -0,0 +1,238 @@
+// CSV reading and writing. Pure functions: the import page uses them to
+// turn a file into rows for expenseImports.importExpenses, the export
+// menu to write ledgers.
+import { isCurrencyCode, toMinorUnits } from "./currency";
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may contain
+// commas, newlines and "" for a quote). Blank lines are dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(Boolean)) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r") {
+      cell += char;
+    }
+  }
+  if (cell || row.length) endRow();
+
+  return rows;
+}
+
+// Splitwise exports start with these columns, followed by one column per
+// person holding their net balance for the row (paid minus share)
+const SPLITWISE_COLUMNS = ["date", "description", "category", "cost", "currency"];
+
+// Header names we recognise for each field
+const FIELD_HEADERS = {
+  date: ["date"],
+  description: ["description", "title", "expense"],
+  category: ["category"],
+  amount: ["amount", "cost", "total"],
+  currency: ["currency"],
+  payer: ["paid by", "payer", "paid_by", "payer email"],
+};
+
+export const IMPORT_FIELDS = Object.keys(FIELD_HEADERS);
+
+const EMAIL_PATTERN = /[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+/;
+
+// "Asha <asha@example.com>" or "asha@example.com" → the email, else ""
+export const findEmail = (text) =>
+  (text.match(EMAIL_PATTERN)?.[0] ?? "").toLowerCase();
+
+// Best guess of which column holds what, from the header row.
+// Returns { format, shareMode, fields: { date: 0, … }, people: [{ column,
+// name, email }] } – every column that isn't a field is a person column.
+// shareMode "net" = Splitwise balances, "share" = what each person owes.
+export function guessColumnMapping(headers) {
+  const normalized = headers.map((h) => h.trim().toLowerCase());
+  const isSplitwise = SPLITWISE_COLUMNS.every((h, i) => normalized[i] === h);
+
+  const fields = {};
+  for (const field of IMPORT_FIELDS) {
+    const index = normalized.findIndex((h) => FIELD_HEADERS[field].includes(h));
+    if (index !== -1) fields[field] = index;
+  }
+
+  const fieldColumns = new Set(Object.values(fields));
+  const people = headers
+    .map((name, column) => ({ column, name, email: findEmail(name) }))
+    .filter(({ column }) => !fieldColumns.has(column));
+
+  return {
+    format: isSplitwise ? "splitwise" : "csv",
+    shareMode: isSplitwise ? "net" : "share",
+    fields,
+    people,
+  };
+}
+
+// "2024-03-05" as local midnight (like the date picker); anything else
+// Date.parse understands. NaN when it isn't a date.
+function parseDate(text) {
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return new Date(iso[1], iso[2] - 1, iso[3]).getTime();
+  return Date.parse(text);
+}
+
+// "1,234.50", "$12", "(3.00)" → number; NaN when it isn't one
+function parseAmount(text) {
+  const cleaned = text.replace(/[^\d.()-]/g, "");
+  if (!cleaned) return 0;
+  const negative = /^\(.*\)$/.test(cleaned);
+  const value = Number(cleaned.replace(/[()]/g, ""));
+  return negative ? -value : value;
+}
+
+// Turn the data rows (everything after the header) into import rows:
+//   { line, description, date, amount, currency, category, payerEmail,
+//     shares: [{ email, amount }] }
+// with amounts in minor units. Rows that can't be read end up in `errors`
+// ({ line, message }); Splitwise payments and totals in `skipped`.
+// `defaultCurrency` is used when there's no currency column.
+export function readImportRows(dataRows, mapping, defaultCurrency) {
+  const { fields, people, shareMode } = mapping;
+  const rows = [];
+  const errors = [];
+  const skipped = [];
+
+  const cellOf = (cells, field) =>
+    fields[field] === undefined ? "" : (cells[fields[field]] ?? "").trim();
+
+  const missingEmail = people.find((p) => !p.email);
+  if (missingEmail) {
+    errors.push({
+      line: 1,
+      message: `Enter an email for the "${missingEmail.name}" column`,
+    });
+    return { rows, errors, skipped };
+  }
+
+  dataRows.forEach((cells, idx) => {
+    const line = idx + 2; // 1-based, after the header
+    const fail = (message) => errors.push({ line, message });
+
+    const description = cellOf(cells, "description");
+    const category = cellOf(cells, "category");
+    if (description.toLowerCase() === "total balance") {
+      skipped.push({ line, reason: "Totals row" });
+      return;
+    }
+    if (shareMode === "net" && category.toLowerCase() === "payment") {
+      skipped.push({ line, reason: "Payments aren't imported as expenses" });
+      return;
+    }
+
+    if (!description) return fail("Description is missing");
+
+    const date = parseDate(cellOf(cells, "date"));
+    if (Number.isNaN(date)) return fail("Date isn't a valid date");
+
+    const currency = (cellOf(cells, "currency") || defaultCurrency)
+      .toUpperCase();
+    if (!isCurrencyCode(currency)) {
+      return fail(`"${currency}" is not a currency code`);
+    }
+
+    const amount = toMinorUnits(parseAmount(cellOf(cells, "amount")), currency);
+    if (!(amount > 0)) return fail("Amount must be a positive number");
+
+    const values = people.map((person) =>
+      toMinorUnits(parseAmount(cells[person.column] ?? ""), currency)
+    );
+    if (values.some(Number.isNaN)) {
+      return fail("Every share must be a number");
+    }
+
+    // Payer: the payer column (an email, or the name of a person column),
+    // else in Splitwise rows the one person who is owed money
+    let payerEmail = "";
+    const payerCell = cellOf(cells, "payer");
+    if (payerCell) {
+      payerEmail =
+        findEmail(payerCell) ||
+        people.find((p) => p.name.toLowerCase() === payerCell.toLowerCase())
+          ?.email;
+      if (!payerEmail) return fail(`Unknown payer "${payerCell}"`);
+    } else if (shareMode === "net") {
+      const owed = people.filter((_, i) => values[i] > 0);
+      if (owed.length !== 1) {
+        return fail("Can't tell who paid (expected exactly one person owed)");
+      }
+      payerEmail = owed[0].email;
+    } else {
+      return fail("Payer is missing");
+    }
+
+    // Net balance = paid − share, and only the payer paid
+    const shares = people
+      .map((person, i) => ({
+        email: person.email,
+        amount:
+          shareMode === "net"
+            ? (person.email === payerEmail ? amount : 0) - values[i]
+            : values[i],
+      }))
+      .filter((share) => share.amount !== 0);
+
+    if (shares.some((share) => share.amount < 0)) {
+      return fail("Shares can't be negative");
+    }
+
+    rows.push({
+      line,
+      description,
+      date,
+      amount,
+      currency,
+      category,
+      payerEmail,
+      shares,
+    });
+  });
+
+  return { rows, errors, skipped };
+}
+
+// Quote a cell when it holds a comma, quote or line break
+const toCsvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// [{ key, label }] + row objects → CSV text with a header line
+export function toCsv(columns, rows) {
+  return [
+    columns.map((c) => toCsvCell(c.label)).join(","),
+    ...rows.map((row) => columns.map((c) => toCsvCell(row[c.key])).join(",")),
+  ].join("\r\n");
+}
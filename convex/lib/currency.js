@@ -0,0 +1,125 @@
+// Currency helpers shared by the Convex functions and the UI.
+// Amounts are stored as integers in the minor unit (cents, paise, …) of the
+// currency of their expense / settlement; balances are converted to the
+// viewer's currency with the exchangeRates table.
+
+// Currency of old expenses and settlements, and the base of exchangeRates
+export const DEFAULT_CURRENCY = "USD";
+
+export const CURRENCIES = [
+  { code: "USD", name: "US Dollar" },
+  { code: "EUR", name: "Euro" },
+  { code: "GBP", name: "British Pound" },
+  { code: "INR", name: "Indian Rupee" },
+  { code: "JPY", name: "Japanese Yen" },
+  { code: "CAD", name: "Canadian Dollar" },
+  { code: "AUD", name: "Australian Dollar" },
+  { code: "CHF", name: "Swiss Franc" },
+  { code: "CNY", name: "Chinese Yuan" },
+  { code: "SGD", name: "Singapore Dollar" },
+  { code: "AED", name: "UAE Dirham" },
+  { code: "THB", name: "Thai Baht" },
+  { code: "MXN", name: "Mexican Peso" },
+  { code: "BRL", name: "Brazilian Real" },
+  { code: "ZAR", name: "South African Rand" },
+];
+
+// Currency of an expense, settlement, group or user (old docs have none)
+export const getCurrency = (doc) => doc?.currency || DEFAULT_CURRENCY;
+
+export const isCurrencyCode = (code) => /^[A-Z]{3}$/.test(code);
+
+// ISO 4217 currencies whose minor unit isn't 1/100 (the rest use 2 digits)
+const MINOR_DIGITS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+// Number of decimals of a currency: 2 for USD, 0 for JPY, 3 for KWD
+export const getMinorDigits = (currency = DEFAULT_CURRENCY) =>
+  MINOR_DIGITS[currency] ?? 2;
+
+// 12.5 USD → 1250
+export const toMinorUnits = (major, currency = DEFAULT_CURRENCY) =>
+  Math.round(major * 10 ** getMinorDigits(currency));
+
+// 1250 → 12.5 USD
+export const toMajorUnits = (minor, currency = DEFAULT_CURRENCY) =>
+  minor / 10 ** getMinorDigits(currency);
+
+// 1250 → "12.50", for number inputs
+export const toAmountInput = (minor, currency = DEFAULT_CURRENCY) =>
+  toMajorUnits(minor, currency).toFixed(getMinorDigits(currency));
+
+// 1250 → "$12.50", "€12.50"; 1250 JPY → "¥1,250"
+export function formatMoney(minor, currency = DEFAULT_CURRENCY) {
+  const major = toMajorUnits(minor, currency);
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      minimumFractionDigits: getMinorDigits(currency),
+      maximumFractionDigits: getMinorDigits(currency),
+    }).format(major);
+  } catch {
+    // Unknown code – still show which currency it is
+    return `${currency} ${major.toFixed(getMinorDigits(currency))}`;
+  }
+}
+
+// Build a converter into `to` from a { code: units per DEFAULT_CURRENCY } map.
+// convert(minor, from) returns whole minor units of `to`. It returns 0 when
+// a rate is missing and remembers the currency in convert.missing, so
+// callers can tell the user; convert.canConvert(from) checks up front.
+export function createConverter(rates, to) {
+  const missing = new Set();
+  const rateOf = (code) =>
+    code === DEFAULT_CURRENCY ? 1 : rates[code];
+
+  const convert = (amount, from = DEFAULT_CURRENCY) => {
+    if (from === to) return amount;
+    const fromRate = rateOf(from);
+    const toRate = rateOf(to);
+    if (!fromRate || !toRate) {
+      missing.add(fromRate ? to : from);
+      return 0;
+    }
+    const major = (toMajorUnits(amount, from) / fromRate) * toRate;
+    return toMinorUnits(major, to);
+  };
+  convert.missing = missing;
+  convert.canConvert = (from) =>
+    from === to || Boolean(rateOf(from) && rateOf(to));
+
+  return convert;
+}
+
+// Parse "currency,rate" lines (header optional), rate = units per 1 USD.
+// Returns { rows: [{ currency, rate }], errors: ["Line 3: …"] }
+export function parseExchangeRatesCsv(text) {
+  const rows = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, idx) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+
+    const [rawCode, rawRate] = trimmed.split(",").map((cell) => cell.trim());
+    const currency = (rawCode || "").toUpperCase();
+    if (idx === 0 && currency === "CURRENCY") return; // header row
+
+    const rate = Number(rawRate);
+    if (!isCurrencyCode(currency)) {
+      errors.push(`Line ${idx + 1}: "${rawCode}" is not a currency code`);
+    } else if (!Number.isFinite(rate) || rate <= 0) {
+      errors.push(`Line ${idx + 1}: rate must be a positive number`);
+    } else if (currency === DEFAULT_CURRENCY) {
+      errors.push(`Line ${idx + 1}: ${DEFAULT_CURRENCY} is the base (always 1)`);
+    } else {
+      rows.push({ currency, rate });
+    }
+  });
+
+  return { rows, errors };
+}
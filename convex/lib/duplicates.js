@@ -0,0 +1,60 @@
+// Duplicate detection: whether two expenses look like the same bill logged
+// twice (e.g. two people adding the same taxi ride). Plain functions, so the
+// expense form and the Convex functions agree on what "similar" means.
+
+import { getPayers } from "./balances";
+import { getCurrency } from "./currency";
+
+// How far apart the dates and amounts of a duplicate can be
+export const DUPLICATE_DATE_WINDOW = 2 * 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.05; // 5 % of the larger amount
+
+const wordsOf = (text) =>
+  new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []);
+
+// "Taxi", "taxi to airport" and "Airport taxi" are alike; "Taxi" and
+// "Dinner" aren't. Alike = one contains the other's words, or at least
+// half of all the words are shared.
+export function isSimilarDescription(a, b) {
+  const wordsA = wordsOf(a);
+  const wordsB = wordsOf(b);
+  if (!wordsA.size || !wordsB.size) return false;
+
+  const shared = [...wordsA].filter((w) => wordsB.has(w)).length;
+  const all = new Set([...wordsA, ...wordsB]).size;
+  return (
+    shared === Math.min(wordsA.size, wordsB.size) || shared / all >= 0.5
+  );
+}
+
+// Everyone who paid or has a split, as a comparable string
+export const peopleKey = (expense) =>
+  [
+    ...new Set([
+      ...getPayers(expense).map((p) => p.userId),
+      ...expense.splits.map((s) => s.userId),
+    ]),
+  ]
+    .sort()
+    .join(",");
+
+// Same group (1‑to‑1: same people), currency and main payer, close in date
+// and amount, and described alike. Pairs marked as "not duplicates"
+// (notDuplicateOf) never match.
+export function isPossibleDuplicate(a, b) {
+  if (a._id && b._id && a._id === b._id) return false;
+  if (a.notDuplicateOf?.includes(b._id) || b.notDuplicateOf?.includes(a._id)) {
+    return false;
+  }
+
+  return (
+    a.groupId === b.groupId &&
+    (a.groupId || peopleKey(a) === peopleKey(b)) &&
+    getCurrency(a) === getCurrency(b) &&
+    a.paidByUserId === b.paidByUserId &&
+    Math.abs(a.date - b.date) <= DUPLICATE_DATE_WINDOW &&
+    Math.abs(a.amount - b.amount) <=
+      AMOUNT_TOLERANCE * Math.max(a.amount, b.amount) &&
+    isSimilarDescription(a.description, b.description)
+  );
+}
@@ -0,0 +1,67 @@
+// Schedule helpers for recurring expenses, shared by the Convex functions
+// and the UI. A schedule is { frequency, intervalDays, startDate, endDate }:
+//   weekly  → every 7 days from startDate
+//   monthly → the same day of the month as startDate (or the last day of
+//             shorter months, so the 31st becomes Feb 28 and then Mar 31)
+//   custom  → every `intervalDays` days from startDate
+// Occurrences are numbered from 0 (= startDate), so months never drift.
+
+export const FREQUENCIES = ["weekly", "monthly", "custom"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Date (timestamp) of occurrence number `index`
+export function getOccurrenceDate(schedule, index) {
+  const { frequency, intervalDays, startDate } = schedule;
+  if (frequency === "weekly") return startDate + index * 7 * DAY;
+  if (frequency === "custom") return startDate + index * intervalDays * DAY;
+
+  const start = new Date(startDate);
+  const date = new Date(startDate);
+  date.setUTCDate(1);
+  date.setUTCMonth(start.getUTCMonth() + index);
+  const daysInMonth = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(start.getUTCDate(), daysInMonth));
+  return date.getTime();
+}
+
+// Date of occurrence `index`, or undefined once it's past the end date
+export function getNextDate(schedule, index) {
+  const date = getOccurrenceDate(schedule, index);
+  return schedule.endDate !== undefined && date > schedule.endDate
+    ? undefined
+    : date;
+}
+
+// Number of the first occurrence on or after `from`
+export function getFirstIndexFrom(schedule, from) {
+  let index = 0;
+  while (getOccurrenceDate(schedule, index) < from) index += 1;
+  return index;
+}
+
+// Returns an error message, or null when the schedule is fine
+export function getScheduleError({ frequency, intervalDays, startDate, endDate }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    return `Unknown frequency "${frequency}"`;
+  }
+  if (
+    frequency === "custom" &&
+    !(Number.isInteger(intervalDays) && intervalDays >= 1 && intervalDays <= 365)
+  ) {
+    return "Custom schedules need a whole number of days between 1 and 365";
+  }
+  if (endDate !== undefined && endDate < startDate) {
+    return "The end date can't be before the start date";
+  }
+  return null;
+}
+
+// "Every week", "Every month", "Every 10 days"
+export function describeSchedule({ frequency, intervalDays }) {
+  if (frequency === "weekly") return "Every week";
+  if (frequency === "monthly") return "Every month";
+  return intervalDays === 1 ? "Every day" : `Every ${intervalDays} days`;
+}
@@ -0,0 +1,105 @@
+// Debt simplification: who should pay whom so everyone ends up even, in
+// as few payments as possible. Only net balances matter – Asha owing Rohit
+// who owes Meera can become Asha paying Meera directly.
+//
+// The fewest payments come from splitting people into as many groups as
+// possible whose balances add up to zero: a group of k people settles in
+// k − 1 payments. Finding those groups is exact (a search over subsets) up
+// to EXACT_LIMIT people with a balance; bigger groups fall back to
+// largest-debtor-pays-largest-creditor, which is rarely more than a
+// payment or two off. Ties always break the same way (amount, then id), so
+// everyone sees the same list.
+
+const EXACT_LIMIT = 16;
+
+const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Largest amounts first, then by id
+const byAmountThenId = (a, b) => b.amount - a.amount || compareIds(a.id, b.id);
+
+// Settle one set of balances (adding up to zero) by repeatedly having the
+// biggest debtor pay the biggest creditor
+function settleGreedily(people) {
+  const debtors = people
+    .filter((p) => p.amount < 0)
+    .map((p) => ({ id: p.id, amount: -p.amount }));
+  const creditors = people
+    .filter((p) => p.amount > 0)
+    .map((p) => ({ ...p }));
+
+  const transfers = [];
+  while (debtors.length && creditors.length) {
+    debtors.sort(byAmountThenId);
+    creditors.sort(byAmountThenId);
+    const debtor = debtors[0];
+    const creditor = creditors[0];
+    const amount = Math.min(debtor.amount, creditor.amount);
+
+    transfers.push({ from: debtor.id, to: creditor.id, amount });
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+    if (!debtor.amount) debtors.shift();
+    if (!creditor.amount) creditors.shift();
+  }
+  return transfers;
+}
+
+// Split `people` into the most zero-sum groups (dynamic programming over
+// subsets): best[mask] = most zero-sum groups the people in mask can form
+function zeroSumGroups(people) {
+  const n = people.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  const best = new Array(full + 1).fill(0);
+
+  for (let mask = 1; mask <= full; mask++) {
+    const low = Math.clz32(1) - Math.clz32(mask & -mask); // lowest set bit
+    sums[mask] = sums[mask & (mask - 1)] + people[low].amount;
+    let most = 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) most = Math.max(most, best[mask ^ (1 << i)]);
+    }
+    best[mask] = most + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back from everyone, peeling off people in a way that keeps the
+  // best count; every time the remaining people add up to zero, what was
+  // peeled off since the last time is one group
+  const groups = [];
+  let current = [];
+  let mask = full;
+  while (mask) {
+    const target = best[mask] - (sums[mask] === 0 ? 1 : 0);
+    if (sums[mask] === 0 && current.length) {
+      groups.push(current);
+      current = [];
+    }
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i) && best[mask ^ (1 << i)] === target) {
+        current.push(people[i]);
+        mask ^= 1 << i;
+        break;
+      }
+    }
+  }
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+// Payments biggest first, then by payer and receiver id
+export const compareTransfers = (a, b) =>
+  b.amount - a.amount || compareIds(a.from, b.from) || compareIds(a.to, b.to);
+
+// { [userId]: net balance } (+ is owed, integer minor units, adding up to
+// zero) → [{ from, to, amount }], biggest payments first
+export function simplifyDebts(balances) {
+  const people = Object.entries(balances)
+    .filter(([, amount]) => amount !== 0)
+    .map(([id, amount]) => ({ id, amount }))
+    .sort(byAmountThenId);
+
+  const groups =
+    people.length <= EXACT_LIMIT ? zeroSumGroups(people) : [people];
+
+  return groups.flatMap(settleGreedily).sort(compareTransfers);
+}
@@ -0,0 +1,244 @@
+// Split helpers shared by createExpense/updateExpense and the expense form.
+// Plain functions, so the client can import them too.
+// All amounts are whole minor units (see lib/currency).
+
+export const SPLIT_TYPES = [
+  "equal",
+  "percentage",
+  "exact",
+  "shares",
+  "adjustment",
+  "itemized",
+];
+
+const EPSILON = 1e-9; // float noise when comparing remainders
+
+const sum = (values) => values.reduce((total, x) => total + x, 0);
+
+// Split `total` over `weights` (same order) into whole numbers that add up
+// to exactly `total`, with the largest-remainder rule:
+// 1. Everyone gets floor(total × weight / sum of weights).
+// 2. The units left over go one each to the largest remainders.
+// 3. Ties go to `firstIndex` (the payer) first, then in list order.
+export function allocate(total, weights, firstIndex = -1) {
+  if (total < 0) {
+    return allocate(-total, weights, firstIndex).map((part) => -part);
+  }
+
+  const totalWeight = sum(weights);
+  if (!(totalWeight > 0)) return weights.map(() => 0);
+
+  const exact = weights.map((w) => (total * w) / totalWeight);
+  const parts = exact.map((x) => Math.floor(x + EPSILON));
+  let left = total - sum(parts);
+
+  const order = exact
+    .map((x, idx) => ({ idx, remainder: x - parts[idx] }))
+    .sort((a, b) => {
+      if (Math.abs(a.remainder - b.remainder) > EPSILON) {
+        return b.remainder - a.remainder;
+      }
+      if (a.idx === firstIndex || b.idx === firstIndex) {
+        return a.idx === firstIndex ? -1 : 1;
+      }
+      return a.idx - b.idx;
+    });
+
+  for (const { idx } of order) {
+    if (left <= 0) break;
+    parts[idx] += 1;
+    left -= 1;
+  }
+
+  return parts;
+}
+
+// Give each split its part of `amount` according to `weightOf(split)`
+const allocateSplits = (amount, splits, weightOf, payerId) => {
+  const parts = allocate(
+    amount,
+    splits.map(weightOf),
+    splits.findIndex((s) => s.userId === payerId)
+  );
+  return splits.map((split, idx) => ({ ...split, amount: parts[idx] }));
+};
+
+// Equal split; leftover units go to the payer first
+export const computeEqualSplits = (amount, splits, payerId) =>
+  allocateSplits(amount, splits, () => 1, payerId);
+
+// Percentage split: amount in proportion to each split's `percentage`
+export const computePercentageSplits = (amount, splits, payerId) =>
+  allocateSplits(amount, splits, (s) => s.percentage || 0, payerId);
+
+// Shares split: amount in proportion to each split's `shares`
+export const computeSharesSplits = (amount, splits, payerId) =>
+  allocateSplits(amount, splits, (s) => s.shares || 0, payerId);
+
+// Adjustment split: equal split of what's left after the fixed
+// adjustments, plus each split's own `adjustment` (can be negative)
+export function computeAdjustmentSplits(amount, splits, payerId) {
+  const totalAdjustment = sum(splits.map((s) => s.adjustment || 0));
+  return computeEqualSplits(amount - totalAdjustment, splits, payerId).map(
+    (split) => ({ ...split, amount: split.amount + (split.adjustment || 0) })
+  );
+}
+
+// Items + tax + tip + service charge
+export const getReceiptTotal = (receipt) =>
+  sum(receipt.items.map((item) => item.amount)) +
+  receipt.tax +
+  receipt.tip +
+  receipt.serviceCharge;
+
+// Itemized split → [{ userId, amount }]
+// 1. Each item is shared equally by the people assigned to it.
+// 2. Tax, tip and service charge are spread in proportion to each
+//    person's item subtotal.
+// Leftover units go to the payer first, like the other split types.
+export function computeItemizedSplits(receipt, payerId) {
+  const subtotals = {};
+  for (const item of receipt.items) {
+    if (!item.userIds.length) continue;
+    const parts = allocate(
+      item.amount,
+      item.userIds.map(() => 1),
+      item.userIds.indexOf(payerId)
+    );
+    item.userIds.forEach((userId, idx) => {
+      subtotals[userId] = (subtotals[userId] ?? 0) + parts[idx];
+    });
+  }
+
+  const shares = Object.entries(subtotals).map(([userId, amount]) => ({
+    userId,
+    amount,
+  }));
+  const extras = allocate(
+    receipt.tax + receipt.tip + receipt.serviceCharge,
+    shares.map((s) => s.amount),
+    shares.findIndex((s) => s.userId === payerId)
+  );
+
+  return shares.map((share, idx) => ({
+    ...share,
+    amount: share.amount + extras[idx],
+  }));
+}
+
+// true when every split amount is exactly the expected one
+const amountsMatch = (splits, expected) =>
+  splits.every((split, idx) => split.amount === expected[idx].amount);
+
+// Check that the splits are shaped the way their split type says.
+// Returns an error message, or null when everything is fine.
+export function getSplitTypeError({
+  splitType,
+  amount,
+  splits,
+  receipt,
+  paidByUserId,
+}) {
+  if (!SPLIT_TYPES.includes(splitType)) {
+    return `Unknown split type "${splitType}"`;
+  }
+  if (splitType !== "itemized" && receipt) {
+    return "Only itemized expenses can have receipt items";
+  }
+  if (splits.some((s) => s.amount < 0)) {
+    return "Split amounts can't be negative";
+  }
+
+  switch (splitType) {
+    case "equal": {
+      const expected = computeEqualSplits(amount, splits, paidByUserId);
+      if (!amountsMatch(splits, expected)) {
+        return "Equal splits must all be the same amount";
+      }
+      return null;
+    }
+
+    case "percentage": {
+      if (splits.some((s) => s.percentage === undefined || s.percentage < 0)) {
+        return "Every percentage split needs a percentage";
+      }
+      if (Math.abs(sum(splits.map((s) => s.percentage)) - 100) > 0.01) {
+        return "Percentages must add up to 100%";
+      }
+      const expected = computePercentageSplits(amount, splits, paidByUserId);
+      if (!amountsMatch(splits, expected)) {
+        return "Split amounts don't match their percentages";
+      }
+      return null;
+    }
+
+    case "exact":
+      return null; // any amounts, as long as they add up (checked elsewhere)
+
+    case "shares": {
+      if (splits.some((s) => s.shares === undefined || s.shares < 0)) {
+        return "Every shares split needs a number of shares";
+      }
+      if (sum(splits.map((s) => s.shares)) <= 0) {
+        return "At least one person needs a share";
+      }
+      const expected = computeSharesSplits(amount, splits, paidByUserId);
+      if (!amountsMatch(splits, expected)) {
+        return "Split amounts don't match their shares";
+      }
+      return null;
+    }
+
+    case "adjustment": {
+      if (
+        splits.some(
+          (s) => s.adjustment === undefined || !Number.isInteger(s.adjustment)
+        )
+      ) {
+        return "Every adjustment split needs an adjustment (use 0 for none)";
+      }
+      const expected = computeAdjustmentSplits(amount, splits, paidByUserId);
+      if (!amountsMatch(splits, expected)) {
+        return "Split amounts don't match their adjustments";
+      }
+      return null;
+    }
+
+    case "itemized": {
+      if (!receipt?.items.length) {
+        return "Itemized expenses need at least one item";
+      }
+      const receiptAmounts = [
+        ...receipt.items.map((item) => item.amount),
+        receipt.tax,
+        receipt.tip,
+        receipt.serviceCharge,
+      ];
+      if (!receiptAmounts.every(Number.isInteger)) {
+        return "Receipt amounts must be whole minor units";
+      }
+      if (receipt.items.some((item) => item.amount <= 0)) {
+        return "Every item must have a positive amount";
+      }
+      if (receipt.items.some((item) => item.userIds.length === 0)) {
+        return "Every item must be assigned to at least one person";
+      }
+      if ([receipt.tax, receipt.tip, receipt.serviceCharge].some((x) => x < 0)) {
+        return "Tax, tip and service charge can't be negative";
+      }
+      if (getReceiptTotal(receipt) !== amount) {
+        return "Receipt items must add up to the total expense amount";
+      }
+
+      // Each split must be exactly that person's share of the receipt
+      const expected = computeItemizedSplits(receipt, paidByUserId);
+      const matches =
+        expected.length === splits.length &&
+        expected.every((share) => {
+          const split = splits.find((s) => s.userId === share.userId);
+          return split && split.amount === share.amount;
+        });
+      return matches ? null : "Splits don't match the receipt items";
+    }
+  }
+}
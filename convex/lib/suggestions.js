@@ -0,0 +1,136 @@
+// Learned suggestions for the expense form: a small naive Bayes model over
+// the words of someone's past expense descriptions, predicting what they
+// usually pick for that kind of expense ("coffee" → Coffee, 1‑to‑1 with
+// Asha, split equally). trainModel runs in a Convex query (see
+// suggestions.js); the form predicts from the result as the description
+// is typed.
+//
+// Fields predicted:
+//   category     – every past expense
+//   splitType    – every past expense
+//   groupId      – group expenses only
+//   participants – 1‑to‑1 expenses only: the other people, "id1,id2"
+
+// A suggestion needs this much of the probability, and its value must
+// have been used at least MIN_LABEL_COUNT times
+export const MIN_CONFIDENCE = 0.6;
+const MIN_LABEL_COUNT = 2;
+
+// "Uber to the airport" → ["uber", "to", "the", "airport"] (each word once)
+export const tokenize = (text) => [
+  ...new Set(
+    (text ?? "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu)
+      ?.filter((word) => word.length > 1) ?? []
+  ),
+];
+
+// [{ description, labels: { category, splitType, groupId?, participants? } }]
+// → model. Counts are kept as arrays of pairs, since words aren't valid
+// Convex field names.
+export function trainModel(examples) {
+  const fields = {};
+  const vocabulary = new Set();
+
+  for (const { description, labels } of examples) {
+    const tokens = tokenize(description);
+    tokens.forEach((token) => vocabulary.add(token));
+
+    for (const [field, label] of Object.entries(labels)) {
+      if (label === undefined) continue;
+      fields[field] ??= new Map();
+      if (!fields[field].has(label)) {
+        fields[field].set(label, {
+          count: 0,
+          tokenTotal: 0,
+          tokens: new Map(),
+        });
+      }
+      const entry = fields[field].get(label);
+      entry.count += 1;
+      entry.tokenTotal += tokens.length;
+      tokens.forEach((token) =>
+        entry.tokens.set(token, (entry.tokens.get(token) ?? 0) + 1)
+      );
+    }
+  }
+
+  return {
+    vocabularySize: vocabulary.size,
+    fields: Object.fromEntries(
+      Object.entries(fields).map(([field, labels]) => [
+        field,
+        [...labels].map(([label, entry]) => ({
+          label,
+          count: entry.count,
+          tokenTotal: entry.tokenTotal,
+          tokens: [...entry.tokens],
+        })),
+      ])
+    ),
+  };
+}
+
+// Model from trainModel → something suggest can use (build it once)
+export const toPredictor = (model) => ({
+  vocabularySize: model.vocabularySize,
+  fields: Object.fromEntries(
+    Object.entries(model.fields).map(([field, labels]) => [
+      field,
+      labels.map((entry) => ({ ...entry, tokens: new Map(entry.tokens) })),
+    ])
+  ),
+});
+
+// The most likely label of one field, with its probability, or null
+function predictField(labels, tokens, vocabularySize) {
+  // Words never seen with this field say nothing either way
+  const known = tokens.filter((token) =>
+    labels.some((entry) => entry.tokens.has(token))
+  );
+  if (!known.length) return null;
+
+  const examples = labels.reduce((sum, entry) => sum + entry.count, 0);
+  const scores = labels.map((entry) => ({
+    entry,
+    // log P(label) + Σ log P(word | label), Laplace-smoothed
+    score:
+      Math.log(entry.count / examples) +
+      known.reduce(
+        (sum, token) =>
+          sum +
+          Math.log(
+            ((entry.tokens.get(token) ?? 0) + 1) /
+              (entry.tokenTotal + vocabularySize)
+          ),
+        0
+      ),
+  }));
+
+  const best = scores.reduce((top, s) => (s.score > top.score ? s : top));
+  const total = scores.reduce(
+    (sum, s) => sum + Math.exp(s.score - best.score),
+    0
+  );
+  const confidence = 1 / total;
+
+  if (confidence < MIN_CONFIDENCE || best.entry.count < MIN_LABEL_COUNT) {
+    return null;
+  }
+  return { value: best.entry.label, confidence };
+}
+
+// description → { category?, splitType?, groupId?, participants? }, each
+// { value, confidence }; fields without a confident guess are left out
+export function suggest(predictor, description) {
+  const tokens = tokenize(description);
+  const suggestions = {};
+  if (!tokens.length) return suggestions;
+
+  for (const [field, labels] of Object.entries(predictor.fields)) {
+    const prediction = predictField(labels, tokens, predictor.vocabularySize);
+    if (prediction) suggestions[field] = prediction;
+  }
+  return suggestions;
+}
@@ -0,0 +1,199 @@
+import { internalMutation } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { getCurrency, toMinorUnits } from "./lib/currency";
+import { allocate } from "./lib/splits";
+import { syncExpensePairs } from "./expensePairs";
+import { toSettlementPair } from "./settlements";
+
+/* ============================================================================
+ *  HELPERS: major units (12.5) → integer minor units (1250)
+ *  Also used by seed.js, whose sample data is written in major units.
+ * -------------------------------------------------------------------------- */
+
+// Expense (or history snapshot) fields in minor units.
+// The total is rounded once; payers, splits and receipt lines are then
+// re-spread over it by largest remainder (main payer first), so they stay
+// whole and add up exactly – old float amounts often didn't.
+export function expenseToMinorUnits(expense) {
+  const currency = getCurrency(expense);
+  const amount = toMinorUnits(expense.amount, currency);
+
+  const respread = (entries) => {
+    const parts = allocate(
+      amount,
+      entries.map((e) => e.amount),
+      entries.findIndex((e) => e.userId === expense.paidByUserId)
+    );
+    return entries.map((entry, idx) => ({ ...entry, amount: parts[idx] }));
+  };
+
+  const fields = {
+    amount,
+    minorUnits: true,
+    splits: respread(expense.splits).map((split) =>
+      split.adjustment === undefined
+        ? split
+        : { ...split, adjustment: toMinorUnits(split.adjustment, currency) }
+    ),
+  };
+  if (expense.payers) fields.payers = respread(expense.payers);
+
+  if (expense.receipt) {
+    const { items, tax, tip, serviceCharge } = expense.receipt;
+    const parts = allocate(amount, [
+      ...items.map((item) => item.amount),
+      tax,
+      tip,
+      serviceCharge,
+    ]);
+    fields.receipt = {
+      items: items.map((item, idx) => ({ ...item, amount: parts[idx] })),
+      tax: parts[items.length],
+      tip: parts[items.length + 1],
+      serviceCharge: parts[items.length + 2],
+    };
+  }
+
+  return fields;
+}
+
+export const settlementToMinorUnits = (settlement) => ({
+  amount: toMinorUnits(settlement.amount, getCurrency(settlement)),
+  minorUnits: true,
+});
+
+/* ============================================================================
+ *  HELPER: runBatch
+ *  One batch of a migration over `tables` (table → async (ctx, doc) that
+ *  updates one doc and returns whether it changed anything). Progress lives
+ *  in the migrations table under `name`, so re-running is safe; until the
+ *  last table is done, the next batch is scheduled through `self`.
+ * -------------------------------------------------------------------------- */
+
+const BATCH_SIZE = 100;
+
+async function runBatch(ctx, { name, tables, self }) {
+  const tableOrder = Object.keys(tables);
+  let migration = await ctx.db
+    .query("migrations")
+    .withIndex("by_name", (q) => q.eq("name", name))
+    .unique();
+
+  if (!migration) {
+    const id = await ctx.db.insert("migrations", {
+      name,
+      table: tableOrder[0],
+      cursor: null,
+      processed: 0,
+      done: false,
+    });
+    migration = await ctx.db.get(id);
+  }
+  if (migration.done) return { done: true, processed: migration.processed };
+
+  const { page, isDone, continueCursor } = await ctx.db
+    .query(migration.table)
+    .paginate({ cursor: migration.cursor, numItems: BATCH_SIZE });
+
+  const migrate = tables[migration.table];
+  let processed = migration.processed;
+  for (const doc of page) {
+    if (await migrate(ctx, doc)) processed += 1;
+  }
+
+  // Next batch of this table, or the first batch of the next one
+  const nextTable = tableOrder[tableOrder.indexOf(migration.table) + 1];
+  await ctx.db.patch(migration._id, {
+    processed,
+    ...(isDone
+      ? { table: nextTable ?? migration.table, cursor: null, done: !nextTable }
+      : { cursor: continueCursor }),
+  });
+
+  if (!isDone || nextTable) {
+    await ctx.scheduler.runAfter(0, self);
+  }
+
+  return { done: isDone && !nextTable, processed };
+}
+
+/* ============================================================================
+ *  MIGRATION: moneyToMinorUnits
+ *  Converts every stored amount from major to minor units, in batches.
+ *  Run once, right after deploying the minor-units code:
+ *      npx convex run migrations:moneyToMinorUnits
+ *  Docs (and history snapshots) already in minor units – converted, or
+ *  written by the new code before the migration got to them – have
+ *  minorUnits set and are skipped.
+ * -------------------------------------------------------------------------- */
+
+// Patch one doc with `toMinor(doc)`, unless that's null (nothing to convert)
+const patchWith = (toMinor) => async (ctx, doc) => {
+  const patch = toMinor(doc);
+  if (!patch) return false;
+  await ctx.db.patch(doc._id, patch);
+  return true;
+};
+
+const MONEY_TABLES = {
+  expenses: patchWith((expense) =>
+    expense.minorUnits ? null : expenseToMinorUnits(expense)
+  ),
+  settlements: patchWith((settlement) =>
+    settlement.minorUnits ? null : settlementToMinorUnits(settlement)
+  ),
+  expenseHistory: patchWith((row) => {
+    const patch = {};
+    if (row.before && !row.before.minorUnits) {
+      patch.before = { ...row.before, ...expenseToMinorUnits(row.before) };
+    }
+    if (row.after && !row.after.minorUnits) {
+      patch.after = { ...row.after, ...expenseToMinorUnits(row.after) };
+    }
+    return Object.keys(patch).length ? patch : null;
+  }),
+};
+
+export const moneyToMinorUnits = internalMutation({
+  args: {},
+  handler: async (ctx) =>
+    await runBatch(ctx, {
+      name: "moneyToMinorUnits",
+      tables: MONEY_TABLES,
+      self: internal.migrations.moneyToMinorUnits,
+    }),
+});
+
+/* ============================================================================
+ *  MIGRATION: expensePairs
+ *  Fills the expensePairs table (see expensePairs.js) for the 1‑to‑1
+ *  expenses that existed before it, and the `pair` of older settlements.
+ *  Run once after deploying them:
+ *      npx convex run migrations:expensePairs
+ * -------------------------------------------------------------------------- */
+
+export const expensePairs = internalMutation({
+  args: {},
+  handler: async (ctx) =>
+    await runBatch(ctx, {
+      name: "expensePairs",
+      tables: {
+        expenses: async (ctx, expense) => {
+          if (expense.groupId || expense.deletedAt) return false;
+          await syncExpensePairs(ctx, expense._id);
+          return true;
+        },
+        settlements: async (ctx, settlement) => {
+          if (settlement.pair) return false;
+          await ctx.db.patch(settlement._id, {
+            pair: toSettlementPair(
+              settlement.paidByUserId,
+              settlement.receivedByUserId
+            ),
+          });
+          return true;
+        },
+      },
+      self: internal.migrations.expensePairs,
+    }),
+});
@@ -0,0 +1,407 @@
+import { mutation, query } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { expenseArgs, insertExpense, validateExpense } from "./expenses";
+import { getPayers, isInvolved, isPayer } from "./lib/balances";
+import { getCurrency } from "./lib/currency";
+import {
+  getFirstIndexFrom,
+  getNextDate,
+  getScheduleError,
+} from "./lib/recurrence";
+import { OTHER_CATEGORY_ID } from "./lib/categories";
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Due occurrences created in one go, e.g. after a long outage
+const MAX_CATCH_UP = 12;
+
+// Template = the expense fields minus the date; the start date replaces it
+const { date: _date, ...templateArgs } = expenseArgs;
+
+const scheduleArgs = {
+  frequency: v.union(
+    v.literal("weekly"),
+    v.literal("monthly"),
+    v.literal("custom")
+  ),
+  intervalDays: v.optional(v.number()),
+  startDate: v.number(),
+  endDate: v.optional(v.number()),
+};
+
+// Expense args for one occurrence of a recurring expense
+const toOccurrenceArgs = (recurring, date) => ({
+  description: recurring.description,
+  amount: recurring.amount,
+  currency: recurring.currency,
+  category: recurring.category,
+  date,
+  paidByUserId: recurring.paidByUserId,
+  payers: recurring.payers,
+  splitType: recurring.splitType,
+  splits: recurring.splits,
+  receipt: recurring.receipt,
+  groupId: recurring.groupId,
+});
+
+// Template + schedule fields from validated args
+const toRecurringFields = (args) => ({
+  description: args.description,
+  amount: args.amount,
+  category: args.category || OTHER_CATEGORY_ID,
+  paidByUserId: args.paidByUserId,
+  payers: args.payers,
+  splitType: args.splitType,
+  splits: args.splits,
+  receipt: args.receipt,
+  frequency: args.frequency,
+  intervalDays: args.frequency === "custom" ? args.intervalDays : undefined,
+  startDate: args.startDate,
+  endDate: args.endDate,
+});
+
+// Validate the template like createExpense would, plus the schedule
+async function validateRecurringExpense(ctx, user, args) {
+  await validateExpense(ctx, user, { ...args, date: args.startDate });
+
+  const scheduleError = getScheduleError(args);
+  if (scheduleError) {
+    throw new Error(scheduleError);
+  }
+}
+
+// Group recurring expenses → group members; 1‑to‑1 → the people in it
+async function canManage(ctx, userId, recurring) {
+  if (recurring.groupId) {
+    const group = await ctx.db.get(recurring.groupId);
+    return Boolean(group?.members.some((m) => m.userId === userId));
+  }
+  return recurring.createdBy === userId || isInvolved(recurring, userId);
+}
+
+async function getManageable(ctx, userId, recurringExpenseId) {
+  const recurring = await ctx.db.get(recurringExpenseId);
+  if (!recurring) {
+    throw new Error("Recurring expense not found");
+  }
+  if (!(await canManage(ctx, userId, recurring))) {
+    throw new Error("You don't have access to this recurring expense");
+  }
+  return recurring;
+}
+
+// Turn every due occurrence into a real expense, created by whoever set
+// up the recurring expense and checked by the same validation as
+// createExpense. If one fails (e.g. the creator left the group), the
+// schedule is paused with the reason instead of skipping it silently.
+// Returns { created: [expenseId], error }
+export async function createDueOccurrences(ctx, recurring, now = Date.now()) {
+  let { nextIndex, nextDate } = recurring;
+  const created = [];
+
+  const creator = await ctx.db.get(recurring.createdBy);
+  while (
+    nextDate !== undefined &&
+    nextDate <= now &&
+    created.length < MAX_CATCH_UP
+  ) {
+    try {
+      created.push(
+        await insertExpense(ctx, creator, toOccurrenceArgs(recurring, nextDate))
+      );
+    } catch (error) {
+      await ctx.db.patch(recurring._id, {
+        nextIndex,
+        nextDate,
+        paused: true,
+        lastError: error.message,
+      });
+      return { created, error: error.message };
+    }
+
+    nextIndex += 1;
+    nextDate = getNextDate(recurring, nextIndex);
+  }
+
+  await ctx.db.patch(recurring._id, {
+    nextIndex,
+    nextDate,
+    lastError: undefined,
+  });
+  return { created, error: null };
+}
+
+/* ============================================================================
+ *  MUTATION: createRecurringExpense
+ *  Occurrences that are already due (e.g. starting today) are created
+ *  right away; the rest by the daily Inngest job.
+ * -------------------------------------------------------------------------- */
+
+export const createRecurringExpense = mutation({
+  args: {
+    ...templateArgs,
+    ...scheduleArgs,
+    groupId: v.optional(v.id("groups")),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    await validateRecurringExpense(ctx, user, args);
+
+    // Without a currency, use the group's (1‑to‑1: the creator's)
+    const group = args.groupId ? await ctx.db.get(args.groupId) : null;
+
+    const recurringExpenseId = await ctx.db.insert("recurringExpenses", {
+      ...toRecurringFields(args),
+      currency: args.currency ?? getCurrency(group ?? user),
+      groupId: args.groupId,
+      createdBy: user._id,
+      nextIndex: 0,
+      nextDate: args.startDate,
+      paused: false,
+    });
+
+    await createDueOccurrences(ctx, await ctx.db.get(recurringExpenseId));
+
+    return recurringExpenseId;
+  },
+});
+
+/* ============================================================================
+ *  MUTATION: updateRecurringExpense
+ *  Edits the template and schedule. Occurrences already created stay as
+ *  they are; the next one is the first of the new schedule that falls
+ *  on or after the old next date. The group can't change.
+ * -------------------------------------------------------------------------- */
+
+export const updateRecurringExpense = mutation({
+  args: {
+    recurringExpenseId: v.id("recurringExpenses"),
+    ...templateArgs,
+    ...scheduleArgs,
+  },
+  handler: async (ctx, { recurringExpenseId, ...args }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    const recurring = await getManageable(ctx, user._id, recurringExpenseId);
+
+    await validateRecurringExpense(ctx, user, {
+      ...args,
+      groupId: recurring.groupId,
+    });
+
+    const fields = {
+      ...toRecurringFields(args),
+      currency: args.currency ?? recurring.currency,
+    };
+    const nextIndex = getFirstIndexFrom(
+      fields,
+      recurring.nextDate ?? Date.now() - DAY
+    );
+
+    await ctx.db.patch(recurringExpenseId, {
+      ...fields,
+      nextIndex,
+      nextDate: getNextDate(fields, nextIndex),
+      lastError: undefined,
+    });
+
+    const updated = await ctx.db.get(recurringExpenseId);
+    if (!updated.paused) await createDueOccurrences(ctx, updated);
+
+    return recurringExpenseId;
+  },
+});
+
+/* ============================================================================
+ *  MUTATION: setRecurringExpensePaused
+ *  Paused schedules create nothing. Resuming continues from today, so
+ *  the occurrences missed while paused are not created afterwards.
+ * -------------------------------------------------------------------------- */
+
+export const setRecurringExpensePaused = mutation({
+  args: {
+    recurringExpenseId: v.id("recurringExpenses"),
+    paused: v.boolean(),
+  },
+  handler: async (ctx, { recurringExpenseId, paused }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    const recurring = await getManageable(ctx, user._id, recurringExpenseId);
+
+    if (paused) {
+      await ctx.db.patch(recurringExpenseId, { paused: true });
+      return recurringExpenseId;
+    }
+
+    const nextIndex = Math.max(
+      recurring.nextIndex,
+      getFirstIndexFrom(recurring, Date.now() - DAY)
+    );
+    await ctx.db.patch(recurringExpenseId, {
+      paused: false,
+      nextIndex,
+      nextDate: getNextDate(recurring, nextIndex),
+      lastError: undefined,
+    });
+    await createDueOccurrences(ctx, await ctx.db.get(recurringExpenseId));
+
+    return recurringExpenseId;
+  },
+});
+
+/* ============================================================================
+ *  MUTATION: skipRecurringOccurrence
+ *  Skips only the next occurrence; the schedule carries on after it.
+ * -------------------------------------------------------------------------- */
+
+export const skipRecurringOccurrence = mutation({
+  args: { recurringExpenseId: v.id("recurringExpenses") },
+  handler: async (ctx, { recurringExpenseId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    const recurring = await getManageable(ctx, user._id, recurringExpenseId);
+
+    if (recurring.nextDate === undefined) {
+      throw new Error("This recurring expense has no more occurrences");
+    }
+
+    const nextIndex = recurring.nextIndex + 1;
+    await ctx.db.patch(recurringExpenseId, {
+      nextIndex,
+      nextDate: getNextDate(recurring, nextIndex),
+    });
+
+    return recurringExpenseId;
+  },
+});
+
+/* ============================================================================
+ *  MUTATION: deleteRecurringExpense
+ *  Same rule as deleteExpense: only the creator or a payer. Expenses that
+ *  were already created are kept.
+ * -------------------------------------------------------------------------- */
+
+export const deleteRecurringExpense = mutation({
+  args: { recurringExpenseId: v.id("recurringExpenses") },
+  handler: async (ctx, { recurringExpenseId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    const recurring = await getManageable(ctx, user._id, recurringExpenseId);
+
+    if (recurring.createdBy !== user._id && !isPayer(recurring, user._id)) {
+      throw new Error(
+        "You don't have permission to delete this recurring expense"
+      );
+    }
+
+    await ctx.db.delete(recurringExpenseId);
+    return { success: true };
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getRecurringExpenses
+ *  With a groupId: that group's recurring expenses. Without: every
+ *  recurring expense the current user can manage.
+ * -------------------------------------------------------------------------- */
+
+export const getRecurringExpenses = query({
+  args: { groupId: v.optional(v.id("groups")) },
+  handler: async (ctx, { groupId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    let recurringExpenses;
+    if (groupId) {
+      const group = await ctx.db.get(groupId);
+      if (!group?.members.some((m) => m.userId === user._id)) {
+        throw new Error("You are not a member of this group");
+      }
+      recurringExpenses = await ctx.db
+        .query("recurringExpenses")
+        .withIndex("by_group", (q) => q.eq("groupId", groupId))
+        .collect();
+    } else {
+      const all = await ctx.db.query("recurringExpenses").collect();
+      const allowed = await Promise.all(
+        all.map((r) => canManage(ctx, user._id, r))
+      );
+      recurringExpenses = all.filter((_, idx) => allowed[idx]);
+    }
+
+    // Names for the payer / group labels
+    const userIds = new Set(recurringExpenses.map((r) => r.paidByUserId));
+    const users = await Promise.all([...userIds].map((id) => ctx.db.get(id)));
+    const userNames = Object.fromEntries(
+      users.filter(Boolean).map((u) => [u._id, u.name])
+    );
+
+    const groupIds = [
+      ...new Set(recurringExpenses.map((r) => r.groupId).filter(Boolean)),
+    ];
+    const groups = await Promise.all(groupIds.map((id) => ctx.db.get(id)));
+    const groupNames = Object.fromEntries(
+      groups.filter(Boolean).map((g) => [g._id, g.name])
+    );
+
+    // Running ones by next date first, finished ones last
+    recurringExpenses.sort(
+      (a, b) => (a.nextDate ?? Infinity) - (b.nextDate ?? Infinity)
+    );
+
+    return recurringExpenses.map((r) => ({
+      ...r,
+      paidByName: userNames[r.paidByUserId],
+      groupName: r.groupId ? groupNames[r.groupId] : undefined,
+      canDelete: r.createdBy === user._id || isPayer(r, user._id),
+    }));
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getRecurringExpense
+ *  One recurring expense in the shape of getExpense, for the edit page:
+ *  { expense, participants, group, schedule }. The template's `date` is
+ *  its start date.
+ * -------------------------------------------------------------------------- */
+
+export const getRecurringExpense = query({
+  args: { recurringExpenseId: v.id("recurringExpenses") },
+  handler: async (ctx, { recurringExpenseId }) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+    const recurring = await getManageable(ctx, user._id, recurringExpenseId);
+
+    const participantIds = [
+      ...new Set([
+        ...getPayers(recurring).map((p) => p.userId),
+        ...recurring.splits.map((s) => s.userId),
+      ]),
+    ];
+    const participants = (
+      await Promise.all(participantIds.map((id) => ctx.db.get(id)))
+    )
+      .filter(Boolean)
+      .map((u) => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        imageUrl: u.imageUrl,
+      }));
+
+    const group = recurring.groupId
+      ? await ctx.db.get(recurring.groupId)
+      : null;
+
+    return {
+      expense: { ...recurring, date: recurring.startDate },
+      participants,
+      group: group ? { id: group._id, name: group.name } : null,
+      schedule: {
+        frequency: recurring.frequency,
+        intervalDays: recurring.intervalDays,
+        endDate: recurring.endDate,
+      },
+    };
+  },
+});
@@ -1,12 +1,85 @@
 import { defineSchema, defineTable } from "convex/server";
 import { v } from "convex/values";
 
+// How an expense is divided. Each type has its own per-split input:
+// percentage → `percentage`, shares → `shares`, adjustment → `adjustment`
+// (+/- on top of an equal share), itemized → the expense's `receipt`.
+export const splitTypeValidator = v.union(
+  v.literal("equal"),
+  v.literal("percentage"),
+  v.literal("exact"),
+  v.literal("shares"),
+  v.literal("adjustment"),
+  v.literal("itemized")
+);
+
+export const splitValidator = v.object({
+  userId: v.id("users"), // Reference to users table
+  amount: v.number(), // amount owed by this user
+  paid: v.boolean(), // nothing left to pay back
+  paidAmount: v.optional(v.number()), // paid back so far, outside settlements
+  percentage: v.optional(v.number()), // "percentage" splits
+  shares: v.optional(v.number()), // "shares" splits
+  adjustment: v.optional(v.number()), // "adjustment" splits (minor units)
+});
+
+// A split without an amount – what a template remembers per person
+export const templateSplitValidator = v.object({
+  userId: v.id("users"),
+  percentage: v.optional(v.number()),
+  shares: v.optional(v.number()),
+  adjustment: v.optional(v.number()), // minor units
+});
+
+// Who paid what, when several people paid (adds up to the expense amount)
+export const payersValidator = v.array(
+  v.object({
+    userId: v.id("users"), // Reference to users table
+    amount: v.number(), // amount this user paid
+  })
+);
+
+// Receipt line items – only for "itemized" splits. Items add up with
+// tax, tip and service charge to the expense amount.
+export const receiptValidator = v.object({
+  items: v.array(
+    v.object({
+      name: v.string(),
+      amount: v.number(),
+      userIds: v.array(v.id("users")), // who shares this item
+    })
+  ),
+  tax: v.number(),
+  tip: v.number(),
+  serviceCharge: v.number(),
+});
+
+// What an expense looked like at one point in time (used by expenseHistory)
+const expenseSnapshot = v.object({
+  description: v.string(),
+  amount: v.number(),
+  category: v.optional(v.string()),
+  date: v.number(),
+  currency: v.optional(v.string()),
+  paidByUserId: v.id("users"),
+  payers: v.optional(
+    v.array(v.object({ userId: v.id("users"), amount: v.number() }))
+  ),
+  splitType: splitTypeValidator,
+  splits: v.array(splitValidator),
+  minorUnits: v.optional(v.boolean()), // see expenses.minorUnits
+});
+
 export default defineSchema({
   users: defineTable({
     name: v.string(),
     email: v.string(),
     tokenIdentifier: v.string(),
     imageUrl: v.optional(v.string()),
+    currency: v.optional(v.string()), // balances are shown in this (default USD)
+    // Days before settlements others record as paid to this user count
+    // without their confirmation (0 = never; missing = 7)
+    settlementAutoConfirmDays: v.optional(v.number()),
   })
     .index("by_token", ["tokenIdentifier"])
     .index("by_email", ["email"])
@@ -14,30 +87,130 @@ export default defineSchema({
     .searchIndex("search_email", { searchField: "email" }),
 
   // Expenses
+  // Every amount is an integer in minor units (cents, paise, …) of `currency`
   expenses: defineTable({
     description: v.string(),
     amount: v.number(),
+    currency: v.optional(v.string()), // ISO code of all amounts; missing = USD
     category: v.optional(v.string()),
     date: v.number(), // timestamp
-    paidByUserId: v.id("users"), // Reference to users table
-    splitType: v.string(), // "equal", "percentage", "exact"
-    splits: v.array(
-      v.object({
-        userId: v.id("users"), // Reference to users table
-        amount: v.number(), // amount owed by this user
-        paid: v.boolean(),
-      })
-    ),
+    paidByUserId: v.id("users"), // Main payer – kept for the indexes below
+    payers: v.optional(payersValidator), // only set when several people paid
+    splitType: splitTypeValidator,
+    splits: v.array(splitValidator),
+    receipt: v.optional(receiptValidator), // only for "itemized" splits
     groupId: v.optional(v.id("groups")), // null for one-on-one expenses
     createdBy: v.id("users"), // Reference to users table
+    // Trash: set while the expense is deleted but can still be restored.
+    // Trashed expenses don't count anywhere; they're purged after
+    // TRASH_DAYS (see deleteExpense).
+    deletedAt: v.optional(v.number()),
+    deletedBy: v.optional(v.id("users")),
+    // Settlements whose link to this expense was removed by the delete
+    unlinkedSettlementIds: v.optional(v.array(v.id("settlements"))),
+    // Expenses someone checked are not the same bill (see lib/duplicates)
+    notDuplicateOf: v.optional(v.array(v.id("expenses"))),
+    // Imported expenses: the import and the file line they came from, so
+    // running an import again skips what it already created
+    importId: v.optional(v.string()),
+    importLine: v.optional(v.number()),
+    // Amounts are in minor units: set on everything written since money
+    // moved to them, and by the migration (see migrations.js) on the rest
+    minorUnits: v.optional(v.boolean()),
   })
     .index("by_group", ["groupId"])
     .index("by_user_and_group", ["paidByUserId", "groupId"])
-    .index("by_date", ["date"]),
+    .index("by_date", ["date"])
+    .index("by_group_and_date", ["groupId", "date"]) // paginated feeds
+    .index("by_deleted_at", ["deletedAt"])
+    .index("by_import", ["importId", "importLine"])
+    .index("by_creator_and_date", ["createdBy", "date"]) // suggestions
+    .searchIndex("search_description", {
+      searchField: "description",
+      filterFields: ["groupId", "category", "deletedAt"],
+    }),
+
+  // Every two people in a live 1‑to‑1 expense (userId < otherUserId), so
+  // the expenses between two users can be read by index – see expensePairs.js
+  expensePairs: defineTable({
+    expenseId: v.id("expenses"),
+    userId: v.id("users"),
+    otherUserId: v.id("users"),
+    date: v.number(), // the expense's date, for newest-first pages
+  })
+    .index("by_expense", ["expenseId"])
+    .index("by_pair_and_date", ["userId", "otherUserId", "date"]),
+
+  // Recurring expenses – an expense template plus a schedule. The daily
+  // Inngest job (lib/inngest/recurring-expenses.js) turns every due
+  // occurrence into a real expense. See lib/recurrence for the schedule.
+  recurringExpenses: defineTable({
+    // Template: the fields of an expense, minus the date
+    description: v.string(),
+    amount: v.number(),
+    currency: v.string(),
+    category: v.optional(v.string()),
+    paidByUserId: v.id("users"),
+    payers: v.optional(payersValidator),
+    splitType: splitTypeValidator,
+    splits: v.array(splitValidator),
+    receipt: v.optional(receiptValidator),
+    groupId: v.optional(v.id("groups")), // null for one-on-one expenses
+    createdBy: v.id("users"),
+    // Schedule
+    frequency: v.union(
+      v.literal("weekly"),
+      v.literal("monthly"),
+      v.literal("custom")
+    ),
+    intervalDays: v.optional(v.number()), // "custom": every N days
+    startDate: v.number(), // first occurrence (timestamp)
+    endDate: v.optional(v.number()), // no occurrences after this
+    nextIndex: v.number(), // occurrences so far (created or skipped)
+    nextDate: v.optional(v.number()), // date of the next one; unset = finished
+    paused: v.boolean(),
+    lastError: v.optional(v.string()), // why the last occurrence failed
+  })
+    .index("by_next_date", ["nextDate"])
+    .index("by_group", ["groupId"])
+    .index("by_created_by", ["createdBy"]),
+
+  // Expense templates – a saved ExpenseForm setup ("Milk, split equally in
+  // Flat 302") shown as quick-add chips. Private to whoever saved it.
+  expenseTemplates: defineTable({
+    name: v.string(),
+    description: v.string(),
+    category: v.optional(v.string()),
+    groupId: v.optional(v.id("groups")), // null for one-on-one expenses
+    participantIds: v.array(v.id("users")),
+    paidByUserId: v.optional(v.id("users")), // unset: whoever adds it
+    splitType: splitTypeValidator,
+    // Per-person percentages / shares / adjustments for those split types
+    splits: v.optional(v.array(templateSplitValidator)),
+    createdBy: v.id("users"),
+    createdAt: v.number(),
+  }).index("by_created_by", ["createdBy"]),
+
+  // Expense history – one row per create / update / delete of an expense.
+  // Rows outlive the expense itself, so access info is copied onto each row.
+  expenseHistory: defineTable({
+    expenseId: v.id("expenses"), // may point at a deleted expense
+    // "create", "update", "delete", "restore", "payment", "merge"
+    action: v.string(),
+    actorId: v.id("users"), // who made the change
+    timestamp: v.number(),
+    groupId: v.optional(v.id("groups")), // null for one-on-one expenses
+    participantIds: v.array(v.id("users")), // everyone involved, before or after
+    before: v.optional(expenseSnapshot), // missing for "create"
+    after: v.optional(expenseSnapshot), // missing for "delete"
+  })
+    .index("by_expense", ["expenseId"])
+    .index("by_group_and_action", ["groupId", "action"]),
 
   // Settlements
   settlements: defineTable({
-    amount: v.number(),
+    amount: v.number(), // integer minor units of `currency`
+    currency: v.optional(v.string()), // ISO code; missing = USD
     note: v.optional(v.string()),
     date: v.number(), // timestamp
     paidByUserId: v.id("users"), // Reference to users table
@@ -45,16 +218,68 @@ export default defineSchema({
     groupId: v.optional(v.id("groups")), // null for one-on-one settlements
     relatedExpenseIds: v.optional(v.array(v.id("expenses"))), // Which expenses this settlement covers
     createdBy: v.id("users"), // Reference to users table
+    // Recorded by anyone but the receiver: "pending" until the receiver
+    // confirms or rejects it, or until autoConfirmAt. Only confirmed
+    // settlements count towards balances; missing = confirmed.
+    status: v.optional(
+      v.union(
+        v.literal("pending"),
+        v.literal("confirmed"),
+        v.literal("rejected")
+      )
+    ),
+    autoConfirmAt: v.optional(v.number()), // timestamp; none = never
+    respondedAt: v.optional(v.number()), // when the receiver confirmed/rejected
+    notifiedAt: v.optional(v.number()), // when the receiver was e-mailed
+    minorUnits: v.optional(v.boolean()), // see expenses.minorUnits
+    // "smallerId:largerId" of payer and receiver (see toSettlementPair)
+    pair: v.optional(v.string()),
   })
     .index("by_group", ["groupId"])
     .index("by_user_and_group", ["paidByUserId", "groupId"])
     .index("by_receiver_and_group", ["receivedByUserId", "groupId"])
-    .index("by_date", ["date"]),
+    .index("by_receiver_and_status", ["receivedByUserId", "status"])
+    .index("by_payer_and_status", ["paidByUserId", "status"])
+    .index("by_status", ["status"])
+    .index("by_date", ["date"])
+    .index("by_group_and_date", ["groupId", "date"]) // paginated feeds
+    .index("by_group_pair_and_date", ["groupId", "pair", "date"]),
+
+  // Comments – a thread on one expense or one settlement (exactly one of
+  // the two ids is set). Visible to the people involved, or the group.
+  comments: defineTable({
+    expenseId: v.optional(v.id("expenses")),
+    settlementId: v.optional(v.id("settlements")),
+    authorId: v.id("users"),
+    body: v.string(),
+    createdAt: v.number(), // timestamp
+  })
+    .index("by_expense", ["expenseId"])
+    .index("by_settlement", ["settlementId"]),
+
+  // Attachments – receipt photos / transfer screenshots (images or PDFs)
+  // in Convex file storage, on one expense or one settlement (exactly one
+  // of the two ids is set). Readable by whoever can see that item.
+  attachments: defineTable({
+    expenseId: v.optional(v.id("expenses")),
+    settlementId: v.optional(v.id("settlements")),
+    storageId: v.id("_storage"),
+    fileName: v.string(),
+    contentType: v.string(),
+    size: v.number(), // bytes
+    uploadedBy: v.id("users"),
+    createdAt: v.number(), // timestamp
+  })
+    .index("by_expense", ["expenseId"])
+    .index("by_settlement", ["settlementId"]),
 
   // Groups
   groups: defineTable({
     name: v.string(),
     description: v.optional(v.string()),
+    currency: v.optional(v.string()), // default for new expenses (USD if unset)
+    // Balances show the fewest payments that settle everyone (lib/simplify)
+    simplifyDebts: v.optional(v.boolean()),
     createdBy: v.id("users"), // Reference to users table
     members: v.array(
       v.object({
@@ -64,4 +289,53 @@ export default defineSchema({
       })
     ),
   }),
+
+  // Expense categories (see lib/categories.js). Rows without a group are the
+  // defaults everyone starts from; a group's rows change a default (same
+  // key) or add a category of its own.
+  categories: defineTable({
+    groupId: v.optional(v.id("groups")), // null for the defaults
+    key: v.string(), // what expenses store in `category`
+    name: v.string(),
+    icon: v.string(), // lucide icon name
+    color: v.string(), // hex, e.g. "#f97316"
+    hidden: v.optional(v.boolean()), // not offered for new expenses
+    mergedInto: v.optional(v.string()), // key it was merged into
+  })
+    .index("by_group", ["groupId"])
+    .index("by_group_and_key", ["groupId", "key"]),
+
+  // Category rules – descriptions matching `pattern` get `categoryId`
+  // automatically (see lib/categoryRules). Group rules (groupId set) apply
+  // to the group's expenses; personal rules (userId set) to what that
+  // person adds.
+  categoryRules: defineTable({
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")),
+    pattern: v.string(), // keywords ("swiggy|zomato") or a regex
+    isRegex: v.boolean(),
+    categoryId: v.string(),
+    createdBy: v.id("users"),
+    createdAt: v.number(),
+  })
+    .index("by_group", ["groupId"])
+    .index("by_user", ["userId"]),
+
+  // Exchange rates – units of `currency` per 1 USD. Filled by admins
+  // (e.g. CSV upload on /exchange-rates); used to convert balances.
+  exchangeRates: defineTable({
+    currency: v.string(), // ISO 4217 code, e.g. "EUR"
+    rate: v.number(),
+    updatedAt: v.number(),
+    updatedBy: v.id("users"),
+  }).index("by_currency", ["currency"]),
+
+  // Data migrations – progress of each one-off migration (see migrations.js)
+  migrations: defineTable({
+    name: v.string(),
+    table: v.string(), // table being processed right now
+    cursor: v.union(v.string(), v.null()), // pagination cursor within `table`
+    processed: v.number(), // docs changed so far
+    done: v.boolean(),
+  }).index("by_name", ["name"]),
 });
\ No newline at end of file
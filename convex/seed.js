@@ -1,8 +1,12 @@
 // convex/seed.js
 import { mutation } from "./_generated/server";
+import { expenseToMinorUnits, settlementToMinorUnits } from "./migrations";
+import { syncExpensePairs } from "./expensePairs";
+import { toSettlementPair } from "./settlements";
 
 /**
  * Seed database with dummy data using your existing users
+ * (amounts below are written in dollars and stored in cents)
  * Run with: npx convex run seed:seedDatabase
  */
 export const seedDatabase = mutation({
@@ -134,7 +138,7 @@ async function createOneOnOneExpenses(ctx, users) {
     {
       description: "Dinner at Indian Restaurant",
       amount: 1250.0,
-      category: "foodDrink", // Using ID from expense-categories.js
+      category: "foodDrink", // Using ID from lib/categories.js
       date: twoWeeksAgo,
       paidByUserId: user1._id,
       splitType: "equal",
@@ -200,7 +204,11 @@ async function createOneOnOneExpenses(ctx, users) {
 
   const expenseIds = [];
   for (const expenseData of expenseDatas) {
-    const expenseId = await ctx.db.insert("expenses", expenseData);
+    const expenseId = await ctx.db.insert("expenses", {
+      ...expenseData,
+      ...expenseToMinorUnits(expenseData),
+    });
+    await syncExpensePairs(ctx, expenseId);
     expenseIds.push(expenseId);
   }
 
@@ -363,7 +371,11 @@ async function createGroupExpenses(ctx, users, groups) {
 
   const expenseIds = [];
   for (const expenseData of allGroupExpenses) {
-    const expenseId = await ctx.db.insert("expenses", expenseData);
+    const expenseId = await ctx.db.insert("expenses", {
+      ...expenseData,
+      ...expenseToMinorUnits(expenseData),
+    });
+    await syncExpensePairs(ctx, expenseId);
     expenseIds.push(expenseId);
   }
 
@@ -444,7 +456,14 @@ async function createSettlements(
 
   const settlementIds = [];
   for (const settlementData of settlementDatas) {
-    const settlementId = await ctx.db.insert("settlements", settlementData);
+    const settlementId = await ctx.db.insert("settlements", {
+      ...settlementData,
+      ...settlementToMinorUnits(settlementData),
+      pair: toSettlementPair(
+        settlementData.paidByUserId,
+        settlementData.receivedByUserId
+      ),
+    });
     settlementIds.push(settlementId);
   }
 
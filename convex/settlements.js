@@ -1,6 +1,76 @@
-import { mutation, query } from "./_generated/server";
+import { internalMutation, mutation, query } from "./_generated/server";
 import { v } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
 import { internal } from "./_generated/api";
+import {
+  getExpenseDebts,
+  DEFAULT_AUTO_CONFIRM_DAYS,
+  isSettlementConfirmed,
+} from "./lib/balances";
+import { getCurrency, isCurrencyCode } from "./lib/currency";
+import { getConverter } from "./exchangeRates";
+import { getGroupLedger, getLedgerTransfers } from "./groups";
+import { getExpensesBetween } from "./expenses";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/* ============================================================================
+ *  HELPERS
+ * -------------------------------------------------------------------------- */
+
+// The `pair` of a settlement between two users, whichever way it went
+export const toSettlementPair = (userId, otherUserId) =>
+  userId < otherUserId
+    ? `${userId}:${otherUserId}`
+    : `${otherUserId}:${userId}`;
+
+// Insert a settlement `caller` records. It counts right away when the
+// caller received the money; otherwise it waits for the receiver (see
+// confirmSettlement), auto-confirming after the receiver's chosen number of
+// days.
+async function insertSettlement(ctx, caller, fields) {
+  if (fields.receivedByUserId === caller._id) {
+    return await ctx.db.insert("settlements", {
+      ...fields,
+      createdBy: caller._id,
+      status: "confirmed",
+      minorUnits: true,
+      pair: toSettlementPair(fields.paidByUserId, fields.receivedByUserId),
+    });
+  }
+
+  const receiver = await ctx.db.get(fields.receivedByUserId);
+  const days =
+    receiver?.settlementAutoConfirmDays ?? DEFAULT_AUTO_CONFIRM_DAYS;
+  const autoConfirmAt = days > 0 ? fields.date + days * DAY : undefined;
+
+  const settlementId = await ctx.db.insert("settlements", {
+    ...fields,
+    createdBy: caller._id,
+    status: "pending",
+    autoConfirmAt,
+    minorUnits: true,
+    pair: toSettlementPair(fields.paidByUserId, fields.receivedByUserId),
+  });
+  if (autoConfirmAt) {
+    await ctx.scheduler.runAt(
+      autoConfirmAt,
+      internal.settlements.autoConfirmSettlement,
+      { settlementId }
+    );
+  }
+  return settlementId;
+}
+
+// "payer-receiver" of every group settlement still waiting for its receiver
+async function getPendingPairs(ctx, groupId) {
+  const pending = await ctx.db
+    .query("settlements")
+    .withIndex("by_group", (q) => q.eq("groupId", groupId))
+    .filter((q) => q.eq(q.field("status"), "pending"))
+    .collect();
+  return new Set(pending.map((s) => `${s.paidByUserId}-${s.receivedByUserId}`));
+}
 
 /* ============================================================================
  *  MUTATION: createSettlement
@@ -8,7 +78,8 @@ import { internal } from "./_generated/api";
 
 export const createSettlement = mutation({
   args: {
-    amount: v.number(), // must be > 0
+    amount: v.number(), // minor units (e.g. cents), must be > 0
+    currency: v.optional(v.string()), // defaults to the caller's currency
     note: v.optional(v.string()),
     paidByUserId: v.id("users"),
     receivedByUserId: v.id("users"),
@@ -20,7 +91,12 @@ export const createSettlement = mutation({
     const caller = await ctx.runQuery(internal.users.getCurrentUser);
 
     /* ── basic validation ────────────────────────────────────────────────── */
+    if (!Number.isInteger(args.amount))
+      throw new Error("Amount must be whole minor units (e.g. cents)");
     if (args.amount <= 0) throw new Error("Amount must be positive");
+    if (args.currency && !isCurrencyCode(args.currency)) {
+      throw new Error("Invalid currency");
+    }
     if (args.paidByUserId === args.receivedByUserId) {
       throw new Error("Payer and receiver cannot be the same user");
     }
@@ -42,25 +118,278 @@ export const createSettlement = mutation({
       }
     }
 
-    /* ── insert ──────────────────────────────────────────────────────────── */
-    return await ctx.db.insert("settlements", {
+    /* ── insert (pending until the receiver confirms) ────────────────────── */
+    return await insertSettlement(ctx, caller, {
       amount: args.amount,
+      currency: args.currency ?? getCurrency(caller),
       note: args.note,
       date: Date.now(), // server‑side timestamp
       paidByUserId: args.paidByUserId,
       receivedByUserId: args.receivedByUserId,
       groupId: args.groupId,
       relatedExpenseIds: args.relatedExpenseIds,
-      createdBy: caller._id,
     });
   },
 });
 
+/* ============================================================================
+ *  MUTATION: settleAllInGroup
+ *  "Settle all": records the payments from getGroupSettleUp that the caller
+ *  made or received, in one go – as with createSettlement, nobody records
+ *  payments between two other people. Each transfer must still be one of
+ *  the group's current payments (the simplified ones when the group
+ *  simplifies debts), in the caller's currency – if balances changed in
+ *  the meantime nothing is recorded. Payments the caller didn't receive
+ *  wait for their receiver to confirm them, like any other settlement.
+ * -------------------------------------------------------------------------- */
+
+export const settleAllInGroup = mutation({
+  args: {
+    groupId: v.id("groups"),
+    transfers: v.array(
+      v.object({
+        from: v.id("users"),
+        to: v.id("users"),
+        amount: v.number(), // minor units of the caller's currency
+      })
+    ),
+    note: v.optional(v.string()),
+  },
+  handler: async (ctx, { groupId, transfers, note }) => {
+    const caller = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+    if (!group.members.some((m) => m.userId === caller._id)) {
+      throw new Error("You are not a member of this group");
+    }
+    if (!transfers.length) throw new Error("Select at least one payment");
+    if (transfers.some((t) => t.from !== caller._id && t.to !== caller._id)) {
+      throw new Error("You can only record payments you made or received");
+    }
+
+    const currency = getCurrency(caller);
+    const convert = await getConverter(ctx, currency);
+    const { ledger } = await getGroupLedger(ctx, group, convert);
+    if (convert.missing.size) {
+      throw new Error(
+        "Some exchange rates are missing – record these payments one by one"
+      );
+    }
+
+    // Every transfer must match one payment (each used at most once) that
+    // isn't already waiting for confirmation
+    const suggested = getLedgerTransfers(ledger);
+    const pendingPairs = await getPendingPairs(ctx, groupId);
+    for (const transfer of transfers) {
+      if (pendingPairs.has(`${transfer.from}-${transfer.to}`)) {
+        throw new Error("A payment is already waiting for confirmation");
+      }
+      const index = suggested.findIndex(
+        (s) =>
+          s.from === transfer.from &&
+          s.to === transfer.to &&
+          s.amount === transfer.amount
+      );
+      if (index === -1) {
+        throw new Error("Balances have changed – review the payments again");
+      }
+      suggested.splice(index, 1);
+    }
+
+    const date = Date.now();
+    const settlementIds = [];
+    for (const { from, to, amount } of transfers) {
+      settlementIds.push(
+        await insertSettlement(ctx, caller, {
+          amount,
+          currency,
+          note,
+          date,
+          paidByUserId: from,
+          receivedByUserId: to,
+          groupId,
+        })
+      );
+    }
+
+    return { settlementIds, remaining: suggested.length };
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getGroupSettleUp
+ *  What settles the whole group: the payments clearing its balances (the
+ *  fewest possible with "simplify debts", otherwise what each pair owes)
+ *  and every member's net balance, in the caller's currency:
+ *  { group, members: [{ id, name, imageUrl, balance }],
+ *    transfers: [{ from, to, amount, isPending }], currency, missingRates }
+ *  isPending: a settlement for that payment waits for its receiver.
+ * -------------------------------------------------------------------------- */
+
+export const getGroupSettleUp = query({
+  args: { groupId: v.id("groups") },
+  handler: async (ctx, { groupId }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const group = await ctx.db.get(groupId);
+    if (!group) throw new Error("Group not found");
+    if (!group.members.some((m) => m.userId === me._id)) {
+      throw new Error("You are not a member of this group");
+    }
+
+    const currency = getCurrency(me);
+    const convert = await getConverter(ctx, currency);
+    const { totals, ledger } = await getGroupLedger(ctx, group, convert);
+    const pendingPairs = await getPendingPairs(ctx, groupId);
+
+    const members = [];
+    for (const { userId } of group.members) {
+      const user = await ctx.db.get(userId);
+      if (!user) continue;
+      members.push({
+        id: user._id,
+        name: user.name,
+        imageUrl: user.imageUrl,
+        balance: totals[userId],
+      });
+    }
+
+    return {
+      group: {
+        id: group._id,
+        name: group.name,
+        simplifyDebts: Boolean(group.simplifyDebts),
+      },
+      members,
+      transfers: getLedgerTransfers(ledger).map((t) => ({
+        ...t,
+        isPending: pendingPairs.has(`${t.from}-${t.to}`),
+      })),
+      currency,
+      missingRates: [...convert.missing],
+    };
+  },
+});
+
+/* ============================================================================
+ *  MUTATIONS: the receiver confirms or rejects a pending settlement
+ *  autoConfirmSettlement runs at autoConfirmAt for those left unanswered.
+ * -------------------------------------------------------------------------- */
+
+async function getPendingForReceiver(ctx, settlementId) {
+  const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+  const settlement = await ctx.db.get(settlementId);
+  if (!settlement) throw new Error("Settlement not found");
+  if (settlement.receivedByUserId !== user._id) {
+    throw new Error("Only whoever received the money can do this");
+  }
+  if (settlement.status !== "pending") {
+    throw new Error(`This settlement is already ${settlement.status}`);
+  }
+  return settlement;
+}
+
+export const confirmSettlement = mutation({
+  args: { settlementId: v.id("settlements") },
+  handler: async (ctx, { settlementId }) => {
+    await getPendingForReceiver(ctx, settlementId);
+    await ctx.db.patch(settlementId, {
+      status: "confirmed",
+      respondedAt: Date.now(),
+    });
+    return { success: true };
+  },
+});
+
+export const rejectSettlement = mutation({
+  args: { settlementId: v.id("settlements") },
+  handler: async (ctx, { settlementId }) => {
+    await getPendingForReceiver(ctx, settlementId);
+    await ctx.db.patch(settlementId, {
+      status: "rejected",
+      respondedAt: Date.now(),
+    });
+    return { success: true };
+  },
+});
+
+export const autoConfirmSettlement = internalMutation({
+  args: { settlementId: v.id("settlements") },
+  handler: async (ctx, { settlementId }) => {
+    const settlement = await ctx.db.get(settlementId);
+    if (settlement?.status !== "pending") return; // answered in the meantime
+    await ctx.db.patch(settlementId, { status: "confirmed" });
+  },
+});
+
+/* ============================================================================
+ *  QUERY: getPendingSettlements
+ *  Settlements waiting on someone, for the dashboard:
+ *  { toConfirm: recorded as paid to the caller, awaiting: the caller's
+ *  payments the other side hasn't confirmed yet }, newest first. Each comes
+ *  with `counterpart` (the other person) and `groupName`.
+ * -------------------------------------------------------------------------- */
+
+export const getPendingSettlements = query({
+  handler: async (ctx) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const received = await ctx.db
+      .query("settlements")
+      .withIndex("by_receiver_and_status", (q) =>
+        q.eq("receivedByUserId", me._id).eq("status", "pending")
+      )
+      .collect();
+    const paid = await ctx.db
+      .query("settlements")
+      .withIndex("by_payer_and_status", (q) =>
+        q.eq("paidByUserId", me._id).eq("status", "pending")
+      )
+      .collect();
+
+    const docs = new Map();
+    const getDoc = async (id) => {
+      if (!docs.has(id)) docs.set(id, await ctx.db.get(id));
+      return docs.get(id);
+    };
+    const withDetails = async (settlement, counterpartId) => {
+      const counterpart = await getDoc(counterpartId);
+      const group = settlement.groupId
+        ? await getDoc(settlement.groupId)
+        : null;
+      return {
+        ...settlement,
+        counterpart: {
+          id: counterpartId,
+          name: counterpart?.name ?? "Unknown",
+          imageUrl: counterpart?.imageUrl,
+        },
+        groupName: group?.name,
+      };
+    };
+    const newestFirst = (a, b) => b.date - a.date;
+
+    return {
+      toConfirm: await Promise.all(
+        received
+          .sort(newestFirst)
+          .map((s) => withDetails(s, s.paidByUserId))
+      ),
+      awaiting: await Promise.all(
+        paid.sort(newestFirst).map((s) => withDetails(s, s.receivedByUserId))
+      ),
+    };
+  },
+});
+
 /* ============================================================================
  *  QUERY: getSettlementData
  *  Returns the balances relevant for a page routed as:
  *      /settlements/[entityType]/[entityId]
  *  where entityType ∈ {"user","group"}
+ *  All amounts are converted to the caller's currency.
  * -------------------------------------------------------------------------- */
 
 export const getSettlementData = query({
@@ -71,53 +400,33 @@ export const getSettlementData = query({
   handler: async (ctx, args) => {
     // Use centralized getCurrentUser function
     const me = await ctx.runQuery(internal.users.getCurrentUser);
+    const currency = getCurrency(me);
+    const convert = await getConverter(ctx, currency);
 
     if (args.entityType === "user") {
       /* ─────────────────────────────────────────────── user page */
       const other = await ctx.db.get(args.entityId);
       if (!other) throw new Error("User not found");
 
-      // ---------- gather expenses where either of us paid or appears in splits
-      const myExpenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_user_and_group", (q) =>
-          q.eq("paidByUserId", me._id).eq("groupId", undefined)
-        )
-        .collect();
-
-      const otherUserExpenses = await ctx.db
-        .query("expenses")
-        .withIndex("by_user_and_group", (q) =>
-          q.eq("paidByUserId", other._id).eq("groupId", undefined)
-        )
-        .collect();
-
-      const expenses = [...myExpenses, ...otherUserExpenses];
+      // ---------- gather expenses we're both in, as payers or in splits
+      const expenses = await getExpensesBetween(ctx, me._id, other._id);
 
       let owed = 0; // they owe me
       let owing = 0; // I owe them
 
       for (const exp of expenses) {
-        const involvesMe =
-          exp.paidByUserId === me._id ||
-          exp.splits.some((s) => s.userId === me._id);
-        const involvesThem =
-          exp.paidByUserId === other._id ||
-          exp.splits.some((s) => s.userId === other._id);
-        if (!involvesMe || !involvesThem) continue;
-
-        // case 1: I paid
-        if (exp.paidByUserId === me._id) {
-          const split = exp.splits.find(
-            (s) => s.userId === other._id && !s.paid
-          );
-          if (split) owed += split.amount;
-        }
+        for (const debt of getExpenseDebts(exp)) {
+          const amount = convert(debt.amount, getCurrency(exp));
+
+          // case 1: I paid, they owe me
+          if (debt.from === other._id && debt.to === me._id) {
+            owed += amount;
+          }
 
-        // case 2: They paid
-        if (exp.paidByUserId === other._id) {
-          const split = exp.splits.find((s) => s.userId === me._id && !s.paid);
-          if (split) owing += split.amount;
+          // case 2: They paid, I owe them
+          if (debt.from === me._id && debt.to === other._id) {
+            owing += amount;
+          }
         }
       }
 
@@ -135,15 +444,18 @@ export const getSettlementData = query({
         )
         .collect();
 
-      const settlements = [...mySettlements, ...otherUserSettlements];
+      const settlements = [...mySettlements, ...otherUserSettlements].filter(
+        isSettlementConfirmed
+      );
 
       for (const st of settlements) {
+        const amount = convert(st.amount, getCurrency(st));
         if (st.paidByUserId === me._id) {
           // I paid them ⇒ my owing goes down
-          owing = Math.max(0, owing - st.amount);
+          owing = Math.max(0, owing - amount);
         } else {
           // They paid me ⇒ their owing goes down
-          owed = Math.max(0, owed - st.amount);
+          owed = Math.max(0, owed - amount);
         }
       }
 
@@ -158,6 +470,8 @@ export const getSettlementData = query({
         youAreOwed: owed,
         youOwe: owing,
         netBalance: owed - owing, // + => you should receive, − => you should pay
+        currency,
+        missingRates: [...convert.missing],
       };
     } else if (args.entityType === "group") {
       /* ──────────────────────────────────────────────────────── group page */
@@ -171,6 +485,7 @@ export const getSettlementData = query({
       const expenses = await ctx.db
         .query("expenses")
         .withIndex("by_group", (q) => q.eq("groupId", group._id))
+        .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
         .collect();
 
       // ---------- initialise per‑member tallies
@@ -181,17 +496,15 @@ export const getSettlementData = query({
 
       // ---------- apply expenses
       for (const exp of expenses) {
-        if (exp.paidByUserId === me._id) {
-          // I paid; others may owe me
-          exp.splits.forEach((split) => {
-            if (split.userId !== me._id && !split.paid) {
-              balances[split.userId].owed += split.amount;
-            }
-          });
-        } else if (balances[exp.paidByUserId]) {
-          // Someone else in the group paid; I may owe them
-          const split = exp.splits.find((s) => s.userId === me._id && !s.paid);
-          if (split) balances[exp.paidByUserId].owing += split.amount;
+        for (const debt of getExpenseDebts(exp)) {
+          const amount = convert(debt.amount, getCurrency(exp));
+          if (debt.to === me._id && balances[debt.from]) {
+            // I paid; others may owe me
+            balances[debt.from].owed += amount;
+          } else if (debt.from === me._id && balances[debt.to]) {
+            // Someone else in the group paid; I may owe them
+            balances[debt.to].owing += amount;
+          }
         }
       }
 
@@ -201,22 +514,35 @@ export const getSettlementData = query({
         .filter((q) => q.eq(q.field("groupId"), group._id))
         .collect();
 
-      for (const st of settlements) {
+      for (const st of settlements.filter(isSettlementConfirmed)) {
+        const amount = convert(st.amount, getCurrency(st));
         // we only care if ONE side is me
         if (st.paidByUserId === me._id && balances[st.receivedByUserId]) {
           balances[st.receivedByUserId].owing = Math.max(
             0,
-            balances[st.receivedByUserId].owing - st.amount
+            balances[st.receivedByUserId].owing - amount
           );
         }
         if (st.receivedByUserId === me._id && balances[st.paidByUserId]) {
           balances[st.paidByUserId].owed = Math.max(
             0,
-            balances[st.paidByUserId].owed - st.amount
+            balances[st.paidByUserId].owed - amount
           );
         }
       }
 
+      // ---------- "simplify debts": only the fewest payments that settle
+      // everyone (see groups.getGroupLedger)
+      if (group.simplifyDebts) {
+        const { ledger } = await getGroupLedger(ctx, group, convert);
+        for (const uid of Object.keys(balances)) {
+          balances[uid] = {
+            owed: ledger[uid][me._id],
+            owing: ledger[me._id][uid],
+          };
+        }
+      }
+
       // ---------- shape result list
       const members = await Promise.all(
         Object.keys(balances).map((id) => ctx.db.get(id))
@@ -243,10 +569,54 @@ export const getSettlementData = query({
           description: group.description,
         },
         balances: list,
+        currency,
+        missingRates: [...convert.missing],
       };
     }
 
     /* ── unsupported entityType ──────────────────────────────────────────── */
     throw new Error("Invalid entityType; expected 'user' or 'group'");
   },
-});
\ No newline at end of file
+});
+/* ============================================================================
+ *  QUERY: getSettlementsPage
+ *  One page of a group's settlements, or of the 1‑to‑1 settlements between
+ *  the caller and userId – newest first, for usePaginatedQuery.
+ * -------------------------------------------------------------------------- */
+
+export const getSettlementsPage = query({
+  args: {
+    groupId: v.optional(v.id("groups")),
+    userId: v.optional(v.id("users")), // other person for 1‑to‑1 settlements
+    paginationOpts: paginationOptsValidator,
+  },
+  handler: async (ctx, { groupId, userId, paginationOpts }) => {
+    const me = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (groupId) {
+      const group = await ctx.db.get(groupId);
+      if (!group) throw new Error("Group not found");
+      if (!group.members.some((m) => m.userId === me._id)) {
+        throw new Error("You are not a member of this group");
+      }
+    } else if (!userId) {
+      throw new Error("Either groupId or userId is required");
+    }
+
+    if (groupId) {
+      return await ctx.db
+        .query("settlements")
+        .withIndex("by_group_and_date", (q) => q.eq("groupId", groupId))
+        .order("desc")
+        .paginate(paginationOpts);
+    }
+
+    return await ctx.db
+      .query("settlements")
+      .withIndex("by_group_pair_and_date", (q) =>
+        q.eq("groupId", undefined).eq("pair", toSettlementPair(me._id, userId))
+      )
+      .order("desc")
+      .paginate(paginationOpts);
+  },
+});
@@ -0,0 +1,87 @@
+import { query } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { categoryOf, loadCategories } from "./categories";
+import { getPayers } from "./lib/balances";
+import { trainModel } from "./lib/suggestions";
+
+// The model learns from this many of the caller's latest expenses
+const MAX_EXAMPLES = 300;
+
+/* ============================================================================
+ *  QUERY: getSuggestionModel
+ *  Naive Bayes model (lib/suggestions) over the expenses the caller added,
+ *  plus the names the form needs to show what it suggests:
+ *  { model, groups: [{ id, name }], people: [{ id, name, email, imageUrl }] }
+ *  Everything runs here – no outside AI service is involved.
+ * -------------------------------------------------------------------------- */
+
+export const getSuggestionModel = query({
+  args: {},
+  handler: async (ctx) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    const expenses = await ctx.db
+      .query("expenses")
+      .withIndex("by_creator_and_date", (q) => q.eq("createdBy", user._id))
+      .order("desc")
+      .filter((q) => q.eq(q.field("deletedAt"), undefined)) // not in the trash
+      .take(MAX_EXAMPLES);
+
+    // Only groups the caller is still in can be suggested
+    const groupIds = [
+      ...new Set(expenses.map((e) => e.groupId).filter(Boolean)),
+    ];
+    const groups = (
+      await Promise.all(groupIds.map((id) => ctx.db.get(id)))
+    ).filter((g) => g?.members.some((m) => m.userId === user._id));
+    const groupIdSet = new Set(groups.map((g) => g._id));
+
+    const categoryLists = await loadCategories(ctx, [...groupIdSet]);
+
+    const otherPeopleOf = (expense) =>
+      [
+        ...new Set([
+          ...getPayers(expense).map((p) => p.userId),
+          ...expense.splits.map((s) => s.userId),
+        ]),
+      ]
+        .filter((id) => id !== user._id)
+        .sort();
+
+    const examples = expenses
+      .filter((e) => !e.groupId || groupIdSet.has(e.groupId))
+      .map((expense) => ({
+        description: expense.description,
+        labels: {
+          category: categoryOf(categoryLists, expense).id,
+          splitType: expense.splitType,
+          groupId: expense.groupId,
+          participants: expense.groupId
+            ? undefined
+            : otherPeopleOf(expense).join(","),
+        },
+      }));
+
+    const peopleIds = [
+      ...new Set(
+        expenses.filter((e) => !e.groupId).flatMap((e) => otherPeopleOf(e))
+      ),
+    ];
+    const people = (
+      await Promise.all(peopleIds.map((id) => ctx.db.get(id)))
+    )
+      .filter(Boolean)
+      .map((person) => ({
+        id: person._id,
+        name: person.name,
+        email: person.email,
+        imageUrl: person.imageUrl,
+      }));
+
+    return {
+      model: trainModel(examples),
+      groups: groups.map((g) => ({ id: g._id, name: g.name })),
+      people,
+    };
+  },
+});
@@ -1,6 +1,7 @@
 import { v } from "convex/values";
 import { mutation, query } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { isCurrencyCode } from "./lib/currency";
 
 // === Store or update a user in DB ===
 // Purpose → Save a logged-in user in DB (only once).
@@ -130,4 +131,43 @@ export const searchUsers = query({
         imageUrl: user.imageUrl,
       }));
   },
-});
\ No newline at end of file
+});
+
+// === Set the currency balances are shown in ===
+// Purpose → Let a user pick their default currency.
+// Steps:
+// 1. Get current user.
+// 2. Check the currency code.
+// 3. Save it on the user.
+export const updateCurrency = mutation({
+  args: {
+    currency: v.string(), // ISO code, e.g. "EUR"
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (!isCurrencyCode(args.currency)) {
+      throw new Error("Invalid currency");
+    }
+
+    await ctx.db.patch(user._id, { currency: args.currency });
+  },
+});
+
+// === Set how long settlements wait for your confirmation ===
+// Purpose → Settlements others record as paid to this user count once they
+// confirm them, or after this many days (0 = only once confirmed).
+export const updateSettlementAutoConfirm = mutation({
+  args: {
+    days: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const user = await ctx.runQuery(internal.users.getCurrentUser);
+
+    if (!Number.isInteger(args.days) || args.days < 0 || args.days > 90) {
+      throw new Error("Pick between 0 and 90 days");
+    }
+
+    await ctx.db.patch(user._id, { settlementAutoConfirmDays: args.days });
+  },
+});
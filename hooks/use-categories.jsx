@@ -0,0 +1,33 @@
+import { useMemo } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import {
+  DEFAULT_CATEGORIES,
+  getVisibleCategories,
+  resolveCategory,
+} from "@/convex/lib/categories";
+
+// The viewer's categories, per group (1‑to‑1 expenses use the defaults).
+// Falls back to the built-in defaults while loading.
+//   categoriesFor(groupId)    – what can be picked for a new expense
+//   allCategoriesFor(groupId) – including hidden / merged ones
+//   getCategory(id, groupId)  – the category an expense with `id` shows as
+export const useCategories = () => {
+  const { data, isLoading } = useConvexQuery(api.categories.getCategories);
+
+  return useMemo(() => {
+    const allCategoriesFor = (groupId) =>
+      (groupId && data?.groups[groupId]) ||
+      data?.defaults ||
+      DEFAULT_CATEGORIES;
+
+    return {
+      isLoading,
+      allCategoriesFor,
+      categoriesFor: (groupId) =>
+        getVisibleCategories(allCategoriesFor(groupId)),
+      getCategory: (id, groupId) =>
+        resolveCategory(allCategoriesFor(groupId), id),
+    };
+  }, [data, isLoading]);
+};
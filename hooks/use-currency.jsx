@@ -0,0 +1,27 @@
+import { useMemo } from "react";
+import { api } from "@/convex/_generated/api";
+import { useConvexQuery } from "@/hooks/use-convex-query";
+import { createConverter, getCurrency } from "@/convex/lib/currency";
+
+// The viewer's currency and a converter into it (same rates as the server).
+// convert(amount, from) returns 0 while the rates are still loading.
+export const useCurrency = () => {
+  const { data: currentUser } = useConvexQuery(api.users.getCurrentUser);
+  const { data: exchangeRates } = useConvexQuery(
+    api.exchangeRates.getExchangeRates
+  );
+
+  const currency = getCurrency(currentUser);
+  const convert = useMemo(
+    () =>
+      createConverter(
+        Object.fromEntries(
+          (exchangeRates?.rates ?? []).map((r) => [r.currency, r.rate])
+        ),
+        currency
+      ),
+    [exchangeRates, currency]
+  );
+
+  return { currency, convert, isAdmin: Boolean(exchangeRates?.isAdmin) };
+};
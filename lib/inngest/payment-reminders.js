@@ -1,6 +1,7 @@
 import { ConvexHttpClient } from "convex/browser";
 import { api } from "@/convex/_generated/api";
 import { inngest } from "./client";
+import { formatMoney } from "@/convex/lib/currency";
 
 // Initialize Convex client
 const convex = new ConvexHttpClient(process.env.NEXT_PUBLIC_CONVEX_URL);
@@ -23,7 +24,7 @@ export const paymentReminders = inngest.createFunction(
               (d) => `
                 <tr>
                   <td style="padding:4px 8px;">${d.name}</td>
-                  <td style="padding:4px 8px;">$${d.amount.toFixed(2)}</td>
+                  <td style="padding:4px 8px;">${formatMoney(d.amount, u.currency)}</td>
                 </tr>
               `
             )
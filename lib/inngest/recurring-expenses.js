@@ -0,0 +1,39 @@
+import { ConvexHttpClient } from "convex/browser";
+import { api } from "@/convex/_generated/api";
+import { inngest } from "./client";
+
+// Initialize Convex client
+const convex = new ConvexHttpClient(process.env.NEXT_PUBLIC_CONVEX_URL);
+
+export const recurringExpenses = inngest.createFunction(
+  { id: "create-recurring-expenses" },
+  { cron: "0 6 * * *" }, // daily at 6 AM UTC
+  async ({ step }) => {
+    /* 1. fetch recurring expenses with an occurrence due */
+    const due = await step.run("fetch-due", () =>
+      convex.query(api.inngest.getDueRecurringExpenses, {
+        secret: process.env.INNGEST_CONVEX_SECRET,
+        now: Date.now(),
+      })
+    );
+
+    /* 2. create the expenses – one step each, so a retry only redoes one */
+    const results = [];
+    for (const recurringExpenseId of due) {
+      results.push(
+        await step.run(`create-${recurringExpenseId}`, () =>
+          convex.mutation(api.inngest.createRecurringOccurrences, {
+            secret: process.env.INNGEST_CONVEX_SECRET,
+            recurringExpenseId,
+          })
+        )
+      );
+    }
+
+    return {
+      processed: results.length,
+      created: results.reduce((sum, r) => sum + r.created, 0),
+      paused: results.filter((r) => r.error).length,
+    };
+  }
+);
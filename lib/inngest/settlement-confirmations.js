@@ -0,0 +1,85 @@
+import { ConvexHttpClient } from "convex/browser";
+import { format } from "date-fns";
+import { api } from "@/convex/_generated/api";
+import { inngest } from "./client";
+import { formatMoney } from "@/convex/lib/currency";
+import { escapeHtml } from "@/lib/utils";
+
+// Initialize Convex client
+const convex = new ConvexHttpClient(process.env.NEXT_PUBLIC_CONVEX_URL);
+
+export const settlementConfirmations = inngest.createFunction(
+  { id: "send-settlement-confirmations" },
+  { cron: "*/15 * * * *" }, // every 15 minutes
+  async ({ step }) => {
+    /* 1. fetch pending settlements nobody was told about yet */
+    const receivers = await step.run("fetch-pending", () =>
+      convex.query(api.inngest.getUnnotifiedPendingSettlements, {
+        secret: process.env.INNGEST_CONVEX_SECRET,
+      })
+    );
+
+    /* 2. one e‑mail per receiver, then remember who was told */
+    const results = [];
+    for (const r of receivers) {
+      results.push(
+        await step.run(`notify-${r._id}`, async () => {
+          // Names and notes are user input – escape everything we insert
+          const rows = r.settlements
+            .map(
+              (s) => `
+                <tr>
+                  <td style="padding:4px 8px;">${escapeHtml(s.payerName)}</td>
+                  <td style="padding:4px 8px;">${formatMoney(s.amount, s.currency)}</td>
+                  <td style="padding:4px 8px;">${escapeHtml(s.groupName)}</td>
+                  <td style="padding:4px 8px;">${escapeHtml(s.note)}</td>
+                  <td style="padding:4px 8px;">${
+                    s.autoConfirmAt
+                      ? format(new Date(s.autoConfirmAt), "MMM d, yyyy")
+                      : "Never"
+                  }</td>
+                </tr>
+              `
+            )
+            .join("");
+
+          const html = `
+            <h2>SplitGenie - Please confirm these payments</h2>
+            <p>Hi ${escapeHtml(r.name)}, these people say they have paid you:</p>
+            <table cellspacing="0" cellpadding="0" border="1" style="border-collapse:collapse;">
+              <thead>
+                <tr><th>From</th><th>Amount</th><th>Group</th><th>Note</th><th>Counts from</th></tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+            <p>Confirm or reject them on your dashboard. Payments you don't answer count from the date shown.</p>
+          `;
+
+          try {
+            const result = await convex.action(api.email.sendEmail, {
+              to: r.email,
+              subject: "Payments waiting for your confirmation on SplitGenie",
+              html,
+              apiKey: process.env.RESEND_API_KEY,
+            });
+            if (!result.success) throw new Error(result.error);
+
+            await convex.mutation(api.inngest.markSettlementsNotified, {
+              secret: process.env.INNGEST_CONVEX_SECRET,
+              settlementIds: r.settlements.map((s) => s._id),
+            });
+            return { userId: r._id, success: true };
+          } catch (err) {
+            return { userId: r._id, success: false, error: err.message };
+          }
+        })
+      );
+    }
+
+    return {
+      processed: results.length,
+      successes: results.filter((r) => r.success).length,
+      failures: results.filter((r) => r.success === false).length,
+    };
+  }
+);
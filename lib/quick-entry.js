@@ -0,0 +1,273 @@
+// Quick entry: one line of text → a draft for the expense form, e.g.
+//   "Dinner 1800 paid by me split with Asha and Rohit in Goa Trip"
+//   "uber 250 @ravi 60/40"
+// Deterministic and entirely in the browser. People and groups are matched
+// against api.contacts.getQuickEntryContacts.
+import { CURRENCIES } from "@/convex/lib/currency";
+
+const CURRENCY_SYMBOLS = {
+  $: "USD",
+  "€": "EUR",
+  "£": "GBP",
+  "₹": "INR",
+  "¥": "JPY",
+};
+const CURRENCY_CODES = new Set(CURRENCIES.map((c) => c.code));
+
+// "1800", "1,800.50", "$12", "₹250", "1.5k"
+const AMOUNT_PATTERN = /^([$€£₹¥])?(\d+(?:,\d{3})*(?:\.\d+)?)(k)?$/i;
+// "60/40", "1/1/2" – how the amount is divided, in the order people are named
+const RATIO_PATTERN = /^\d+(?:\.\d+)?(?:\/\d+(?:\.\d+)?)+$/;
+
+const SELF_WORDS = ["me", "i", "myself"];
+const SEPARATOR_WORDS = ["and", "&", ","];
+// Words that only glue the sentence together once their phrase is parsed
+const FILLER_WORDS = ["split", "equally", "evenly", "today"];
+
+const clean = (word) => word.replace(/^[@#]/, "").replace(/[,.;:!?]+$/, "");
+const lower = (word) => clean(word).toLowerCase();
+
+// People matching `name`: full name or email first, then first name, then
+// the start of any part of the name. The first level with a match wins.
+function matchPeople(name, pool) {
+  const query = name.toLowerCase();
+  const levels = [
+    (p) =>
+      p.name?.toLowerCase() === query ||
+      p.email?.toLowerCase() === query ||
+      p.email?.toLowerCase().split("@")[0] === query,
+    (p) => p.name?.toLowerCase().split(/\s+/)[0] === query,
+    (p) =>
+      query.length >= 2 &&
+      p.name
+        ?.toLowerCase()
+        .split(/\s+/)
+        .some((part) => part.startsWith(query)),
+  ];
+  for (const level of levels) {
+    const found = pool.filter(level);
+    if (found.length) return found;
+  }
+  return [];
+}
+
+// Parse `text`. `people` must include the current user.
+// Returns { description, amount (major units, or null), currency, date,
+// groupId, groupName, participants, paidByUserId, splitType, splits,
+// warnings } – warnings explain whatever couldn't be understood.
+export function parseQuickEntry(text, { people, groups, currentUserId }) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const used = words.map(() => false);
+  const warnings = [];
+  const me = people.find((p) => p.id === currentUserId);
+
+  /* ───── 1. Group: "in Goa Trip", "for Goa Trip" or "#goatrip" ───── */
+  let group = null;
+  const byLongestName = [...groups].sort(
+    (a, b) => b.name.length - a.name.length
+  );
+  const groupAt = (i) => {
+    for (const g of byLongestName) {
+      const parts = g.name.toLowerCase().split(/\s+/);
+      const candidate = words.slice(i, i + parts.length).map(lower);
+      if (parts.every((part, k) => candidate[k] === part)) {
+        return { group: g, length: parts.length };
+      }
+    }
+    return null;
+  };
+  for (let i = 0; i < words.length && !group; i++) {
+    const word = lower(words[i]);
+    if (words[i].startsWith("#")) {
+      group =
+        groups.find((g) => g.name.toLowerCase().replace(/\s+/g, "") === word) ??
+        null;
+      if (group) used[i] = true;
+      else warnings.push(`No group called "${clean(words[i])}"`);
+    } else if (["in", "for"].includes(word)) {
+      const skip = lower(words[i + 1] ?? "") === "group" ? 1 : 0;
+      const match = groupAt(i + 1 + skip);
+      if (match) {
+        group = match.group;
+        for (let k = i; k <= i + skip + match.length; k++) used[k] = true;
+      }
+    }
+  }
+
+  // In a group, names can only mean its members
+  const pool = group
+    ? people.filter((p) => group.memberIds.includes(p.id))
+    : people;
+
+  // Longest name starting at word i: { person, length } or { error }
+  const readName = (i) => {
+    if (SELF_WORDS.includes(lower(words[i]))) return { person: me, length: 1 };
+    for (let length = 3; length > 1; length--) {
+      if (i + length > words.length) continue;
+      const name = words
+        .slice(i, i + length)
+        .map(clean)
+        .join(" ");
+      const found = pool.filter(
+        (p) => p.name?.toLowerCase() === name.toLowerCase()
+      );
+      if (found.length === 1) return { person: found[0], length };
+    }
+    const name = clean(words[i]);
+    const found = matchPeople(name, pool);
+    if (found.length === 1) return { person: found[0], length: 1 };
+    return {
+      length: 1,
+      error: found.length
+        ? `"${name}" could be ${found.map((p) => p.name).join(" or ")}`
+        : group
+          ? `"${name}" isn't in ${group.name}`
+          : `"${name}" isn't one of your contacts`,
+    };
+  };
+
+  /* ───── 2. People, payer, amount, ratio and date ───── */
+  const named = [];
+  let payer = null;
+  let amount = null;
+  let amountIndex = -1;
+  let currency = null;
+  let ratios = null;
+  let date = null;
+
+  const addNamed = (i) => {
+    const result = readName(i);
+    if (result.person) named.push(result.person);
+    else warnings.push(result.error);
+    for (let k = i; k < i + result.length; k++) used[k] = true;
+    return i + result.length;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    if (used[i]) continue;
+    const word = lower(words[i]);
+    const next = lower(words[i + 1] ?? "");
+
+    if (words[i].startsWith("@") && word) {
+      addNamed(i);
+    } else if (word === "paid" && next === "by" && words[i + 2]) {
+      used[i] = used[i + 1] = true;
+      const result = readName(i + 2);
+      if (result.person) payer = result.person;
+      else warnings.push(result.error);
+      for (let k = i + 2; k < i + 2 + result.length; k++) used[k] = true;
+      i += 1 + result.length;
+    } else if (
+      next === "paid" &&
+      lower(words[i + 2] ?? "") !== "by" &&
+      readName(i).person
+    ) {
+      // "I paid", "Asha paid"
+      payer = readName(i).person;
+      used[i] = used[i + 1] = true;
+      i += 1;
+    } else if (word === "with" && words[i + 1]) {
+      used[i] = true;
+      if (lower(words[i - 1] ?? "") === "split") used[i - 1] = true;
+      // "with Asha, Rohit and Meera"
+      let k = i + 1;
+      let expectName = true;
+      while (k < words.length && !used[k]) {
+        if (SEPARATOR_WORDS.includes(words[k].toLowerCase())) {
+          used[k] = true;
+          expectName = true;
+          k++;
+        } else if (expectName) {
+          k = addNamed(k);
+          expectName = words[k - 1].endsWith(",");
+        } else {
+          break;
+        }
+      }
+      i = k - 1;
+    } else if (RATIO_PATTERN.test(word) && !ratios) {
+      ratios = word.split("/").map(Number);
+      used[i] = true;
+    } else if (AMOUNT_PATTERN.test(word) && amount === null) {
+      const [, symbol, digits, thousands] = word.match(AMOUNT_PATTERN);
+      amount = Number(digits.replace(/,/g, "")) * (thousands ? 1000 : 1);
+      currency = symbol ? CURRENCY_SYMBOLS[symbol] : null;
+      amountIndex = i;
+      used[i] = true;
+    } else if (word === "yesterday") {
+      date = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      used[i] = true;
+    } else if (FILLER_WORDS.includes(word)) {
+      used[i] = true;
+    }
+  }
+
+  // "250 INR" or "EUR 40"
+  for (const i of [amountIndex + 1, amountIndex - 1]) {
+    if (amountIndex === -1 || used[i] || !words[i]) continue;
+    const code = clean(words[i]).toUpperCase();
+    if (CURRENCY_CODES.has(code)) {
+      currency = code;
+      used[i] = true;
+      break;
+    }
+  }
+
+  /* ───── 3. Who's in: you, whoever was named and the payer ───── */
+  let participants = [me, ...named, payer].filter(Boolean);
+  if (group && !named.length) {
+    // Nobody named: the whole group, you first
+    participants = [
+      me,
+      ...group.memberIds.map((id) => people.find((p) => p.id === id)),
+    ].filter(Boolean);
+  }
+  participants = participants.filter(
+    (p, idx) => participants.findIndex((q) => q.id === p.id) === idx
+  );
+  if (participants.length < 2 && !warnings.length) {
+    warnings.push('Say who to split with, e.g. "with Asha" or "@asha"');
+  }
+
+  /* ───── 4. Split: equal, or by the ratio (100 in total = percentages) ───── */
+  let splitType = "equal";
+  let splits;
+  if (ratios) {
+    if (ratios.length !== participants.length) {
+      warnings.push(
+        `${ratios.join("/")} has ${ratios.length} parts but there are ${participants.length} people`
+      );
+    } else {
+      const total = ratios.reduce((sum, r) => sum + r, 0);
+      splitType = Math.abs(total - 100) < 0.01 ? "percentage" : "shares";
+      splits = participants.map((p, idx) => ({
+        userId: p.id,
+        [splitType]: ratios[idx],
+      }));
+    }
+  }
+
+  /* ───── 5. Whatever is left is the description ───── */
+  const rest = words
+    .filter((_, i) => !used[i])
+    .join(" ")
+    .replace(/^[\s,.;:-]+|[\s,.;:-]+$/g, "");
+  const description = rest.charAt(0).toUpperCase() + rest.slice(1);
+
+  if (amount === null) warnings.push("Add an amount, e.g. 250");
+  if (!description) warnings.push("Add a description, e.g. Dinner");
+
+  return {
+    description,
+    amount,
+    currency,
+    date,
+    groupId: group?.id,
+    groupName: group?.name,
+    participants,
+    paidByUserId: (payer ?? me)?.id,
+    splitType,
+    splits,
+    warnings,
+  };
+}
@@ -0,0 +1,167 @@
+// Minimal .xlsx writer: one sheet, a header row and plain values (numbers
+// stay numbers, everything else becomes text). Runs entirely in the
+// browser – an .xlsx file is a zip of a few XML parts, which we store
+// without compression.
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 0 → "A", 27 → "AB"
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, ref) =>
+  typeof value === "number" && Number.isFinite(value)
+    ? `<c r="${ref}"><v>${value}</v></c>`
+    : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? "")}</t></is></c>`;
+
+const sheetXml = (rows) =>
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+  rows
+    .map(
+      (cells, r) =>
+        `<row r="${r + 1}">` +
+        cells
+          .map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`))
+          .join("") +
+        "</row>"
+    )
+    .join("") +
+  "</sheetData></worksheet>";
+
+const workbookParts = (sheetName, rows) => ({
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+    "</workbook>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+  "xl/worksheets/sheet1.xml": sheetXml(rows),
+});
+
+/* ----------  zip (stored, no compression) ---------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Little-endian header fields: [[value, byteLength], …] → bytes
+const header = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((sum, [, size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  for (const [value, size] of fields) {
+    if (size === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += size;
+  }
+  return bytes;
+};
+
+function zip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+    // Shared by the local and the central header
+    const common = [
+      [20, 2], // version needed
+      [0x0800, 2], // flags: UTF-8 names
+      [0, 2], // method: stored
+      [0, 2], // time
+      [0x21, 2], // date (1980-01-01)
+      [crc, 4],
+      [data.length, 4], // compressed size
+      [data.length, 4], // size
+      [nameBytes.length, 2],
+      [0, 2], // extra field length
+    ];
+
+    const local = header([[0x04034b50, 4], ...common]);
+    chunks.push(local, nameBytes, data);
+
+    // + version made by, comment length, disk, attributes, local offset
+    central.push(
+      header([
+        [0x02014b50, 4],
+        [20, 2],
+        ...common,
+        [0, 2],
+        [0, 2],
+        [0, 2],
+        [0, 4],
+        [offset, 4],
+      ]),
+      nameBytes
+    );
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const count = Object.keys(files).length;
+  const end = header([
+    [0x06054b50, 4],
+    [0, 2], // this disk
+    [0, 2], // disk with the central directory
+    [count, 2],
+    [count, 2],
+    [centralSize, 4],
+    [offset, 4], // where the central directory starts
+    [0, 2], // comment length
+  ]);
+
+  return new Blob([...chunks, ...central, end], {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  });
+}
+
+// [{ key, label }] + row objects → .xlsx Blob
+export function toXlsx(columns, rows, sheetName = "Sheet1") {
+  const table = [
+    columns.map((c) => c.label),
+    ...rows.map((row) => columns.map((c) => row[c.key])),
+  ];
+  // Excel rejects sheet names over 31 characters or with []:*?/\
+  const safeName = sheetName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+  return zip(workbookParts(safeName || "Sheet1", table));
+}
@@ -8,6 +8,7 @@ const isProtectedRoute = createRouteMatcher([
   "/groups(.*)",
   "/person(.*)",
   "/settlements(.*)",
+  "/exchange-rates(.*)",
 ]);
 
 export default clerkMiddleware(async (auth, req) => {